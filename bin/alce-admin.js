@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+// bin/alce-admin.js
+// Single entry point for every admin script: `alce-admin <command> --flag value`.
+// Run `alce-admin --help` for the list of commands.
+const { main } = require("../lib/cli");
+
+main(process.argv.slice(2)).then((code) => process.exit(code));
@@ -6,29 +6,60 @@ const admin = require("firebase-admin");
 // Load .env next to this file so running from /scripts works fine.
 require("dotenv").config({ path: path.resolve(__dirname, ".env") });
 
-// 1) Read and normalize the key path from env
-const credEnv = process.env.GOOGLE_APPLICATION_CREDENTIALS;
-if (!credEnv) throw new Error("Set GOOGLE_APPLICATION_CREDENTIALS to your service account JSON path.");
-const keyPath = path.isAbsolute(credEnv) ? credEnv : path.resolve(__dirname, credEnv);
-if (!fs.existsSync(keyPath)) throw new Error(`Service account file not found at: ${keyPath}`);
+const { resolveProfile, isConfirmedProfile } = require("./lib/profiles");
+const { isEmulatorMode, applyEmulatorEnv, DEFAULT_EMULATOR_PROJECT } = require("./lib/emulator");
 
-// Ensure ADC sees an absolute path
-process.env.GOOGLE_APPLICATION_CREDENTIALS = keyPath;
+// 1) Pick the profile (ALCE_ENV, set by `alce-admin --env <name>`).
+//    No profiles.json => legacy GOOGLE_APPLICATION_CREDENTIALS setup.
+const profile = resolveProfile(process.env.ALCE_ENV);
+const emulator = isEmulatorMode(profile) ? applyEmulatorEnv() : null;
 
-// 2) Get project id from the key (for logging + default bucket)
-const sa = JSON.parse(fs.readFileSync(keyPath, "utf8"));
-const projectId = sa.project_id || "unknown";
-const storageBucket = `${projectId}.appspot.com`; // default Firebase bucket
+let projectId;
+let appOptions;
+let clientEmail = null;
+
+if (emulator) {
+  // 2a) Emulator Suite: no service account; never touches a real project.
+  projectId = profile.projectId || process.env.GCLOUD_PROJECT || DEFAULT_EMULATOR_PROJECT;
+  appOptions = {};
+} else {
+  if (profile.protected && !isConfirmedProfile(profile.name)) {
+    throw new Error(
+      `Profile '${profile.name}' is protected. Run through \`alce-admin <command> --env ${profile.name}\` ` +
+        `(which asks for confirmation), or set ALCE_CONFIRMED_PROFILE=${profile.name}.`
+    );
+  }
+
+  // 2b) Read and normalize the key path
+  const credEnv = profile.credentials;
+  if (!credEnv) throw new Error("Set GOOGLE_APPLICATION_CREDENTIALS to your service account JSON path (or use a profile).");
+  const keyPath = path.isAbsolute(credEnv) ? credEnv : path.resolve(__dirname, credEnv);
+  if (!fs.existsSync(keyPath)) throw new Error(`Service account file not found at: ${keyPath}`);
+
+  // Ensure ADC sees an absolute path
+  process.env.GOOGLE_APPLICATION_CREDENTIALS = keyPath;
+
+  // Get project id from the profile or the key (for logging + default bucket)
+  const sa = JSON.parse(fs.readFileSync(keyPath, "utf8"));
+  projectId = profile.projectId || sa.project_id || "unknown";
+  clientEmail = sa.client_email || null;
+  appOptions = { credential: admin.credential.applicationDefault() };
+}
+
+const storageBucket = profile.storageBucket || `${projectId}.appspot.com`; // default Firebase bucket
 
 // 3) Initialize Admin (idempotent)
 if (!admin.apps.length) {
   admin.initializeApp({
-    credential: admin.credential.applicationDefault(),
+    ...appOptions,
     projectId,            // keep admin.app().options.projectId populated
     storageBucket,        // so admin.storage().bucket() uses default
   });
   try { admin.firestore().settings({ ignoreUndefinedProperties: true }); } catch {}
-  console.log(`Using project: ${projectId}`);
+  console.log(`Using project: ${projectId}${profile.name ? ` (profile: ${profile.name})` : ""}`);
+  if (emulator) {
+    console.log(`🧪 Emulator mode: firestore=${emulator.firestore} auth=${emulator.auth} storage=${emulator.storage}`);
+  }
 }
 
 // 4) Exports
@@ -41,7 +72,16 @@ module.exports = {
   db,
   auth,
   bucket,
+  profile: {
+    name: profile.name,
+    projectId,
+    storageBucket,
+    protected: profile.protected,
+    clientEmail,
+    limits: profile.limits,
+  },
+  emulator,
   FieldValue: admin.firestore.FieldValue,
   Timestamp: admin.firestore.Timestamp,
   GeoPoint: admin.firestore.GeoPoint,
-};
\ No newline at end of file
+};
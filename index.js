@@ -0,0 +1,78 @@
+// index.js
+// Library entry point (`require("alce-admin")`). Every op takes (options, deps):
+// - options: the same UPPER_SNAKE keys as the script's CONFIG block (missing keys use the op's DEFAULTS)
+// - deps:    { db, auth, bucket, logger? } — omit it to use the shared app from firebaseAdmin.js
+// Nothing here initializes firebase-admin until an op runs without `deps`.
+
+const { backupCollections } = require("./lib/ops/backupCollections");
+const { copyCollection } = require("./lib/ops/copyCollection");
+const { copyStoragePrefix } = require("./lib/ops/copyStoragePrefix");
+const { applyPlan } = require("./lib/ops/applyPlan");
+const { createStripeCustomers } = require("./lib/ops/createStripeCustomers");
+const { exportCollection } = require("./lib/ops/exportCollection");
+const { exportSheet } = require("./lib/ops/exportSheet");
+const { fillCurrentWeekRoster } = require("./lib/ops/fillCurrentWeekRoster");
+const { generateFixtures } = require("./lib/ops/generateFixtures");
+const { importCollection } = require("./lib/ops/importCollection");
+const { buildProfile } = require("./lib/ops/inferSchema");
+const { lintCollection } = require("./lib/ops/lintCollectionSchema");
+const { makeOwner } = require("./lib/ops/makeOwner");
+const { migrationStatus, migrateUp, migrateDown } = require("./lib/ops/migrate");
+const { restoreBackup } = require("./lib/ops/restoreBackup");
+const { rewriteReferences } = require("./lib/ops/rewriteReferences");
+const { rewriteStorageUrls } = require("./lib/ops/rewriteStorageUrls");
+const { scrubFields } = require("./lib/ops/scrubFields");
+const { seedEmulator } = require("./lib/ops/seedEmulator");
+const { setAdminStatus } = require("./lib/ops/setAdminStatus");
+const { undoRun } = require("./lib/ops/undo");
+const { updateDisplayNames } = require("./lib/ops/updateDisplayNames");
+
+const { makeBatcher } = require("./lib/batcher");
+const { getByPath, setByPath, unsetByPath, flattenDoc } = require("./lib/paths");
+const { isPlainObject, detectKind } = require("./lib/values");
+const { toYAML } = require("./lib/yaml");
+const { encodeValue, decodeValue } = require("./lib/typedJson");
+const { createLimiter, withLimits, isRetryable } = require("./lib/limiter");
+
+module.exports = {
+  // ops
+  applyPlan,
+  backupCollections,
+  copyCollection,
+  copyStoragePrefix,
+  createStripeCustomers,
+  exportCollection,
+  exportSheet,
+  fillCurrentWeekRoster,
+  generateFixtures,
+  importCollection,
+  inferSchema: buildProfile,
+  lintCollection,
+  makeOwner,
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+  restoreBackup,
+  rewriteReferences,
+  rewriteStorageUrls,
+  scrubFields,
+  seedEmulator,
+  setAdminStatus,
+  undoRun,
+  updateDisplayNames,
+
+  // shared helpers
+  makeBatcher,
+  getByPath,
+  setByPath,
+  unsetByPath,
+  flattenDoc,
+  isPlainObject,
+  detectKind,
+  toYAML,
+  encodeValue,
+  decodeValue,
+  createLimiter,
+  withLimits,
+  isRetryable,
+};
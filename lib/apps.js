@@ -0,0 +1,68 @@
+// lib/apps.js
+// Extra Firebase Admin apps, one per named profile, for ops that read one project and write
+// another (e.g. `copy-collection --source-profile prod --destination-profile staging`).
+// firebaseAdmin.js keeps owning the default app; each profile opened here gets its own named
+// app ("alce:<profile>") with its own service account, so the two never share credentials.
+const fs = require("fs");
+const path = require("path");
+const { ROOT, resolveProfile, isConfirmedProfile } = require("./profiles");
+const { applyEmulatorEnv, isEmulatorMode, assertNoMixedTargets, DEFAULT_EMULATOR_PROJECT } = require("./emulator");
+
+const opened = new Map(); // profile name -> { db, auth, bucket, profile, emulator }
+
+/**
+ * Opens (once) the Admin app of a named profile from profiles.json.
+ * Protected profiles must have been confirmed by the CLI, exactly like the default app.
+ * @param {string} name
+ * @returns {{ db: FirebaseFirestore.Firestore, auth, bucket, profile: object, emulator: object|null }}
+ */
+function openProfileApp(name) {
+  if (opened.has(name)) return opened.get(name);
+
+  const admin = require("firebase-admin");
+  const p = resolveProfile(name);
+  // An emulator profile redirects every app in the process; a real one would be redirected too.
+  const others = [...opened.values()].map((e) => ({ name: e.profile.name, emulator: !!e.emulator }));
+  assertNoMixedTargets(p.emulator || isEmulatorMode(), [p, ...others]);
+  let options;
+  let projectId;
+  let clientEmail = null;
+  let emulator = null;
+
+  if (p.emulator) {
+    emulator = applyEmulatorEnv();
+    projectId = p.projectId || DEFAULT_EMULATOR_PROJECT;
+    options = {};
+  } else {
+    if (p.protected && !isConfirmedProfile(p.name)) {
+      throw new Error(
+        `Profile '${p.name}' is protected. Run through \`alce-admin\` (which asks for confirmation), ` +
+          `or add it to ALCE_CONFIRMED_PROFILE.`
+      );
+    }
+    const keyPath = path.isAbsolute(p.credentials) ? p.credentials : path.resolve(ROOT, p.credentials);
+    if (!fs.existsSync(keyPath)) throw new Error(`Service account file not found at: ${keyPath}`);
+    const sa = JSON.parse(fs.readFileSync(keyPath, "utf8"));
+    projectId = p.projectId || sa.project_id || "unknown";
+    clientEmail = sa.client_email || null;
+    options = { credential: admin.credential.cert(sa) };
+  }
+
+  const storageBucket = p.storageBucket || `${projectId}.appspot.com`;
+  const app = admin.initializeApp({ ...options, projectId, storageBucket }, `alce:${p.name}`);
+  const db = app.firestore();
+  try { db.settings({ ignoreUndefinedProperties: true }); } catch {}
+  console.log(`Using project: ${projectId} (profile: ${p.name})`);
+
+  const entry = {
+    db,
+    auth: app.auth(),
+    bucket: app.storage().bucket(),
+    profile: { name: p.name, projectId, storageBucket, protected: p.protected, clientEmail, limits: p.limits },
+    emulator,
+  };
+  opened.set(name, entry);
+  return entry;
+}
+
+module.exports = { openProfileApp };
@@ -0,0 +1,177 @@
+// lib/audit.js
+// Audit trail for writing ops. Every run appends one entry — operator, project, config,
+// start/end time, result counts and per-document errors — to a local NDJSON file and to
+// the `_admin_audit/{runId}` Firestore collection.
+//
+// Settings come from `deps.auditLog` (false disables it), then the environment:
+// - ALCE_AUDIT=0                    turn auditing off
+// - ALCE_AUDIT_FILE=<path>          NDJSON file (default: logs/audit.ndjson at the repo root)
+// - ALCE_AUDIT_COLLECTION=<name>    Firestore collection (default: _admin_audit)
+// Dry runs are only written to the file, so a rehearsal never writes to the project.
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Timestamp } = require("firebase-admin/firestore");
+
+const ROOT = path.resolve(__dirname, "..");
+const DEFAULT_AUDIT_FILE = path.join(ROOT, "logs", "audit.ndjson");
+const DEFAULT_AUDIT_COLLECTION = "_admin_audit";
+const MAX_RECORDED_ERRORS = 200; // keeps the Firestore entry well under the 1 MiB doc limit
+
+/** Sortable, unique enough for humans to paste back: 20251018T101500-a1b2c3 */
+function newRunId(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, "").slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+function operatorName() {
+  if (process.env.ALCE_OPERATOR) return process.env.ALCE_OPERATOR;
+  let user = "unknown";
+  try {
+    user = os.userInfo().username;
+  } catch {}
+  return `${user}@${os.hostname()}`;
+}
+
+function resolveSettings(deps) {
+  if ((deps && deps.auditLog === false) || process.env.ALCE_AUDIT === "0") {
+    return { file: null, collection: null };
+  }
+  const custom = (deps && deps.auditLog) || {};
+  const file = "file" in custom ? custom.file : process.env.ALCE_AUDIT_FILE || DEFAULT_AUDIT_FILE;
+  const collection =
+    "collection" in custom ? custom.collection : process.env.ALCE_AUDIT_COLLECTION || DEFAULT_AUDIT_COLLECTION;
+  return {
+    file: file ? (path.isAbsolute(file) ? file : path.resolve(ROOT, file)) : null,
+    collection: collection || null,
+  };
+}
+
+/** JSON-safe copy: drops undefined, RegExp -> "/re/", Timestamp -> ISO, refs -> path. */
+function toAuditValue(value) {
+  return JSON.parse(
+    JSON.stringify(value, function (key, v) {
+      const raw = this[key];
+      if (raw instanceof RegExp) return String(raw);
+      if (raw instanceof Timestamp) return raw.toDate().toISOString();
+      if (raw && typeof raw === "object" && typeof raw.path === "string" && raw.firestore) return raw.path;
+      return v;
+    }) ?? "null"
+  );
+}
+
+/** Recorder handed to the op as `deps.audit`. Ops that skip auditing get this no-op. */
+const noopAudit = {
+  runId: null,
+  docError() {},
+};
+
+/**
+ * Starts an audit entry for one run.
+ * @param {string} op  op name (e.g. "copyCollection")
+ * @param {object} config  resolved config (DEFAULTS + options)
+ * @param {{ db?, profile?, emulator?, auditLog?, logger? }} deps
+ */
+function startRun(op, config, deps) {
+  const settings = resolveSettings(deps);
+  const startedAt = new Date();
+  const errors = [];
+  let errorCount = 0;
+
+  const recorder = {
+    runId: newRunId(startedAt),
+
+    /** Records a per-document (or per-user / per-object) failure. */
+    docError(ref, err) {
+      errorCount++;
+      if (errors.length < MAX_RECORDED_ERRORS) {
+        errors.push({ ref: String(ref), message: String((err && err.message) || err) });
+      }
+    },
+
+    /** Writes the entry. `outcome` is { result } or { error }. Never throws. */
+    async finish(outcome) {
+      const logger = (deps && deps.logger) || console;
+      const finishedAt = new Date();
+      const profile = (deps && deps.profile) || {};
+      const entry = {
+        runId: recorder.runId,
+        op,
+        status: outcome.error ? "error" : "ok",
+        operator: operatorName(),
+        project: profile.projectId || null,
+        profile: profile.name || null,
+        serviceAccount: profile.clientEmail || null,
+        emulator: !!(deps && deps.emulator),
+        dryRun: config.DRY_RUN === true,
+        config: toAuditValue(config),
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        result: outcome.error ? null : toAuditValue(outcome.result),
+        error: outcome.error ? String(outcome.error.message || outcome.error) : null,
+        errorCount,
+        errors,
+        errorsTruncated: errorCount > errors.length,
+      };
+
+      if (settings.file) {
+        try {
+          fs.mkdirSync(path.dirname(settings.file), { recursive: true });
+          fs.appendFileSync(settings.file, JSON.stringify(entry) + "\n");
+        } catch (e) {
+          logger.warn(`⚠️  Audit: could not append to ${settings.file}: ${e.message}`);
+        }
+      }
+      if (settings.collection && !entry.dryRun && deps && deps.db) {
+        try {
+          await deps.db.collection(settings.collection).doc(entry.runId).set({
+            ...entry,
+            startedAt: Timestamp.fromDate(startedAt),
+            finishedAt: Timestamp.fromDate(finishedAt),
+          });
+        } catch (e) {
+          logger.warn(`⚠️  Audit: could not write ${settings.collection}/${entry.runId}: ${e.message}`);
+        }
+      }
+      if (settings.file || settings.collection) logger.log(`🧾 Audit run ${entry.runId} (${entry.status})`);
+      return entry;
+    },
+  };
+  return recorder;
+}
+
+/**
+ * Wraps an op so every call is audited. The op receives the recorder as `deps.audit`.
+ * @param {string} name
+ * @param {object} defaults  the op's DEFAULTS (so the entry shows the effective config)
+ * @param {(options: object, deps: object) => Promise<object>} fn
+ */
+function audited(name, defaults, fn) {
+  return async function auditedOp(options, deps) {
+    deps = deps || require("../firebaseAdmin");
+    const run = startRun(name, { ...defaults, ...options }, deps);
+    let result;
+    try {
+      result = await fn(options, { ...deps, audit: run });
+    } catch (e) {
+      await run.finish({ error: e });
+      throw e;
+    }
+    await run.finish({ result });
+    return result;
+  };
+}
+
+module.exports = {
+  DEFAULT_AUDIT_FILE,
+  DEFAULT_AUDIT_COLLECTION,
+  newRunId,
+  operatorName,
+  resolveSettings,
+  toAuditValue,
+  noopAudit,
+  startRun,
+  audited,
+};
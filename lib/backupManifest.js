@@ -0,0 +1,133 @@
+// lib/backupManifest.js
+// The manifest of `alce-admin backup`: one JSON object at <prefix>manifest.json in the default
+// bucket, listing every backup and, per collection, what it wrote and which backup it builds on.
+//
+//   { "manifest": 1, "backups": [
+//     { "id": "2025-01-31T02-00-00-000Z", "createdAt": "2025-01-31T02:00:00.000Z", "project": "...",
+//       "collections": {
+//         "food_orders": { "type": "incremental", "previous": "2025-01-30T02-00-00-000Z",
+//                          "file": "backups/2025-01-31T02-00-00-000Z/food_orders.ndjson",     changed docs (lib/exportFile.js)
+//                          "index": "backups/2025-01-31T02-00-00-000Z/food_orders.paths.ndjson", every doc path at that time
+//                          "documents": 12, "watermarkField": null, "watermark": {...typed JSON},
+//                          "includeSubcollections": true } } } ] }
+//
+// A chain is one full backup of a collection and the incrementals built on it. Restoring a point in
+// time replays one chain up to that point, so retention drops whole chains. The manifest is saved
+// after the files it lists are uploaded, and before the files it drops are deleted, so it never
+// points at a missing file.
+const MANIFEST_FILE = "manifest.json";
+
+/** The manifest under `prefix`, or an empty one when there is none yet. */
+async function loadManifest(bucket, prefix) {
+  const file = bucket.file(`${prefix}${MANIFEST_FILE}`);
+  const [exists] = await file.exists();
+  if (!exists) return { manifest: 1, backups: [] };
+  const manifest = JSON.parse((await file.download())[0].toString("utf8"));
+  if (manifest.manifest !== 1 || !Array.isArray(manifest.backups)) {
+    throw new Error(`gs://${bucket.name}/${file.name} is not an alce-admin backup manifest.`);
+  }
+  return manifest;
+}
+
+async function saveManifest(bucket, prefix, manifest) {
+  await bucket
+    .file(`${prefix}${MANIFEST_FILE}`)
+    .save(JSON.stringify(manifest, null, 2) + "\n", { contentType: "application/json" });
+}
+
+/** Sortable and dated: 2025-01-31T02-00-00-000Z (with a -2, -3... suffix if that id is taken). */
+function newBackupId(now, manifest) {
+  const base = now.toISOString().replace(/[:.]/g, "-");
+  const taken = new Set(manifest.backups.map((b) => b.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+/** File-safe name for a collection path: weekly_lessons/w1/attendance -> weekly_lessons__w1__attendance */
+function collectionFileName(collection) {
+  return collection.replace(/\//g, "__");
+}
+
+/** [{ backup, entry }] of a collection, oldest first. */
+function backupsOf(manifest, collection) {
+  return manifest.backups.filter((b) => b.collections[collection]).map((b) => ({ backup: b, entry: b.collections[collection] }));
+}
+
+/** The chains of a collection, oldest first; each is [{ backup, entry }] starting with its full backup. */
+function chainsOf(manifest, collection) {
+  const chains = [];
+  for (const item of backupsOf(manifest, collection)) {
+    if (item.entry.type === "full" || !chains.length) chains.push([item]);
+    else chains[chains.length - 1].push(item);
+  }
+  return chains;
+}
+
+/**
+ * The backups to replay to restore `collection` as of `at`, full backup first.
+ * @param {string} at  "" = the latest backup; a backup id; or a date/time (the last backup at or before it)
+ */
+function chainAt(manifest, collection, at) {
+  const items = backupsOf(manifest, collection);
+  if (!items.length) throw new Error(`No backup of '${collection}' in the manifest.`);
+  let target = at ? items.find((i) => i.backup.id === at) : items[items.length - 1];
+  if (!target) {
+    const time = Date.parse(at);
+    if (Number.isNaN(time)) throw new Error(`AT '${at}' is neither a backup id of '${collection}' nor a date.`);
+    target = items.filter((i) => Date.parse(i.backup.createdAt) <= time).pop();
+    if (!target) throw new Error(`No backup of '${collection}' at or before ${at} (the first is ${items[0].backup.createdAt}).`);
+  }
+  const chain = chainsOf(manifest, collection).find((c) => c.some((i) => i.backup.id === target.backup.id));
+  return chain.slice(0, chain.findIndex((i) => i.backup.id === target.backup.id) + 1);
+}
+
+/**
+ * Chains that retention drops: every chain but the newest, unless it is one of the newest
+ * `retainFull` chains, or it is needed to restore a point in the last `retainDays` days.
+ * A rule set to 0 is off; with both off nothing is dropped.
+ * @returns {Array<{ collection: string, ids: string[], files: string[] }>}
+ */
+function planRetention(manifest, { retainFull, retainDays, now }) {
+  if (!retainFull && !retainDays) return [];
+  const cutoff = now.getTime() - retainDays * 24 * 60 * 60 * 1000;
+  const collections = new Set(manifest.backups.flatMap((b) => Object.keys(b.collections)));
+  const drops = [];
+  for (const collection of collections) {
+    const chains = chainsOf(manifest, collection);
+    chains.forEach((chain, i) => {
+      if (i === chains.length - 1) return;
+      if (retainFull && chains.length - i <= retainFull) return;
+      // A chain covers the time until the next chain's full backup.
+      if (retainDays && Date.parse(chains[i + 1][0].backup.createdAt) > cutoff) return;
+      drops.push({
+        collection,
+        ids: chain.map((c) => c.backup.id),
+        files: chain.flatMap((c) => [c.entry.file, c.entry.index].filter(Boolean)),
+      });
+    });
+  }
+  return drops;
+}
+
+/** Removes dropped chains from the manifest, and backups that are left with no collection. */
+function dropChains(manifest, drops) {
+  for (const { collection, ids } of drops) {
+    for (const backup of manifest.backups) if (ids.includes(backup.id)) delete backup.collections[collection];
+  }
+  manifest.backups = manifest.backups.filter((b) => Object.keys(b.collections).length);
+  return manifest;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  loadManifest,
+  saveManifest,
+  newBackupId,
+  collectionFileName,
+  backupsOf,
+  chainsOf,
+  chainAt,
+  planRetention,
+  dropChains,
+};
@@ -0,0 +1,60 @@
+// lib/batcher.js
+// Simple batching helper to keep writes under the Firestore batch limit.
+
+/**
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{ batchSize?: number, dryRun?: boolean, onCommit?: (committed: number) => void,
+ *   limiter?: { run: Function } }} [opts]
+ *   dryRun turns every call into a no-op. onCommit runs after each successful commit
+ *   (resumable ops save their checkpoint there). limiter (lib/limiter.js) rate-limits the
+ *   commits and retries transient failures; a batch commit is atomic, so retrying it is safe.
+ */
+function makeBatcher(db, { batchSize = 400, dryRun = false, onCommit, limiter } = {}) {
+  let batch = db.batch();
+  let count = 0;
+  let committed = 0;
+
+  async function maybeCommit(force = false) {
+    if (count > 0 && (force || count >= batchSize)) {
+      const pending = batch;
+      if (limiter) await limiter.run(() => pending.commit(), "firestore.commit");
+      else await pending.commit();
+      committed += count;
+      batch = db.batch();
+      count = 0;
+      if (onCommit) await onCommit(committed);
+    }
+  }
+
+  return {
+    async set(ref, data, options) {
+      if (dryRun) return; // no-op
+      if (options) batch.set(ref, data, options);
+      else batch.set(ref, data);
+      count++;
+      await maybeCommit();
+    },
+    async update(ref, data) {
+      if (dryRun) return; // no-op
+      batch.update(ref, data);
+      count++;
+      await maybeCommit();
+    },
+    async delete(ref) {
+      if (dryRun) return; // no-op
+      batch.delete(ref);
+      count++;
+      await maybeCommit();
+    },
+    async flush() {
+      if (dryRun) return; // no-op
+      await maybeCommit(true);
+    },
+    /** Number of writes committed so far. */
+    get committed() {
+      return committed;
+    },
+  };
+}
+
+module.exports = { makeBatcher };
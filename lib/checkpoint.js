@@ -0,0 +1,144 @@
+// lib/checkpoint.js
+// Checkpoints for long-running bulk jobs. A job saves where it is (last processed doc id /
+// Auth page token) and its counters after every committed step. If the process dies,
+// `--resume <runId>` picks up right after the last saved step, with the same counters.
+//
+// One JSON file per run, keyed by the run id of the run that started the job:
+//   { "checkpoint": 1, "runId", "op", "project", "config", "state": { cursor, counters, phase },
+//     "done": false, "createdAt", "updatedAt" }
+//
+// Where it goes comes from `deps.checkpointLog` (false disables it), then the environment:
+// - ALCE_CHECKPOINT_DIR=<dir>   local directory (default: logs/checkpoints at the repo root)
+const fs = require("fs");
+const path = require("path");
+const { newRunId } = require("./audit");
+
+const ROOT = path.resolve(__dirname, "..");
+const DEFAULT_CHECKPOINT_DIR = path.join(ROOT, "logs", "checkpoints");
+
+function resolveSettings(deps) {
+  if (deps && deps.checkpointLog === false) return { dir: null };
+  const custom = (deps && deps.checkpointLog) || {};
+  const dir = "dir" in custom ? custom.dir : process.env.ALCE_CHECKPOINT_DIR || DEFAULT_CHECKPOINT_DIR;
+  return { dir: dir ? (path.isAbsolute(dir) ? dir : path.resolve(ROOT, dir)) : null };
+}
+
+function checkpointFile(dir, runId) {
+  if (!/^[\w.-]+$/.test(runId)) throw new Error(`Invalid run id '${runId}'.`);
+  return path.join(dir, `${runId}.json`);
+}
+
+/** Most recent unfinished checkpoint of `op`, or null. */
+function latestCheckpointId(dir, op) {
+  if (!fs.existsSync(dir)) return null;
+  const candidates = fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => JSON.parse(fs.readFileSync(path.join(dir, name), "utf8")))
+    .filter((c) => c.op === op && !c.done)
+    .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+  return candidates.length ? candidates[0].runId : null;
+}
+
+/**
+ * Opens a checkpoint for one run of `op`, or loads the one to resume.
+ * Returns null when checkpointing is disabled (`deps.checkpointLog === false`) and nothing is resumed.
+ *
+ * @param {{ op: string, command: string, config: object, resume?: string }} meta
+ *   command is the CLI name shown in the resume hint; resume is a run id or "latest"
+ * @param {{ profile?, audit?, checkpointLog? }} deps
+ * @returns {null | { runId: string, file: string, resumed: boolean, config: object,
+ *   state: { cursor: *, counters: object, phase?: string } | null,
+ *   save(state: object): void, finish(state: object): void, hint(): string }}
+ */
+function openCheckpoint({ op, command, config, resume }, deps) {
+  const { dir } = resolveSettings(deps);
+  const profile = (deps && deps.profile) || {};
+
+  if (!dir) {
+    if (resume) throw new Error("RESUME needs checkpoints, but they are disabled (checkpointLog: false).");
+    return null;
+  }
+
+  let record;
+  if (resume) {
+    const id = resume === "latest" ? latestCheckpointId(dir, op) : resume;
+    if (!id) throw new Error(`No unfinished ${op} checkpoint found in ${dir}.`);
+    const file = checkpointFile(dir, id);
+    if (!fs.existsSync(file)) throw new Error(`No checkpoint found for run '${id}' (looked in ${dir}).`);
+    record = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (record.checkpoint !== 1) throw new Error(`${file} is not a checkpoint.`);
+    if (record.op !== op) throw new Error(`Run '${id}' is a ${record.op} checkpoint, not ${op}.`);
+    if (record.done) throw new Error(`Run '${id}' already finished; nothing to resume.`);
+    if (record.project && profile.projectId && record.project !== profile.projectId) {
+      throw new Error(
+        `Run '${id}' ran on project '${record.project}', but the current project is '${profile.projectId}'.`
+      );
+    }
+  } else {
+    const { RESUME, ...rest } = config;
+    const now = new Date().toISOString();
+    record = {
+      checkpoint: 1,
+      runId: (deps && deps.audit && deps.audit.runId) || newRunId(),
+      op,
+      project: profile.projectId || null,
+      config: rest,
+      state: null,
+      done: false,
+      createdAt: now,
+      updatedAt: now,
+    };
+  }
+
+  const file = checkpointFile(dir, record.runId);
+
+  function write() {
+    record.updatedAt = new Date().toISOString();
+    fs.mkdirSync(dir, { recursive: true });
+    // write-then-rename so a crash mid-write never leaves a truncated checkpoint behind
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(record, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  return {
+    runId: record.runId,
+    file,
+    resumed: !!resume,
+    config: record.config,
+    state: record.state,
+
+    /** Records progress. Call only once the work up to `state.cursor` is committed. */
+    save(state) {
+      record.state = state;
+      write();
+    },
+
+    /** Marks the run finished so it can no longer be resumed. */
+    finish(state) {
+      record.state = state;
+      record.done = true;
+      write();
+    },
+
+    /** The command that resumes this run. */
+    hint() {
+      return `alce-admin ${command} --resume ${record.runId}`;
+    },
+  };
+}
+
+/** Validates the RESUME / CHECKPOINT keys shared by resumable ops. */
+function validateResumeConfig(config) {
+  if (typeof config.RESUME !== "string") {
+    throw new Error('CONFIG.RESUME must be a run id, "latest" or "" (start fresh).');
+  }
+  if (typeof config.CHECKPOINT !== "boolean") {
+    throw new Error("CONFIG.CHECKPOINT must be boolean.");
+  }
+  if (config.RESUME && config.DRY_RUN === true) {
+    throw new Error("RESUME cannot be combined with DRY_RUN (dry runs are never checkpointed).");
+  }
+}
+
+module.exports = { DEFAULT_CHECKPOINT_DIR, resolveSettings, openCheckpoint, validateResumeConfig };
@@ -0,0 +1,319 @@
+// lib/cli.js
+// Argument parsing, config-file loading and help output for `alce-admin`.
+// Every command option maps 1:1 to a key of the script's CONFIG block:
+//   SOURCE_COLLECTION  <->  --source-collection
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { COMMANDS } = require("./commands");
+const { resolveProfile, confirmProtectedWrite } = require("./profiles");
+const { isEmulatorMode, assertNoMixedTargets } = require("./emulator");
+
+const BIN = "alce-admin";
+
+/* ----------------------------- naming ----------------------------- */
+const flagName = (key) => key.toLowerCase().replace(/_/g, "-");
+const normalizeKey = (k) => String(k).replace(/[-_]/g, "").toLowerCase();
+
+function findOption(command, name) {
+  const norm = normalizeKey(name);
+  return command.options.find((o) => normalizeKey(o.key) === norm) || null;
+}
+
+/* ----------------------------- coercion ----------------------------- */
+function coerce(option, raw, source) {
+  const where = `${source} '${flagName(option.key)}'`;
+  let value;
+
+  switch (option.type) {
+    case "string":
+      if (typeof raw !== "string") throw new Error(`${where} expects a string.`);
+      value = raw;
+      break;
+    case "boolean":
+      if (typeof raw === "boolean") value = raw;
+      else if (/^(true|1|yes)$/i.test(String(raw))) value = true;
+      else if (/^(false|0|no)$/i.test(String(raw))) value = false;
+      else throw new Error(`${where} expects true|false (got "${raw}").`);
+      break;
+    case "integer": {
+      const n = typeof raw === "number" ? raw : /^-?\d+$/.test(String(raw).trim()) ? Number(raw) : NaN;
+      if (!Number.isInteger(n)) throw new Error(`${where} expects an integer (got "${raw}").`);
+      value = n;
+      break;
+    }
+    case "number": {
+      const n = typeof raw === "number" ? raw : String(raw).trim() === "" ? NaN : Number(raw);
+      if (!Number.isFinite(n)) throw new Error(`${where} expects a number (got "${raw}").`);
+      value = n;
+      break;
+    }
+    case "list":
+      if (Array.isArray(raw)) value = raw.map(String);
+      else if (typeof raw === "string") value = raw.split(",").map((s) => s.trim()).filter(Boolean);
+      else throw new Error(`${where} expects a comma-separated list.`);
+      break;
+    case "json":
+      if (typeof raw !== "string") value = raw;
+      else {
+        try {
+          value = JSON.parse(raw);
+        } catch (e) {
+          throw new Error(`${where} expects JSON (${e.message}).`);
+        }
+      }
+      break;
+    default:
+      throw new Error(`Unknown option type '${option.type}' for ${option.key}.`);
+  }
+
+  return option.parse ? option.parse(value) : value;
+}
+
+/* ----------------------------- argv ----------------------------- */
+/**
+ * Splits argv into positionals, global flags (--help, --config, --env, --emulator,
+ * --yes-i-mean-prod) and command options keyed by CONFIG name. Repeated list flags accumulate.
+ */
+function parseArgv(command, argv) {
+  const positionals = [];
+  const globals = { help: false, config: null, env: null, emulator: false, yes: false };
+  const raw = new Map(); // CONFIG key -> raw value(s)
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+
+    if (token === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (token === "-h" || token === "--help") {
+      globals.help = true;
+      continue;
+    }
+    if (!token.startsWith("--")) {
+      positionals.push(token);
+      continue;
+    }
+
+    const eq = token.indexOf("=");
+    let name = eq === -1 ? token.slice(2) : token.slice(2, eq);
+    let inline = eq === -1 ? undefined : token.slice(eq + 1);
+
+    if (name === "config" || name === "env") {
+      const value = inline !== undefined ? inline : argv[++i];
+      if (!value) throw new Error(`--${name} expects a ${name === "env" ? "profile name" : "file path"}.`);
+      globals[name] = value;
+      continue;
+    }
+    if (name === "yes-i-mean-prod") {
+      globals.yes = true;
+      continue;
+    }
+    if (name === "emulator") {
+      globals.emulator = true;
+      continue;
+    }
+
+    let negated = false;
+    let option = findOption(command, name);
+    if (!option && name.startsWith("no-")) {
+      option = findOption(command, name.slice(3));
+      negated = !!option && option.type === "boolean";
+      if (!negated) option = null;
+    }
+    if (!option) throw new Error(`Unknown option --${name} for '${command.name}'.`);
+
+    let value;
+    if (option.type === "boolean") {
+      if (negated) value = false;
+      else if (inline !== undefined) value = inline;
+      else if (/^(true|false)$/i.test(argv[i + 1] || "")) value = argv[++i];
+      else value = true;
+    } else {
+      value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined) throw new Error(`--${name} expects a value.`);
+    }
+
+    if (option.type === "list" && raw.has(option.key)) {
+      raw.set(option.key, `${raw.get(option.key)},${value}`);
+    } else {
+      raw.set(option.key, value);
+    }
+  }
+
+  return { positionals, globals, raw };
+}
+
+/* ----------------------------- config file ----------------------------- */
+/** Loads a JSON or YAML options file. Keys may be CONFIG names or flag names. */
+function loadConfigFile(filePath) {
+  const abs = path.resolve(process.cwd(), filePath);
+  if (!fs.existsSync(abs)) throw new Error(`Config file not found: ${abs}`);
+
+  const text = fs.readFileSync(abs, "utf8");
+  const ext = path.extname(abs).toLowerCase();
+  let data;
+  try {
+    data = ext === ".yaml" || ext === ".yml" ? YAML.parse(text) : JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Failed to parse ${abs}: ${e.message}`);
+  }
+  if (data == null) return {};
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`Config file ${abs} must contain an object of options.`);
+  }
+  return data;
+}
+
+/**
+ * Resolves final option values: config file first, then command-line flags.
+ * Keys not given anywhere are left out, so the script's CONFIG default applies.
+ */
+function resolveOptions(command, fileData, raw) {
+  const values = {};
+
+  for (const [k, v] of Object.entries(fileData || {})) {
+    const option = findOption(command, k);
+    if (!option) throw new Error(`Unknown option '${k}' in config file for '${command.name}'.`);
+    values[option.key] = coerce(option, v, "config");
+  }
+  for (const [key, v] of raw.entries()) {
+    values[key] = coerce(findOption(command, key), v, "flag");
+  }
+
+  return values;
+}
+
+/* ----------------------------- help ----------------------------- */
+function formatCommandList() {
+  const width = Math.max(...COMMANDS.map((c) => c.name.length));
+  return [
+    `Usage: ${BIN} <command> [--option value ...] [--config file.json|yaml] [--env <profile>]`,
+    "",
+    "Commands:",
+    ...COMMANDS.map((c) => `  ${c.name.padEnd(width)}  ${c.describe}`),
+    "",
+    `Run '${BIN} <command> --help' for the options of a command.`,
+  ].join("\n");
+}
+
+function formatCommandHelp(command) {
+  const rows = command.options.map((o) => {
+    const arg = o.type === "boolean" ? "" : ` <${o.type}>`;
+    return [`--${flagName(o.key)}${arg}`, o.describe];
+  });
+  rows.push(["--config <file>", "Load options from a JSON or YAML file (flags win)."]);
+  rows.push(["--env <profile>", "Use a named profile from profiles.json (default: its \"default\")."]);
+  rows.push(["--emulator", "Run against the local Firebase Emulator Suite (no credentials needed)."]);
+  if (command.writes) rows.push(["--yes-i-mean-prod", "Skip the confirmation prompt for protected profiles."]);
+  rows.push(["-h, --help", "Show this help."]);
+  const width = Math.max(...rows.map(([l]) => l.length));
+
+  return [
+    `Usage: ${BIN} ${command.name}${command.usage ? ` ${command.usage}` : ""} [options]`,
+    "",
+    command.describe,
+    "",
+    "Options:",
+    ...rows.map(([l, r]) => `  ${l.padEnd(width)}  ${r}`),
+    "",
+    `Unset options fall back to the CONFIG block in ${command.script}.`,
+    "Booleans accept --flag, --no-flag or --flag=true|false; lists are comma-separated.",
+  ].join("\n");
+}
+
+/* ----------------------------- main ----------------------------- */
+async function runCommand(command, argv) {
+  const { positionals, globals, raw } = parseArgv(command, argv);
+
+  if (globals.help) {
+    console.log(formatCommandHelp(command));
+    return;
+  }
+  if (positionals.length && !command.usage) {
+    throw new Error(`'${command.name}' takes no positional arguments (got: ${positionals.join(" ")}).`);
+  }
+
+  // Positionals fill their options unless the flag was given explicitly.
+  const keys = command.positionals || [];
+  if (command.positionals && positionals.length > keys.length) {
+    throw new Error(`'${command.name}' takes at most ${keys.length} positional argument(s).`);
+  }
+  keys.forEach((key, i) => {
+    if (positionals[i] !== undefined && !raw.has(key)) raw.set(key, positionals[i]);
+  });
+
+  const fileData = globals.config ? loadConfigFile(globals.config) : {};
+  const values = resolveOptions(command, fileData, raw);
+
+  // Resolve the profile before Firebase Admin loads; protected profiles need a confirmation
+  // for anything that writes (an explicit --dry-run counts as read-only, as does the emulator).
+  if (globals.env) process.env.ALCE_ENV = globals.env;
+  if (globals.emulator) process.env.ALCE_EMULATOR = "1";
+  const profile = resolveProfile(process.env.ALCE_ENV);
+  if (command.emulatorOnly && !isEmulatorMode(profile)) {
+    throw new Error(`'${command.name}' only runs against the emulator. Add --emulator.`);
+  }
+  // Other profiles a command opens (copy-collection --source-profile/--destination-profile) must
+  // all be emulator profiles in an emulator run, and none of them otherwise.
+  const others = (command.profiles ? command.profiles(values).filter((p) => p.name) : []).map((p) => ({
+    ...p,
+    profile: resolveProfile(p.name),
+  }));
+  assertNoMixedTargets(isEmulatorMode(profile), others.map((o) => o.profile));
+  const writes = typeof command.writes === "function" ? command.writes(values) : command.writes;
+  if (writes && values.DRY_RUN !== true && !isEmulatorMode(profile)) {
+    await confirmProtectedWrite(profile, { commandName: command.name, assumeYes: globals.yes });
+  }
+  const confirmed = profile.protected ? [profile.name] : [];
+
+  // The other profiles are confirmed when written to; reading a protected profile needs no confirmation.
+  for (const { writes: writesOther, profile: other } of others) {
+    if (writesOther && values.DRY_RUN !== true && !isEmulatorMode(other) && !(writes && other.name === profile.name)) {
+      await confirmProtectedWrite(other, { commandName: command.name, assumeYes: globals.yes });
+    }
+    if (other.protected && !confirmed.includes(other.name)) confirmed.push(other.name);
+  }
+  if (confirmed.length) process.env.ALCE_CONFIRMED_PROFILE = confirmed.join(",");
+
+  // Only now touch the script: requiring it initializes Firebase Admin.
+  const script = require(path.resolve(__dirname, "..", command.script));
+  Object.assign(script.CONFIG, values);
+  script.validateConfig();
+  await script.main(positionals);
+}
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === "-h" || name === "--help" || name === "help") {
+    const target = name === "help" && rest[0] ? COMMANDS.find((c) => c.name === rest[0]) : null;
+    console.log(target ? formatCommandHelp(target) : formatCommandList());
+    return 0;
+  }
+
+  const command = COMMANDS.find((c) => c.name === name);
+  if (!command) {
+    console.error(`❌ Unknown command '${name}'.\n`);
+    console.error(formatCommandList());
+    return 1;
+  }
+
+  try {
+    await runCommand(command, rest);
+    return 0;
+  } catch (e) {
+    console.error("❌ Error:", e?.message || e);
+    return 1;
+  }
+}
+
+module.exports = {
+  main,
+  parseArgv,
+  resolveOptions,
+  loadConfigFile,
+  formatCommandHelp,
+  flagName,
+};
@@ -0,0 +1,164 @@
+// lib/collectionPaths.js
+// Copy sources that are more than one top-level collection, and destination templates for them.
+//   "weekly_lessons/w1/attendance"           one (nested) collection
+//   "weekly_lessons/{lessonId}/attendance"   a pattern: every collection it matches; `{name}` stands
+//                                            for one path segment and captures it
+//   "attendance", as a collection group      every `attendance` collection, at any depth
+// Patterns and groups are read with one collection-group query on their collection id, filtered by
+// path, and both also capture `{parent}`: the path of the document that holds the collection.
+// A destination template uses the captures: "archive/{lessonId}/attendance", "{parent}/attendance_v2".
+const { countDocs } = require("./pages");
+
+const VAR = /\{(\w+)\}/g;
+const WHOLE_VAR = /^\{(\w+)\}$/;
+const RESERVED_VARS = ["id", "parent"];
+
+/** Placeholder names used in a template, in order. */
+function templateVars(template) {
+  return [...String(template).matchAll(VAR)].map((m) => m[1]);
+}
+
+/**
+ * Parses a source collection path or pattern, or (group = true) a collection id.
+ * @returns {{ pattern: string, group: boolean, multi: boolean, segments: string[], vars: string[],
+ *   collectionId: string }}  multi = read as a collection group; vars = the names it captures
+ */
+function parseCollectionPattern(pattern, group = false) {
+  if (!pattern || typeof pattern !== "string") throw new Error("A collection path must be a non-empty string.");
+  const segments = pattern.split("/");
+  if (segments.some((s) => !s)) throw new Error(`Invalid collection path '${pattern}' (empty segment).`);
+  const collectionId = segments[segments.length - 1];
+
+  if (group) {
+    if (segments.length !== 1 || /[{}]/.test(pattern)) {
+      throw new Error(`A collection group is named by its collection id (e.g. 'attendance'), not '${pattern}'.`);
+    }
+    return { pattern, group, multi: true, segments, vars: ["parent"], collectionId };
+  }
+  if (segments.length % 2 !== 1) {
+    throw new Error(`'${pattern}' is not a collection path (it needs an odd number of segments).`);
+  }
+  const vars = [];
+  for (const s of segments) {
+    const m = WHOLE_VAR.exec(s);
+    if (!m) {
+      if (/[{}]/.test(s)) throw new Error(`Invalid segment '${s}' in '${pattern}': a placeholder is a whole segment, like {lessonId}.`);
+      continue;
+    }
+    if (RESERVED_VARS.includes(m[1]) || vars.includes(m[1])) {
+      throw new Error(`Placeholder {${m[1]}} in '${pattern}' is ${vars.includes(m[1]) ? "repeated" : "reserved"}.`);
+    }
+    vars.push(m[1]);
+  }
+  if (WHOLE_VAR.test(collectionId)) {
+    throw new Error(`The last segment of '${pattern}' must be a collection id, not a placeholder.`);
+  }
+  const multi = vars.length > 0;
+  return { pattern, group, multi, segments, vars: multi ? [...vars, "parent"] : [], collectionId };
+}
+
+/** The captures of a collection path that `spec` names, or null if it does not. */
+function matchCollectionPath(spec, collectionPath) {
+  const segs = collectionPath.split("/");
+  if (spec.group) return segs[segs.length - 1] === spec.collectionId ? { parent: segs.slice(0, -1).join("/") } : null;
+  if (segs.length !== spec.segments.length) return null;
+  const captures = {};
+  for (const [i, s] of spec.segments.entries()) {
+    const m = WHOLE_VAR.exec(s);
+    if (m) captures[m[1]] = segs[i];
+    else if (s !== segs[i]) return null;
+  }
+  if (spec.multi) captures.parent = segs.slice(0, -1).join("/");
+  return captures;
+}
+
+/**
+ * For a document in (or below) a collection `spec` names: that collection's captures and the rest
+ * of the path (e.g. "o1/events/e1"). The outermost matching collection wins; null if none.
+ */
+function matchDocumentPath(spec, docPath) {
+  const segs = docPath.split("/");
+  for (let n = 1; n < segs.length; n += 2) {
+    const captures = matchCollectionPath(spec, segs.slice(0, n).join("/"));
+    if (captures) return { captures, rest: segs.slice(n).join("/") };
+  }
+  return null;
+}
+
+/** Fills a template's placeholders; throws unless the result is a collection path. */
+function fillTemplate(template, captures) {
+  const filled = template
+    .replace(VAR, (_, name) => (captures[name] == null ? "" : captures[name]))
+    .split("/")
+    .filter(Boolean)
+    .join("/");
+  if (!filled || filled.split("/").length % 2 !== 1) {
+    throw new Error(`'${template}' gives '${filled}' here, which is not a collection path.`);
+  }
+  return filled;
+}
+
+/** Throws unless `template` is a collection path whose placeholders `spec` captures. */
+function validateTemplate(template, spec, key) {
+  if (!template || typeof template !== "string") throw new Error(`CONFIG.${key} must be a non-empty string.`);
+  const vars = templateVars(template);
+  for (const v of vars) {
+    if (!spec.vars.includes(v)) {
+      throw new Error(
+        spec.multi
+          ? `CONFIG.${key} uses {${v}}, which '${spec.pattern}' does not capture (it has ${spec.vars.map((x) => `{${x}}`).join(", ")}).`
+          : `CONFIG.${key} uses {${v}}; placeholders need a pattern or collection-group source.`
+      );
+    }
+  }
+  if (!vars.length) parseCollectionPattern(template);
+}
+
+/**
+ * Whether placeholders `vars` (destination template + doc id template) tell the collections of
+ * `spec` apart; if not, docs with the same id from different collections land on the same doc.
+ */
+function distinguishesCollections(spec, vars) {
+  if (!spec.multi || vars.includes("parent")) return true;
+  if (spec.group) return false;
+  return spec.vars.filter((v) => v !== "parent").every((v) => vars.includes(v));
+}
+
+/** Whether a collection the template names could itself be matched by `spec` (read back as source). */
+function mayOverlap(spec, template) {
+  if (!spec.multi) return false;
+  const segs = template.split("/");
+  const last = segs[segs.length - 1];
+  if (last !== spec.collectionId && !WHOLE_VAR.test(last)) return false;
+  if (spec.group || templateVars(template).includes("parent")) return true;
+  if (segs.length !== spec.segments.length) return false;
+  return segs.every((s, i) => WHOLE_VAR.test(s) || WHOLE_VAR.test(spec.segments[i]) || s === spec.segments[i]);
+}
+
+/**
+ * How to read every doc of the collections `spec` names in `db`: the query, the forEachPage options
+ * (collection-group queries page by document path, and docs outside a pattern are filtered out)
+ * and the doc count when a count aggregation gives it (not for patterns, which filter client-side).
+ */
+function collectionSource(db, spec) {
+  if (!spec.multi) {
+    return { query: db.collection(spec.pattern), pageOptions: {}, count: (query) => countDocs(query) };
+  }
+  return {
+    query: db.collectionGroup(spec.collectionId),
+    pageOptions: { byPath: true, filter: spec.group ? null : (snap) => !!matchCollectionPath(spec, snap.ref.parent.path) },
+    count: async (query) => (spec.group ? countDocs(query) : null),
+  };
+}
+
+module.exports = {
+  templateVars,
+  parseCollectionPattern,
+  matchCollectionPath,
+  matchDocumentPath,
+  fillTemplate,
+  validateTemplate,
+  distinguishesCollections,
+  mayOverlap,
+  collectionSource,
+};
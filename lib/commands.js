@@ -0,0 +1,390 @@
+// lib/commands.js
+// Command registry for `alce-admin`. Each option mirrors a key of the script's CONFIG
+// block (the flag name is derived from the key). Kept apart from the scripts so that
+// `--help` works without loading credentials. `writes: true` marks commands that modify
+// data; those need confirmation on protected profiles (`writes` may also be a function of the
+// resolved options, for commands that only sometimes write). `emulatorOnly: true` commands refuse
+// to run unless emulator mode is on. `positionals: [KEY]` maps bare arguments onto options,
+// in order (`usage` shows them in --help). `profiles(values)` lists the other profiles.json
+// profiles a command opens, as [{ name, writes }]; the written ones get their own confirmation.
+
+/** Accepts { field: { regex: "^...$" | "/^...$/i", note } } and compiles the regexes. */
+function compileRegexRules(rules) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    throw new Error("STRING_REGEX_RULES must be an object of { field: { regex, note } }.");
+  }
+  const out = {};
+  for (const [field, rule] of Object.entries(rules)) {
+    const src = rule && rule.regex;
+    if (src instanceof RegExp) {
+      out[field] = rule;
+      continue;
+    }
+    if (typeof src !== "string" || !src) {
+      throw new Error(`STRING_REGEX_RULES.${field}.regex must be a non-empty string.`);
+    }
+    const m = /^\/(.*)\/([a-z]*)$/.exec(src);
+    out[field] = { ...rule, regex: m ? new RegExp(m[1], m[2]) : new RegExp(src) };
+  }
+  return out;
+}
+
+const COMMANDS = [
+  {
+    name: "apply",
+    script: "scripts/applyPlan.js",
+    writes: true,
+    usage: "<planFile>",
+    positionals: ["PLAN_FILE"],
+    describe: "Apply a plan file; documents changed since planning are reported, not overwritten.",
+    options: [
+      { key: "PLAN_FILE", type: "string", describe: "Plan to apply (same as the positional <planFile>)." },
+      { key: "BATCH_SIZE", type: "integer", describe: "Firestore batch size (1-500)." },
+      { key: "DRY_RUN", type: "boolean", describe: "Check every precondition and report conflicts without writing." },
+      { key: "JOURNAL", type: "boolean", describe: "Record before-images so the run can be undone (default: on)." },
+    ],
+  },
+  {
+    name: "backup",
+    script: "scripts/backupCollections.js",
+    writes: true,
+    describe: "Back up collections to Cloud Storage (full, then incremental), with a manifest and retention.",
+    options: [
+      { key: "COLLECTIONS", type: "list", describe: "Collection paths to back up." },
+      { key: "MODE", type: "string", describe: "incremental (default; the first backup is full) or full." },
+      { key: "FULL_EVERY", type: "integer", describe: "Incrementals before the next backup is full again (0 = never)." },
+      { key: "WATERMARK_FIELD", type: "string", describe: "Field like updatedAt to find changed docs (default: document updateTime)." },
+      { key: "INCLUDE_SUBCOLLECTIONS", type: "boolean", describe: "Also back up subcollection docs (default: on)." },
+      { key: "BACKUP_PREFIX", type: "string", describe: "Storage prefix of the backups (default: backups/)." },
+      { key: "RETAIN_FULL", type: "integer", describe: "Keep the newest N chains per collection (0 = no count rule)." },
+      { key: "RETAIN_DAYS", type: "integer", describe: "Keep what is needed to restore the last N days (0 = no age rule)." },
+      { key: "BATCH_SIZE", type: "integer", describe: "Docs read per page." },
+      { key: "DRY_RUN", type: "boolean", describe: "Scan and report without uploading or deleting." },
+    ],
+  },
+  {
+    name: "copy-collection",
+    script: "scripts/copyCollection.js",
+    // With --destination-profile the current app is only read (cross-project runs cannot be destructive).
+    writes: (values) => !values.DESTINATION_PROFILE,
+    profiles: (values) => [
+      { name: values.SOURCE_PROFILE, writes: false },
+      { name: values.DESTINATION_PROFILE, writes: true },
+    ],
+    describe: "Copy a Firestore collection to another (optionally recursive / destructive).",
+    options: [
+      { key: "SOURCE_COLLECTION", type: "string", describe: "Source collection path, or a pattern like 'weekly_lessons/{lessonId}/attendance'." },
+      { key: "DESTINATION_COLLECTION", type: "string", describe: "Destination collection path; may use the source's {placeholders} and {parent}." },
+      { key: "SOURCE_COLLECTION_GROUP", type: "boolean", describe: "Copy every collection named SOURCE_COLLECTION, at any depth." },
+      { key: "INCLUDE_SUBCOLLECTIONS", type: "boolean", describe: "Recursively copy subcollections." },
+      { key: "IS_DESTRUCTIVE", type: "boolean", describe: "Delete the source (docs + descendants) after a clean copy." },
+      { key: "BATCH_SIZE", type: "integer", describe: "Docs read (and flushed/checkpointed) per page (1-500)." },
+      { key: "MAX_OPS_PER_SECOND", type: "number", describe: "BulkWriter write cap (0 = the Firestore rate limit)." },
+      { key: "DRY_RUN", type: "boolean", describe: "Log planned operations without writing/deleting." },
+      { key: "JOURNAL", type: "boolean", describe: "Record before-images so the run can be undone (default: on)." },
+      { key: "CHECKPOINT", type: "boolean", describe: "Save progress so a crashed run can be resumed (default: on)." },
+      { key: "RESUME", type: "string", describe: "Continue a crashed run: its run id, or 'latest'." },
+      { key: "SOURCE_PROFILE", type: "string", describe: "profiles.json profile to read from (default: the current one)." },
+      { key: "DESTINATION_PROFILE", type: "string", describe: "profiles.json profile to write to (default: the current one)." },
+      { key: "WHERE", type: "json", describe: "JSON [[field, op, value], ...] source filters (not with --is-destructive)." },
+      { key: "FIELD_MAP", type: "json", describe: "JSON { rename, drop, defaults, set, compute } applied to each doc." },
+      { key: "TRANSFORM", type: "string", describe: "JS module exporting transform(data, ctx) and/or destId(id, data, ctx)." },
+      { key: "DEST_ID", type: "string", describe: "Destination doc id template, e.g. '{restaurantId}_{id}'." },
+      { key: "PREVIEW", type: "integer", describe: "On --dry-run, docs to show before/after when reshaping (default: 5)." },
+      { key: "VERIFY", type: "boolean", describe: "Compare every copied doc by hash afterwards (always on with --is-destructive)." },
+      { key: "VERIFY_REPORT", type: "string", describe: "NDJSON file listing every verification discrepancy." },
+      { key: "ON_CONFLICT", type: "string", describe: "Existing destination docs: overwrite (default), skip, merge, fail or keep-newer." },
+      { key: "NEWER_BY", type: "string", describe: "keep-newer compares this timestamp field (default: updateTime)." },
+      { key: "REWRITE_REFERENCES", type: "boolean", describe: "Point references to the source inside copied docs at the destination." },
+      { key: "REFERENCE_SCAN", type: "list", describe: "Collections whose references to the source are rewritten after a clean copy." },
+    ],
+  },
+  {
+    name: "copy-storage-prefix",
+    script: "scripts/copyStoragePrefix.js",
+    writes: true,
+    describe: "Copy or move Cloud Storage objects from one prefix to another (also across buckets).",
+    options: [
+      { key: "FROM_PREFIX", type: "string", describe: "Source prefix to copy from." },
+      { key: "TO_PREFIX", type: "string", describe: "Destination prefix to copy to." },
+      { key: "SOURCE_BUCKET", type: "string", describe: "Bucket to copy from (default: the project's bucket)." },
+      { key: "DESTINATION_BUCKET", type: "string", describe: "Bucket to copy to (default: the project's bucket)." },
+      { key: "IS_DESTRUCTIVE", type: "boolean", describe: "Move: delete each source object once its copy's CRC32C/MD5 matches." },
+      { key: "DRY_RUN", type: "boolean", describe: "Log what would be done without copying." },
+      { key: "SKIP_IF_EXISTS", type: "boolean", describe: "Don't overwrite destination objects that already exist." },
+      { key: "CONCURRENCY", type: "integer", describe: "Objects copied at once (default 8)." },
+      { key: "PAGE_SIZE", type: "integer", describe: "Objects listed per page (1-1000)." },
+      { key: "DOWNLOAD_TOKENS", type: "string", describe: "preserve (default) or regenerate the copies' Firebase download tokens." },
+      { key: "CONTENT_TYPE", type: "string", describe: "Content-Type to set on every copy (default: the source's)." },
+      { key: "CACHE_CONTROL", type: "string", describe: "Cache-Control to set on every copy (default: the source's)." },
+      { key: "CUSTOM_METADATA", type: "json", describe: "JSON custom metadata merged into every copy's (null removes a key)." },
+      { key: "URL_FIELDS", type: "json", describe: 'JSON fields whose Storage URLs then point at the copies, e.g. {"accommodations": ["photos"]}.' },
+      { key: "JOURNAL", type: "boolean", describe: "Journal the docs URL_FIELDS updates so they can be undone (default: on)." },
+      { key: "SAMPLE_PEEK", type: "integer", describe: "Objects to list in the peek shown on empty results." },
+    ],
+  },
+  {
+    name: "create-stripe-customers",
+    script: "scripts/createStripeCustomersForExistingUsers.js",
+    writes: true,
+    describe: "Create Stripe customers for existing Auth users (needs STRIPE_API_KEY).",
+    options: [
+      { key: "CHECKPOINT", type: "boolean", describe: "Save progress so a crashed run can be resumed (default: on)." },
+      { key: "RESUME", type: "string", describe: "Continue a crashed run: its run id, or 'latest'." },
+    ],
+  },
+  {
+    name: "export",
+    script: "scripts/exportCollection.js",
+    describe: "Snapshot a collection (with subcollections) to a typed NDJSON file.",
+    options: [
+      { key: "COLLECTION", type: "string", describe: "Collection path or pattern (or collection group id)." },
+      { key: "COLLECTION_GROUP", type: "boolean", describe: "Export every collection named COLLECTION, at any depth." },
+      { key: "OUTPUT_FILE", type: "string", describe: "File to write (default: exports/<collection>-<timestamp>.ndjson)." },
+      { key: "INCLUDE_SUBCOLLECTIONS", type: "boolean", describe: "Also export subcollection docs, at any depth (default: on)." },
+      { key: "WHERE", type: "json", describe: "JSON [[field, op, value], ...] filters on the exported docs." },
+      { key: "BATCH_SIZE", type: "integer", describe: "Docs read per page." },
+    ],
+  },
+  {
+    name: "export-sheet",
+    script: "scripts/exportSheet.js",
+    describe: "Export a collection as a CSV or XLSX spreadsheet (dotted columns, local date/times).",
+    options: [
+      { key: "COLLECTION", type: "string", describe: "Collection path or pattern (or collection group id)." },
+      { key: "COLLECTION_GROUP", type: "boolean", describe: "Export every collection named COLLECTION, at any depth." },
+      { key: "FORMAT", type: "string", describe: "csv or xlsx (default: from --output-file's extension, else csv)." },
+      { key: "OUTPUT_FILE", type: "string", describe: "File to write (default: exports/<collection>-<timestamp>.<format>)." },
+      { key: "COLUMNS", type: "list", describe: "Dotted field paths in column order (default: every field); __id / __path = doc id / path." },
+      { key: "HEADERS", type: "json", describe: 'JSON column titles by path, e.g. {"basicInfo.firstName": "First name"}.' },
+      { key: "TZ", type: "string", describe: "IANA time zone for Timestamps (default: Europe/Rome)." },
+      { key: "WHERE", type: "json", describe: "JSON [[field, op, value], ...] filters on the exported docs." },
+      { key: "BATCH_SIZE", type: "integer", describe: "Docs read per page." },
+    ],
+  },
+  {
+    name: "fill-current-week-roster",
+    script: "scripts/fillCurrentWeekRoster.js",
+    writes: true,
+    describe: "Populate/update the current week's weekly_lessons attendance rosters.",
+    options: [
+      { key: "TZ", type: "string", describe: "IANA time zone used to determine 'today'." },
+    ],
+  },
+  {
+    name: "generate-fixtures",
+    script: "scripts/generateFixtures.js",
+    // Firestore writes only happen in emulator mode; --output-file only writes a local file.
+    writes: (values) => !values.OUTPUT_FILE,
+    usage: "<profile>",
+    positionals: ["PROFILE_FILE"],
+    describe: "Generate synthetic docs from an infer-schema profile, into the emulator or an export file.",
+    options: [
+      { key: "PROFILE_FILE", type: "string", describe: "YAML/JSON profile printed by infer-schema (same as the positional <profile>)." },
+      { key: "COLLECTION", type: "string", describe: "Collection to fill (default: the profile's collection)." },
+      { key: "COUNT", type: "integer", describe: "Documents to generate." },
+      { key: "SUBCOLLECTION_DOCS", type: "integer", describe: "Docs per profiled subcollection, under every doc (0 = none)." },
+      { key: "OUTPUT_FILE", type: "string", describe: "Write an NDJSON export (load it with `import`) instead of the emulator." },
+      { key: "OPTIONAL_RATE", type: "number", describe: "Chance (0-1) that a field not required by the profile is present." },
+      { key: "NULL_RATE", type: "number", describe: "Chance (0-1) that a nullable field is null." },
+      { key: "REFERENCES", type: "json", describe: 'JSON collections of reference fields, e.g. {"restaurantRef": "restaurants"}.' },
+      { key: "SEED", type: "integer", describe: "Random seed: the same profile and seed give the same docs." },
+      { key: "BATCH_SIZE", type: "integer", describe: "Firestore batch size (1-500)." },
+    ],
+  },
+  {
+    name: "import",
+    script: "scripts/importCollection.js",
+    writes: true,
+    usage: "<file>",
+    positionals: ["INPUT_FILE"],
+    describe: "Load a typed NDJSON export back into Firestore (journaled, undoable).",
+    options: [
+      { key: "INPUT_FILE", type: "string", describe: "Export file to load (same as the positional <file>)." },
+      { key: "DESTINATION_COLLECTION", type: "string", describe: "Load into this collection instead of the exported paths." },
+      { key: "ON_CONFLICT", type: "string", describe: "Existing docs: overwrite (default), skip or merge." },
+      { key: "BATCH_SIZE", type: "integer", describe: "Docs per page and Firestore batch size (1-500)." },
+      { key: "DRY_RUN", type: "boolean", describe: "List what would be written without writing." },
+      { key: "JOURNAL", type: "boolean", describe: "Record before-images so the run can be undone (default: on)." },
+    ],
+  },
+  {
+    name: "infer-schema",
+    script: "scripts/inferSchema.js",
+    describe: "Print an LLM-friendly YAML schema profile of a collection.",
+    options: [
+      { key: "COLLECTION_PATH", type: "string", describe: "Collection path, e.g. users or schools/ALCE/classes." },
+      { key: "INCLUDE_SUBCOLLECTIONS", type: "boolean", describe: "Merge subcollection schemas and include subexamples." },
+      { key: "SAMPLE_LIMIT", type: "integer", describe: "Max docs to scan (omit to scan all)." },
+      { key: "INCLUDE_EXAMPLE", type: "boolean", describe: "Include a representative example document." },
+      { key: "EXAMPLE_SUBDOCS_PER_SUBCOLLECTION", type: "integer", describe: "Example docs per subcollection of the example doc." },
+    ],
+  },
+  {
+    name: "lint-collection-schema",
+    script: "scripts/lintCollectionSchema.js",
+    describe: "Report missing fields, type mismatches, name variants and regex violations.",
+    options: [
+      { key: "COLLECTION_PATH", type: "string", describe: "Collection path to lint." },
+      { key: "SAMPLE_LIMIT", type: "integer", describe: "Max docs to scan (omit to scan all)." },
+      { key: "BATCH_SIZE", type: "integer", describe: "Pagination batch size." },
+      { key: "REQUIRED_THRESHOLD", type: "number", describe: "Fraction of docs a field needs to count as expected (0-1)." },
+      { key: "RARE_FIELD_MAX_PCT", type: "number", describe: "Fields present in at most this fraction are 'rare' (0-1)." },
+      { key: "EXAMPLES_PER_ISSUE", type: "integer", describe: "Example doc ids printed per issue." },
+      { key: "CHECK_FIELD_NAME_VARIANTS", type: "boolean", describe: "Detect firstName vs first_name style variants." },
+      {
+        key: "STRING_REGEX_RULES",
+        type: "json",
+        describe: "JSON { field: { regex, note } } of string format rules.",
+        parse: compileRegexRules,
+      },
+    ],
+  },
+  {
+    name: "make-owner",
+    script: "scripts/makeOwner.js",
+    writes: true,
+    describe: "Set the owner=true custom claim on a user (by email or uid).",
+    options: [
+      { key: "EMAIL", type: "string", describe: "Email of the user to promote." },
+      { key: "UID", type: "string", describe: "UID of the user to promote (takes precedence over email)." },
+    ],
+  },
+  {
+    name: "migrate",
+    script: "scripts/migrate.js",
+    writes: (values) => values.ACTION === "up" || values.ACTION === "down",
+    usage: "<status|up|down>",
+    positionals: ["ACTION"],
+    describe: "Apply or revert the numbered data migrations in migrations/.",
+    options: [
+      { key: "ACTION", type: "string", describe: "status (default), up or down." },
+      { key: "TO", type: "string", describe: "Target migration id/number (up: through it; down: back to it)." },
+      { key: "DRY_RUN", type: "boolean", describe: "Run migrations with ctx.dryRun and record nothing." },
+      { key: "MIGRATIONS_DIR", type: "string", describe: "Directory of migration modules (default: migrations)." },
+      { key: "COLLECTION", type: "string", describe: "Collection recording applied migrations (default: _migrations)." },
+      { key: "BATCH_SIZE", type: "integer", describe: "Batch size of ctx.batcher() (1-500)." },
+    ],
+  },
+  {
+    name: "restore",
+    script: "scripts/restoreBackup.js",
+    writes: true,
+    usage: "<collection>",
+    positionals: ["COLLECTION"],
+    describe: "Restore a collection from its backups, as of the latest one or a point in time (undoable).",
+    options: [
+      { key: "COLLECTION", type: "string", describe: "Backed-up collection path (same as the positional <collection>)." },
+      { key: "AT", type: "string", describe: "Backup id, or a date/time: restores the last backup at or before it (default: latest)." },
+      { key: "DESTINATION_COLLECTION", type: "string", describe: "Restore into this collection instead of in place." },
+      { key: "DELETE_EXTRA", type: "boolean", describe: "Also delete docs that did not exist at that point." },
+      { key: "BACKUP_PREFIX", type: "string", describe: "Storage prefix of the backups (default: backups/)." },
+      { key: "BATCH_SIZE", type: "integer", describe: "Docs per page and Firestore batch size (1-500)." },
+      { key: "DRY_RUN", type: "boolean", describe: "List what would be written and deleted without writing." },
+      { key: "JOURNAL", type: "boolean", describe: "Record before-images so the run can be undone (default: on)." },
+    ],
+  },
+  {
+    name: "rewrite-references",
+    script: "scripts/rewriteReferences.js",
+    writes: (values) => !values.PLAN,
+    describe: "Rewrite DocumentReferences into a moved collection across other collections.",
+    options: [
+      { key: "FROM_COLLECTION", type: "string", describe: "The old collection or pattern (references into it are rewritten)." },
+      { key: "TO_COLLECTION", type: "string", describe: "The new collection (may use FROM_COLLECTION's {placeholders})." },
+      { key: "COLLECTIONS", type: "list", describe: "Collection paths to scan." },
+      { key: "BATCH_SIZE", type: "integer", describe: "Docs read per page and Firestore batch size (1-500)." },
+      { key: "DRY_RUN", type: "boolean", describe: "List the docs and fields that would change without writing." },
+      { key: "JOURNAL", type: "boolean", describe: "Record before-images so the run can be undone (default: on)." },
+      { key: "PLAN", type: "string", describe: "Write a reviewable plan file here instead of writing (see apply)." },
+    ],
+  },
+  {
+    name: "rewrite-storage-urls",
+    script: "scripts/rewriteStorageUrls.js",
+    writes: (values) => !values.PLAN,
+    describe: "Point Storage paths and download URLs saved in Firestore at a moved Storage prefix.",
+    options: [
+      { key: "FROM_PREFIX", type: "string", describe: "The old Storage prefix." },
+      { key: "TO_PREFIX", type: "string", describe: "The new Storage prefix." },
+      { key: "SOURCE_BUCKET", type: "string", describe: "Bucket the old URLs point into (default: the project's bucket)." },
+      { key: "DESTINATION_BUCKET", type: "string", describe: "Bucket the objects moved to (default: the project's bucket)." },
+      { key: "URL_FIELDS", type: "json", describe: 'JSON fields to rewrite per collection, e.g. {"accommodations": ["photos"]}.' },
+      { key: "BATCH_SIZE", type: "integer", describe: "Docs read per page and Firestore batch size (1-500)." },
+      { key: "DRY_RUN", type: "boolean", describe: "List the docs and fields that would change without writing." },
+      { key: "JOURNAL", type: "boolean", describe: "Record before-images so the run can be undone (default: on)." },
+      { key: "PLAN", type: "string", describe: "Write a reviewable plan file here instead of writing (see apply)." },
+    ],
+  },
+  {
+    name: "scrub-fields",
+    script: "scripts/scrubFields.js",
+    writes: (values) => !values.PLAN,
+    describe: "Delete or null fields (and keys inside array items) across a collection.",
+    options: [
+      { key: "COLLECTION", type: "string", describe: "Collection name (or collection group id)." },
+      { key: "USE_COLLECTION_GROUP", type: "boolean", describe: "Target a collectionGroup instead of a top-level collection." },
+      { key: "FIELD_PATHS", type: "list", describe: "Field paths to scrub (dotted map paths)." },
+      { key: "ARRAY_CLEANERS", type: "json", describe: "JSON [{ arrayPath, deleteKeys[] }]." },
+      { key: "WHERE", type: "json", describe: "JSON [[field, op, value], ...] filters." },
+      { key: "DOC_IDS", type: "list", describe: "Only these doc ids (top-level collection mode only)." },
+      { key: "HARD_DELETE", type: "boolean", describe: "Delete fields (true) or set them to null (false)." },
+      { key: "BATCH_SIZE", type: "integer", describe: "Commit size (1-500)." },
+      { key: "DRY_RUN", type: "boolean", describe: "Log what would happen without writing." },
+      { key: "JOURNAL", type: "boolean", describe: "Record before-images so the run can be undone (default: on)." },
+      { key: "PLAN", type: "string", describe: "Write a reviewable plan file here instead of writing (see apply)." },
+    ],
+  },
+  {
+    name: "seed-emulator",
+    script: "scripts/seedEmulator.js",
+    writes: true,
+    emulatorOnly: true,
+    describe: "Load a JSON fixture (Firestore docs + Auth users) into the Emulator Suite.",
+    options: [
+      { key: "FIXTURE_FILE", type: "string", describe: "Fixture JSON: { firestore: { docPath: data }, auth: [users] }." },
+      { key: "CLEAR_FIRST", type: "boolean", describe: "Wipe emulator Firestore + Auth before loading." },
+      { key: "BATCH_SIZE", type: "integer", describe: "Firestore batch size (1-500)." },
+    ],
+  },
+  {
+    name: "set-admin-status",
+    script: "scripts/setAdminStatus.js",
+    writes: true,
+    describe: "Grant or revoke the admin custom claim and sync admins/<uid>.",
+    options: [
+      { key: "TARGET_EMAIL", type: "string", describe: "Email of the user to update." },
+      { key: "MAKE_ADMIN", type: "boolean", describe: "true grants admin, false revokes it." },
+      { key: "CALLER_UID", type: "string", describe: "UID of the owner performing the action." },
+      { key: "ALLOW_SELF_DEMOTE", type: "boolean", describe: "Allow an owner to revoke their own admin." },
+      { key: "SKIP_OWNER_CHECK", type: "boolean", describe: "Skip the owner check (first-time bootstrap only)." },
+    ],
+  },
+  {
+    name: "undo",
+    script: "scripts/undo.js",
+    writes: true,
+    usage: "<runId>",
+    positionals: ["RUN_ID"],
+    describe: "Restore the documents a journaled copy-collection / scrub-fields run touched.",
+    options: [
+      { key: "RUN_ID", type: "string", describe: "Run to undo (same as the positional <runId>)." },
+      { key: "BATCH_SIZE", type: "integer", describe: "Firestore batch size (1-500)." },
+      { key: "DRY_RUN", type: "boolean", describe: "List what would be restored/deleted without writing." },
+      { key: "JOURNAL", type: "boolean", describe: "Journal the current state first so the undo can be undone." },
+    ],
+  },
+  {
+    name: "update-display-names",
+    script: "scripts/updateDisplayNames.js",
+    writes: true,
+    describe: "Sync Auth displayName from basicInfo.firstName/lastName.",
+    options: [
+      { key: "USERS_COLLECTION", type: "string", describe: "Collection holding user profiles (doc id == uid)." },
+      { key: "CHECKPOINT", type: "boolean", describe: "Save progress so a crashed run can be resumed (default: on)." },
+      { key: "RESUME", type: "string", describe: "Continue a crashed run: its run id, or 'latest'." },
+    ],
+  },
+];
+
+module.exports = { COMMANDS, compileRegexRules };
@@ -0,0 +1,53 @@
+// lib/emulator.js
+// Firebase Emulator Suite wiring. Emulator mode is on when any *_EMULATOR_HOST variable is set,
+// when ALCE_EMULATOR=1 (`alce-admin --emulator`), or when the selected profile has "emulator": true.
+// In emulator mode every service goes to the emulator — hosts not given fall back to the
+// default ports — so a half-configured shell can never mix local and production data.
+
+const EMULATOR_HOSTS = {
+  firestore: { env: "FIRESTORE_EMULATOR_HOST", fallback: "127.0.0.1:8080" },
+  auth: { env: "FIREBASE_AUTH_EMULATOR_HOST", fallback: "127.0.0.1:9099" },
+  storage: { env: "FIREBASE_STORAGE_EMULATOR_HOST", fallback: "127.0.0.1:9199" },
+};
+
+// "demo-" project ids are never resolved against real Google projects by the emulators.
+const DEFAULT_EMULATOR_PROJECT = "demo-alce-admin";
+
+function isEmulatorMode(profile) {
+  if (process.env.ALCE_EMULATOR === "1") return true;
+  if (profile && profile.emulator) return true;
+  return Object.values(EMULATOR_HOSTS).some(({ env }) => !!process.env[env]);
+}
+
+/** Fills in missing emulator host variables and returns the hosts in use. */
+function applyEmulatorEnv() {
+  const hosts = {};
+  for (const [service, { env, fallback }] of Object.entries(EMULATOR_HOSTS)) {
+    if (!process.env[env]) process.env[env] = fallback;
+    if (/^https?:\/\//.test(process.env[env])) {
+      throw new Error(`${env} must be host:port without a protocol (got ${process.env[env]}).`);
+    }
+    hosts[service] = process.env[env];
+  }
+  return hosts;
+}
+
+/**
+ * The host variables apply to every app in the process, so one run cannot mix the emulator and real
+ * projects: throws unless each profile opened besides the current one matches the run's mode.
+ * @param {boolean} emulator  whether the run is in emulator mode (isEmulatorMode of the current profile)
+ * @param {Array<{ name: string, emulator: boolean }>} profiles  the other resolved profiles
+ */
+function assertNoMixedTargets(emulator, profiles) {
+  for (const p of profiles) {
+    if (!!p.emulator === emulator) continue;
+    throw new Error(
+      (emulator
+        ? `Profile '${p.name}' is a real project, but this run uses the emulator (--emulator, an emulator profile or *_EMULATOR_HOST).`
+        : `Profile '${p.name}' is an emulator profile, but this run uses a real project (add --emulator if every profile is local).`) +
+        " Emulator settings apply to the whole process, so one run cannot mix emulator and real projects."
+    );
+  }
+}
+
+module.exports = { EMULATOR_HOSTS, DEFAULT_EMULATOR_PROJECT, isEmulatorMode, applyEmulatorEnv, assertNoMixedTargets };
@@ -0,0 +1,126 @@
+// lib/exportFile.js
+// Typed NDJSON snapshots of Firestore data, written by `alce-admin export` and read by `import`.
+//
+// Layout (one object per line):
+//   { "export": 1, "collection", "collectionGroup", "project", "includeSubcollections", "where", "createdAt" }  header
+//   { "path": "food_orders/o1", "data": {...typed JSON} }            a document
+//   { "path": "food_orders/o1/events/e1", "data": {...} }            its subcollection docs follow it
+//   { "end": true, "documents": 3 }                                   trailer; a file without it was cut short
+// Values use lib/typedJson.js, so Timestamps, GeoPoints, references and bytes (and NaN) round-trip.
+//
+// The file is written as <file>.partial and renamed when the trailer is in, so an interrupted
+// export never looks complete. Lines are read back one at a time; files of any size stream.
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { encodeValue } = require("./typedJson");
+
+const CHUNK = 64 * 1024; // bytes read at each end of a file to find its header and trailer
+
+/**
+ * Starts an export file. write() buffers a document; flush() appends the buffer (call it every page).
+ * @param {string} file
+ * @param {object} header  collection, project, ... (see the layout above)
+ */
+function createExportWriter(file, header) {
+  const abs = path.resolve(file);
+  const partial = `${abs}.partial`;
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  fs.writeFileSync(partial, JSON.stringify({ export: 1, ...header, createdAt: new Date().toISOString() }) + "\n");
+  let buffer = [];
+  let documents = 0;
+
+  return {
+    file: abs,
+    get documents() {
+      return documents;
+    },
+    write(docPath, data) {
+      buffer.push(JSON.stringify({ path: docPath, data: encodeValue(data) }) + "\n");
+      documents++;
+    },
+    /** Like write(), for data that is already typed JSON (e.g. an entry of another export). */
+    writeEncoded(docPath, encoded) {
+      buffer.push(JSON.stringify({ path: docPath, data: encoded }) + "\n");
+      documents++;
+    },
+    flush() {
+      if (!buffer.length) return;
+      fs.appendFileSync(partial, buffer.join(""));
+      buffer = [];
+    },
+    /** Writes the trailer and moves the file into place. */
+    finish() {
+      this.flush();
+      fs.appendFileSync(partial, JSON.stringify({ end: true, documents }) + "\n");
+      fs.renameSync(partial, abs);
+      return { file: abs, documents };
+    },
+  };
+}
+
+/**
+ * Header and trailer of an export file, without reading the documents in between.
+ * @returns {Promise<{ file: string, header: object, trailer: { end: true, documents: number } | null }>}
+ */
+async function inspectExport(file) {
+  const abs = path.resolve(file);
+  if (!fs.existsSync(abs)) throw new Error(`Export file not found: ${abs}`);
+
+  // Header and trailer are the first and last lines; small reads at both ends find them.
+  const { size } = fs.statSync(abs);
+  const header = parseLine(readChunk(abs, 0, size).split("\n")[0]);
+  if (!header || header.export !== 1) throw new Error(`${abs} is not an alce-admin export.`);
+  const trailer = parseLine(readChunk(abs, Math.max(0, size - CHUNK), size).trimEnd().split("\n").pop());
+  return { file: abs, header, trailer: trailer && trailer.end === true ? trailer : null };
+}
+
+function readChunk(abs, position, size) {
+  const buf = Buffer.alloc(Math.min(CHUNK, size - position));
+  const fd = fs.openSync(abs, "r");
+  try {
+    fs.readSync(fd, buf, 0, buf.length, position);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return buf.toString("utf8");
+}
+
+/** A parsed line, or null for one that was cut short. */
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
+
+/** Yields the `{ path, data }` entries of an export file (data still typed JSON), in file order. */
+async function* readExportEntries(file) {
+  let first = true;
+  for await (const line of lines(path.resolve(file))) {
+    if (first) {
+      first = false;
+      continue;
+    }
+    const entry = JSON.parse(line);
+    if (entry.end) return;
+    if (typeof entry.path !== "string" || entry.path.split("/").length % 2 !== 0) {
+      throw new Error(`Invalid export entry: ${line.slice(0, 200)}`);
+    }
+    yield entry;
+  }
+}
+
+async function* lines(abs) {
+  const input = fs.createReadStream(abs, "utf8");
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  try {
+    for await (const line of rl) if (line.trim()) yield line;
+  } finally {
+    rl.close();
+    input.destroy();
+  }
+}
+
+module.exports = { createExportWriter, inspectExport, readExportEntries };
@@ -0,0 +1,155 @@
+// lib/fixtures.js
+// Synthetic documents from an inferSchema profile (lib/ops/inferSchema.js): every field gets a
+// made-up value of its profiled type, shaped by its name where that says something (firstName,
+// email, price, arrivalInfo.date, ...). Only the profile's types are used, never its `example`,
+// so no real data ends up in a fixture. Seeded, so the same profile and seed give the same docs.
+const { Timestamp, GeoPoint } = require("firebase-admin/firestore");
+
+const FIRST_NAMES = ["Anna", "Marco", "Giulia", "Luca", "Sofia", "Matteo", "Emma", "Noah", "Olivia", "Liam", "Chiara", "Yuki", "Amara", "Diego", "Fatima", "Jonas"];
+const LAST_NAMES = ["Rossi", "Bianchi", "Smith", "García", "Müller", "Tanaka", "Okafor", "Kowalski", "Dubois", "Silva", "Novak", "Johansson", "Khan", "Moreau"];
+const CITIES = ["Rome", "Milan", "Florence", "Madrid", "Berlin", "Lisbon", "Vienna", "Paris", "Boston", "Tokyo"];
+const COUNTRIES = ["Italy", "Spain", "Germany", "Portugal", "Austria", "France", "United States", "Japan"];
+const STREETS = ["Via Roma", "Main Street", "Calle Mayor", "Hauptstraße", "Rue de la Paix", "Via Garibaldi"];
+const WORDS = ["lorem", "ipsum", "dolor", "sit", "amet", "consectetur", "adipiscing", "elit", "sed", "do", "eiusmod", "tempor", "magna", "aliqua"];
+const STATUSES = ["active", "pending", "done", "cancelled"];
+const ID_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** mulberry32: small, fast, good enough for test data. Returns floats in [0, 1). */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** "restaurantRef" -> "restaurants", "owner" -> "owners", "class" -> "classes" */
+function collectionForField(name) {
+  const base = name.replace(/(Ref|Id|_ref|_id)$/, "") || name;
+  return /(s|x|ch|sh)$/.test(base) ? `${base}es` : `${base}s`;
+}
+
+/**
+ * @param {{ seed: number, optionalRate: number, nullRate: number, references?: object, now?: Date, db }} options
+ *   references = { "field.path": "collection" } for documentReference fields; db builds the references
+ */
+function createFixtureGenerator({ seed, optionalRate, nullRate, references = {}, now = new Date(), db }) {
+  const random = seededRandom(seed);
+  const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+  const pick = (list) => list[int(0, list.length - 1)];
+  const decimal = (min, max) => Math.round((min + random() * (max - min)) * 100) / 100;
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  const words = (min, max) => Array.from({ length: int(min, max) }, () => pick(WORDS)).join(" ");
+
+  function docId() {
+    return Array.from({ length: 20 }, () => ID_CHARS[int(0, ID_CHARS.length - 1)]).join("");
+  }
+
+  /** A date within 180 days of `now`. */
+  function date() {
+    return new Date(now.getTime() + (random() * 2 - 1) * 180 * DAY_MS);
+  }
+
+  function stringFor(name) {
+    const n = name.toLowerCase();
+    if (/first_?name|given_?name/.test(n)) return pick(FIRST_NAMES);
+    if (/last_?name|surname|family_?name/.test(n)) return pick(LAST_NAMES);
+    if (/e_?mail/.test(n)) return `${pick(FIRST_NAMES)}.${pick(LAST_NAMES)}${int(1, 99)}@example.com`.toLowerCase().normalize("NFD").replace(/[^\x20-\x7e]/g, "");
+    if (/name$/.test(n)) return `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`;
+    if (/phone|mobile|tel$/.test(n)) return `+1 555 01${pad(int(0, 99))}`;
+    if (/city|town/.test(n)) return pick(CITIES);
+    if (/country|nationality/.test(n)) return pick(COUNTRIES);
+    if (/address|street/.test(n)) return `${pick(STREETS)} ${int(1, 200)}`;
+    if (/zip|postal|postcode/.test(n)) return pad(int(0, 99999), 5);
+    if (/url|website|link|photo|image|avatar/.test(n)) return `https://example.com/${pick(WORDS)}/${int(1, 9999)}`;
+    if (/(^|_)id$|[a-z]Id$/.test(name) || n === "uid") return docId();
+    if (/status|state$/.test(n)) return pick(STATUSES);
+    if (/flight/.test(n)) return `${String.fromCharCode(int(65, 90), int(65, 90))} ${int(100, 9999)}`;
+    if (/currency/.test(n)) return pick(["EUR", "USD", "GBP"]);
+    if (/lang|locale/.test(n)) return pick(["en", "it", "es", "de", "fr"]);
+    if (/date$|day$|birthday/.test(n)) return date().toISOString().slice(0, 10);
+    if (/time$/.test(n)) return `${pad(int(7, 21))}:${pick(["00", "15", "30", "45"])}`;
+    if (/note|comment|description|bio|message|text/.test(n)) {
+      const s = words(6, 14);
+      return `${s[0].toUpperCase()}${s.slice(1)}.`;
+    }
+    return words(1, 3);
+  }
+
+  function integerFor(name) {
+    const n = name.toLowerCase();
+    if (/age$/.test(n)) return int(16, 70);
+    if (/year/.test(n)) return int(2000, now.getUTCFullYear() + 1);
+    if (/week/.test(n)) return int(1, 52);
+    if (/qty|quantity|count|num|seats|guests/.test(n)) return int(1, 10);
+    return int(0, 100);
+  }
+
+  function numberFor(name) {
+    const n = name.toLowerCase();
+    if (/price|amount|total|cost|fee|balance/.test(n)) return decimal(1, 200);
+    if (/lat/.test(n)) return decimal(-60, 70);
+    if (/lng|lon/.test(n)) return decimal(-180, 180);
+    return decimal(0, 1000);
+  }
+
+  /** A value for a profiled field (see inferSchema's summarizeField); `fieldPath` is dotted. */
+  function valueFor(spec, fieldPath) {
+    const name = fieldPath.split(".").pop();
+    if (spec.nullable && random() < nullRate) return null;
+    const type = spec.type === "union" ? pick(spec.union) : spec.type;
+    const mapOf = /^map<string, (\w+)>$/.exec(type);
+    if (mapOf) {
+      return Object.fromEntries(
+        Array.from({ length: int(1, 3) }, () => [pick(WORDS), valueFor({ type: mapOf[1] }, `${fieldPath}.${pick(WORDS)}`)])
+      );
+    }
+    switch (type.replace(/[{(].*$/, "")) {
+      case "string":
+        return stringFor(name);
+      case "integer":
+        return integerFor(name);
+      case "number":
+        return numberFor(name);
+      case "boolean":
+        return random() < 0.5;
+      case "timestamp":
+        return Timestamp.fromDate(date());
+      case "geopoint":
+        return new GeoPoint(decimal(-60, 70), decimal(-180, 180));
+      case "documentReference":
+        return db.doc(`${references[fieldPath] || collectionForField(name)}/${docId()}`);
+      case "bytes":
+        return Buffer.from(Array.from({ length: 16 }, () => int(0, 255)));
+      case "array": {
+        if (!spec.items || spec.items.type === "any") return [];
+        return Array.from({ length: int(0, 3) }, () => valueFor({ ...spec.items, nullable: false }, fieldPath));
+      }
+      case "object":
+        return fieldsFor(spec.fields || {}, `${fieldPath}.`);
+      default:
+        return null; // "unknown": only ever seen as null
+    }
+  }
+
+  function fieldsFor(fields, prefix = "") {
+    const out = {};
+    for (const [key, spec] of Object.entries(fields)) {
+      if (!spec.required && random() >= optionalRate) continue;
+      out[key] = valueFor(spec, `${prefix}${key}`);
+    }
+    return out;
+  }
+
+  return {
+    docId,
+    /** A document for a profile's `document` block ({ fields, requiredFields }). */
+    document: (docProfile) => fieldsFor((docProfile && docProfile.fields) || {}),
+  };
+}
+
+module.exports = { seededRandom, collectionForField, createFixtureGenerator };
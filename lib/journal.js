@@ -0,0 +1,151 @@
+// lib/journal.js
+// Undo journal: before any write lands, a writing op records the prior state (before-image)
+// of each document it touches. `alce-admin undo <runId>` replays the journal to put every
+// document back — recreating deleted docs and subcollections and deleting docs the run created.
+//
+// Layout (NDJSON, one object per line):
+//   { "journal": 1, "runId", "op", "project", "createdAt" }          header
+//   { "path": "users/u1", "exists": true, "data": {...typed JSON} }   before-image
+//   { "path": "norders/o9", "exists": false }                         doc did not exist
+//   { "path": "users/u2", "forget": true }                            its write did not land; undo skips it
+//
+// Where it goes comes from `deps.journalLog` (false disables it), then the environment:
+// - ALCE_JOURNAL_DIR=<dir>             local directory (default: logs/journals at the repo root)
+// - ALCE_JOURNAL_STORAGE_PREFIX=<p>    also upload to <p><runId>.ndjson in the default bucket
+// The local file is appended synchronously, so the before-image is on disk before the batch commits,
+// and is what gets uploaded: lines are kept in memory only when Storage is the journal's sole copy.
+// Ops record each document once per run (they walk it in cursor order); if a path does repeat,
+// undo replays the journal backwards so its first image wins.
+const fs = require("fs");
+const path = require("path");
+const { encodeValue, decodeValue } = require("./typedJson");
+const { newRunId } = require("./audit");
+
+const ROOT = path.resolve(__dirname, "..");
+const DEFAULT_JOURNAL_DIR = path.join(ROOT, "logs", "journals");
+
+function resolveSettings(deps) {
+  if (deps && deps.journalLog === false) return { dir: null, storagePrefix: null };
+  const custom = (deps && deps.journalLog) || {};
+  const dir = "dir" in custom ? custom.dir : process.env.ALCE_JOURNAL_DIR || DEFAULT_JOURNAL_DIR;
+  const storagePrefix =
+    "storagePrefix" in custom ? custom.storagePrefix : process.env.ALCE_JOURNAL_STORAGE_PREFIX || null;
+  return {
+    dir: dir ? (path.isAbsolute(dir) ? dir : path.resolve(ROOT, dir)) : null,
+    storagePrefix: storagePrefix || null,
+  };
+}
+
+function journalFileName(runId) {
+  if (!/^[\w.-]+$/.test(runId)) throw new Error(`Invalid run id '${runId}'.`);
+  return `${runId}.ndjson`;
+}
+
+/**
+ * Opens a journal for one run. Nothing is written until the first record().
+ * Returns null when journaling is disabled (`deps.journalLog === false`).
+ * @param {{ op: string, runId?: string }} meta  runId defaults to the audit run's id
+ * @param {{ db, bucket?, profile?, audit?, journalLog? }} deps
+ */
+function openJournal({ op, runId }, deps) {
+  const settings = resolveSettings(deps);
+  if (!settings.dir && !settings.storagePrefix) return null;
+
+  const id = runId || (deps && deps.audit && deps.audit.runId) || newRunId();
+  const file = settings.dir ? path.join(settings.dir, journalFileName(id)) : null;
+  const lines = file ? null : []; // the only copy when there is no dir, for the Storage upload
+  let started = false;
+  let count = 0;
+
+  function append(obj) {
+    const line = JSON.stringify(obj) + "\n";
+    if (file) {
+      if (!started) fs.mkdirSync(settings.dir, { recursive: true });
+      fs.appendFileSync(file, line);
+    } else {
+      lines.push(line);
+    }
+    started = true;
+  }
+
+  const journal = {
+    runId: id,
+    file,
+
+    /** Number of before-images recorded. */
+    get count() {
+      return count;
+    },
+
+    /** Records the state of `docPath` from a snapshot we already hold. */
+    record(docPath, snap) {
+      if (!started) {
+        const profile = (deps && deps.profile) || {};
+        append({ journal: 1, runId: id, op, project: profile.projectId || null, createdAt: new Date().toISOString() });
+      }
+      count++;
+      append(
+        snap && snap.exists
+          ? { path: docPath, exists: true, data: encodeValue(snap.data()) }
+          : { path: docPath, exists: false }
+      );
+    },
+
+    /** Withdraws the before-image of `docPath` after its write failed, so undo leaves that document alone. */
+    forget(docPath) {
+      count--;
+      append({ path: docPath, forget: true });
+    },
+
+    /** Reads the document and records it (use when no snapshot is at hand). */
+    async recordRef(ref) {
+      journal.record(ref.path, await ref.get());
+    },
+
+    /** Uploads the journal to Storage when configured (streamed from the local file). Safe to call more than once. */
+    async close() {
+      if (!started || !settings.storagePrefix) return;
+      const destination = `${settings.storagePrefix}${journalFileName(id)}`;
+      const contentType = "application/x-ndjson";
+      if (file) await deps.bucket.upload(file, { destination, contentType });
+      else await deps.bucket.file(destination).save(lines.join(""), { contentType });
+    },
+  };
+  return journal;
+}
+
+/**
+ * Loads a journal: the local file first, then the Storage copy.
+ * @returns {Promise<{ header: object, entries: Array<{ path: string, exists: boolean, data?: object }>, source: string }>}
+ */
+async function loadJournal(runId, deps) {
+  const settings = resolveSettings(deps);
+  const name = journalFileName(runId);
+  let text = null;
+  let source = null;
+
+  if (settings.dir && fs.existsSync(path.join(settings.dir, name))) {
+    source = path.join(settings.dir, name);
+    text = fs.readFileSync(source, "utf8");
+  } else if (settings.storagePrefix) {
+    const file = deps.bucket.file(`${settings.storagePrefix}${name}`);
+    const [exists] = await file.exists();
+    if (exists) {
+      source = `gs://${deps.bucket.name}/${file.name}`;
+      text = (await file.download())[0].toString("utf8");
+    }
+  }
+  if (text === null) {
+    throw new Error(`No journal found for run '${runId}' (looked in ${settings.dir || "-"} and ${settings.storagePrefix || "-"}).`);
+  }
+
+  const [header, ...rest] = text.split("\n").filter(Boolean).map((l) => JSON.parse(l));
+  if (!header || header.journal !== 1) throw new Error(`${source} is not an undo journal.`);
+  const forgotten = new Set(rest.filter((e) => e.forget).map((e) => e.path));
+  const entries = rest
+    .filter((e) => !forgotten.has(e.path))
+    .map((e) => (e.exists ? { ...e, data: decodeValue(e.data, deps.db) } : e));
+  return { header, entries, source };
+}
+
+module.exports = { DEFAULT_JOURNAL_DIR, resolveSettings, openJournal, loadJournal };
@@ -0,0 +1,254 @@
+// lib/limiter.js
+// Shared call wrapper for Firestore, Auth, Stripe and Storage calls: a concurrency cap, a
+// token-bucket rate limit per service, and exponential backoff with full jitter on retryable
+// errors (RESOURCE_EXHAUSTED, UNAVAILABLE, Auth quota errors, Stripe 429s, HTTP 5xx...).
+//
+// Limits per service, each { ratePerSec, burst, concurrency, retries, baseDelayMs, maxDelayMs }
+// (ratePerSec 0 = unlimited), come from, in order of precedence:
+// - `deps.limits`                          library callers (`deps.limiters` reuses a built set)
+// - ALCE_<SERVICE>_RPS / ALCE_<SERVICE>_CONCURRENCY   e.g. ALCE_STRIPE_RPS=80 in live mode
+// - the profile's "limits" block in profiles.json
+// - DEFAULT_LIMITS below
+
+const DEFAULT_LIMITS = {
+  // Firestore: stay well under the "500/50/5" ramp-up rule for new collections.
+  firestore: { ratePerSec: 500, burst: 500, concurrency: 16, retries: 5, baseDelayMs: 250, maxDelayMs: 32000 },
+  // Auth Admin API: the old per-user sleep was 50ms (20/s).
+  auth: { ratePerSec: 20, burst: 20, concurrency: 4, retries: 5, baseDelayMs: 500, maxDelayMs: 32000 },
+  // Stripe: 25 req/s in test mode (100 in live mode).
+  stripe: { ratePerSec: 20, burst: 20, concurrency: 4, retries: 5, baseDelayMs: 500, maxDelayMs: 32000 },
+  storage: { ratePerSec: 100, burst: 100, concurrency: 8, retries: 5, baseDelayMs: 250, maxDelayMs: 32000 },
+};
+const SERVICES = Object.keys(DEFAULT_LIMITS);
+const LIMITED = Symbol("alce.limited"); // marks proxies from limitClient so they are not wrapped twice
+
+/* ---------------------------- retryable errors ---------------------------- */
+
+// gRPC status codes: DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, INTERNAL, UNAVAILABLE
+const RETRYABLE_GRPC = new Set([4, 8, 10, 13, 14]);
+const RETRYABLE_GRPC_NAMES = new Set(["deadline-exceeded", "resource-exhausted", "aborted", "internal", "unavailable"]);
+const RETRYABLE_HTTP = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_AUTH = new Set([
+  "auth/quota-exceeded",
+  "auth/too-many-requests",
+  "auth/internal-error",
+  "app/network-error",
+  "app/network-timeout",
+]);
+const RETRYABLE_NETWORK = new Set(["ECONNRESET", "ETIMEDOUT", "EAI_AGAIN", "ECONNREFUSED", "EPIPE"]);
+
+/** True for transient failures worth retrying; anything else is a real per-document error. */
+function isRetryable(err) {
+  if (!err) return false;
+  const { code } = err;
+  if (typeof code === "number") return code < 100 ? RETRYABLE_GRPC.has(code) : RETRYABLE_HTTP.has(code);
+  if (typeof code === "string") {
+    if (RETRYABLE_AUTH.has(code) || RETRYABLE_NETWORK.has(code)) return true;
+    if (RETRYABLE_GRPC_NAMES.has(code.toLowerCase().replace(/_/g, "-"))) return true;
+    if (code === "lock_timeout" || code === "rate_limit") return true; // Stripe
+  }
+  if (err.type === "StripeRateLimitError" || err.type === "StripeConnectionError") return true;
+  if (typeof err.statusCode === "number") return RETRYABLE_HTTP.has(err.statusCode);
+  return false;
+}
+
+/** Retry-After (seconds) sent with Stripe 429s, in ms; 0 when absent. */
+function retryAfterMs(err) {
+  const headers = err && err.headers;
+  const value = headers && (headers["retry-after"] || headers["Retry-After"]);
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+/** Full jitter: a random delay in [0, min(maxDelayMs, baseDelayMs * 2^attempt)), never below Retry-After. */
+function backoffDelay(err, attempt, settings, random = Math.random) {
+  const cap = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** attempt);
+  return Math.max(Math.round(random() * cap), retryAfterMs(err));
+}
+
+/* ---------------------------- token bucket ---------------------------- */
+
+/**
+ * @param {{ ratePerSec: number, burst?: number }} settings  ratePerSec 0 = unlimited
+ * @param {{ now?: () => number, sleep?: (ms: number) => Promise<void> }} [clock]
+ */
+function createTokenBucket({ ratePerSec, burst }, clock = {}) {
+  const now = clock.now || Date.now;
+  const sleep = clock.sleep || defaultSleep;
+  const capacity = Math.max(1, burst || ratePerSec || 1);
+  let tokens = capacity;
+  let last = now();
+  let queue = Promise.resolve(); // takers are served first come, first served
+
+  function refill() {
+    const t = now();
+    tokens = Math.min(capacity, tokens + ((t - last) * ratePerSec) / 1000);
+    last = t;
+  }
+
+  return {
+    take() {
+      if (!ratePerSec) return Promise.resolve();
+      const turn = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await sleep(Math.ceil(((1 - tokens) * 1000) / ratePerSec));
+          refill();
+        }
+        tokens -= 1;
+      });
+      queue = turn;
+      return turn;
+    },
+  };
+}
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/* ---------------------------- limiter ---------------------------- */
+
+/**
+ * One limiter per service.
+ * @param {string} name  used in retry log lines
+ * @param {object} settings  see DEFAULT_LIMITS
+ * @param {{ logger?: Console, now?, sleep?, random? }} [env]  the clock seams are for tests
+ */
+function createLimiter(name, settings, env = {}) {
+  const logger = env.logger || console;
+  const sleep = env.sleep || defaultSleep;
+  const bucket = createTokenBucket(settings, { now: env.now, sleep });
+  const concurrency = Math.max(1, settings.concurrency || 1);
+  const waiting = [];
+  let active = 0;
+
+  async function acquire() {
+    if (active < concurrency) {
+      active++;
+      return;
+    }
+    await new Promise((resolve) => waiting.push(resolve)); // the releaser hands its slot over
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  }
+
+  const limiter = {
+    name,
+    settings,
+    stats: { calls: 0, retries: 0 },
+
+    /**
+     * Runs `fn` inside a concurrency slot, after taking a token; retries retryable failures.
+     * @template T
+     * @param {() => Promise<T>} fn
+     * @param {string} [label]  shown in retry logs, e.g. "auth.updateUser"
+     * @returns {Promise<T>}
+     */
+    async run(fn, label = name) {
+      await acquire();
+      try {
+        for (let attempt = 0; ; attempt++) {
+          await bucket.take();
+          limiter.stats.calls++;
+          try {
+            return await fn();
+          } catch (err) {
+            if (attempt >= settings.retries || !isRetryable(err)) throw err;
+            const delay = backoffDelay(err, attempt, settings, env.random);
+            limiter.stats.retries++;
+            logger.warn(
+              `⏳ ${label} failed (${err.code || err.statusCode || err.type || "error"}: ${err.message}); ` +
+                `retry ${attempt + 1}/${settings.retries} in ${delay}ms`
+            );
+            await sleep(delay);
+          }
+        }
+      } finally {
+        release();
+      }
+    },
+  };
+  return limiter;
+}
+
+/* ---------------------------- wiring ---------------------------- */
+
+/** Effective per-service settings for `deps` (see the header for precedence). */
+function resolveLimits(deps) {
+  const fromProfile = (deps && deps.profile && deps.profile.limits) || {};
+  const fromDeps = (deps && deps.limits) || {};
+  const out = {};
+  for (const service of SERVICES) {
+    const env = {};
+    const prefix = `ALCE_${service.toUpperCase()}_`;
+    if (process.env[`${prefix}RPS`]) env.ratePerSec = Number(process.env[`${prefix}RPS`]);
+    if (process.env[`${prefix}CONCURRENCY`]) env.concurrency = Number(process.env[`${prefix}CONCURRENCY`]);
+    out[service] = { ...DEFAULT_LIMITS[service], ...fromProfile[service], ...env, ...fromDeps[service] };
+    for (const [key, value] of Object.entries(out[service])) {
+      if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+        throw new Error(`limits.${service}.${key} must be a non-negative number.`);
+      }
+    }
+  }
+  return out;
+}
+
+/** Builds (or reuses `deps.limiters`) the { firestore, auth, stripe, storage } limiter set. */
+function limitersFor(deps) {
+  if (deps && deps.limiters) return deps.limiters;
+  const limits = resolveLimits(deps);
+  const env = { logger: (deps && deps.logger) || console };
+  const out = {};
+  for (const service of SERVICES) out[service] = createLimiter(service, limits[service], env);
+  return out;
+}
+
+/**
+ * Proxies a client so every method call goes through `limiter`.
+ * `nested: true` also wraps one level of sub-objects (Stripe resources: stripe.customers.create).
+ */
+function limitClient(client, limiter, { label = limiter.name, nested = false } = {}) {
+  return new Proxy(client, {
+    get(target, prop) {
+      if (prop === LIMITED) return true;
+      const value = Reflect.get(target, prop, target);
+      if (typeof prop !== "string") return value;
+      if (typeof value === "function") {
+        return (...args) => limiter.run(() => value.apply(target, args), `${label}.${prop}`);
+      }
+      if (nested && value && typeof value === "object") {
+        return limitClient(value, limiter, { label: `${label}.${prop}` });
+      }
+      return value;
+    },
+  });
+}
+
+/**
+ * Returns deps with `auth` and `stripe` routed through their limiters and the limiter set
+ * exposed as `limiters` (ops route Firestore writes and Storage calls through it explicitly).
+ */
+function withLimits(deps) {
+  const limiters = limitersFor(deps);
+  const out = { ...deps, limiters };
+  if (deps.auth && !deps.auth[LIMITED]) out.auth = limitClient(deps.auth, limiters.auth);
+  if (deps.stripe && !deps.stripe[LIMITED]) out.stripe = limitClient(deps.stripe, limiters.stripe, { nested: true });
+  return out;
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  isRetryable,
+  backoffDelay,
+  createTokenBucket,
+  createLimiter,
+  resolveLimits,
+  limitersFor,
+  limitClient,
+  withLimits,
+};
@@ -0,0 +1,168 @@
+// lib/ops/applyPlan.js
+// Apply a plan file written by a planning run (e.g. `scrub-fields --plan <file>`, see lib/plan.js).
+// Only the planned field changes are written, each with a lastUpdateTime precondition: a document
+// that was modified (or deleted) after planning is reported as a conflict and left untouched.
+const { FieldValue } = require("firebase-admin/firestore");
+const { audited } = require("../audit");
+const { openJournal } = require("../journal");
+const { withLimits } = require("../limiter");
+const { loadPlan } = require("../plan");
+const { getByPath } = require("../paths");
+const { canonicalJson } = require("../verify");
+
+/**
+ * Config keys
+ * - PLAN_FILE: plan to apply
+ * - BATCH_SIZE: Firestore batch size (≤ 500)
+ * - DRY_RUN: check every precondition and report conflicts without writing
+ * - JOURNAL: record before-images of every updated doc (for `alce-admin undo <runId>`)
+ */
+const DEFAULTS = {
+  PLAN_FILE: "",
+  BATCH_SIZE: 400,
+  DRY_RUN: false,
+  JOURNAL: true,
+};
+
+function validateConfig(config) {
+  if (!config.PLAN_FILE || typeof config.PLAN_FILE !== "string") {
+    throw new Error("CONFIG.PLAN_FILE must be a non-empty string (the plan to apply).");
+  }
+  if (config.BATCH_SIZE < 1 || config.BATCH_SIZE > 500) {
+    throw new Error("CONFIG.BATCH_SIZE must be between 1 and 500.");
+  }
+  if (typeof config.DRY_RUN !== "boolean") {
+    throw new Error("CONFIG.DRY_RUN must be boolean.");
+  }
+  if (typeof config.JOURNAL !== "boolean") {
+    throw new Error("CONFIG.JOURNAL must be boolean.");
+  }
+}
+
+/** The update() payload for one planned write. */
+function updateFor(write) {
+  const update = {};
+  for (const c of write.changes) update[c.field] = "after" in c ? c.after : FieldValue.delete();
+  return update;
+}
+
+/** True when `data` already holds every planned change: the write landed, e.g. before a retried commit. */
+function hasLanded(write, data) {
+  return write.changes.every((c) =>
+    "after" in c ? canonicalJson(getByPath(data, c.field)) === canonicalJson(c.after) : getByPath(data, c.field) === undefined
+  );
+}
+
+function isPreconditionFailure(err) {
+  return !!err && (err.code === 9 || err.code === "failed-precondition" || err.code === 5 || err.code === "not-found");
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ db, profile?, logger?: Console }} [deps]  defaults to ../../firebaseAdmin
+ * @returns {Promise<{ planned: number, applied: number, conflicts: Array<{ path: string, reason: string }>,
+ *   dryRun: boolean, runId?: string }>}  runId is set when a journal was written
+ */
+async function applyPlan(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  deps = deps || require("../../firebaseAdmin");
+  const { db, limiters } = withLimits(deps);
+  const logger = deps.logger || console;
+  const audit = deps.audit || { docError() {} };
+
+  const { header, writes } = loadPlan(config.PLAN_FILE, db);
+  logger.log(
+    `📝 Applying ${header.op} plan ${config.PLAN_FILE} (${writes.length} document(s), ` +
+      `planned ${header.createdAt} by ${header.createdBy})`
+  );
+
+  const profile = deps.profile || {};
+  if (header.project && profile.projectId && header.project !== profile.projectId) {
+    throw new Error(
+      `The plan was made on project '${header.project}', but the current project is '${profile.projectId}'.`
+    );
+  }
+
+  const result = { planned: writes.length, applied: 0, conflicts: [], dryRun: config.DRY_RUN };
+  const journal = config.DRY_RUN || !config.JOURNAL ? null : openJournal({ op: "applyPlan" }, deps);
+
+  function conflict(write, reason) {
+    result.conflicts.push({ path: write.path, reason });
+    audit.docError(write.path, new Error(reason));
+    logger.warn(`⚠️  ${write.path}: ${reason}; skipped.`);
+  }
+
+  /**
+   * Commits `chunk` atomically; if a precondition fails, falls back to one write per doc to find which.
+   * A failed doc is re-read first: a commit retried after a lost response fails its own precondition,
+   * but then the doc already holds the planned values. A real conflict's before-image is withdrawn
+   * from the journal, so undo leaves the concurrent edit alone.
+   */
+  async function commit(chunk) {
+    const batch = db.batch();
+    for (const w of chunk) batch.update(db.doc(w.path), updateFor(w), { lastUpdateTime: w.updateTime });
+    try {
+      await limiters.firestore.run(() => batch.commit(), "firestore.commit");
+      result.applied += chunk.length;
+    } catch (e) {
+      if (!isPreconditionFailure(e)) throw e;
+      if (chunk.length > 1) {
+        for (const w of chunk) await commit([w]);
+        return;
+      }
+      const [w] = chunk;
+      const snap = await limiters.firestore.run(() => db.doc(w.path).get(), "firestore.get");
+      if (snap.exists && hasLanded(w, snap.data())) {
+        result.applied++;
+        return;
+      }
+      if (journal) journal.forget(w.path);
+      conflict(w, "changed since planning (modified while applying)");
+    }
+  }
+
+  try {
+    for (let i = 0; i < writes.length; i += config.BATCH_SIZE) {
+      const slice = writes.slice(i, i + config.BATCH_SIZE);
+      const snaps = await db.getAll(...slice.map((w) => db.doc(w.path)));
+      const ready = [];
+
+      slice.forEach((w, idx) => {
+        const snap = snaps[idx];
+        if (!snap.exists) return conflict(w, "deleted since planning");
+        if (!snap.updateTime.isEqual(w.updateTime)) {
+          return conflict(
+            w,
+            `changed since planning (planned at ${w.updateTime.toDate().toISOString()}, ` +
+              `now ${snap.updateTime.toDate().toISOString()})`
+          );
+        }
+        if (journal) journal.record(w.path, snap);
+        ready.push(w);
+      });
+
+      if (config.DRY_RUN) {
+        for (const w of ready) {
+          logger.log(`→ (dry-run) would update ${w.path}: ${w.changes.map((c) => c.field).join(", ")}`);
+        }
+        result.applied += ready.length;
+      } else if (ready.length) {
+        await commit(ready);
+      }
+    }
+  } finally {
+    if (journal) await journal.close();
+  }
+
+  const verb = config.DRY_RUN ? "Would apply" : "Applied";
+  logger.log(`✅ ${verb} ${result.applied}/${writes.length} planned update(s); ${result.conflicts.length} conflict(s).`);
+  if (result.conflicts.length) logger.log("   Re-plan to pick up the conflicting documents' current state.");
+  if (journal && journal.count > 0) {
+    result.runId = journal.runId;
+    logger.log(`↩️  Journaled ${journal.count} before-image(s). Undo with: alce-admin undo ${journal.runId}`);
+  }
+  return result;
+}
+
+module.exports = { DEFAULTS, validateConfig, applyPlan: audited("applyPlan", DEFAULTS, applyPlan) };
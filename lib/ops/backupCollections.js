@@ -0,0 +1,266 @@
+// lib/ops/backupCollections.js
+// Back up Firestore collections to Cloud Storage: a full export of each collection, then
+// incrementals holding only the docs changed since the previous backup (by document updateTime,
+// or by a field like `updatedAt`). Files go under a dated <prefix><backupId>/ folder and are listed
+// in <prefix>manifest.json (lib/backupManifest.js); a retention policy drops old chains.
+// `alce-admin restore` (lib/ops/restoreBackup.js) puts a collection back as of any backup.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { audited } = require("../audit");
+const { withLimits } = require("../limiter");
+const { createProgress } = require("../progress");
+const { forEachPage, countDocs } = require("../pages");
+const { encodeValue, decodeValue } = require("../typedJson");
+const { parseCollectionPattern } = require("../collectionPaths");
+const { createExportWriter } = require("../exportFile");
+const { exportDocTree } = require("./exportCollection");
+const {
+  loadManifest,
+  saveManifest,
+  newBackupId,
+  collectionFileName,
+  chainsOf,
+  planRetention,
+  dropChains,
+} = require("../backupManifest");
+
+/**
+ * Config keys
+ * - COLLECTIONS: collection paths to back up, e.g. ["food_orders", "users"] (nested paths work, patterns do not)
+ * - MODE: "incremental" (changed docs since the last backup; the first backup of a collection is full) or "full"
+ * - FULL_EVERY: incrementals in a chain before the next backup is a full one again (0 = never)
+ * - WATERMARK_FIELD: "" = compare each doc's updateTime (reads every doc, sees deletes);
+ *     a field like "updatedAt" = query only docs with a newer value (reads less, cannot see deletes)
+ * - INCLUDE_SUBCOLLECTIONS: also back up subcollection docs, at any depth (not with WATERMARK_FIELD)
+ * - BACKUP_PREFIX: Storage prefix of the backups and their manifest, in the default bucket
+ * - RETAIN_FULL: keep the newest N chains (full backup + its incrementals) per collection (0 = no count rule)
+ * - RETAIN_DAYS: keep every chain needed to restore a point in the last N days (0 = no age rule)
+ * - BATCH_SIZE: docs read per page
+ * - DRY_RUN: scan and report what would be backed up and pruned, without uploading or deleting
+ */
+const DEFAULTS = {
+  COLLECTIONS: [],
+  MODE: "incremental",
+  FULL_EVERY: 7,
+  WATERMARK_FIELD: "",
+  INCLUDE_SUBCOLLECTIONS: true,
+  BACKUP_PREFIX: "backups/",
+  RETAIN_FULL: 0,
+  RETAIN_DAYS: 30,
+  BATCH_SIZE: 400,
+  DRY_RUN: false,
+};
+
+const MODES = ["incremental", "full"];
+
+function validateConfig(config) {
+  if (!Array.isArray(config.COLLECTIONS) || !config.COLLECTIONS.length) {
+    throw new Error('CONFIG.COLLECTIONS must be a non-empty array of collection paths, e.g. ["food_orders"].');
+  }
+  for (const c of config.COLLECTIONS) {
+    if (parseCollectionPattern(c).multi) throw new Error(`CONFIG.COLLECTIONS: '${c}' is a pattern; list collection paths.`);
+  }
+  if (!MODES.includes(config.MODE)) {
+    throw new Error(`CONFIG.MODE must be one of: ${MODES.join(", ")}.`);
+  }
+  for (const key of ["FULL_EVERY", "RETAIN_FULL", "RETAIN_DAYS"]) {
+    if (!Number.isInteger(config[key]) || config[key] < 0) throw new Error(`CONFIG.${key} must be an integer ≥ 0.`);
+  }
+  if (typeof config.WATERMARK_FIELD !== "string") {
+    throw new Error('CONFIG.WATERMARK_FIELD must be a field name, or "" for document updateTime.');
+  }
+  if (typeof config.INCLUDE_SUBCOLLECTIONS !== "boolean") {
+    throw new Error("CONFIG.INCLUDE_SUBCOLLECTIONS must be boolean.");
+  }
+  if (config.WATERMARK_FIELD && config.INCLUDE_SUBCOLLECTIONS) {
+    throw new Error(
+      "CONFIG.WATERMARK_FIELD only sees the collection's own docs; set INCLUDE_SUBCOLLECTIONS: false, or leave WATERMARK_FIELD empty to use updateTime."
+    );
+  }
+  if (!config.BACKUP_PREFIX || typeof config.BACKUP_PREFIX !== "string" || !config.BACKUP_PREFIX.endsWith("/")) {
+    throw new Error('CONFIG.BACKUP_PREFIX must be a Storage prefix ending with "/", e.g. "backups/".');
+  }
+  if (!Number.isInteger(config.BATCH_SIZE) || config.BATCH_SIZE < 1) {
+    throw new Error("CONFIG.BATCH_SIZE must be a positive integer.");
+  }
+  if (typeof config.DRY_RUN !== "boolean") {
+    throw new Error("CONFIG.DRY_RUN must be boolean.");
+  }
+}
+
+/** Orders watermarks: Timestamps by seconds then nanoseconds (no rounding to ms), Dates by time, the rest with <. */
+function compareWatermarks(a, b) {
+  if (a && b && typeof a.seconds === "number" && typeof b.seconds === "number") {
+    return a.seconds - b.seconds || a.nanoseconds - b.nanoseconds;
+  }
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Full or incremental for this collection, and the backup it builds on. A previous backup taken
+ * with another watermark or subcollection setting cannot be continued, so that starts a new chain.
+ */
+function planCollection(manifest, collection, config) {
+  const chains = chainsOf(manifest, collection);
+  if (config.MODE === "full" || !chains.length) return { type: "full", previous: null, reason: chains.length ? null : "first backup" };
+  const chain = chains[chains.length - 1];
+  const last = chain[chain.length - 1];
+  if ((last.entry.watermarkField || "") !== config.WATERMARK_FIELD || last.entry.includeSubcollections !== config.INCLUDE_SUBCOLLECTIONS) {
+    return { type: "full", previous: null, reason: "watermark or subcollection setting changed" };
+  }
+  if (config.FULL_EVERY && chain.length - 1 >= config.FULL_EVERY) {
+    return { type: "full", previous: null, reason: `chain has ${config.FULL_EVERY} incremental(s)` };
+  }
+  return { type: "incremental", previous: last };
+}
+
+/**
+ * Exports one collection to `dir`: all docs (full) or those newer than the previous watermark.
+ * @returns {Promise<{ file: string, index: string|null, documents: number, scanned: number, watermark }>}
+ */
+async function backupCollection(collection, plan, dir, config, { db, logger, project }) {
+  const name = collectionFileName(collection);
+  const since = plan.previous ? decodeValue(plan.previous.entry.watermark, db) : null;
+  const field = config.WATERMARK_FIELD;
+  const out = createExportWriter(path.join(dir, `${name}.ndjson`), {
+    collection,
+    collectionGroup: false,
+    project,
+    includeSubcollections: config.INCLUDE_SUBCOLLECTIONS,
+    where: [],
+    backup: { type: plan.type, watermarkField: field || null, since: since == null ? null : encodeValue(since) },
+  });
+  // An updateTime incremental reads every doc anyway, so it also lists them all: that index is
+  // what tells restore which docs were deleted since the full backup.
+  const indexFile = plan.type === "incremental" && !field ? path.join(dir, `${name}.paths.ndjson`) : null;
+  const index = [];
+  let watermark = since;
+  let scanned = 0;
+
+  let query = db.collection(collection);
+  let keep;
+  if (field) {
+    if (since != null) query = query.where(field, ">", since);
+    keep = (snap) => {
+      const value = snap.get(field);
+      if (value != null && (watermark == null || compareWatermarks(value, watermark) > 0)) watermark = value;
+      return true;
+    };
+  } else {
+    // The next incremental starts from when this scan began: a doc written after its page was
+    // read has a later updateTime, so it is picked up next time.
+    let started = null;
+    keep = (snap) => {
+      if (!started || compareWatermarks(snap.readTime, started) < 0) started = snap.readTime;
+      watermark = started;
+      if (indexFile) index.push(JSON.stringify(snap.ref.path) + "\n");
+      return !since || compareWatermarks(snap.updateTime, since) > 0;
+    };
+  }
+
+  const progress = createProgress({ total: field && since != null ? null : await countDocs(query), verb: "scanned", logger });
+  await forEachPage(query, config.BATCH_SIZE, null, async (docs) => {
+    for (const doc of docs) {
+      await exportDocTree(doc, out, config, keep);
+      scanned++;
+    }
+    out.flush();
+    progress.update(scanned);
+  });
+  progress.update(scanned, true);
+  const { file, documents } = out.finish();
+  if (indexFile) fs.writeFileSync(indexFile, index.join(""));
+  return { file, index: indexFile, documents, scanned, watermark };
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ db, bucket, profile?, logger?: Console, now?: Date }} [deps]  defaults to ../../firebaseAdmin
+ * @returns {Promise<{ backupId: string, collections: object, pruned: string[], dryRun: boolean }>}
+ *   collections = { [path]: { type, documents } }; pruned = ids of the backups retention dropped (in full or in part)
+ */
+async function backupCollections(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  deps = deps || require("../../firebaseAdmin");
+  const { db, bucket, limiters } = withLimits(deps);
+  const logger = deps.logger || console;
+  const project = (deps.profile || {}).projectId || null;
+  const now = deps.now || new Date();
+  const prefix = config.BACKUP_PREFIX;
+
+  const manifest = await limiters.storage.run(() => loadManifest(bucket, prefix), "storage.download");
+  const backupId = newBackupId(now, manifest);
+  const backup = { id: backupId, createdAt: now.toISOString(), project, collections: {} };
+  const result = { backupId, collections: {}, pruned: [], dryRun: config.DRY_RUN };
+  logger.log(`🗄️  Backup ${backupId} of ${config.COLLECTIONS.join(", ")} → gs://${bucket.name}/${prefix}${backupId}/`);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alce-backup-"));
+  try {
+    for (const collection of config.COLLECTIONS) {
+      const plan = planCollection(manifest, collection, config);
+      logger.log(
+        `📤 ${collection}: ${plan.type}` +
+          (plan.previous ? ` since ${plan.previous.backup.id}` : plan.reason ? ` (${plan.reason})` : "") +
+          "..."
+      );
+      const exported = await backupCollection(collection, plan, dir, config, { db, logger, project });
+      const base = `${prefix}${backupId}/${collectionFileName(collection)}`;
+      const entry = {
+        type: plan.type,
+        previous: plan.previous ? plan.previous.backup.id : null,
+        file: `${base}.ndjson`,
+        index: exported.index ? `${base}.paths.ndjson` : null,
+        documents: exported.documents,
+        watermarkField: config.WATERMARK_FIELD || null,
+        watermark: exported.watermark == null ? null : encodeValue(exported.watermark),
+        includeSubcollections: config.INCLUDE_SUBCOLLECTIONS,
+      };
+      if (!config.DRY_RUN) {
+        await limiters.storage.run(
+          () => bucket.upload(exported.file, { destination: entry.file, contentType: "application/x-ndjson" }),
+          "storage.upload"
+        );
+        if (entry.index) {
+          await limiters.storage.run(
+            () => bucket.upload(exported.index, { destination: entry.index, contentType: "application/x-ndjson" }),
+            "storage.upload"
+          );
+        }
+      }
+      backup.collections[collection] = entry;
+      result.collections[collection] = { type: plan.type, documents: exported.documents };
+      logger.log(`✅ ${collection}: ${exported.documents} of ${exported.scanned} document(s) ${config.DRY_RUN ? "would be " : ""}backed up.`);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  manifest.backups.push(backup);
+  const drops = planRetention(manifest, { retainFull: config.RETAIN_FULL, retainDays: config.RETAIN_DAYS, now });
+  result.pruned = [...new Set(drops.flatMap((d) => d.ids))];
+  for (const d of drops) {
+    logger.log(`🧹 ${config.DRY_RUN ? "Would drop" : "Dropping"} ${d.collection} backups ${d.ids[0]}${d.ids.length > 1 ? ` … ${d.ids[d.ids.length - 1]}` : ""} (retention).`);
+  }
+  if (config.DRY_RUN) {
+    logger.log("🧪 Dry run: nothing uploaded or deleted.");
+    return result;
+  }
+
+  dropChains(manifest, drops);
+  await limiters.storage.run(() => saveManifest(bucket, prefix, manifest), "storage.save");
+  for (const name of drops.flatMap((d) => d.files)) {
+    await limiters.storage.run(() => bucket.file(name).delete(), "storage.delete");
+  }
+  logger.log(`🗂️  Manifest: ${manifest.backups.length} backup(s) at gs://${bucket.name}/${prefix}manifest.json`);
+  return result;
+}
+
+module.exports = {
+  DEFAULTS,
+  validateConfig,
+  backupCollections: audited("backupCollections", DEFAULTS, backupCollections),
+};
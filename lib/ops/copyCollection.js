@@ -0,0 +1,833 @@
+// lib/ops/copyCollection.js
+// Copy a Firestore collection to another collection — optionally include subcollections,
+// and optionally delete the source after a successful copy (destructive). Source and destination
+// may live in different projects (SOURCE_PROFILE / DESTINATION_PROFILE, see lib/apps.js).
+//
+// The copy streams: the source (and every subcollection) is read a page of BATCH_SIZE docs at a
+// time by document-id cursor, and writes go through a BulkWriter that is flushed every page, so
+// memory stays flat however large the collection is. Each flushed page is a checkpoint.
+//
+// Copies can also restructure (see lib/transform.js): WHERE narrows the source, and FIELD_MAP,
+// TRANSFORM and DEST_ID reshape each top-level doc before it is written. Subcollections are copied
+// as they are, under the destination doc.
+//
+// VERIFY (always on with IS_DESTRUCTIVE) re-reads both sides after the copy and compares every doc by
+// canonical hash (lib/verify.js); the source is only deleted when nothing is missing or different.
+//
+// The source may be a nested collection, a pattern ("weekly_lessons/{lessonId}/attendance") or a whole
+// collection group (SOURCE_COLLECTION_GROUP), and the destination a template over the captured path
+// segments ("archive/{lessonId}/attendance", "{parent}/attendance_v2"); see lib/collectionPaths.js.
+const fs = require("fs");
+const path = require("path");
+const { audited, noopAudit } = require("../audit");
+const { openJournal } = require("../journal");
+const { openCheckpoint, validateResumeConfig } = require("../checkpoint");
+const { withLimits, isRetryable } = require("../limiter");
+const { createProgress } = require("../progress");
+const { forEachPage } = require("../pages");
+const { isPlainObject } = require("../values");
+const { encodeValue, decodeValue } = require("../typedJson");
+const { getByPath } = require("../paths");
+const { applyWhere, validateFieldMap, buildDocTransform } = require("../transform");
+const { verifyCopy } = require("../verify");
+const { mapReferences, referenceRewriter } = require("../references");
+const {
+  templateVars,
+  parseCollectionPattern,
+  matchCollectionPath,
+  fillTemplate,
+  validateTemplate,
+  distinguishesCollections,
+  mayOverlap,
+  collectionSource,
+} = require("../collectionPaths");
+const { scanReferences } = require("./rewriteReferences");
+const { openProfileApp } = require("../apps");
+
+/**
+ * Config keys
+ * - SOURCE_COLLECTION: source collection path, e.g. "food_orders" or "weekly_lessons/w1/attendance", or a
+ *     pattern whose `{name}` segments match any id, e.g. "weekly_lessons/{lessonId}/attendance"
+ * - DESTINATION_COLLECTION: destination collection path; may use the source's placeholders, plus {parent}
+ *     (the path of the doc holding each source collection), e.g. "archive/{lessonId}/attendance"
+ * - SOURCE_COLLECTION_GROUP: true = SOURCE_COLLECTION is a collection id, and every collection with that id
+ *     is copied, at any depth ({parent} places each one, e.g. "{parent}/attendance_v2")
+ * - INCLUDE_SUBCOLLECTIONS: true = recursively copy subcollections
+ * - IS_DESTRUCTIVE: true = delete the source (docs + descendants) after a successful, verified copy
+ * - BATCH_SIZE: docs read per page (≤ 500); the BulkWriter is flushed and progress saved every page
+ * - MAX_OPS_PER_SECOND: BulkWriter throughput cap; 0 = the Firestore rate limit (lib/limiter.js,
+ *     500/s unless ALCE_FIRESTORE_RPS or the profile says otherwise)
+ * - DRY_RUN: log planned operations without writing/deleting
+ * - JOURNAL: record before-images of every overwritten/deleted doc (for `alce-admin undo <runId>`)
+ * - CHECKPOINT: save the last copied doc id + counters after every page (see lib/checkpoint.js)
+ * - RESUME: run id (or "latest") of a crashed run to continue; that run's config is reused
+ * - SOURCE_PROFILE: profiles.json profile to read from ("" = the current app)
+ * - DESTINATION_PROFILE: profiles.json profile to write to ("" = the current app)
+ * - WHERE: optional source filters: [ [field, op, value], ... ] (values may be typed JSON, e.g.
+ *     { "$timestamp": {...} }); not allowed with IS_DESTRUCTIVE, which deletes the whole source
+ * - FIELD_MAP: { rename, drop, defaults, set, compute } applied to each top-level doc
+ * - TRANSFORM: path to a JS module exporting transform(data, ctx) (return null to skip the doc)
+ *     and/or destId(id, data, ctx)
+ * - DEST_ID: destination doc id template, e.g. "{restaurantId}_{id}" ("" = the source id)
+ * - PREVIEW: on DRY_RUN, how many reshaped docs to print before/after
+ * - VERIFY: after the copy, compare every source/destination doc by canonical hash (implied by IS_DESTRUCTIVE)
+ * - VERIFY_REPORT: NDJSON file to write every verification discrepancy to ("" = log only the first few)
+ * - ON_CONFLICT: what to do with a destination doc that already exists (checked per doc, at every depth):
+ *     "overwrite" (replace it), "skip" (keep it), "merge" (set with merge), "fail" (count it as an error,
+ *     write nothing), "keep-newer" (overwrite only if the source is newer, see NEWER_BY)
+ * - NEWER_BY: keep-newer compares this timestamp field ("" = the documents' updateTime)
+ * - REWRITE_REFERENCES: in the copied docs, point references to SOURCE_COLLECTION/... at
+ *     DESTINATION_COLLECTION/... (not with DEST_ID: remapped ids cannot be followed)
+ * - REFERENCE_SCAN: other collections whose references to the source are rewritten after a clean
+ *     copy, before IS_DESTRUCTIVE deletes it (same project only; see lib/ops/rewriteReferences.js)
+ */
+const DEFAULTS = {
+  SOURCE_COLLECTION: "",
+  DESTINATION_COLLECTION: "",
+  SOURCE_COLLECTION_GROUP: false,
+  INCLUDE_SUBCOLLECTIONS: false,
+  IS_DESTRUCTIVE: false,
+  BATCH_SIZE: 400,
+  MAX_OPS_PER_SECOND: 0,
+  DRY_RUN: false,
+  JOURNAL: true,
+  CHECKPOINT: true,
+  RESUME: "",
+  SOURCE_PROFILE: "",
+  DESTINATION_PROFILE: "",
+  WHERE: [],
+  FIELD_MAP: {},
+  TRANSFORM: "",
+  DEST_ID: "",
+  PREVIEW: 5,
+  VERIFY: false,
+  VERIFY_REPORT: "",
+  ON_CONFLICT: "overwrite",
+  NEWER_BY: "",
+  REWRITE_REFERENCES: false,
+  REFERENCE_SCAN: [],
+};
+
+const ON_CONFLICT_POLICIES = ["overwrite", "skip", "merge", "fail", "keep-newer"];
+
+// Per-doc actions, as counted in result.actions.
+const ACTION_COUNTERS = { create: "created", overwrite: "overwritten", merge: "merged", skip: "skipped", fail: "failed" };
+
+const VERIFY_LOG_LIMIT = 20;
+
+function validateConfig(config) {
+  const {
+    SOURCE_COLLECTION,
+    DESTINATION_COLLECTION,
+    INCLUDE_SUBCOLLECTIONS,
+    IS_DESTRUCTIVE,
+    BATCH_SIZE,
+    MAX_OPS_PER_SECOND,
+    DRY_RUN,
+    JOURNAL,
+    SOURCE_PROFILE,
+    DESTINATION_PROFILE,
+  } = config;
+
+  if (!SOURCE_COLLECTION || typeof SOURCE_COLLECTION !== "string") {
+    throw new Error("CONFIG.SOURCE_COLLECTION must be a non-empty string.");
+  }
+  if (typeof config.SOURCE_COLLECTION_GROUP !== "boolean") {
+    throw new Error("CONFIG.SOURCE_COLLECTION_GROUP must be boolean.");
+  }
+  const sourceSpec = parseCollectionPattern(SOURCE_COLLECTION, config.SOURCE_COLLECTION_GROUP);
+  validateTemplate(DESTINATION_COLLECTION, sourceSpec, "DESTINATION_COLLECTION");
+  if (typeof SOURCE_PROFILE !== "string" || typeof DESTINATION_PROFILE !== "string") {
+    throw new Error('CONFIG.SOURCE_PROFILE and CONFIG.DESTINATION_PROFILE must be profile names or "".');
+  }
+  const crossProject = SOURCE_PROFILE !== DESTINATION_PROFILE;
+  if (SOURCE_COLLECTION === DESTINATION_COLLECTION && !crossProject) {
+    throw new Error("SOURCE_COLLECTION and DESTINATION_COLLECTION must differ.");
+  }
+  if (!crossProject && mayOverlap(sourceSpec, DESTINATION_COLLECTION)) {
+    throw new Error(
+      `DESTINATION_COLLECTION '${DESTINATION_COLLECTION}' could be read back as part of the source ` +
+        `'${SOURCE_COLLECTION}'; give the destination another collection id or path.`
+    );
+  }
+  if (IS_DESTRUCTIVE && crossProject) {
+    throw new Error("IS_DESTRUCTIVE is not supported across projects; delete the source with a separate run.");
+  }
+  if (typeof INCLUDE_SUBCOLLECTIONS !== "boolean") {
+    throw new Error("CONFIG.INCLUDE_SUBCOLLECTIONS must be boolean.");
+  }
+  if (typeof IS_DESTRUCTIVE !== "boolean") {
+    throw new Error("CONFIG.IS_DESTRUCTIVE must be boolean.");
+  }
+  if (BATCH_SIZE < 1 || BATCH_SIZE > 500) {
+    throw new Error("CONFIG.BATCH_SIZE must be between 1 and 500.");
+  }
+  if (typeof MAX_OPS_PER_SECOND !== "number" || !(MAX_OPS_PER_SECOND >= 0)) {
+    throw new Error("CONFIG.MAX_OPS_PER_SECOND must be a non-negative number (0 = the Firestore rate limit).");
+  }
+  if (typeof DRY_RUN !== "boolean") {
+    throw new Error("CONFIG.DRY_RUN must be boolean.");
+  }
+  if (typeof JOURNAL !== "boolean") {
+    throw new Error("CONFIG.JOURNAL must be boolean.");
+  }
+  if (!Array.isArray(config.WHERE)) {
+    throw new Error("CONFIG.WHERE must be an array.");
+  }
+  if (IS_DESTRUCTIVE && config.WHERE.length) {
+    throw new Error("IS_DESTRUCTIVE deletes the whole source collection; it cannot be combined with WHERE.");
+  }
+  validateFieldMap(config.FIELD_MAP);
+  if (typeof config.TRANSFORM !== "string" && !isPlainObject(config.TRANSFORM)) {
+    throw new Error('CONFIG.TRANSFORM must be a module path, or "" for none.');
+  }
+  if (typeof config.DEST_ID !== "string" && typeof config.DEST_ID !== "function") {
+    throw new Error('CONFIG.DEST_ID must be an id template like "{field}_{id}", or "" to keep source ids.');
+  }
+  if (!Number.isInteger(config.PREVIEW) || config.PREVIEW < 0) {
+    throw new Error("CONFIG.PREVIEW must be a non-negative integer.");
+  }
+  if (typeof config.VERIFY !== "boolean") {
+    throw new Error("CONFIG.VERIFY must be boolean.");
+  }
+  if (typeof config.VERIFY_REPORT !== "string") {
+    throw new Error('CONFIG.VERIFY_REPORT must be a file path, or "" to only log discrepancies.');
+  }
+  if (!ON_CONFLICT_POLICIES.includes(config.ON_CONFLICT)) {
+    throw new Error(`CONFIG.ON_CONFLICT must be one of: ${ON_CONFLICT_POLICIES.join(", ")}.`);
+  }
+  if (typeof config.NEWER_BY !== "string") {
+    throw new Error('CONFIG.NEWER_BY must be a timestamp field path, or "" to compare updateTime.');
+  }
+  if (config.NEWER_BY && config.ON_CONFLICT !== "keep-newer") {
+    throw new Error("CONFIG.NEWER_BY only applies to ON_CONFLICT=keep-newer.");
+  }
+  if (typeof config.REWRITE_REFERENCES !== "boolean") {
+    throw new Error("CONFIG.REWRITE_REFERENCES must be boolean.");
+  }
+  if (config.REWRITE_REFERENCES && config.DEST_ID) {
+    throw new Error("REWRITE_REFERENCES cannot follow DEST_ID: references keep the source doc ids.");
+  }
+  if (!Array.isArray(config.REFERENCE_SCAN) || config.REFERENCE_SCAN.some((c) => typeof c !== "string" || !c)) {
+    throw new Error("CONFIG.REFERENCE_SCAN must be an array of collection paths.");
+  }
+  if (config.REFERENCE_SCAN.length && crossProject) {
+    throw new Error("REFERENCE_SCAN is not supported across projects; the source collection stays where it is.");
+  }
+  // A TRANSFORM module may compute ids with destId(); that is checked once it is loaded.
+  checkDistinctDestinations(sourceSpec, config, typeof config.DEST_ID === "function" || !!config.TRANSFORM);
+  if (IS_DESTRUCTIVE && !["overwrite", "fail"].includes(config.ON_CONFLICT)) {
+    throw new Error(
+      `IS_DESTRUCTIVE needs ON_CONFLICT=overwrite or fail; with '${config.ON_CONFLICT}' the destination ` +
+        "can keep data that differs from the source being deleted."
+    );
+  }
+  validateResumeConfig(config);
+}
+
+/**
+ * Throws when docs from different source collections (a pattern or group) would land on the same
+ * destination doc: neither DESTINATION_COLLECTION nor DEST_ID keeps the captures that tell them apart.
+ * `customIds` = ids come from a function (DEST_ID or the TRANSFORM module's destId), trusted to do it.
+ */
+function checkDistinctDestinations(spec, config, customIds) {
+  if (!spec.multi || customIds) return;
+  const vars = [...templateVars(config.DESTINATION_COLLECTION), ...templateVars(config.DEST_ID || "")];
+  if (distinguishesCollections(spec, vars)) return;
+  const hint = spec.group ? "{parent}" : spec.vars.filter((v) => v !== "parent").map((v) => `{${v}}`).join(", ");
+  throw new Error(
+    `Docs with the same id in different '${spec.pattern}' collections would overwrite each other in ` +
+      `'${config.DESTINATION_COLLECTION}'. Keep ${hint} in DESTINATION_COLLECTION` +
+      (spec.group ? "." : `, or in DEST_ID (e.g. "${hint.split(", ").join("_")}_{id}").`)
+  );
+}
+
+/**
+ * BulkWriter wrapper. Every write is tagged with a `tracker` (one per top-level doc) that
+ * counts its failures; flush() settles everything queued so far. No-op on DRY_RUN.
+ * Retries follow the Firestore limiter settings (retryable errors only).
+ */
+function makeWriter(db, ctx) {
+  if (ctx.config.DRY_RUN) return null;
+  const { config, logger, audit } = ctx;
+  const settings = ctx.limiters.firestore.settings;
+  const rate = config.MAX_OPS_PER_SECOND || settings.ratePerSec;
+  const writer = db.bulkWriter({
+    throttling: rate ? { initialOpsPerSecond: Math.min(500, rate), maxOpsPerSecond: rate } : false,
+  });
+  writer.onWriteError((err) => {
+    if (!isRetryable(err) || err.failedAttempts > settings.retries) return false;
+    logger.warn(`⏳ ${err.operationType} ${err.documentRef.path} failed (${err.code}: ${err.message}); retrying`);
+    return true;
+  });
+
+  let queued = 0;
+  function track(promise, ref, tracker) {
+    queued++;
+    promise.catch((err) => {
+      tracker.failed++;
+      logger.error(`❌ Error writing '${ref.path}':`, err?.message || err);
+      audit.docError(ref.path, err);
+    });
+  }
+
+  return {
+    set(ref, data, tracker, options) {
+      track(options ? writer.set(ref, data, options) : writer.set(ref, data), ref, tracker);
+    },
+    create(ref, data, tracker) {
+      track(writer.create(ref, data), ref, tracker);
+    },
+    delete(ref, tracker) {
+      track(writer.delete(ref), ref, tracker);
+    },
+    /** Flushes once a page worth of writes is queued (keeps large subtrees from piling up). */
+    async flushIfFull() {
+      if (queued >= config.BATCH_SIZE) await this.flush();
+    },
+    async flush() {
+      queued = 0;
+      await writer.flush();
+    },
+    async close() {
+      await writer.close();
+    },
+  };
+}
+
+/** Snapshots of the destination docs of one page (one getAll), for ON_CONFLICT and the journal. */
+async function readDestination(refs) {
+  return refs.length ? refs[0].firestore.getAll(...refs) : [];
+}
+
+/** Millis of a NEWER_BY value: a Timestamp, Date, epoch millis or ISO string; null if none. */
+function toMillis(v) {
+  if (v == null) return null;
+  if (typeof v.toMillis === "function") return v.toMillis();
+  if (v instanceof Date) return v.getTime();
+  if (typeof v === "number") return v;
+  if (typeof v === "string" && !Number.isNaN(Date.parse(v))) return Date.parse(v);
+  return null;
+}
+
+/**
+ * What to do with one doc: "create" when the destination does not exist, otherwise the ON_CONFLICT
+ * policy ("keep-newer" becomes "overwrite" or "skip"). A source without NEWER_BY never wins.
+ */
+function resolveConflict(sourceSnap, data, destSnap, config) {
+  if (!destSnap.exists) return "create";
+  if (config.ON_CONFLICT !== "keep-newer") return config.ON_CONFLICT;
+  const source = config.NEWER_BY ? toMillis(getByPath(data, config.NEWER_BY)) : toMillis(sourceSnap.updateTime);
+  const dest = config.NEWER_BY ? toMillis(getByPath(destSnap.data(), config.NEWER_BY)) : toMillis(destSnap.updateTime);
+  if (source == null) return "skip";
+  return dest == null || source > dest ? "overwrite" : "skip";
+}
+
+/** Applies the ON_CONFLICT decision for one doc: queues its write (journaled first) or records why not. */
+function writeDoc(snap, destSnap, data, writer, ctx, tracker) {
+  const { config, logger } = ctx;
+  const destDocRef = destSnap.ref;
+  const action = resolveConflict(snap, data, destSnap, config);
+  ctx.actions[ACTION_COUNTERS[action]]++;
+
+  if (action === "fail") {
+    tracker.failed++;
+    logger.error(`❌ '${destDocRef.path}' already exists (ON_CONFLICT=fail); not copied.`);
+    ctx.audit.docError(destDocRef.path, new Error("destination already exists"));
+    return;
+  }
+  if (config.DRY_RUN) {
+    const verb = action === "skip" ? "skip (exists)" : action === "merge" ? "merge" : "copy";
+    logger.log(`→ (dry-run) would ${verb}: ${snap.ref.path}  ->  ${destDocRef.path}`);
+    return;
+  }
+  if (action === "skip") return;
+
+  if (ctx.journal) ctx.journal.record(destDocRef.path, destSnap);
+  const out = ctx.mapRef ? mapReferences(data, ctx.mapRef) : data;
+  if (action === "merge") writer.set(destDocRef, out, tracker, { merge: true });
+  else if (config.ON_CONFLICT === "fail") writer.create(destDocRef, out, tracker); // fails if created meanwhile
+  else writer.set(destDocRef, out, tracker);
+}
+
+/**
+ * Copies a document we already hold (`snap`) and, if enabled, its subcollections page by page.
+ * `data` replaces the doc's own data (a reshaped top-level doc); subcollection docs are copied as they are.
+ * `destSnap` is the destination doc as read for the page (read here when omitted).
+ * `ctx` = { config, logger, journal?, limiters, audit, actions, mapRef? }; mapRef rewrites the references
+ * in the data (REWRITE_REFERENCES, and rebasing onto the destination project for cross-project copies).
+ */
+async function copyDocTree(snap, destDocRef, writer, ctx, tracker, data = snap.data(), destSnap = null) {
+  const { config } = ctx;
+  writeDoc(snap, destSnap || (await destDocRef.get()), data, writer, ctx, tracker);
+
+  if (!config.INCLUDE_SUBCOLLECTIONS) return;
+
+  for (const subcol of await snap.ref.listCollections()) {
+    const destSubcolRef = destDocRef.collection(subcol.id);
+    await forEachPage(subcol, config.BATCH_SIZE, null, async (docs) => {
+      const destSnaps = await readDestination(docs.map((d) => destSubcolRef.doc(d.id)));
+      for (const [i, doc] of docs.entries()) {
+        await copyDocTree(doc, destSnaps[i].ref, writer, ctx, tracker, doc.data(), destSnaps[i]);
+      }
+      if (writer) await writer.flushIfFull();
+    });
+  }
+}
+
+/** Deletes a document we already hold and all its descendants, children first. */
+async function deleteDocTree(snap, writer, ctx, tracker) {
+  const { config, logger } = ctx;
+  for (const subcol of await snap.ref.listCollections()) {
+    await forEachPage(subcol, config.BATCH_SIZE, null, async (docs) => {
+      for (const doc of docs) await deleteDocTree(doc, writer, ctx, tracker);
+      if (writer) await writer.flushIfFull();
+    });
+  }
+  if (config.DRY_RUN) {
+    logger.log(`🗑️  (dry-run) would delete: ${snap.ref.path}`);
+  } else {
+    if (ctx.journal) ctx.journal.record(snap.ref.path, snap);
+    writer.delete(snap.ref, tracker);
+  }
+}
+
+/**
+ * Recursively deletes an entire collection (all docs + descendants), page by page. `collectionPath`
+ * may also be a pattern, or with `group` a collection id (lib/collectionPaths.js): every collection it names.
+ * Returns the number of top-level docs removed; throws if any delete failed.
+ */
+async function deleteCollectionRecursive(collectionPath, ctx, { group = false } = {}) {
+  const { db, config, logger } = ctx;
+  logger.log(`🗑️  Recursively deleting source collection '${collectionPath}'...`);
+  const source = collectionSource(db, parseCollectionPattern(collectionPath, group));
+  const writer = makeWriter(db, ctx);
+  const tracker = { failed: 0 };
+  const progress = createProgress({ total: await source.count(source.query), verb: "deleted", logger });
+
+  let processed = 0;
+  await forEachPage(
+    source.query,
+    config.BATCH_SIZE,
+    null,
+    async (docs) => {
+      for (const doc of docs) {
+        processed++;
+        await deleteDocTree(doc, writer, ctx, tracker);
+      }
+      if (writer) await writer.flush();
+      if (!config.DRY_RUN) progress.update(processed);
+    },
+    source.pageOptions
+  );
+  if (writer) await writer.close();
+
+  if (processed === 0) {
+    logger.log("ℹ️  Source collection is already empty.");
+    return 0;
+  }
+  if (tracker.failed) {
+    throw new Error(`${tracker.failed} delete(s) failed while removing '${collectionPath}'; see the errors above.`);
+  }
+  if (config.DRY_RUN) {
+    logger.log(`✅ (dry-run) Delete summary: would remove ${processed} top-level docs and all descendants.`);
+  } else {
+    logger.log(`✅ Finished deleting '${collectionPath}'. Removed ${processed} top-level docs and all descendants.`);
+  }
+  return processed;
+}
+
+/** "qty (expected 2, got 3)" for one verification diff. */
+function describeDiff(d) {
+  const show = (v) => (v === undefined ? "absent" : JSON.stringify(v));
+  return `${d.field} (expected ${show(d.expected)}, got ${show(d.actual)})`;
+}
+
+/**
+ * Verifies the finished copy (see lib/verify.js): logs the first discrepancies, audits the blocking
+ * ones (missing/different) and writes all of them to VERIFY_REPORT. Extra destination docs are
+ * reported but do not make the copy unclean; they were not written by this run.
+ * `source` is from collectionSource(); a templated destination (destRef null) places docs with `destDoc`.
+ */
+async function verifyDestination(ctx, { source, query, destRef, destDoc, mapDoc, remapped, renamesIds, rewrite, total }) {
+  const { config, logger, audit } = ctx;
+  logger.log(`🔍 Verifying '${config.DESTINATION_COLLECTION}' against '${config.SOURCE_COLLECTION}'...`);
+
+  const report = config.VERIFY_REPORT ? path.resolve(config.VERIFY_REPORT) : null;
+  if (report) {
+    fs.mkdirSync(path.dirname(report), { recursive: true });
+    const header = {
+      verify: 1,
+      source: config.SOURCE_COLLECTION,
+      destination: config.DESTINATION_COLLECTION,
+      createdAt: new Date().toISOString(),
+    };
+    fs.writeFileSync(report, JSON.stringify(header) + "\n");
+  }
+  const progress = createProgress({ total, verb: "verified", logger });
+  let logged = 0;
+
+  const counts = await verifyCopy(source.query, destRef, {
+    pageSize: config.BATCH_SIZE,
+    query,
+    pageOptions: source.pageOptions,
+    includeSubcollections: config.INCLUDE_SUBCOLLECTIONS,
+    remapped,
+    renamesIds,
+    // docs whose transform (or destination) failed were already counted as copy errors
+    mapDoc: (snap) => mapDoc(snap).catch(() => null),
+    destDoc,
+    expect: rewrite ? (data) => mapReferences(data, rewrite) : undefined,
+    onProgress: (checked) => progress.update(checked),
+    onDiscrepancy(d) {
+      if (report) fs.appendFileSync(report, JSON.stringify(d) + "\n");
+      if (d.kind !== "extra") audit.docError(d.destination, new Error(`verification: ${d.kind}`));
+      if (logged++ >= VERIFY_LOG_LIMIT) return;
+      if (d.kind === "missing") logger.warn(`   missing   ${d.destination} (from ${d.source})`);
+      if (d.kind === "extra") logger.warn(`   extra     ${d.destination}`);
+      if (d.kind === "different") {
+        const shown = d.diffs.slice(0, 5).map(describeDiff).join("; ");
+        logger.warn(`   different ${d.destination}: ${shown}${d.diffs.length > 5 ? `; +${d.diffs.length - 5} more` : ""}`);
+      }
+    },
+  });
+
+  const verification = { ...counts, clean: counts.missing === 0 && counts.different === 0 };
+  if (report) verification.report = report;
+  if (verification.clean) {
+    logger.log(`✅ Verified ${counts.checked} doc(s): the destination matches the source.`);
+  } else {
+    logger.warn(
+      `❌ Verification of ${counts.checked} doc(s) found ${counts.missing} missing and ${counts.different} different.`
+    );
+  }
+  if (counts.extra) logger.log(`ℹ️  ${counts.extra} destination doc(s) have no source doc (not written by this run).`);
+  if (renamesIds) logger.log("ℹ️  Destination ids differ from source ids, so extra destination docs were not looked for.");
+  if (logged > VERIFY_LOG_LIMIT) {
+    logger.log(`   …${logged - VERIFY_LOG_LIMIT} more discrepancies${report ? "" : " (set VERIFY_REPORT to list them all)"}.`);
+  }
+  if (report && logged) logger.log(`📄 Verification report: ${report}`);
+  return verification;
+}
+
+/**
+ * Main copy routine.
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ db: FirebaseFirestore.Firestore, logger?: Console, openProfile?: (name: string) => object }} [deps]
+ *   defaults to ../../firebaseAdmin; openProfile (default: lib/apps.js) opens SOURCE_/DESTINATION_PROFILE
+ * @returns {Promise<{ processed: number, copied: number, skipped: number, errors: number, deleted: number,
+ *   actions: { created, overwritten, merged, skipped, failed }, dryRun: boolean,
+ *   verification?: { checked, missing, different, extra, clean, report? },
+ *   referenceScan?: { scanned, updated, references }, runId?: string }>}
+ *   processed/copied/skipped/errors count top-level docs; skipped = dropped by TRANSFORM;
+ *   actions counts every doc (subcollections included) by its ON_CONFLICT outcome; verification is set
+ *   when VERIFY (or IS_DESTRUCTIVE) ran one, referenceScan when REFERENCE_SCAN ran;
+ *   runId is set when a journal was written
+ */
+async function copyCollection(options, deps) {
+  let config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+
+  deps = deps || require("../../firebaseAdmin");
+  const { limiters } = withLimits(deps);
+  const logger = deps.logger || console;
+  const audit = deps.audit || noopAudit;
+  const checkpoint =
+    (config.CHECKPOINT && !config.DRY_RUN) || config.RESUME
+      ? openCheckpoint({ op: "copyCollection", command: "copy-collection", config, resume: config.RESUME }, deps)
+      : null;
+  if (checkpoint && checkpoint.resumed) {
+    config = { ...DEFAULTS, ...checkpoint.config, RESUME: config.RESUME };
+    validateConfig(config);
+  }
+  const state = checkpoint && checkpoint.state; // null unless resuming a run that got somewhere
+
+  const openProfile = deps.openProfile || openProfileApp;
+  const source = config.SOURCE_PROFILE ? openProfile(config.SOURCE_PROFILE) : deps;
+  const dest = config.DESTINATION_PROFILE ? openProfile(config.DESTINATION_PROFILE) : deps;
+  const sourceProject = (source.profile || {}).projectId;
+  const destProject = (dest.profile || {}).projectId;
+  const crossProject = source.db !== dest.db;
+  const sameProject = !crossProject || (!!sourceProject && sourceProject === destProject);
+  if (sameProject && config.SOURCE_COLLECTION === config.DESTINATION_COLLECTION) {
+    throw new Error(`Both sides are project '${sourceProject}'; SOURCE_COLLECTION and DESTINATION_COLLECTION must differ.`);
+  }
+  const db = source.db;
+  const destDb = dest.db;
+
+  // Before-images are of destination docs, so the journal belongs to the destination project.
+  const journal =
+    config.JOURNAL && !config.DRY_RUN
+      ? openJournal({ op: "copyCollection" }, { ...deps, db: destDb, bucket: dest.bucket, profile: dest.profile })
+      : null;
+  const rewrite = config.REWRITE_REFERENCES
+    ? referenceRewriter(config.SOURCE_COLLECTION, config.DESTINATION_COLLECTION, { group: config.SOURCE_COLLECTION_GROUP })
+    : null;
+  // References in copied docs move to the destination collection (REWRITE_REFERENCES) and, for
+  // cross-project copies, onto the destination project.
+  let mapRef = null;
+  if (rewrite || crossProject) {
+    mapRef = (ref) => {
+      const moved = rewrite ? rewrite(ref) : ref;
+      return crossProject ? destDb.doc(moved.path) : moved;
+    };
+  }
+  const ctx = { db, config, logger, journal, limiters, audit, mapRef };
+
+  logger.log(
+    "CONFIG:",
+    JSON.stringify(
+      {
+        SOURCE_COLLECTION: config.SOURCE_COLLECTION,
+        DESTINATION_COLLECTION: config.DESTINATION_COLLECTION,
+        SOURCE_COLLECTION_GROUP: config.SOURCE_COLLECTION_GROUP,
+        INCLUDE_SUBCOLLECTIONS: config.INCLUDE_SUBCOLLECTIONS,
+        IS_DESTRUCTIVE: config.IS_DESTRUCTIVE,
+        BATCH_SIZE: config.BATCH_SIZE,
+        MAX_OPS_PER_SECOND: config.MAX_OPS_PER_SECOND,
+        DRY_RUN: config.DRY_RUN,
+        JOURNAL: config.JOURNAL,
+        CHECKPOINT: config.CHECKPOINT,
+        RESUME: config.RESUME,
+        SOURCE_PROFILE: config.SOURCE_PROFILE,
+        DESTINATION_PROFILE: config.DESTINATION_PROFILE,
+        WHERE: config.WHERE,
+        FIELD_MAP: config.FIELD_MAP,
+        TRANSFORM: typeof config.TRANSFORM === "string" ? config.TRANSFORM : "(module)",
+        DEST_ID: typeof config.DEST_ID === "string" ? config.DEST_ID : "(function)",
+        VERIFY: config.VERIFY,
+        VERIFY_REPORT: config.VERIFY_REPORT,
+        ON_CONFLICT: config.ON_CONFLICT,
+        NEWER_BY: config.NEWER_BY,
+        REWRITE_REFERENCES: config.REWRITE_REFERENCES,
+        REFERENCE_SCAN: config.REFERENCE_SCAN,
+      },
+      null,
+      2
+    )
+  );
+
+  const transformDoc = buildDocTransform(config);
+  if (rewrite && transformDoc && transformDoc.remapsIds) {
+    throw new Error("REWRITE_REFERENCES cannot follow the TRANSFORM module's destId(): references keep the source doc ids.");
+  }
+  const sourceSpec = parseCollectionPattern(config.SOURCE_COLLECTION, config.SOURCE_COLLECTION_GROUP);
+  checkDistinctDestinations(sourceSpec, config, typeof config.DEST_ID === "function" || !!(transformDoc && transformDoc.remapsIds));
+  const result = {
+    processed: 0,
+    copied: 0,
+    skipped: 0,
+    errors: 0,
+    deleted: 0,
+    ...(state && state.counters),
+    actions: { created: 0, overwritten: 0, merged: 0, skipped: 0, failed: 0, ...(state && state.counters.actions) },
+    dryRun: config.DRY_RUN,
+  };
+  ctx.actions = result.actions;
+
+  if (checkpoint && checkpoint.resumed) {
+    logger.log(
+      state
+        ? `♻️  Resuming run ${checkpoint.runId} after doc '${state.cursor.lastDocPath || state.cursor.lastDocId}' ` +
+            `(${result.processed} processed so far).`
+        : `♻️  Resuming run ${checkpoint.runId} from the start (it crashed before its first page).`
+    );
+  } else {
+    logger.log(
+      crossProject
+        ? `🚀 Starting copy from ${sourceProject}:'${config.SOURCE_COLLECTION}' → ` +
+            `${destProject}:'${config.DESTINATION_COLLECTION}'...`
+        : `🚀 Starting copy from '${config.SOURCE_COLLECTION}' → '${config.DESTINATION_COLLECTION}'...`
+    );
+    if (checkpoint) logger.log(`💾 Checkpointing progress. If interrupted, resume with: ${checkpoint.hint()}`);
+  }
+
+  const where = config.WHERE.map((c) => (Array.isArray(c) && c.length === 3 ? [c[0], c[1], decodeValue(c[2], db)] : c));
+  const sourceSet = collectionSource(db, sourceSpec);
+  const sourceRef = applyWhere(sourceSet.query, where);
+  // A templated destination is one collection per source collection, filled from the source doc's path.
+  const destRef = templateVars(config.DESTINATION_COLLECTION).length ? null : destDb.collection(config.DESTINATION_COLLECTION);
+  const pathVars = (doc) => (sourceSpec.multi ? matchCollectionPath(sourceSpec, doc.ref.parent.path) : {});
+  const destDocFor = (doc, id) =>
+    (destRef || destDb.collection(fillTemplate(config.DESTINATION_COLLECTION, pathVars(doc)))).doc(id);
+  const copying = !(state && state.phase === "delete");
+  const total = copying ? await sourceSet.count(sourceRef) : result.processed;
+  if (total != null) {
+    logger.log(`📊 Found ${total} document(s) in '${config.SOURCE_COLLECTION}'${where.length ? " matching WHERE" : ""}.`);
+  }
+
+  if (total === 0 && !state) {
+    logger.log("✅ Source collection is empty. Nothing to copy.");
+    if (checkpoint) checkpoint.finish({ phase: "done", cursor: null, counters: result });
+    return result;
+  }
+
+  let cursor = state && state.cursor;
+  const counters = () => ({
+    processed: result.processed,
+    copied: result.copied,
+    skipped: result.skipped,
+    errors: result.errors,
+    actions: { ...result.actions },
+  });
+  let previewed = 0;
+
+  /** Reshapes and places one source doc: { id, data, ref } to write, null when TRANSFORM skips it. */
+  async function mapDoc(doc) {
+    if (!transformDoc) return { id: doc.id, data: doc.data(), ref: destDocFor(doc, doc.id) };
+    const mapped = await transformDoc(doc, pathVars(doc));
+    if (mapped) mapped.ref = destDocFor(doc, mapped.id);
+    if (config.DRY_RUN && previewed < config.PREVIEW) {
+      previewed++;
+      logger.log(`🔎 (dry-run) ${doc.ref.path}`);
+      logger.log(`   before: ${JSON.stringify(encodeValue(doc.data()))}`);
+      logger.log(
+        mapped
+          ? `   after:  ${mapped.ref.path} ${JSON.stringify(encodeValue(mapped.data))}`
+          : "   after:  (skipped by TRANSFORM)"
+      );
+    }
+    return mapped;
+  }
+
+  try {
+    const writer = makeWriter(destDb, ctx);
+    const progress = createProgress({ total, done: result.processed, logger });
+
+    // Doc ids (doc paths for a pattern or group) are the page and resume cursor, so a resumed run
+    // reads only what is left after it.
+    if (copying) {
+      const after = cursor && (cursor.lastDocPath || cursor.lastDocId);
+      await forEachPage(sourceRef, config.BATCH_SIZE, after, async (docs) => {
+        const trackers = [];
+        const planned = [];
+        for (const doc of docs) {
+          const tracker = { failed: 0, skipped: false };
+          trackers.push(tracker);
+          try {
+            const mapped = await mapDoc(doc);
+            if (mapped) planned.push({ doc, mapped, tracker });
+            else tracker.skipped = true;
+          } catch (err) {
+            logger.error(`❌ Error transforming doc '${sourceSpec.multi ? doc.ref.path : doc.id}':`, err?.message || err);
+            audit.docError(doc.ref.path, err);
+            tracker.failed++;
+          }
+        }
+        const destSnaps = await readDestination(planned.map((p) => p.mapped.ref));
+
+        for (const [i, { doc, mapped, tracker }] of planned.entries()) {
+          try {
+            await copyDocTree(doc, destSnaps[i].ref, writer, ctx, tracker, mapped.data, destSnaps[i]);
+          } catch (err) {
+            // a read failed (listCollections, a subcollection page); write failures land in the tracker
+            logger.error(`❌ Error copying doc '${sourceSpec.multi ? doc.ref.path : doc.id}':`, err?.message || err);
+            audit.docError(doc.ref.path, err);
+            tracker.failed++;
+          }
+        }
+        if (writer) await writer.flush();
+
+        // Everything up to the last doc of the page is settled now: count it, then checkpoint it.
+        for (const tracker of trackers) {
+          result.processed++;
+          if (tracker.failed) result.errors++;
+          else if (tracker.skipped) result.skipped++;
+          else result.copied++;
+        }
+        const lastDoc = docs[docs.length - 1];
+        cursor = sourceSpec.multi ? { lastDocPath: lastDoc.ref.path } : { lastDocId: lastDoc.id };
+        if (checkpoint) checkpoint.save({ phase: "copy", cursor, counters: counters() });
+        progress.update(result.processed);
+      }, sourceSet.pageOptions);
+    }
+    if (writer) await writer.close();
+    progress.update(result.processed, true);
+
+    logger.log("\n📊 Copy Summary:");
+    logger.log(`   Total docs processed: ${result.processed}`);
+    logger.log(`   Successfully copied:  ${result.copied}`);
+    if (transformDoc) logger.log(`   Skipped (TRANSFORM):  ${result.skipped}`);
+    logger.log(`   Errors:               ${result.errors}`);
+    const perDoc = Object.entries(result.actions).filter(([, n]) => n > 0);
+    if (perDoc.length) {
+      logger.log(`   Per document:         ${perDoc.map(([k, n]) => `${n} ${k}`).join(", ")} (ON_CONFLICT=${config.ON_CONFLICT})`);
+    }
+    if (config.DRY_RUN) logger.log("   Mode:                 DRY_RUN (no writes/deletes performed)");
+
+    // IS_DESTRUCTIVE verifies whenever the delete could go ahead. A run resumed in its delete
+    // phase was verified before it started deleting.
+    const mayDelete = config.IS_DESTRUCTIVE && result.errors === 0 && result.skipped === 0;
+    if (copying && !config.DRY_RUN && result.processed > 0 && (config.VERIFY || mayDelete)) {
+      result.verification = await verifyDestination(ctx, {
+        source: sourceSet,
+        query: sourceRef,
+        destRef,
+        destDoc: (snap, mapped) => mapped.ref,
+        mapDoc,
+        remapped: !!transformDoc || where.length > 0 || sourceSpec.multi,
+        renamesIds: !!(transformDoc && transformDoc.remapsIds),
+        rewrite,
+        total,
+      });
+    }
+
+    // References elsewhere follow the move once the copy is known to be complete, and before the
+    // source is deleted. A dry run only lists them.
+    const complete = result.errors === 0 && result.skipped === 0 && (!result.verification || result.verification.clean);
+    if (copying && config.REFERENCE_SCAN.length && result.processed > 0 && complete) {
+      result.referenceScan = await scanReferences(ctx, {
+        from: config.SOURCE_COLLECTION,
+        to: config.DESTINATION_COLLECTION,
+        group: config.SOURCE_COLLECTION_GROUP,
+        collections: config.REFERENCE_SCAN,
+        batchSize: config.BATCH_SIZE,
+        dryRun: config.DRY_RUN,
+      });
+    } else if (copying && config.REFERENCE_SCAN.length && result.processed > 0) {
+      logger.log("⚠️ The copy is incomplete; references in REFERENCE_SCAN were NOT rewritten.");
+    }
+
+    if (!config.DRY_RUN && result.errors === 0 && result.processed > 0) {
+      logger.log(
+        `🎉 Copy completed successfully: '${config.SOURCE_COLLECTION}' → '${config.DESTINATION_COLLECTION}'.`
+      );
+      if (config.IS_DESTRUCTIVE && result.skipped > 0) {
+        logger.log(`⚠️ ${result.skipped} doc(s) were skipped by TRANSFORM. Source will NOT be deleted.`);
+      } else if (config.IS_DESTRUCTIVE && result.verification && !result.verification.clean) {
+        logger.log("⚠️ Verification failed. Source will NOT be deleted.");
+      } else if (config.IS_DESTRUCTIVE) {
+        if (checkpoint) checkpoint.save({ phase: "delete", cursor, counters: counters() });
+        result.deleted = await deleteCollectionRecursive(config.SOURCE_COLLECTION, ctx, {
+          group: config.SOURCE_COLLECTION_GROUP,
+        });
+      }
+    } else if (result.errors > 0) {
+      logger.log(`⚠️ Copy completed with ${result.errors} error(s). Source will NOT be deleted.`);
+    } else if (!config.DRY_RUN) {
+      logger.log("ℹ️ No documents were copied.");
+    }
+    if (checkpoint) checkpoint.finish({ phase: "done", cursor: null, counters: result });
+  } catch (err) {
+    if (checkpoint) logger.error(`💾 Progress is checkpointed. Resume with: ${checkpoint.hint()}`);
+    throw err;
+  } finally {
+    if (journal) await journal.close();
+  }
+
+  if (journal && journal.count > 0) {
+    result.runId = journal.runId;
+    logger.log(`↩️  Journaled ${journal.count} before-image(s). Undo with: alce-admin undo ${journal.runId}`);
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULTS,
+  validateConfig,
+  copyCollection: audited("copyCollection", DEFAULTS, copyCollection),
+  forEachPage,
+  copyDocTree,
+  deleteDocTree,
+  deleteCollectionRecursive,
+};
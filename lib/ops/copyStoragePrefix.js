@@ -0,0 +1,433 @@
+// lib/ops/copyStoragePrefix.js
+// Copy all Cloud Storage objects from FROM_PREFIX to TO_PREFIX, within a bucket or across buckets.
+// With IS_DESTRUCTIVE it moves them: each source object is deleted only after the destination's
+// checksum (CRC32C, else MD5) has been read back and matches the source's.
+// Objects are listed page by page and copied CONCURRENCY at a time; with SKIP_IF_EXISTS the
+// destination is listed once up front instead of asking exists() for every object.
+// Copies keep the source's metadata, Firebase download token included, unless DOWNLOAD_TOKENS /
+// CONTENT_TYPE / CACHE_CONTROL / CUSTOM_METADATA say otherwise. URL_FIELDS then points the Storage
+// paths and URLs saved in Firestore at the copies (see lib/ops/rewriteStorageUrls.js); a move with
+// URL_FIELDS deletes its sources only after that rewrite, so saved URLs never point at nothing.
+const crypto = require("crypto");
+const { audited, noopAudit } = require("../audit");
+const { openJournal } = require("../journal");
+const { withLimits } = require("../limiter");
+const { createPool } = require("../pool");
+const { createProgress } = require("../progress");
+const { bucketByName } = require("../storageUrls");
+const { destinationResolver, scanStorageUrls, validateUrlFields } = require("./rewriteStorageUrls");
+
+/**
+ * Config keys
+ * - FROM_PREFIX: source prefix to copy from
+ * - TO_PREFIX:   destination prefix to copy to
+ * - SOURCE_BUCKET: bucket to copy from ("" = the project's default bucket)
+ * - DESTINATION_BUCKET: bucket to copy to ("" = the project's default bucket)
+ * - IS_DESTRUCTIVE: true = move: delete each source object once its copy's checksum matches
+ * - DRY_RUN:     true = log what would be done without copying
+ * - SKIP_IF_EXISTS: if true, don't overwrite destination objects that already exist
+ *     (with IS_DESTRUCTIVE, a source whose existing copy matches is still deleted, so a rerun finishes a move)
+ * - CONCURRENCY: objects copied at once (Storage calls are still capped by the storage limits, see lib/limiter.js)
+ * - PAGE_SIZE: objects listed per page (≤ 1000)
+ * - DOWNLOAD_TOKENS: "preserve" = copies keep the source's firebaseStorageDownloadTokens (old URLs' tokens
+ *     work on the new path); "regenerate" = every copy gets a new token (old tokens stop working on it)
+ * - CONTENT_TYPE / CACHE_CONTROL: set on every copy ("" = keep the source's)
+ * - CUSTOM_METADATA: custom metadata merged into every copy's, e.g. { "migratedFrom": "accommodationItems" } (null removes a key)
+ * - URL_FIELDS: { collection: [fieldPaths] } whose Storage paths/URLs are pointed at the copies afterwards,
+ *     e.g. { "accommodations": ["photos", "cover.url"] } ({} = leave Firestore alone); with IS_DESTRUCTIVE
+ *     the sources are deleted only once the rewrite has committed
+ * - JOURNAL: record before-images of the docs URL_FIELDS updates (for `alce-admin undo <runId>`)
+ * - SAMPLE_PEEK: number of objects to list when showing a peek (used on empty results)
+ */
+const DEFAULTS = {
+  FROM_PREFIX: "",
+  TO_PREFIX: "",
+  SOURCE_BUCKET: "",
+  DESTINATION_BUCKET: "",
+  IS_DESTRUCTIVE: false,
+  DRY_RUN: false,
+  SKIP_IF_EXISTS: false,
+  CONCURRENCY: 8,
+  PAGE_SIZE: 1000,
+  DOWNLOAD_TOKENS: "preserve",
+  CONTENT_TYPE: "",
+  CACHE_CONTROL: "",
+  CUSTOM_METADATA: {},
+  URL_FIELDS: {},
+  JOURNAL: true,
+  SAMPLE_PEEK: 200,
+};
+
+const TOKEN_MODES = ["preserve", "regenerate"];
+const URL_BATCH_SIZE = 400;
+
+const normalizePrefix = (p) => (p.endsWith("/") ? p : p + "/");
+
+function validateConfig(config) {
+  const { FROM_PREFIX, TO_PREFIX, SOURCE_BUCKET, DESTINATION_BUCKET, IS_DESTRUCTIVE, DRY_RUN, SKIP_IF_EXISTS, SAMPLE_PEEK } = config;
+
+  if (!FROM_PREFIX || typeof FROM_PREFIX !== "string") {
+    throw new Error("CONFIG.FROM_PREFIX must be a non-empty string.");
+  }
+  if (!TO_PREFIX || typeof TO_PREFIX !== "string") {
+    throw new Error("CONFIG.TO_PREFIX must be a non-empty string.");
+  }
+  if (typeof SOURCE_BUCKET !== "string" || typeof DESTINATION_BUCKET !== "string") {
+    throw new Error('CONFIG.SOURCE_BUCKET and CONFIG.DESTINATION_BUCKET must be bucket names, or "" for the default bucket.');
+  }
+  if (SOURCE_BUCKET === DESTINATION_BUCKET && normalizePrefix(FROM_PREFIX) === normalizePrefix(TO_PREFIX)) {
+    throw new Error("FROM_PREFIX and TO_PREFIX cannot be identical in the same bucket.");
+  }
+  if (typeof IS_DESTRUCTIVE !== "boolean") {
+    throw new Error("CONFIG.IS_DESTRUCTIVE must be boolean.");
+  }
+  if (typeof DRY_RUN !== "boolean") {
+    throw new Error("CONFIG.DRY_RUN must be boolean.");
+  }
+  if (typeof SKIP_IF_EXISTS !== "boolean") {
+    throw new Error("CONFIG.SKIP_IF_EXISTS must be boolean.");
+  }
+  if (!Number.isInteger(config.CONCURRENCY) || config.CONCURRENCY < 1) {
+    throw new Error("CONFIG.CONCURRENCY must be a positive integer.");
+  }
+  if (!Number.isInteger(config.PAGE_SIZE) || config.PAGE_SIZE < 1 || config.PAGE_SIZE > 1000) {
+    throw new Error("CONFIG.PAGE_SIZE must be between 1 and 1000 (the most Cloud Storage lists per page).");
+  }
+  if (!TOKEN_MODES.includes(config.DOWNLOAD_TOKENS)) {
+    throw new Error(`CONFIG.DOWNLOAD_TOKENS must be one of: ${TOKEN_MODES.join(", ")}.`);
+  }
+  if (typeof config.CONTENT_TYPE !== "string" || typeof config.CACHE_CONTROL !== "string") {
+    throw new Error('CONFIG.CONTENT_TYPE and CONFIG.CACHE_CONTROL must be strings ("" = keep the source\'s).');
+  }
+  const custom = config.CUSTOM_METADATA;
+  if (!custom || typeof custom !== "object" || Array.isArray(custom) || Object.values(custom).some((v) => v !== null && typeof v !== "string")) {
+    throw new Error("CONFIG.CUSTOM_METADATA must be an object of string (or null) values.");
+  }
+  validateUrlFields(config.URL_FIELDS, false);
+  if (typeof config.JOURNAL !== "boolean") {
+    throw new Error("CONFIG.JOURNAL must be boolean.");
+  }
+  if (!Number.isInteger(SAMPLE_PEEK) || SAMPLE_PEEK <= 0) {
+    throw new Error("CONFIG.SAMPLE_PEEK must be a positive integer.");
+  }
+}
+
+async function peekBucket(bucket, sample, logger = console) {
+  const [files] = await bucket.getFiles({ maxResults: sample });
+  logger.log(`\n👀 Peek (${files.length} sample objects):`);
+  files.forEach((f) => logger.log(" -", f.name));
+  // Show "top-level folders" (first segment before '/')
+  const tops = new Set(
+    files
+      .map((f) => f.name.split("/")[0])
+      .filter((s) => s && !s.includes("."))
+  );
+  if (tops.size) {
+    logger.log("\n📂 Top-level prefixes seen:");
+    [...tops].slice(0, 50).forEach((t) => logger.log(" •", t + "/"));
+    if (tops.size > 50) logger.log(" • ...");
+  }
+  logger.log();
+  return [...tops].map((t) => t + "/");
+}
+
+/** Lists the objects under `prefix` one page at a time; `onPage(files)` may be async. */
+async function forEachObjectPage(bucket, prefix, pageSize, limiters, onPage) {
+  let query = { prefix, maxResults: pageSize, autoPaginate: false };
+  while (query) {
+    const q = query;
+    const [files, next] = await limiters.storage.run(() => bucket.getFiles(q), "storage.getFiles");
+    await onPage(files);
+    query = next || null;
+  }
+}
+
+/**
+ * The setMetadata() patch for a copy, or null when the copy keeps the source's metadata as is.
+ * `token` is the copy's new download token with DOWNLOAD_TOKENS "regenerate".
+ */
+function metadataPatch(config, token) {
+  const patch = {};
+  if (config.CONTENT_TYPE) patch.contentType = config.CONTENT_TYPE;
+  if (config.CACHE_CONTROL) patch.cacheControl = config.CACHE_CONTROL;
+  const custom = { ...config.CUSTOM_METADATA };
+  if (token) custom.firebaseStorageDownloadTokens = token;
+  if (Object.keys(custom).length) patch.metadata = custom;
+  return Object.keys(patch).length ? patch : null;
+}
+
+/**
+ * Whether two objects' metadata have the same contents: by CRC32C when both have one (every GCS
+ * object does), else by MD5 (composite objects have none). Returns the checksum used, or a reason.
+ * @returns {{ match: boolean, by: string|null, reason?: string }}
+ */
+function compareChecksums(source, dest) {
+  if (source.size != null && dest.size != null && String(source.size) !== String(dest.size)) {
+    return { match: false, by: "size", reason: `size ${source.size} ≠ ${dest.size}` };
+  }
+  for (const key of ["crc32c", "md5Hash"]) {
+    if (source[key] && dest[key]) {
+      return source[key] === dest[key]
+        ? { match: true, by: key }
+        : { match: false, by: key, reason: `${key} ${source[key]} ≠ ${dest[key]}` };
+    }
+  }
+  return { match: false, by: null, reason: "no checksum to compare" };
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ bucket: import("@google-cloud/storage").Bucket, db?, logger?: Console }} [deps]  defaults to ../../firebaseAdmin
+ *   (SOURCE_BUCKET / DESTINATION_BUCKET are opened through bucket.storage; db is needed for URL_FIELDS)
+ * @returns {Promise<{ listed: number, copied: number, deleted: number, skipped: number, errors: number, dryRun: boolean,
+ *   urlRewrite?: { scanned: number, updated: number, urls: number, missing: number }, runId?: string }>}
+ *   urlRewrite is set when URL_FIELDS ran; runId when its journal was written
+ */
+async function copyStoragePrefix(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+
+  deps = deps || require("../../firebaseAdmin");
+  const { bucket: defaultBucket, db, limiters } = withLimits(deps);
+  const bucket = bucketByName(defaultBucket, config.SOURCE_BUCKET);
+  const destBucket = bucketByName(defaultBucket, config.DESTINATION_BUCKET);
+  const move = config.IS_DESTRUCTIVE;
+  const logger = deps.logger || console;
+  const audit = deps.audit || noopAudit;
+
+  const from = normalizePrefix(config.FROM_PREFIX);
+  const to = normalizePrefix(config.TO_PREFIX);
+  // validateConfig only sees names as given: "" and the default bucket's name are the same bucket.
+  const sameBucket = destBucket.name === bucket.name;
+  if (sameBucket && from === to) {
+    throw new Error("FROM_PREFIX and TO_PREFIX cannot be identical in the same bucket.");
+  }
+
+  logger.log(
+    "CONFIG:",
+    JSON.stringify(
+      {
+        SOURCE_BUCKET: bucket.name,
+        DESTINATION_BUCKET: destBucket.name,
+        FROM_PREFIX: from,
+        TO_PREFIX: to,
+        IS_DESTRUCTIVE: move,
+        DRY_RUN: config.DRY_RUN,
+        SKIP_IF_EXISTS: config.SKIP_IF_EXISTS,
+        CONCURRENCY: config.CONCURRENCY,
+        PAGE_SIZE: config.PAGE_SIZE,
+        DOWNLOAD_TOKENS: config.DOWNLOAD_TOKENS,
+        CONTENT_TYPE: config.CONTENT_TYPE,
+        CACHE_CONTROL: config.CACHE_CONTROL,
+        CUSTOM_METADATA: config.CUSTOM_METADATA,
+        URL_FIELDS: config.URL_FIELDS,
+        SAMPLE_PEEK: config.SAMPLE_PEEK,
+      },
+      null,
+      2
+    )
+  );
+
+  const result = { listed: 0, copied: 0, deleted: 0, skipped: 0, errors: 0, dryRun: config.DRY_RUN };
+
+  // One listing of the destination decides every skip, instead of an exists() call per object.
+  let existing = null;
+  if (config.SKIP_IF_EXISTS) {
+    logger.log(`📄 Listing existing objects under 'gs://${destBucket.name}/${to}'…`);
+    existing = new Map();
+    await forEachObjectPage(destBucket, to, config.PAGE_SIZE, limiters, (files) => {
+      for (const f of files) existing.set(f.name, f.metadata);
+    });
+    logger.log(`📊 ${existing.size} object(s) already there`);
+  }
+
+  // TO_PREFIX inside FROM_PREFIX (img/ -> img/thumbs/): later pages would list this run's own copies.
+  const ownCopies = sameBucket && to.startsWith(from);
+
+  /** Source metadata from the listing (checksums, size, generation), fetched only if it lacks a checksum. */
+  const sourceMeta = async (file) =>
+    file.metadata && (file.metadata.crc32c || file.metadata.md5Hash)
+      ? file.metadata
+      : (await limiters.storage.run(() => file.getMetadata(), "storage.getMetadata"))[0];
+  // The generation precondition keeps a source that was overwritten after it was listed.
+  const deleteSource = async (file, srcMeta) => {
+    const options = srcMeta.generation ? { ifGenerationMatch: srcMeta.generation } : {};
+    await limiters.storage.run(() => file.delete(options), "storage.delete");
+    result.deleted++;
+  };
+
+  const regenerate = config.DOWNLOAD_TOKENS === "regenerate";
+  // Source names whose copy failed or differs: URL_FIELDS keep pointing at the source for these.
+  // Only problems are kept; everything else is looked up at the destination page by page.
+  const urlFields = Object.keys(config.URL_FIELDS).length ? config.URL_FIELDS : null;
+  const deferDeletes = move && !!urlFields;
+  const unverified = new Set();
+  const keepUrls = (file) => {
+    if (urlFields) unverified.add(file.name);
+  };
+
+  /**
+   * Resolves one Firestore page's source names to their copies (minus the unverified ones). A dry
+   * run has no copies yet, so it looks the sources up and points at where they would be copied.
+   */
+  const copyResolver = () => {
+    const lookup = config.DRY_RUN ? destinationResolver(bucket, from, from, limiters) : destinationResolver(destBucket, from, to, limiters);
+    return async (names) => {
+      const found = await lookup(names.filter((n) => !unverified.has(n)));
+      if (!config.DRY_RUN) return found;
+      const planned = (n, r) => r && { bucket: destBucket.name, name: to + n.slice(from.length), token: regenerate ? null : r.token };
+      return new Map([...found].map(([n, r]) => [n, planned(n, r)]));
+    };
+  };
+
+  const progress = createProgress({ verb: "processed", label: "objects", bytes: true, logger });
+  let processed = 0;
+
+  const processObject = async (file, destName) => {
+    const destFile = destBucket.file(destName);
+    const label = `${file.name} -> ${sameBucket ? "" : `gs://${destBucket.name}/`}${destName}`;
+    try {
+      if (existing && existing.has(destName)) {
+        result.skipped++;
+        if (!move) {
+          if (!compareChecksums(file.metadata || {}, existing.get(destName)).match) keepUrls(file);
+          return;
+        }
+        // Copied by an earlier run: finish the move if it matches, else leave both alone.
+        const srcMeta = await sourceMeta(file);
+        const check = compareChecksums(srcMeta, existing.get(destName));
+        if (!check.match) {
+          keepUrls(file);
+          logger.log(`⏭️  Skip (exists, differs: ${check.reason}; source kept): ${destName}`);
+        } else if (config.DRY_RUN) {
+          logger.log(`→ (dry-run) would delete (already copied, ${check.by} matches): ${file.name}`);
+        } else if (!deferDeletes) {
+          await deleteSource(file, srcMeta);
+        }
+        return;
+      }
+
+      if (config.DRY_RUN) {
+        logger.log(`→ (dry-run) would ${move ? "move" : "copy"}: ${label}`);
+        return;
+      }
+      const srcMeta = move ? await sourceMeta(file) : file.metadata || {};
+      await limiters.storage.run(() => file.copy(destFile), "storage.copy");
+      result.copied++;
+      progress.addBytes(srcMeta.size);
+      const patch = metadataPatch(config, regenerate ? crypto.randomUUID() : null);
+      if (patch) await limiters.storage.run(() => destFile.setMetadata(patch), "storage.setMetadata");
+      if (!move) return;
+      const [destMeta] = await limiters.storage.run(() => destFile.getMetadata(), "storage.getMetadata");
+      const check = compareChecksums(srcMeta, destMeta);
+      if (!check.match) throw new Error(`copy not verified (${check.reason}); source kept`);
+      if (!deferDeletes) await deleteSource(file, srcMeta);
+    } catch (e) {
+      keepUrls(file);
+      logger.error(`❌ Failed: ${label} | ${e?.message || e}`);
+      audit.docError(file.name, e);
+      result.errors++;
+    } finally {
+      progress.update(++processed);
+    }
+  };
+
+  /**
+   * After URL_FIELDS point at the copies: lists the sources again and deletes each one whose copy
+   * still matches it. Nothing is remembered from the copy pass beyond the unverified names.
+   */
+  const deleteMovedSources = async () => {
+    logger.log(`🗑️  Deleting the moved sources under 'gs://${bucket.name}/${from}'…`);
+    const pool = createPool(config.CONCURRENCY);
+    await forEachObjectPage(bucket, from, config.PAGE_SIZE, limiters, async (files) => {
+      for (const file of files) {
+        const rel = file.name.slice(from.length);
+        if (!rel || (ownCopies && file.name.startsWith(to)) || unverified.has(file.name)) continue;
+        await pool.add(async () => {
+          try {
+            const [destMeta] = await limiters.storage.run(() => destBucket.file(to + rel).getMetadata(), "storage.getMetadata");
+            const srcMeta = await sourceMeta(file);
+            const check = compareChecksums(srcMeta, destMeta);
+            if (check.match) await deleteSource(file, srcMeta);
+            else logger.log(`⏭️  Source changed since it was copied (${check.reason}); kept: ${file.name}`);
+          } catch (e) {
+            if (e.code === 404) return; // listed after the copy pass: never copied
+            logger.error(`❌ Failed to delete: ${file.name} | ${e?.message || e}`);
+            audit.docError(file.name, e);
+            result.errors++;
+          }
+        });
+      }
+    });
+    await pool.drain();
+  };
+
+  logger.log(
+    `📄 ${move ? "Moving" : "Copying"} 'gs://${bucket.name}/${from}' page by page ` +
+      `(${config.PAGE_SIZE} per page, ${config.CONCURRENCY} at a time)…`
+  );
+  const pool = createPool(config.CONCURRENCY);
+  await forEachObjectPage(bucket, from, config.PAGE_SIZE, limiters, async (files) => {
+    for (const file of files) {
+      const rel = file.name.slice(from.length);
+      if (!rel) {
+        // skip the prefix placeholder entry if any
+        logger.log(`⏭️  Skip placeholder object: ${file.name}`);
+        continue;
+      }
+      if (ownCopies && file.name.startsWith(to)) continue;
+      result.listed++;
+      await pool.add(() => processObject(file, to + rel));
+    }
+  });
+  await pool.drain();
+  progress.update(processed, true);
+
+  if (result.listed === 0) {
+    logger.log("ℹ️  No objects matched that prefix. Dumping a quick peek so you can verify actual paths.");
+    await peekBucket(bucket, config.SAMPLE_PEEK, logger);
+    return result;
+  }
+
+  // Only copies known to match are pointed at, so URLs of objects that failed keep working.
+  if (urlFields) {
+    const journal = config.DRY_RUN || !config.JOURNAL ? null : openJournal({ op: "copyStoragePrefix" }, deps);
+    try {
+      result.urlRewrite = await scanStorageUrls(
+        { db, logger, limiters, journal },
+        {
+          from,
+          to,
+          sourceBucket: bucket.name,
+          urlFields,
+          resolve: copyResolver(),
+          batchSize: URL_BATCH_SIZE,
+          dryRun: config.DRY_RUN,
+        }
+      );
+    } finally {
+      if (journal) await journal.close();
+    }
+    if (journal && journal.count > 0) {
+      result.runId = journal.runId;
+      logger.log(`↩️  Journaled ${journal.count} before-image(s). Undo with: alce-admin undo ${journal.runId}`);
+    }
+    if (deferDeletes && !config.DRY_RUN) await deleteMovedSources();
+  }
+
+  logger.log("\n📊 Summary");
+  logger.log(`   Copied:  ${result.copied}${config.DRY_RUN ? " (would copy in dry-run)" : ""}`);
+  if (move) logger.log(`   Deleted: ${result.deleted} source object(s)`);
+  logger.log(`   Skipped: ${result.skipped}`);
+  logger.log(`   Errors:  ${result.errors}`);
+  return result;
+}
+
+module.exports = {
+  DEFAULTS,
+  validateConfig,
+  normalizePrefix,
+  peekBucket,
+  compareChecksums,
+  copyStoragePrefix: audited("copyStoragePrefix", DEFAULTS, copyStoragePrefix),
+};
@@ -0,0 +1,157 @@
+// lib/ops/createStripeCustomers.js
+// Create Stripe customers (+ a SetupIntent) for existing Firebase Auth users and persist
+// them under stripe_customers/{uid}. Users that already have that doc are skipped.
+const { audited, noopAudit } = require("../audit");
+const { openCheckpoint, validateResumeConfig } = require("../checkpoint");
+const { withLimits } = require("../limiter");
+
+/**
+ * Config keys
+ * - CHECKPOINT: save the Auth page token + position + counters after every user (see lib/checkpoint.js)
+ * - RESUME: run id (or "latest") of a crashed run to continue; that run's config is reused
+ */
+const DEFAULTS = {
+  CHECKPOINT: true,
+  RESUME: "",
+};
+
+function validateConfig(config) {
+  validateResumeConfig(config);
+}
+
+function defaultStripe() {
+  const key = process.env.STRIPE_API_KEY;
+  if (!key) throw new Error("Set STRIPE_API_KEY in your .env before running this script.");
+  return require("stripe")(key);
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ auth, db, stripe?: import("stripe").Stripe, logger?: Console }} [deps]
+ *   defaults to ../../firebaseAdmin and a client built from STRIPE_API_KEY
+ * @returns {Promise<{ processed: number, created: number, skipped: number, errors: number }>}
+ */
+async function createStripeCustomers(options, deps) {
+  let config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  // Auth and Stripe calls go through the shared rate limiter (lib/limiter.js), which also
+  // retries Stripe 429s and transient Auth/Firestore errors.
+  const base = deps || require("../../firebaseAdmin");
+  const { auth, db, stripe, limiters } = withLimits({ ...base, stripe: base.stripe || defaultStripe() });
+  const logger = (deps && deps.logger) || console;
+  const audit = (deps && deps.audit) || noopAudit;
+  const checkpoint =
+    config.CHECKPOINT || config.RESUME
+      ? openCheckpoint(
+          { op: "createStripeCustomers", command: "create-stripe-customers", config, resume: config.RESUME },
+          deps
+        )
+      : null;
+  if (checkpoint && checkpoint.resumed) {
+    config = { ...DEFAULTS, ...checkpoint.config, RESUME: config.RESUME };
+    validateConfig(config);
+  }
+  const state = checkpoint && checkpoint.state; // null unless resuming a run that got somewhere
+
+  const result = { processed: 0, created: 0, skipped: 0, errors: 0, ...(state && state.counters) };
+
+  if (state) {
+    logger.log(`♻️  Resuming run ${checkpoint.runId} (${result.processed} users processed so far).`);
+  } else {
+    logger.log("🚀 Starting Stripe customer creation for existing users...");
+    if (checkpoint) logger.log(`💾 Checkpointing progress. If interrupted, resume with: ${checkpoint.hint()}`);
+  }
+
+  // Get all users from Firebase Auth, page by page. The cursor is the token of the page
+  // being worked on plus how many of its users are done.
+  let pageToken = state ? state.cursor.pageToken || undefined : undefined;
+  let offset = state ? state.cursor.offset : 0;
+  try {
+    do {
+      const listUsersResult = await auth.listUsers(1000, pageToken);
+
+      for (const userRecord of listUsersResult.users.slice(offset)) {
+        result.processed++;
+        offset++;
+
+        try {
+          // Check if user already has a stripe_customers document
+          const stripeDoc = await db.collection('stripe_customers').doc(userRecord.uid).get();
+
+          if (stripeDoc.exists) {
+            logger.log(`⏭️  Skipped ${userRecord.uid} (${userRecord.email}) - already has Stripe customer`);
+            result.skipped++;
+            continue;
+          }
+
+          // Check if user has an email
+          if (!userRecord.email) {
+            logger.log(`⚠️  Skipped ${userRecord.uid} - no email address`);
+            result.skipped++;
+            continue;
+          }
+
+          // Create Stripe customer
+          logger.log(`🔄 Creating Stripe customer for ${userRecord.uid} (${userRecord.email})...`);
+
+          // Idempotency keys make the limiter's retries safe: a retried create returns the
+          // customer from the first attempt instead of making a second one.
+          const customer = await stripe.customers.create({
+            email: userRecord.email,
+            metadata: {
+              firebase_uid: userRecord.uid
+            }
+          }, { idempotencyKey: `alce-customer-${userRecord.uid}` });
+
+          // Create setup intent
+          const intent = await stripe.setupIntents.create({
+            customer: customer.id,
+          }, { idempotencyKey: `alce-setup-intent-${customer.id}` });
+
+          // Save to Firestore
+          await limiters.firestore.run(() =>
+            db.collection('stripe_customers').doc(userRecord.uid).set({
+              customer_id: customer.id,
+              setup_secret: intent.client_secret,
+            })
+          );
+
+          logger.log(`✅ Created Stripe customer for ${userRecord.uid} (${userRecord.email}) - Customer ID: ${customer.id}`);
+          result.created++;
+
+        } catch (error) {
+          logger.error(`❌ Error processing user ${userRecord.uid} (${userRecord.email}):`, error.message);
+          audit.docError(userRecord.uid, error);
+          result.errors++;
+        } finally {
+          if (checkpoint) {
+            checkpoint.save({ cursor: { pageToken: pageToken || null, offset }, counters: { ...result } });
+          }
+        }
+      }
+
+      // Continue with next page if there are more users
+      pageToken = listUsersResult.pageToken;
+      offset = 0;
+    } while (pageToken);
+  } catch (error) {
+    if (checkpoint) logger.error(`💾 Progress is checkpointed. Resume with: ${checkpoint.hint()}`);
+    throw error;
+  }
+  if (checkpoint) checkpoint.finish({ cursor: null, counters: { ...result } });
+
+  logger.log("\n📊 Migration Summary:");
+  logger.log(`   Total processed: ${result.processed}`);
+  logger.log(`   Created: ${result.created}`);
+  logger.log(`   Skipped: ${result.skipped}`);
+  logger.log(`   Errors: ${result.errors}`);
+  logger.log("🎉 Migration completed!");
+
+  return result;
+}
+
+module.exports = {
+  DEFAULTS,
+  validateConfig,
+  createStripeCustomers: audited("createStripeCustomers", DEFAULTS, createStripeCustomers),
+};
@@ -0,0 +1,121 @@
+// lib/ops/exportCollection.js
+// Snapshot a collection (and its subcollections) to a typed NDJSON file on disk, to archive it,
+// diff it or re-seed it later with `alce-admin import` (file layout: lib/exportFile.js).
+// Reads a page at a time, so memory stays flat however large the collection is.
+const { createProgress } = require("../progress");
+const { forEachPage } = require("../pages");
+const { decodeValue } = require("../typedJson");
+const { applyWhere } = require("../transform");
+const { parseCollectionPattern, collectionSource } = require("../collectionPaths");
+const { createExportWriter } = require("../exportFile");
+
+/**
+ * Config keys
+ * - COLLECTION: collection path ("food_orders", "weekly_lessons/w1/attendance") or a pattern
+ *     ("weekly_lessons/{lessonId}/attendance"); with COLLECTION_GROUP, a collection id
+ * - COLLECTION_GROUP: true = export every collection named COLLECTION, at any depth
+ * - OUTPUT_FILE: NDJSON file to write ("" = exports/<collection>-<timestamp>.ndjson)
+ * - INCLUDE_SUBCOLLECTIONS: true = also export every subcollection doc, at any depth
+ * - WHERE: optional filters on the exported docs: [ [field, op, value], ... ] (values may be typed JSON)
+ * - BATCH_SIZE: docs read per page
+ */
+const DEFAULTS = {
+  COLLECTION: "",
+  COLLECTION_GROUP: false,
+  OUTPUT_FILE: "",
+  INCLUDE_SUBCOLLECTIONS: true,
+  WHERE: [],
+  BATCH_SIZE: 400,
+};
+
+function validateConfig(config) {
+  if (typeof config.COLLECTION_GROUP !== "boolean") {
+    throw new Error("CONFIG.COLLECTION_GROUP must be boolean.");
+  }
+  parseCollectionPattern(config.COLLECTION, config.COLLECTION_GROUP);
+  if (typeof config.OUTPUT_FILE !== "string") {
+    throw new Error('CONFIG.OUTPUT_FILE must be a file path, or "" for exports/<collection>-<timestamp>.ndjson.');
+  }
+  if (typeof config.INCLUDE_SUBCOLLECTIONS !== "boolean") {
+    throw new Error("CONFIG.INCLUDE_SUBCOLLECTIONS must be boolean.");
+  }
+  if (!Array.isArray(config.WHERE)) {
+    throw new Error("CONFIG.WHERE must be an array.");
+  }
+  if (!Number.isInteger(config.BATCH_SIZE) || config.BATCH_SIZE < 1) {
+    throw new Error("CONFIG.BATCH_SIZE must be a positive integer.");
+  }
+}
+
+/** exports/food_orders-2025-01-31T12-00-00.ndjson (placeholders and slashes made file-safe). */
+function defaultOutputFile(collection) {
+  const name = collection.replace(/[{}]/g, "").replace(/\//g, "__");
+  return `exports/${name}-${new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19)}.ndjson`;
+}
+
+/**
+ * Writes a doc, then its subcollections depth-first, so every doc follows its parent in the file.
+ * `keep(snap)` (optional) picks the docs to write; subcollections are walked either way.
+ */
+async function exportDocTree(snap, out, config, keep) {
+  if (!keep || keep(snap)) out.write(snap.ref.path, snap.data());
+  if (!config.INCLUDE_SUBCOLLECTIONS) return;
+  for (const subcol of await snap.ref.listCollections()) {
+    await forEachPage(subcol, config.BATCH_SIZE, null, async (docs) => {
+      for (const doc of docs) await exportDocTree(doc, out, config, keep);
+      out.flush();
+    });
+  }
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ db, profile?, logger?: Console }} [deps]  defaults to ../../firebaseAdmin
+ * @returns {Promise<{ file: string, exported: number, documents: number }>}
+ *   exported counts the docs of the collection itself; documents includes subcollection docs
+ */
+async function exportCollection(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  deps = deps || require("../../firebaseAdmin");
+  const { db } = deps;
+  const logger = deps.logger || console;
+
+  const spec = parseCollectionPattern(config.COLLECTION, config.COLLECTION_GROUP);
+  const source = collectionSource(db, spec);
+  const where = config.WHERE.map((c) => (Array.isArray(c) && c.length === 3 ? [c[0], c[1], decodeValue(c[2], db)] : c));
+  const query = applyWhere(source.query, where);
+  const out = createExportWriter(config.OUTPUT_FILE || defaultOutputFile(config.COLLECTION), {
+    collection: config.COLLECTION,
+    collectionGroup: config.COLLECTION_GROUP,
+    project: (deps.profile || {}).projectId || null,
+    includeSubcollections: config.INCLUDE_SUBCOLLECTIONS,
+    where: config.WHERE,
+  });
+
+  logger.log(`📤 Exporting '${config.COLLECTION}'${config.INCLUDE_SUBCOLLECTIONS ? " with subcollections" : ""} to ${out.file}...`);
+  const progress = createProgress({ total: await source.count(query), verb: "exported", logger });
+
+  let exported = 0;
+  await forEachPage(
+    query,
+    config.BATCH_SIZE,
+    null,
+    async (docs) => {
+      for (const doc of docs) {
+        await exportDocTree(doc, out, config);
+        exported++;
+      }
+      out.flush();
+      progress.update(exported);
+    },
+    source.pageOptions
+  );
+  progress.update(exported, true);
+  const { file, documents } = out.finish();
+
+  logger.log(`✅ Exported ${exported} document(s)${documents > exported ? ` (${documents} with subcollections)` : ""} to ${file}.`);
+  return { file, exported, documents };
+}
+
+module.exports = { DEFAULTS, validateConfig, defaultOutputFile, exportDocTree, exportCollection };
@@ -0,0 +1,248 @@
+// lib/ops/exportSheet.js
+// Export a collection as a spreadsheet (CSV or XLSX) for people who work in Excel: one row per
+// document, one column per field, nested maps flattened to dotted columns ("basicInfo.firstName",
+// as lintCollectionSchema reports them). Columns can be picked, ordered and renamed; Timestamps are
+// shown as local date/times in a chosen time zone.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const { forEachPage } = require("../pages");
+const { flattenDoc, getByPath } = require("../paths");
+const { encodeValue, decodeValue } = require("../typedJson");
+const { applyWhere } = require("../transform");
+const { parseCollectionPattern, collectionSource } = require("../collectionPaths");
+const { createXlsxWriter } = require("../xlsx");
+const { createProgress } = require("../progress");
+const { defaultOutputFile } = require("./exportCollection");
+
+/**
+ * Config keys
+ * - COLLECTION: collection path or pattern ("weekly_lessons/{lessonId}/attendance"); with COLLECTION_GROUP, a collection id
+ * - COLLECTION_GROUP: true = export every collection named COLLECTION, at any depth
+ * - FORMAT: "csv" | "xlsx"; "" = from OUTPUT_FILE's extension (csv if it has none)
+ * - OUTPUT_FILE: file to write ("" = exports/<collection>-<timestamp>.<format>)
+ * - COLUMNS: dotted field paths, in column order, e.g. ["__id", "basicInfo.firstName", "arrivalInfo.date"];
+ *     [] = every field found, sorted, after the doc id. "__id" / "__path" are the doc id / path.
+ * - HEADERS: column titles by path, e.g. { "basicInfo.firstName": "First name" } (default: the path)
+ * - TZ: IANA time zone Timestamps are shown in
+ * - WHERE: optional filters: [ [field, op, value], ... ] (values may be typed JSON)
+ * - BATCH_SIZE: docs read per page
+ */
+const DEFAULTS = {
+  COLLECTION: "",
+  COLLECTION_GROUP: false,
+  FORMAT: "",
+  OUTPUT_FILE: "",
+  COLUMNS: [],
+  HEADERS: {},
+  TZ: "Europe/Rome",
+  WHERE: [],
+  BATCH_SIZE: 400,
+};
+
+const FORMATS = ["csv", "xlsx"];
+const ID_COLUMN = "__id";
+const PATH_COLUMN = "__path";
+const DEFAULT_HEADERS = { [ID_COLUMN]: "id", [PATH_COLUMN]: "path" };
+
+function validateConfig(config) {
+  if (typeof config.COLLECTION_GROUP !== "boolean") {
+    throw new Error("CONFIG.COLLECTION_GROUP must be boolean.");
+  }
+  parseCollectionPattern(config.COLLECTION, config.COLLECTION_GROUP);
+  if (config.FORMAT && !FORMATS.includes(config.FORMAT)) {
+    throw new Error(`CONFIG.FORMAT must be one of: ${FORMATS.join(", ")} (or "" to use OUTPUT_FILE's extension).`);
+  }
+  if (typeof config.OUTPUT_FILE !== "string") {
+    throw new Error('CONFIG.OUTPUT_FILE must be a file path, or "" for exports/<collection>-<timestamp>.<format>.');
+  }
+  const ext = path.extname(config.OUTPUT_FILE).slice(1).toLowerCase();
+  if (!config.FORMAT && ext && !FORMATS.includes(ext)) {
+    throw new Error(`CONFIG.OUTPUT_FILE ends in .${ext}; use .csv or .xlsx, or set FORMAT.`);
+  }
+  if (!Array.isArray(config.COLUMNS) || config.COLUMNS.some((c) => !c || typeof c !== "string")) {
+    throw new Error("CONFIG.COLUMNS must be an array of field paths.");
+  }
+  if (!config.HEADERS || typeof config.HEADERS !== "object" || Array.isArray(config.HEADERS)) {
+    throw new Error('CONFIG.HEADERS must be an object of { "field.path": "Column title" }.');
+  }
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: config.TZ });
+  } catch {
+    throw new Error(`CONFIG.TZ is not a valid IANA time zone: ${config.TZ}`);
+  }
+  if (!Array.isArray(config.WHERE)) {
+    throw new Error("CONFIG.WHERE must be an array.");
+  }
+  if (!Number.isInteger(config.BATCH_SIZE) || config.BATCH_SIZE < 1) {
+    throw new Error("CONFIG.BATCH_SIZE must be a positive integer.");
+  }
+}
+
+/** (Date) -> "YYYY-MM-DD HH:mm:ss" on the wall clock of `tz`. */
+function wallClockFormatter(tz) {
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+  return (date) => {
+    const p = Object.fromEntries(fmt.formatToParts(date).map(({ type, value }) => [type, value]));
+    return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}:${p.second}`;
+  };
+}
+
+/**
+ * A Firestore value as a spreadsheet cell: number, boolean, string, { date } or null.
+ * References become their path, GeoPoints "lat, lng", bytes base64; lists of plain values are
+ * joined with ", ", and anything else nested is typed JSON.
+ */
+function toCell(value, wallClock) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : String(value);
+  if (typeof value === "boolean" || typeof value === "string") return value;
+  if (value instanceof Date) return { date: wallClock(value) };
+  if (typeof value.toDate === "function" && typeof value.seconds === "number") return { date: wallClock(value.toDate()) };
+  if (typeof value.latitude === "number" && typeof value.longitude === "number") return `${value.latitude}, ${value.longitude}`;
+  if (typeof value.path === "string" && value.firestore) return value.path;
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return Buffer.from(value).toString("base64");
+  if (Array.isArray(value) && value.every((v) => ["string", "number", "boolean"].includes(typeof v))) return value.join(", ");
+  return JSON.stringify(encodeValue(value));
+}
+
+/** Row of a doc: { column: cell } for the given columns, or for every flattened field. */
+function rowOf(snap, columns, wallClock) {
+  const data = snap.data();
+  const flat = flattenDoc(data);
+  const row = {};
+  for (const col of columns || Object.keys(flat)) {
+    if (col === ID_COLUMN) row[col] = snap.id;
+    else if (col === PATH_COLUMN) row[col] = snap.ref.path;
+    else row[col] = toCell(col in flat ? flat[col] : getByPath(data, col), wallClock);
+  }
+  if (!columns) row[ID_COLUMN] = snap.id;
+  return row;
+}
+
+/** Text of a CSV cell: dates as shown, formula-like text defused, quoted when needed (RFC 4180). */
+function csvField(cell) {
+  if (cell === null || cell === undefined) return "";
+  let text = typeof cell === "object" ? cell.date : String(cell);
+  // A leading = + - @ makes Excel evaluate text as a formula; a quote keeps it text.
+  if (typeof cell === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** CSV with a UTF-8 BOM (so Excel reads accents right) and CRLF line ends. */
+function createCsvWriter(file, { headers }) {
+  const abs = path.resolve(file);
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  fs.writeFileSync(abs, "\uFEFF" + headers.map(csvField).join(",") + "\r\n");
+  let buffer = [];
+  let rows = 0;
+  const flush = () => {
+    if (buffer.length) fs.appendFileSync(abs, buffer.join(""));
+    buffer = [];
+  };
+  return {
+    file: abs,
+    addRow(cells) {
+      buffer.push(cells.map(csvField).join(",") + "\r\n");
+      rows++;
+      if (buffer.length >= 500) flush();
+    },
+    finish() {
+      flush();
+      return rows;
+    },
+  };
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ db, logger?: Console }} [deps]  defaults to ../../firebaseAdmin
+ * @returns {Promise<{ file: string, format: string, rows: number, columns: string[] }>}
+ */
+async function exportSheet(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  deps = deps || require("../../firebaseAdmin");
+  const { db } = deps;
+  const logger = deps.logger || console;
+
+  const format = config.FORMAT || path.extname(config.OUTPUT_FILE).slice(1).toLowerCase() || "csv";
+  const file = config.OUTPUT_FILE || defaultOutputFile(config.COLLECTION).replace(/\.ndjson$/, `.${format}`);
+  const spec = parseCollectionPattern(config.COLLECTION, config.COLLECTION_GROUP);
+  const source = collectionSource(db, spec);
+  const where = config.WHERE.map((c) => (Array.isArray(c) && c.length === 3 ? [c[0], c[1], decodeValue(c[2], db)] : c));
+  const query = applyWhere(source.query, where);
+  const wallClock = wallClockFormatter(config.TZ);
+
+  const open = (columns) => {
+    const headers = columns.map((c) => config.HEADERS[c] || DEFAULT_HEADERS[c] || c);
+    return format === "xlsx" ? createXlsxWriter(file, { sheetName: spec.collectionId, headers }) : createCsvWriter(file, { headers });
+  };
+
+  logger.log(`📊 Exporting '${config.COLLECTION}' to ${format.toUpperCase()} ${path.resolve(file)} (times in ${config.TZ})...`);
+  const progress = createProgress({ total: await source.count(query), verb: "exported", logger });
+
+  // With COLUMNS the rows go straight to the file; without, the columns are only known at the end,
+  // so rows wait in a temp file (one page in memory at a time).
+  let columns = config.COLUMNS.length ? config.COLUMNS : null;
+  const out = columns ? open(columns) : null;
+  const found = new Set();
+  const dir = columns ? null : fs.mkdtempSync(path.join(os.tmpdir(), "alce-sheet-"));
+  const pending = dir ? path.join(dir, "rows.ndjson") : null;
+  let rows = 0;
+  try {
+    await forEachPage(
+      query,
+      config.BATCH_SIZE,
+      null,
+      async (docs) => {
+        const lines = [];
+        for (const doc of docs) {
+          const row = rowOf(doc, columns, wallClock);
+          if (out) out.addRow(columns.map((c) => row[c]));
+          else {
+            for (const key of Object.keys(row)) found.add(key);
+            lines.push(JSON.stringify(row) + "\n");
+          }
+          rows++;
+        }
+        if (pending) fs.appendFileSync(pending, lines.join(""));
+        progress.update(rows);
+      },
+      source.pageOptions
+    );
+    progress.update(rows, true);
+
+    let writer = out;
+    if (!writer) {
+      found.delete(ID_COLUMN);
+      columns = [ID_COLUMN, ...[...found].sort()];
+      writer = open(columns);
+      if (rows) {
+        const input = fs.createReadStream(pending, "utf8");
+        for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+          const row = JSON.parse(line);
+          writer.addRow(columns.map((c) => row[c]));
+        }
+      }
+    }
+    writer.finish();
+  } finally {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  logger.log(`✅ Exported ${rows} row(s) × ${columns.length} column(s) to ${path.resolve(file)}.`);
+  return { file: path.resolve(file), format, rows, columns };
+}
+
+module.exports = { DEFAULTS, validateConfig, toCell, exportSheet };
@@ -0,0 +1,152 @@
+// lib/ops/generateFixtures.js
+// Generate N synthetic documents (and their subcollection docs) from an inferSchema profile, into
+// the emulator or an NDJSON export file, for load tests and feature work without real student data.
+// Values come from the profile's field types only (lib/fixtures.js); its `example` block is ignored.
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { makeBatcher } = require("../batcher");
+const { createProgress } = require("../progress");
+const { parseCollectionPattern } = require("../collectionPaths");
+const { createExportWriter } = require("../exportFile");
+const { createFixtureGenerator } = require("../fixtures");
+
+/**
+ * Config keys
+ * - PROFILE_FILE: YAML (or JSON) profile saved from `alce-admin infer-schema > users.schema.yaml`
+ * - COLLECTION: collection to fill ("" = the profile's `collection:` line)
+ * - COUNT: documents to generate
+ * - SUBCOLLECTION_DOCS: docs generated under each doc for every subcollection in the profile (0 = none)
+ * - OUTPUT_FILE: NDJSON export to write (load it with `alce-admin import`); "" = write to the emulator
+ * - OPTIONAL_RATE: chance that a field the profile does not mark required is present
+ * - NULL_RATE: chance that a nullable field is null
+ * - REFERENCES: { "field.path": "collection" } for documentReference fields (default: the field name, pluralized)
+ * - SEED: same profile + seed = same documents
+ * - BATCH_SIZE: Firestore batch size (≤ 500)
+ */
+const DEFAULTS = {
+  PROFILE_FILE: "",
+  COLLECTION: "",
+  COUNT: 100,
+  SUBCOLLECTION_DOCS: 3,
+  OUTPUT_FILE: "",
+  OPTIONAL_RATE: 0.6,
+  NULL_RATE: 0.1,
+  REFERENCES: {},
+  SEED: 1,
+  BATCH_SIZE: 400,
+};
+
+function validateConfig(config) {
+  if (!config.PROFILE_FILE || typeof config.PROFILE_FILE !== "string") {
+    throw new Error("CONFIG.PROFILE_FILE must be a non-empty string (a profile saved from `alce-admin infer-schema`).");
+  }
+  if (typeof config.COLLECTION !== "string") {
+    throw new Error('CONFIG.COLLECTION must be a collection path, or "" for the profile\'s collection.');
+  }
+  if (config.COLLECTION && parseCollectionPattern(config.COLLECTION).multi) {
+    throw new Error(`CONFIG.COLLECTION: '${config.COLLECTION}' is a pattern; give a collection path.`);
+  }
+  for (const key of ["COUNT", "SUBCOLLECTION_DOCS", "SEED"]) {
+    if (!Number.isInteger(config[key]) || config[key] < 0) throw new Error(`CONFIG.${key} must be an integer ≥ 0.`);
+  }
+  if (typeof config.OUTPUT_FILE !== "string") {
+    throw new Error('CONFIG.OUTPUT_FILE must be a file path, or "" to write to the emulator.');
+  }
+  for (const key of ["OPTIONAL_RATE", "NULL_RATE"]) {
+    if (typeof config[key] !== "number" || config[key] < 0 || config[key] > 1) {
+      throw new Error(`CONFIG.${key} must be a number between 0 and 1.`);
+    }
+  }
+  if (!config.REFERENCES || typeof config.REFERENCES !== "object" || Array.isArray(config.REFERENCES)) {
+    throw new Error('CONFIG.REFERENCES must be an object of { "field.path": "collection" }.');
+  }
+  if (config.BATCH_SIZE < 1 || config.BATCH_SIZE > 500) {
+    throw new Error("CONFIG.BATCH_SIZE must be between 1 and 500.");
+  }
+}
+
+/** Reads an infer-schema profile (YAML or JSON); `collection` is the line infer-schema prints first. */
+function readProfile(file) {
+  const abs = path.resolve(file);
+  if (!fs.existsSync(abs)) throw new Error(`Profile file not found: ${abs}`);
+  const text = fs.readFileSync(abs, "utf8");
+  const profile = /\.json$/i.test(abs) ? JSON.parse(text) : YAML.parse(text);
+  if (!profile || !profile.document || typeof profile.document.fields !== "object") {
+    throw new Error(`${abs} is not an infer-schema profile (no document.fields).`);
+  }
+  return profile;
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ db, emulator?, logger?: Console, now?: Date }} [deps]  defaults to ../../firebaseAdmin
+ * @returns {Promise<{ collection: string, documents: number, subcollectionDocuments: number, file?: string }>}
+ */
+async function generateFixtures(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  deps = deps || require("../../firebaseAdmin");
+  const { db, emulator } = deps;
+  const logger = deps.logger || console;
+
+  const profile = readProfile(config.PROFILE_FILE);
+  const collection = config.COLLECTION || profile.collection;
+  if (!collection) throw new Error("Set CONFIG.COLLECTION: the profile does not name its collection.");
+  parseCollectionPattern(collection);
+  if (!config.OUTPUT_FILE && !emulator) {
+    throw new Error("generateFixtures writes to Firestore only in emulator mode (set FIRESTORE_EMULATOR_HOST or use --emulator); set OUTPUT_FILE to write a file instead.");
+  }
+
+  const generator = createFixtureGenerator({
+    seed: config.SEED,
+    optionalRate: config.OPTIONAL_RATE,
+    nullRate: config.NULL_RATE,
+    references: config.REFERENCES,
+    now: deps.now,
+    db,
+  });
+  const subcollections = config.SUBCOLLECTION_DOCS ? Object.entries(profile.subcollections || {}) : [];
+  const out = config.OUTPUT_FILE
+    ? createExportWriter(config.OUTPUT_FILE, {
+        collection,
+        collectionGroup: false,
+        project: null,
+        includeSubcollections: subcollections.length > 0,
+        where: [],
+        generated: { profile: path.basename(config.PROFILE_FILE), seed: config.SEED, count: config.COUNT },
+      })
+    : null;
+  const batcher = out ? null : makeBatcher(db, { batchSize: config.BATCH_SIZE });
+  const write = async (docPath, data) => (out ? out.write(docPath, data) : batcher.set(db.doc(docPath), data));
+
+  logger.log(
+    `🧪 Generating ${config.COUNT} '${collection}' document(s)` +
+      (subcollections.length ? ` with ${config.SUBCOLLECTION_DOCS} doc(s) per ${subcollections.map(([id]) => id).join(", ")}` : "") +
+      ` (seed ${config.SEED}) → ${out ? out.file : "emulator"}...`
+  );
+  const progress = createProgress({ total: config.COUNT, verb: "generated", logger });
+  const result = { collection, documents: 0, subcollectionDocuments: 0 };
+  for (let i = 0; i < config.COUNT; i++) {
+    const docPath = `${collection}/${generator.docId()}`;
+    await write(docPath, generator.document(profile.document));
+    result.documents++;
+    for (const [subId, sub] of subcollections) {
+      for (let j = 0; j < config.SUBCOLLECTION_DOCS; j++) {
+        await write(`${docPath}/${subId}/${generator.docId()}`, generator.document(sub.document));
+        result.subcollectionDocuments++;
+      }
+    }
+    if (out && result.documents % config.BATCH_SIZE === 0) out.flush();
+    progress.update(result.documents);
+  }
+  progress.update(result.documents, true);
+  if (out) result.file = out.finish().file;
+  else await batcher.flush();
+
+  const total = result.documents + result.subcollectionDocuments;
+  logger.log(`✅ Generated ${total} document(s)${out ? ` in ${result.file}; load it with: alce-admin import ${config.OUTPUT_FILE}` : ""}.`);
+  return result;
+}
+
+module.exports = { DEFAULTS, validateConfig, readProfile, generateFixtures };
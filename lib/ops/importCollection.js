@@ -0,0 +1,170 @@
+// lib/ops/importCollection.js
+// Load a typed NDJSON export (`alce-admin export`, lib/exportFile.js) back into Firestore: to the
+// paths it was exported from, or re-rooted under another collection. Streams the file a page at a
+// time, journals every doc it overwrites, and refuses files whose export did not finish.
+const { makeBatcher } = require("../batcher");
+const { audited } = require("../audit");
+const { openJournal } = require("../journal");
+const { withLimits } = require("../limiter");
+const { createProgress } = require("../progress");
+const { decodeValue } = require("../typedJson");
+const { parseCollectionPattern, matchDocumentPath, fillTemplate, validateTemplate } = require("../collectionPaths");
+const { inspectExport, readExportEntries } = require("../exportFile");
+
+/**
+ * Config keys
+ * - INPUT_FILE: export file to load
+ * - DESTINATION_COLLECTION: "" = the exported paths; otherwise the collection to load into, e.g. "norders"
+ *     (a template over the export's placeholders when it exported a pattern, e.g. "archive/{lessonId}/attendance")
+ * - ON_CONFLICT: existing docs: "overwrite" (replace), "skip" (keep), "merge" (set with merge)
+ * - BATCH_SIZE: docs per page and Firestore batch size (≤ 500)
+ * - DRY_RUN: list what would be written without writing
+ * - JOURNAL: record before-images of every written doc (for `alce-admin undo <runId>`)
+ */
+const DEFAULTS = {
+  INPUT_FILE: "",
+  DESTINATION_COLLECTION: "",
+  ON_CONFLICT: "overwrite",
+  BATCH_SIZE: 400,
+  DRY_RUN: false,
+  JOURNAL: true,
+};
+
+const ON_CONFLICT_POLICIES = ["overwrite", "skip", "merge"];
+
+function validateConfig(config) {
+  if (!config.INPUT_FILE || typeof config.INPUT_FILE !== "string") {
+    throw new Error("CONFIG.INPUT_FILE must be a non-empty string (the export to load).");
+  }
+  if (typeof config.DESTINATION_COLLECTION !== "string") {
+    throw new Error('CONFIG.DESTINATION_COLLECTION must be a collection path, or "" to load into the exported paths.');
+  }
+  if (!ON_CONFLICT_POLICIES.includes(config.ON_CONFLICT)) {
+    throw new Error(`CONFIG.ON_CONFLICT must be one of: ${ON_CONFLICT_POLICIES.join(", ")}.`);
+  }
+  if (config.BATCH_SIZE < 1 || config.BATCH_SIZE > 500) {
+    throw new Error("CONFIG.BATCH_SIZE must be between 1 and 500.");
+  }
+  if (typeof config.DRY_RUN !== "boolean") {
+    throw new Error("CONFIG.DRY_RUN must be boolean.");
+  }
+  if (typeof config.JOURNAL !== "boolean") {
+    throw new Error("CONFIG.JOURNAL must be boolean.");
+  }
+}
+
+/** `(path) -> path` that moves docs of the exported collection under DESTINATION_COLLECTION. */
+function pathMapper(header, destination) {
+  if (!destination) return (p) => p;
+  const spec = parseCollectionPattern(header.collection, header.collectionGroup);
+  validateTemplate(destination, spec, "DESTINATION_COLLECTION");
+  return (p) => {
+    const match = matchDocumentPath(spec, p);
+    if (!match) throw new Error(`'${p}' is not in the exported collection '${header.collection}'.`);
+    return `${fillTemplate(destination, match.captures)}/${match.rest}`;
+  };
+}
+
+/**
+ * Writes the entries of an export file a page (BATCH_SIZE) at a time. Shared with restoreBackup.
+ * @param {string} file
+ * @param {(path: string) => string} mapPath  see pathMapper
+ * @param {{ ON_CONFLICT: string, BATCH_SIZE: number, DRY_RUN: boolean }} config
+ * @param {{ db, limiters, logger, journal?, total?: number }} ctx  the caller closes the journal
+ * @returns {Promise<{ documents: number, written: number, skipped: number }>}
+ */
+async function importEntries(file, mapPath, config, { db, limiters, logger, journal, total }) {
+  const batcher = makeBatcher(db, { batchSize: config.BATCH_SIZE, dryRun: config.DRY_RUN, limiter: limiters.firestore });
+  const progress = createProgress({ total, verb: "imported", logger });
+  const result = { documents: 0, written: 0, skipped: 0 };
+  // Existing docs are only read when the policy or the journal needs them.
+  const readExisting = config.ON_CONFLICT !== "overwrite" || !!journal;
+
+  async function writePage(entries) {
+    const refs = entries.map((e) => db.doc(mapPath(e.path)));
+    const snaps = readExisting ? await limiters.firestore.run(() => db.getAll(...refs), "firestore.getAll") : [];
+    for (const [i, entry] of entries.entries()) {
+      const ref = refs[i];
+      const exists = readExisting && snaps[i].exists;
+      result.documents++;
+      if (exists && config.ON_CONFLICT === "skip") {
+        result.skipped++;
+        if (config.DRY_RUN) logger.log(`→ (dry-run) would skip (exists): ${ref.path}`);
+        continue;
+      }
+      if (config.DRY_RUN) logger.log(`→ (dry-run) would ${exists && config.ON_CONFLICT === "merge" ? "merge" : "write"}: ${ref.path}`);
+      if (journal) journal.record(ref.path, snaps[i]);
+      const data = decodeValue(entry.data, db);
+      if (config.ON_CONFLICT === "merge") await batcher.set(ref, data, { merge: true });
+      else await batcher.set(ref, data);
+      result.written++;
+    }
+    progress.update(result.documents);
+  }
+
+  let page = [];
+  for await (const entry of readExportEntries(file)) {
+    page.push(entry);
+    if (page.length >= config.BATCH_SIZE) {
+      await writePage(page);
+      page = [];
+    }
+  }
+  if (page.length) await writePage(page);
+  await batcher.flush();
+  progress.update(result.documents, true);
+  return result;
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ db, bucket?, profile?, logger?: Console }} [deps]  defaults to ../../firebaseAdmin
+ * @returns {Promise<{ documents: number, written: number, skipped: number, dryRun: boolean, runId?: string }>}
+ *   documents = entries read from the file; skipped = existing docs kept by ON_CONFLICT=skip
+ */
+async function importCollection(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  deps = deps || require("../../firebaseAdmin");
+  const { db, limiters } = withLimits(deps);
+  const logger = deps.logger || console;
+
+  const { file, header, trailer } = await inspectExport(config.INPUT_FILE);
+  if (!trailer) {
+    throw new Error(`${file} is incomplete (its export was interrupted); export the collection again.`);
+  }
+  const mapPath = pathMapper(header, config.DESTINATION_COLLECTION);
+  const project = (deps.profile || {}).projectId;
+  logger.log(
+    `📥 Importing ${trailer.documents} document(s) of '${header.collection}'` +
+      (header.project ? ` (exported from ${header.project} at ${header.createdAt})` : "") +
+      (config.DESTINATION_COLLECTION ? ` into '${config.DESTINATION_COLLECTION}'` : "") +
+      (project ? ` → ${project}` : "") +
+      "..."
+  );
+
+  const journal = config.JOURNAL && !config.DRY_RUN ? openJournal({ op: "importCollection" }, deps) : null;
+  let result;
+  try {
+    result = await importEntries(file, mapPath, config, { db, limiters, logger, journal, total: trailer.documents });
+  } finally {
+    if (journal) await journal.close();
+  }
+  result.dryRun = config.DRY_RUN;
+
+  const verb = config.DRY_RUN ? "Would write" : "Wrote";
+  logger.log(`✅ ${verb} ${result.written} of ${result.documents} document(s)${result.skipped ? `; ${result.skipped} existing kept` : ""}.`);
+  if (journal && journal.count > 0) {
+    result.runId = journal.runId;
+    logger.log(`↩️  Journaled ${journal.count} before-image(s). Undo with: alce-admin undo ${journal.runId}`);
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULTS,
+  validateConfig,
+  pathMapper,
+  importEntries,
+  importCollection: audited("importCollection", DEFAULTS, importCollection),
+};
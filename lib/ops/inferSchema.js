@@ -0,0 +1,302 @@
+// lib/ops/inferSchema.js
+// LLM-friendly YAML profile for a Firestore collection.
+// - Root YAML excludes project/collection keys (avoids redundancy).
+// - `example` includes one doc from each direct subcollection of the example doc when INCLUDE_SUBCOLLECTIONS=true.
+// - Final `meta` only: sample_limit, docs_sampled, include_subcollections.
+const { Timestamp, GeoPoint, DocumentReference } = require("firebase-admin/firestore");
+const { isPlainObject, detectKind } = require("../values");
+
+/**
+ * Config keys
+ * - COLLECTION_PATH: e.g. "users" or "schools/ALCE/classes"
+ * - INCLUDE_SUBCOLLECTIONS: merge subcollection schemas + include subexamples
+ * - SAMPLE_LIMIT: e.g. 500 (undefined => scan all)
+ * - INCLUDE_EXAMPLE: include a representative example document
+ * - EXAMPLE_SUBDOCS_PER_SUBCOLLECTION: how many example docs per subcollection of the example doc
+ */
+const DEFAULTS = {
+  COLLECTION_PATH: "",
+  INCLUDE_SUBCOLLECTIONS: true,
+  SAMPLE_LIMIT: undefined,
+  INCLUDE_EXAMPLE: true,
+  EXAMPLE_SUBDOCS_PER_SUBCOLLECTION: 1,
+};
+
+function validateConfig(config) {
+  if (!config.COLLECTION_PATH || typeof config.COLLECTION_PATH !== "string") {
+    throw new Error("CONFIG.COLLECTION_PATH must be a non-empty string.");
+  }
+  if (config.COLLECTION_PATH.split("/").length % 2 !== 1) {
+    throw new Error("CONFIG.COLLECTION_PATH must point to a collection (odd number of segments).");
+  }
+  if (typeof config.INCLUDE_SUBCOLLECTIONS !== "boolean") {
+    throw new Error("CONFIG.INCLUDE_SUBCOLLECTIONS must be boolean.");
+  }
+  if (config.SAMPLE_LIMIT !== undefined && (!Number.isInteger(config.SAMPLE_LIMIT) || config.SAMPLE_LIMIT <= 0)) {
+    throw new Error("CONFIG.SAMPLE_LIMIT must be a positive integer or undefined.");
+  }
+  if (typeof config.INCLUDE_EXAMPLE !== "boolean") {
+    throw new Error("CONFIG.INCLUDE_EXAMPLE must be boolean.");
+  }
+  if (!Number.isInteger(config.EXAMPLE_SUBDOCS_PER_SUBCOLLECTION) || config.EXAMPLE_SUBDOCS_PER_SUBCOLLECTION < 1) {
+    throw new Error("CONFIG.EXAMPLE_SUBDOCS_PER_SUBCOLLECTION must be a positive integer.");
+  }
+}
+
+/* -------------------------- type + aggs -------------------------- */
+function makeFieldAgg() { return { presentCount: 0, variants: [] }; }
+function makeObjectAgg() { return { totalSeen: 0, properties: new Map() }; }
+function makeArrayAgg() { return { totalSeen: 0, emptyCount: 0, items: null }; }
+function getOrCreateVariant(fieldAgg, kind) {
+  let v = fieldAgg.variants.find(x => x.kind === kind);
+  if (!v) {
+    v = { kind, count: 0 };
+    if (kind === "object") v.object = makeObjectAgg();
+    if (kind === "array") v.array = makeArrayAgg();
+    if (kind === "number") v.number = { integerOnly: true };
+    fieldAgg.variants.push(v);
+  }
+  return v;
+}
+function addValueSample(fieldAgg, value) {
+  fieldAgg.presentCount++;
+  const kind = detectKind(value);
+  const variant = getOrCreateVariant(fieldAgg, kind);
+  variant.count++;
+
+  switch (kind) {
+    case "object": {
+      const oa = variant.object;
+      oa.totalSeen++;
+      for (const [k, v] of Object.entries(value)) {
+        let child = oa.properties.get(k);
+        if (!child) { child = makeFieldAgg(); oa.properties.set(k, child); }
+        addValueSample(child, v);
+      }
+      break;
+    }
+    case "array": {
+      const aa = variant.array;
+      aa.totalSeen++;
+      if (value.length === 0) aa.emptyCount++;
+      else {
+        if (!aa.items) aa.items = makeFieldAgg();
+        for (const el of value) addValueSample(aa.items, el);
+      }
+      break;
+    }
+    case "number":
+      if (!Number.isInteger(value)) variant.number.integerOnly = false;
+      break;
+    default: break;
+  }
+}
+function addObjectSample(objAgg, obj) {
+  objAgg.totalSeen++;
+  for (const [k, v] of Object.entries(obj)) {
+    let fa = objAgg.properties.get(k);
+    if (!fa) { fa = makeFieldAgg(); objAgg.properties.set(k, fa); }
+    addValueSample(fa, v);
+  }
+}
+
+/* ----------------------- dictionary heuristic ---------------------- */
+function maybeAsMap(objAgg) {
+  const props = [...objAgg.properties.entries()];
+  if (!props.length) return null;
+  const total = objAgg.totalSeen;
+  for (const [, fa] of props) if (fa.presentCount === total) return null; // stable keys -> fixed shape
+  const kinds = [];
+  for (const [, fa] of props) {
+    if (fa.variants.length !== 1) return null;
+    const k = fa.variants[0].kind;
+    if (!["boolean", "string", "number"].includes(k)) return null;
+    kinds.push(k);
+  }
+  const first = kinds[0];
+  return kinds.every(k => k === first) ? first : null;
+}
+
+/* --------------------------- field summary -------------------------- */
+function friendlyTypeName(variant) {
+  switch (variant.kind) {
+    case "number": return variant.number.integerOnly ? "integer" : "number";
+    case "timestamp": return "timestamp";
+    case "reference": return "documentReference";
+    case "bytes": return "bytes(base64)";
+    case "geopoint": return "geopoint";
+    default: return variant.kind;
+  }
+}
+function summarizeField(fa, parentTotalSeen) {
+  const isNullable = fa.variants.some(v => v.kind === "null");
+  const required = fa.presentCount === parentTotalSeen;
+  const nonNull = fa.variants.filter(v => v.kind !== "null");
+
+  if (!nonNull.length) return { type: "unknown", required, nullable: true };
+  if (nonNull.length > 1) {
+    const union = nonNull.map(v => friendlyTypeName(v)).sort();
+    return { type: "union", union, required, nullable: isNullable };
+  }
+
+  const v = nonNull[0];
+  switch (v.kind) {
+    case "string": return { type: "string", required, nullable: isNullable };
+    case "boolean": return { type: "boolean", required, nullable: isNullable };
+    case "number": return { type: v.number.integerOnly ? "integer" : "number", required, nullable: isNullable };
+    case "timestamp": return { type: "timestamp", format: "RFC3339", required, nullable: isNullable };
+    case "reference": return { type: "documentReference", required, nullable: isNullable };
+    case "bytes": return { type: "bytes(base64)", required, nullable: isNullable };
+    case "geopoint": return { type: "geopoint{latitude:number, longitude:number}", required, nullable: isNullable };
+    case "array": {
+      const itemsSummary = v.array.items
+        ? summarizeField(v.array.items, v.array.items.presentCount || 1)
+        : { type: "any" };
+      return { type: "array", items: itemsSummary, required, nullable: isNullable };
+    }
+    case "object": {
+      const mapValueKind = maybeAsMap(v.object);
+      if (mapValueKind) return { type: `map<string, ${mapValueKind}>`, required, nullable: isNullable };
+      const fields = {};
+      const req = [];
+      for (const [k, childFA] of v.object.properties.entries()) {
+        fields[k] = summarizeField(childFA, v.object.totalSeen);
+        if (childFA.presentCount === v.object.totalSeen) req.push(k);
+      }
+      return { type: "object", required, nullable: isNullable, requiredFields: req.length ? req : undefined, fields };
+    }
+    default: return { type: "unknown", required, nullable: isNullable };
+  }
+}
+function profileFromAgg(collectionPath, agg) {
+  const fields = {};
+  const required = [];
+  for (const [k, fa] of agg.properties.entries()) {
+    fields[k] = summarizeField(fa, agg.totalSeen);
+    if (fa.presentCount === agg.totalSeen) required.push(k);
+  }
+  return { collection: collectionPath, document: { requiredFields: required.length ? required : undefined, fields } };
+}
+
+/* -------------------------- example document ------------------------- */
+function sanitizeForExample(value) {
+  if (value === null || typeof value === "string" || typeof value === "number" || typeof value === "boolean") return value;
+  if (value instanceof Timestamp) return value.toDate().toISOString();
+  if (value instanceof GeoPoint) return { latitude: value.latitude, longitude: value.longitude };
+  if (value instanceof DocumentReference) return value.path;
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return Buffer.from(value).toString("base64");
+  if (Array.isArray(value)) return value.map(sanitizeForExample);
+  if (isPlainObject(value)) { const out = {}; for (const [k, v] of Object.entries(value)) out[k] = sanitizeForExample(v); return out; }
+  return String(value);
+}
+function pickExampleDoc(docSnaps) {
+  if (!docSnaps.length) return null;
+  let best = docSnaps[0], bestCount = Object.keys(docSnaps[0].data() || {}).length;
+  for (let i = 1; i < docSnaps.length; i++) {
+    const cnt = Object.keys(docSnaps[i].data() || {}).length;
+    if (cnt > bestCount) { best = docSnaps[i]; bestCount = cnt; }
+  }
+  return best;
+}
+async function buildExampleBlockForDoc(docSnap, config) {
+  const example = { document: sanitizeForExample(docSnap.data()) };
+
+  if (!config.INCLUDE_SUBCOLLECTIONS) return example;
+
+  const subcols = await docSnap.ref.listCollections();
+  if (!subcols.length) return example;
+
+  example.subcollections = {};
+  for (const col of subcols) {
+    let q = col.limit(Math.max(1, config.EXAMPLE_SUBDOCS_PER_SUBCOLLECTION | 0));
+    const snap = await q.get();
+    if (snap.empty) continue;
+    example.subcollections[col.id] = snap.docs.map(d => sanitizeForExample(d.data()));
+  }
+  return example;
+}
+
+/* ------------------------- Firestore scanning ------------------------- */
+async function fetchDocs(db, collectionPath, config) {
+  let ref = db.collection(collectionPath);
+  if (typeof config.SAMPLE_LIMIT === "number" && config.SAMPLE_LIMIT > 0) ref = ref.limit(config.SAMPLE_LIMIT);
+  const snap = await ref.get();
+  return snap.docs;
+}
+
+/* --------------------- Build profile + subcollections -------------------- */
+/**
+ * Builds the schema profile of a collection.
+ * @param {object} options  config keys (see DEFAULTS); COLLECTION_PATH picks the collection
+ * @param {{ db: FirebaseFirestore.Firestore }} [deps]  defaults to ../../firebaseAdmin
+ */
+async function buildProfile(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  const { db } = deps || require("../../firebaseAdmin");
+  const collectionPath = config.COLLECTION_PATH;
+
+  const docs = await fetchDocs(db, collectionPath, config);
+  const agg = makeObjectAgg();
+  docs.forEach(d => addObjectSample(agg, d.data()));
+
+  const mainProfile = profileFromAgg(collectionPath, agg);
+
+  // subcollection schemas
+  let subprofiles = undefined;
+  if (config.INCLUDE_SUBCOLLECTIONS && docs.length) {
+    const subIds = new Set();
+    for (const d of docs) {
+      const cols = await d.ref.listCollections();
+      cols.forEach(c => subIds.add(c.id));
+    }
+    if (subIds.size) {
+      subprofiles = {};
+      for (const subId of subIds) {
+        const subAgg = makeObjectAgg();
+        for (const d of docs) {
+          let q = d.ref.collection(subId);
+          if (typeof config.SAMPLE_LIMIT === "number" && config.SAMPLE_LIMIT > 0) q = q.limit(config.SAMPLE_LIMIT);
+          const ssnap = await q.get();
+          ssnap.forEach(s => addObjectSample(subAgg, s.data()));
+        }
+        if (subAgg.totalSeen > 0) {
+          subprofiles[subId] = profileFromAgg(`${collectionPath}/{doc}/${subId}`, subAgg);
+        }
+      }
+    }
+  }
+
+  // example (AFTER subcollections)
+  let exampleBlock = null;
+  if (config.INCLUDE_EXAMPLE && docs.length) {
+    const chosen = pickExampleDoc(docs);
+    if (chosen) exampleBlock = await buildExampleBlockForDoc(chosen, config);
+  }
+
+  // Assemble final YAML object in desired order: document -> subcollections -> example -> meta
+  const out = {
+    document: mainProfile.document,
+  };
+  if (subprofiles) out.subcollections = subprofiles;
+  if (exampleBlock) out.example = exampleBlock;
+  out.meta = {
+    sample_limit: (typeof config.SAMPLE_LIMIT === "number" ? config.SAMPLE_LIMIT : null),
+    docs_sampled: agg.totalSeen,
+    include_subcollections: !!config.INCLUDE_SUBCOLLECTIONS,
+  };
+
+  return out;
+}
+
+module.exports = {
+  DEFAULTS,
+  validateConfig,
+  makeObjectAgg,
+  addObjectSample,
+  maybeAsMap,
+  summarizeField,
+  profileFromAgg,
+  sanitizeForExample,
+  buildProfile,
+};
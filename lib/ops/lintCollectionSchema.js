@@ -0,0 +1,406 @@
+// lib/ops/lintCollectionSchema.js
+// Firestore collection “schema linter” (consistency checker).
+// Flags:
+// - missing fields (based on REQUIRED_THRESHOLD)
+// - type mismatches (string vs number vs timestamp, etc.)
+// - suspicious field-name variants (firstName vs first_name)
+// - regex violations (e.g. date strings "YYYY-MM-DD")
+
+const { FieldPath } = require("firebase-admin/firestore");
+const { detectKind } = require("../values");
+const { flattenDoc } = require("../paths");
+
+/**
+ * Config keys
+ * - COLLECTION_PATH: collection to lint
+ * - SAMPLE_LIMIT: e.g. 2000 (undefined => scan all)
+ * - BATCH_SIZE: pagination batch size
+ * - REQUIRED_THRESHOLD: a field is “expected” if it exists in >= this fraction of docs;
+ *     docs missing it are reported (with example doc ids)
+ * - RARE_FIELD_MAX_PCT: “rare” fields are present in <= this fraction of docs (often typos / stray fields)
+ * - EXAMPLES_PER_ISSUE: limit examples printed per issue (keeps output readable)
+ * - CHECK_FIELD_NAME_VARIANTS: field-name variants heuristic (firstName vs first_name)
+ * - STRING_REGEX_RULES: path -> { regex, note? }; flat paths for nested fields (e.g. "profile.birthDate")
+ */
+const DEFAULTS = {
+  COLLECTION_PATH: "",
+  SAMPLE_LIMIT: undefined,
+  BATCH_SIZE: 500,
+  REQUIRED_THRESHOLD: 0.9,
+  RARE_FIELD_MAX_PCT: 0.05,
+  EXAMPLES_PER_ISSUE: 20,
+  CHECK_FIELD_NAME_VARIANTS: true,
+  STRING_REGEX_RULES: {},
+};
+
+function validateConfig(config) {
+  const isFraction = (n) => typeof n === "number" && n >= 0 && n <= 1;
+
+  if (!config.COLLECTION_PATH || typeof config.COLLECTION_PATH !== "string") {
+    throw new Error("CONFIG.COLLECTION_PATH must be a non-empty string.");
+  }
+  if (config.SAMPLE_LIMIT !== undefined && (!Number.isInteger(config.SAMPLE_LIMIT) || config.SAMPLE_LIMIT <= 0)) {
+    throw new Error("CONFIG.SAMPLE_LIMIT must be a positive integer or undefined.");
+  }
+  if (!Number.isInteger(config.BATCH_SIZE) || config.BATCH_SIZE < 1) {
+    throw new Error("CONFIG.BATCH_SIZE must be a positive integer.");
+  }
+  if (!isFraction(config.REQUIRED_THRESHOLD)) {
+    throw new Error("CONFIG.REQUIRED_THRESHOLD must be a number between 0 and 1.");
+  }
+  if (!isFraction(config.RARE_FIELD_MAX_PCT)) {
+    throw new Error("CONFIG.RARE_FIELD_MAX_PCT must be a number between 0 and 1.");
+  }
+  if (!Number.isInteger(config.EXAMPLES_PER_ISSUE) || config.EXAMPLES_PER_ISSUE < 1) {
+    throw new Error("CONFIG.EXAMPLES_PER_ISSUE must be a positive integer.");
+  }
+  if (typeof config.CHECK_FIELD_NAME_VARIANTS !== "boolean") {
+    throw new Error("CONFIG.CHECK_FIELD_NAME_VARIANTS must be boolean.");
+  }
+  for (const [field, rule] of Object.entries(config.STRING_REGEX_RULES || {})) {
+    if (!rule || !(rule.regex instanceof RegExp)) {
+      throw new Error(`CONFIG.STRING_REGEX_RULES.${field}.regex must be a RegExp.`);
+    }
+  }
+}
+
+/* ----------------------------- helpers ---------------------------- */
+function normalizeFieldName(path) {
+  // for variant detection: remove dots + underscores, lowercase
+  return path.replace(/\./g, "").replace(/_/g, "").toLowerCase();
+}
+
+function pushExample(arr, value, limit) {
+  if (arr.length >= limit) return;
+  arr.push(value);
+}
+
+/* --------------------------- scan utilities --------------------------- */
+async function scanCollectionDocs(db, collectionPath, config, onDoc) {
+  const col = db.collection(collectionPath);
+
+  let docsSeen = 0;
+  let q = col.orderBy(FieldPath.documentId()).limit(config.BATCH_SIZE);
+
+  while (true) {
+    if (typeof config.SAMPLE_LIMIT === "number" && docsSeen >= config.SAMPLE_LIMIT) break;
+
+    const snap = await q.get();
+    if (snap.empty) break;
+
+    for (const doc of snap.docs) {
+      docsSeen++;
+      await onDoc(doc);
+
+      if (typeof config.SAMPLE_LIMIT === "number" && docsSeen >= config.SAMPLE_LIMIT) break;
+    }
+
+    const last = snap.docs[snap.docs.length - 1];
+    q = col.orderBy(FieldPath.documentId()).startAfter(last.id).limit(config.BATCH_SIZE);
+
+    if (snap.size < config.BATCH_SIZE) break;
+  }
+
+  return docsSeen;
+}
+
+/* --------------------------- pass 1: stats --------------------------- */
+function makeFieldStat() {
+  return {
+    presentCount: 0,
+    kinds: {}, // kind -> count
+    kindExamples: {}, // kind -> [docId...]
+    valueExamples: [], // [ { doc, value } ... ]
+    regexViolations: [], // [ { doc, value } ... ]
+  };
+}
+
+function sanitizeValueForReport(v) {
+  const kind = detectKind(v);
+  if (v == null || kind === "string" || kind === "number" || kind === "boolean") return v;
+  if (kind === "timestamp") return v.toDate().toISOString();
+  if (kind === "geopoint") return { latitude: v.latitude, longitude: v.longitude };
+  if (kind === "reference") return v.path;
+  if (kind === "bytes") return "(bytes)";
+  if (kind === "array") return `(array len=${v.length})`;
+  if (kind === "object") return "(object)";
+  return String(v);
+}
+
+async function pass1_buildStats(db, collectionPath, config) {
+  const fieldStats = new Map(); // fieldPath -> stat
+  const variantGroups = new Map(); // normalized -> Set(fieldPath)
+  let totalDocs = 0;
+
+  const docsScanned = await scanCollectionDocs(db, collectionPath, config, async (doc) => {
+    totalDocs++;
+    const flat = flattenDoc(doc.data() || {});
+    const docId = doc.id;
+
+    for (const [fieldPath, value] of Object.entries(flat)) {
+      let stat = fieldStats.get(fieldPath);
+      if (!stat) {
+        stat = makeFieldStat();
+        fieldStats.set(fieldPath, stat);
+      }
+
+      stat.presentCount++;
+
+      const kind = detectKind(value);
+      stat.kinds[kind] = (stat.kinds[kind] || 0) + 1;
+
+      if (!stat.kindExamples[kind]) stat.kindExamples[kind] = [];
+      pushExample(stat.kindExamples[kind], docId, config.EXAMPLES_PER_ISSUE);
+
+      pushExample(
+        stat.valueExamples,
+        { doc: docId, value: sanitizeValueForReport(value) },
+        config.EXAMPLES_PER_ISSUE
+      );
+
+      const rule = config.STRING_REGEX_RULES[fieldPath];
+      if (rule && kind === "string") {
+        if (!rule.regex.test(value)) {
+          pushExample(stat.regexViolations, { doc: docId, value }, config.EXAMPLES_PER_ISSUE);
+        }
+      }
+
+      if (config.CHECK_FIELD_NAME_VARIANTS) {
+        const norm = normalizeFieldName(fieldPath);
+        let set = variantGroups.get(norm);
+        if (!set) {
+          set = new Set();
+          variantGroups.set(norm, set);
+        }
+        set.add(fieldPath);
+      }
+    }
+  });
+
+  return { fieldStats, variantGroups, totalDocs, docsScanned };
+}
+
+/* --------------------- pass 2: missing field examples --------------------- */
+async function pass2_missingExamples(db, collectionPath, config, expectedFields) {
+  const missingExamples = new Map(); // fieldPath -> [docId...]
+  const expectedList = Array.from(expectedFields);
+
+  await scanCollectionDocs(db, collectionPath, config, async (doc) => {
+    const flat = flattenDoc(doc.data() || {});
+    const present = new Set(Object.keys(flat));
+    const docId = doc.id;
+
+    for (const f of expectedList) {
+      if (present.has(f)) continue;
+
+      let arr = missingExamples.get(f);
+      if (!arr) {
+        arr = [];
+        missingExamples.set(f, arr);
+      }
+      pushExample(arr, docId, config.EXAMPLES_PER_ISSUE);
+    }
+  });
+
+  return missingExamples;
+}
+
+/* ----------------------------- report build ----------------------------- */
+function buildReport({ collectionPath, totalDocs, docsScanned, fieldStats, variantGroups, missingExamples }, config) {
+  const fields = Array.from(fieldStats.entries()).map(([field, stat]) => {
+    const pct = totalDocs ? stat.presentCount / totalDocs : 0;
+    const kindKeys = Object.keys(stat.kinds);
+    const nonNullKinds = kindKeys.filter((k) => k !== "null");
+    const typeMismatch = nonNullKinds.length > 1;
+
+    return {
+      field,
+      present_count: stat.presentCount,
+      present_pct: Number(pct.toFixed(4)),
+      kinds: stat.kinds,
+      type_mismatch: typeMismatch || undefined,
+      regex_violations_examples:
+        stat.regexViolations.length
+          ? stat.regexViolations.map((x) => ({ doc: x.doc, value: x.value }))
+          : undefined,
+    };
+  });
+
+  // Expected fields (based on REQUIRED_THRESHOLD)
+  const expectedFields = fields
+    .filter((f) => f.present_pct >= config.REQUIRED_THRESHOLD)
+    .sort((a, b) => b.present_pct - a.present_pct);
+
+  // Missing fields issues (with example doc ids)
+  const missingIssues = expectedFields
+    .map((f) => {
+      const missingCount = totalDocs - f.present_count;
+      if (missingCount <= 0) return null;
+      const examples = missingExamples?.get(f.field) || [];
+      return {
+        field: f.field,
+        missing_count: missingCount,
+        missing_pct: Number((missingCount / totalDocs).toFixed(4)),
+        example_doc_ids: examples.length ? examples : undefined,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.missing_count - a.missing_count);
+
+  // Type mismatch issues
+  const typeMismatchIssues = fields
+    .filter((f) => f.type_mismatch)
+    .map((f) => {
+      const stat = fieldStats.get(f.field);
+      const kind_examples = {};
+      for (const [kind, arr] of Object.entries(stat.kindExamples)) {
+        if (arr && arr.length) kind_examples[kind] = arr;
+      }
+      return {
+        field: f.field,
+        kinds: f.kinds,
+        example_doc_ids_by_kind: kind_examples,
+      };
+    })
+    .sort((a, b) => Object.keys(b.kinds).length - Object.keys(a.kinds).length);
+
+  // Rare fields issues
+  const rareIssues = fields
+    .filter((f) => f.present_pct <= config.RARE_FIELD_MAX_PCT)
+    .map((f) => {
+      const stat = fieldStats.get(f.field);
+      const anyKind = Object.keys(stat.kindExamples)[0];
+      const ex = (anyKind && stat.kindExamples[anyKind]) || [];
+      return {
+        field: f.field,
+        present_count: f.present_count,
+        present_pct: f.present_pct,
+        example_doc_ids: ex.length ? ex : undefined,
+      };
+    })
+    .sort((a, b) => a.present_pct - b.present_pct);
+
+  // Field-name variants
+  let fieldNameVariantIssues = undefined;
+  if (config.CHECK_FIELD_NAME_VARIANTS) {
+    const groups = [];
+    for (const [norm, set] of variantGroups.entries()) {
+      const variants = Array.from(set);
+      if (variants.length <= 1) continue;
+
+      // Canonical = most common (highest presentCount)
+      variants.sort((a, b) => (fieldStats.get(b)?.presentCount || 0) - (fieldStats.get(a)?.presentCount || 0));
+      const canonical = variants[0];
+
+      groups.push({
+        normalized: norm,
+        canonical,
+        variants: variants.map((v) => ({
+          field: v,
+          present_count: fieldStats.get(v)?.presentCount || 0,
+        })),
+      });
+    }
+
+    fieldNameVariantIssues = groups.length ? groups : undefined;
+  }
+
+  // Regex violation issues (grouped)
+  const regexIssues = [];
+  for (const [field, rule] of Object.entries(config.STRING_REGEX_RULES)) {
+    const stat = fieldStats.get(field);
+    if (!stat) continue;
+    if (!stat.regexViolations.length) continue;
+
+    regexIssues.push({
+      field,
+      regex: String(rule.regex),
+      note: rule.note,
+      examples: stat.regexViolations.map((x) => ({ doc: x.doc, value: x.value })),
+    });
+  }
+
+  const docsWithIssuesEstimate =
+    new Set([
+      ...missingIssues.flatMap((x) => x.example_doc_ids || []),
+      ...typeMismatchIssues.flatMap((x) => Object.values(x.example_doc_ids_by_kind || {}).flat()),
+      ...regexIssues.flatMap((x) => x.examples.map((e) => e.doc)),
+    ]).size;
+
+  return {
+    collection: collectionPath,
+    meta: {
+      sample_limit: typeof config.SAMPLE_LIMIT === "number" ? config.SAMPLE_LIMIT : null,
+      docs_scanned: docsScanned,
+      docs_total_seen: totalDocs,
+      required_threshold: config.REQUIRED_THRESHOLD,
+      rare_field_max_pct: config.RARE_FIELD_MAX_PCT,
+      examples_per_issue: config.EXAMPLES_PER_ISSUE,
+    },
+    summary: {
+      fields_total: fields.length,
+      expected_fields_count: expectedFields.length,
+      missing_fields_issues: missingIssues.length,
+      type_mismatch_issues: typeMismatchIssues.length,
+      regex_issues: regexIssues.length,
+      rare_fields_issues: rareIssues.length,
+      docs_with_issues_examples_count: docsWithIssuesEstimate,
+    },
+    issues: {
+      missing_fields: missingIssues.length ? missingIssues : undefined,
+      type_mismatches: typeMismatchIssues.length ? typeMismatchIssues : undefined,
+      regex_violations: regexIssues.length ? regexIssues : undefined,
+      rare_fields: rareIssues.length ? rareIssues : undefined,
+      field_name_variants: fieldNameVariantIssues,
+    },
+  };
+}
+
+/* ----------------------------- lint ----------------------------- */
+/**
+ * Runs both passes and returns the report object (print it with lib/yaml's toYAML).
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ db: FirebaseFirestore.Firestore }} [deps]  defaults to ../../firebaseAdmin
+ */
+async function lintCollection(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  const { db } = deps || require("../../firebaseAdmin");
+  const collectionPath = config.COLLECTION_PATH;
+
+  // Pass 1: collect counts/types/regex/name-variants
+  const pass1 = await pass1_buildStats(db, collectionPath, config);
+
+  // Determine expected fields from pass1
+  const expectedFields = new Set();
+  for (const [field, stat] of pass1.fieldStats.entries()) {
+    const pct = pass1.totalDocs ? stat.presentCount / pass1.totalDocs : 0;
+    if (pct >= config.REQUIRED_THRESHOLD) expectedFields.add(field);
+  }
+
+  // Pass 2: find example docs missing expected fields
+  const missingExamples =
+    expectedFields.size > 0 ? await pass2_missingExamples(db, collectionPath, config, expectedFields) : new Map();
+
+  return buildReport(
+    {
+      collectionPath,
+      totalDocs: pass1.totalDocs,
+      docsScanned: pass1.docsScanned,
+      fieldStats: pass1.fieldStats,
+      variantGroups: pass1.variantGroups,
+      missingExamples,
+    },
+    config
+  );
+}
+
+module.exports = {
+  DEFAULTS,
+  validateConfig,
+  scanCollectionDocs,
+  pass1_buildStats,
+  pass2_missingExamples,
+  buildReport,
+  lintCollection,
+};
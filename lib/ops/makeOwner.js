@@ -0,0 +1,49 @@
+// lib/ops/makeOwner.js
+// (Owner bootstrap) Set the `owner: true` custom claim on a user, by email or uid.
+const { audited } = require("../audit");
+const { withLimits } = require("../limiter");
+
+/**
+ * Config keys
+ * - EMAIL: email of the user to promote
+ * - UID: uid of the user to promote (takes precedence over EMAIL)
+ */
+const DEFAULTS = {
+  EMAIL: "",
+  UID: "",
+};
+
+function validateConfig(config) {
+  if (!config.EMAIL && !config.UID) throw new Error("Set CONFIG.EMAIL or CONFIG.UID");
+  if (config.EMAIL && (typeof config.EMAIL !== "string" || !config.EMAIL.includes("@"))) {
+    throw new Error("CONFIG.EMAIL must be a string with '@'.");
+  }
+  if (config.UID && typeof config.UID !== "string") {
+    throw new Error("CONFIG.UID must be a string.");
+  }
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ auth: import("firebase-admin/auth").Auth }} [deps]  defaults to ../../firebaseAdmin
+ * @returns {Promise<{ uid: string, previousClaims: object, claims: object }>}
+ */
+async function makeOwner(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  const { auth } = withLimits(deps || require("../../firebaseAdmin"));
+
+  let uid = config.UID;
+  if (!uid) {
+    const u = await auth.getUserByEmail(config.EMAIL);
+    uid = u.uid;
+  }
+
+  const u = await auth.getUser(uid);
+  const previousClaims = u.customClaims || {};
+  const claims = { ...previousClaims, owner: true };
+  await auth.setCustomUserClaims(uid, claims);
+  return { uid, previousClaims, claims };
+}
+
+module.exports = { DEFAULTS, validateConfig, makeOwner: audited("makeOwner", DEFAULTS, makeOwner) };
@@ -0,0 +1,368 @@
+// lib/ops/migrate.js
+// Versioned data migrations. Numbered modules in migrations/ export `up(ctx)` (and optionally
+// `down(ctx)`); the `_migrations` collection records which ones ran in each project.
+//
+//   migrations/0003_split_full_name.js
+//   module.exports = {
+//     description: "Split basicInfo.fullName into firstName / lastName",
+//     async up(ctx) { ... },     // required
+//     async down(ctx) { ... },   // optional; without it the migration cannot be reverted
+//   };
+//
+// `ctx` = { db, auth, bucket, logger, dryRun, limiters, deps, FieldValue, batcher(opts?) }. Writes made
+// through ctx.batcher() honour dry runs automatically; anything else must check ctx.dryRun.
+// `ctx.deps` can be handed to the library ops (e.g. scrubFields({ ..., DRY_RUN: ctx.dryRun }, ctx.deps)).
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { FieldValue } = require("firebase-admin/firestore");
+const { makeBatcher } = require("../batcher");
+const { audited, operatorName } = require("../audit");
+const { withLimits } = require("../limiter");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+const MIGRATION_FILE = /^(\d+)[-_]([\w-]+)\.js$/;
+const LOCK_ID = "_lock";
+
+/**
+ * Config keys
+ * - ACTION: "status" | "up" | "down"
+ * - TO: target migration (id or number). up: apply pending ones up to and including it.
+ *       down: revert applied ones numbered above it ("0" reverts all). Empty = up: all, down: the latest one.
+ * - DRY_RUN: run the migrations with ctx.dryRun = true and record nothing
+ * - MIGRATIONS_DIR: directory holding the numbered migration modules (relative to the repo root)
+ * - COLLECTION: Firestore collection that records applied migrations
+ * - BATCH_SIZE: batch size of ctx.batcher()
+ */
+const DEFAULTS = {
+  ACTION: "status",
+  TO: "",
+  DRY_RUN: false,
+  MIGRATIONS_DIR: "migrations",
+  COLLECTION: "_migrations",
+  BATCH_SIZE: 400,
+};
+
+const ACTIONS = ["status", "up", "down"];
+
+function validateConfig(config) {
+  if (!ACTIONS.includes(config.ACTION)) {
+    throw new Error(`CONFIG.ACTION must be one of ${ACTIONS.join(", ")} (got '${config.ACTION}').`);
+  }
+  if (typeof config.TO !== "string") {
+    throw new Error("CONFIG.TO must be a string (a migration id or number).");
+  }
+  if (typeof config.DRY_RUN !== "boolean") {
+    throw new Error("CONFIG.DRY_RUN must be boolean.");
+  }
+  if (!config.MIGRATIONS_DIR || typeof config.MIGRATIONS_DIR !== "string") {
+    throw new Error("CONFIG.MIGRATIONS_DIR must be a non-empty string.");
+  }
+  if (!config.COLLECTION || typeof config.COLLECTION !== "string") {
+    throw new Error("CONFIG.COLLECTION must be a non-empty string.");
+  }
+  if (config.BATCH_SIZE < 1 || config.BATCH_SIZE > 500) {
+    throw new Error("CONFIG.BATCH_SIZE must be between 1 and 500.");
+  }
+}
+
+/* ---------------------------- loading ---------------------------- */
+
+/**
+ * Reads the numbered modules of `dir`, sorted by number. Other files (e.g. _template.js) are ignored.
+ * @returns {Array<{ id: string, number: number, file: string, checksum: string, description: string,
+ *   up: Function, down: Function | null }>}
+ */
+function loadMigrations(dir) {
+  const abs = path.isAbsolute(dir) ? dir : path.resolve(ROOT, dir);
+  if (!fs.existsSync(abs)) throw new Error(`Migrations directory not found: ${abs}`);
+
+  const migrations = [];
+  const byNumber = new Map();
+  for (const name of fs.readdirSync(abs).sort()) {
+    const m = MIGRATION_FILE.exec(name);
+    if (!m) continue;
+
+    const file = path.join(abs, name);
+    const id = name.slice(0, -3);
+    const number = Number(m[1]);
+    if (byNumber.has(number)) {
+      throw new Error(`Migrations ${byNumber.get(number)} and ${id} share the number ${number}.`);
+    }
+    byNumber.set(number, id);
+
+    const mod = require(file);
+    if (!mod || typeof mod.up !== "function") throw new Error(`Migration ${id} must export an up(ctx) function.`);
+    if (mod.down !== undefined && typeof mod.down !== "function") {
+      throw new Error(`Migration ${id}: down must be a function when present.`);
+    }
+    migrations.push({
+      id,
+      number,
+      file,
+      checksum: crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex"),
+      description: mod.description || "",
+      up: mod.up,
+      down: mod.down || null,
+    });
+  }
+  return migrations.sort((a, b) => a.number - b.number);
+}
+
+/** Applied records keyed by migration id (the lock doc is skipped). */
+async function loadApplied(db, collection) {
+  const snap = await db.collection(collection).get();
+  const applied = new Map();
+  for (const doc of snap.docs) {
+    if (doc.id !== LOCK_ID) applied.set(doc.id, doc.data());
+  }
+  return applied;
+}
+
+/** Resolves TO ("0007", "7" or "0007_add_x") to a migration number. */
+function targetNumber(to, migrations, applied) {
+  if (/^\d+$/.test(to)) return Number(to);
+  const known = migrations.find((m) => m.id === to) || (applied.has(to) ? applied.get(to) : null);
+  if (!known) throw new Error(`Unknown migration '${to}'.`);
+  return known.number;
+}
+
+/* ---------------------------- status ---------------------------- */
+
+/**
+ * Lists every migration with its state: "applied", "pending", "changed" (file edited after it
+ * ran) or "missing" (applied in this project, but the file is gone).
+ * @returns {Promise<{ migrations: Array<{ id, number, state, appliedAt, description }>,
+ *   applied: number, pending: number }>}
+ */
+async function migrationStatus(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  const { db } = deps || require("../../firebaseAdmin");
+  const logger = (deps && deps.logger) || console;
+
+  const migrations = loadMigrations(config.MIGRATIONS_DIR);
+  const applied = await loadApplied(db, config.COLLECTION);
+
+  const rows = migrations.map((m) => {
+    const record = applied.get(m.id);
+    let state = "pending";
+    if (record) state = record.checksum && record.checksum !== m.checksum ? "changed" : "applied";
+    return {
+      id: m.id,
+      number: m.number,
+      state,
+      appliedAt: record && record.appliedAt ? toIso(record.appliedAt) : null,
+      description: m.description,
+    };
+  });
+  for (const [id, record] of applied) {
+    if (!migrations.some((m) => m.id === id)) {
+      rows.push({
+        id,
+        number: record.number,
+        state: "missing",
+        appliedAt: toIso(record.appliedAt),
+        description: record.description || "",
+      });
+    }
+  }
+  rows.sort((a, b) => a.number - b.number);
+
+  const ICONS = { applied: "✅", pending: "⏳", changed: "⚠️ ", missing: "❓" };
+  logger.log(`📋 Migrations in ${config.MIGRATIONS_DIR} (recorded in ${config.COLLECTION}):`);
+  if (!rows.length) logger.log("   (none yet)");
+  for (const r of rows) {
+    const when = r.appliedAt ? `  applied ${r.appliedAt}` : "";
+    logger.log(`   ${ICONS[r.state]} ${r.id.padEnd(40)} ${r.state}${when}`);
+  }
+
+  const result = {
+    migrations: rows,
+    applied: rows.filter((r) => r.state !== "pending").length,
+    pending: rows.filter((r) => r.state === "pending").length,
+  };
+  logger.log(`📊 ${result.applied} applied, ${result.pending} pending.`);
+  return result;
+}
+
+function toIso(value) {
+  if (!value) return null;
+  return typeof value.toDate === "function" ? value.toDate().toISOString() : String(value);
+}
+
+/* ---------------------------- up / down ---------------------------- */
+
+function makeContext(config, deps, logger) {
+  const limited = withLimits(deps);
+  return {
+    db: limited.db,
+    auth: limited.auth,
+    bucket: limited.bucket,
+    logger,
+    dryRun: config.DRY_RUN,
+    limiters: limited.limiters,
+    deps: limited,
+    // migrations may live outside the repo (MIGRATIONS_DIR), where firebase-admin does not resolve
+    FieldValue,
+    batcher(opts = {}) {
+      return makeBatcher(limited.db, {
+        batchSize: config.BATCH_SIZE,
+        dryRun: config.DRY_RUN,
+        limiter: limited.limiters.firestore,
+        ...opts,
+      });
+    },
+  };
+}
+
+/** Takes the `_migrations/_lock` doc so two runs never migrate the same project at once. */
+async function acquireLock(db, config, runId) {
+  const ref = db.collection(config.COLLECTION).doc(LOCK_ID);
+  try {
+    await ref.create({ runId, operator: operatorName(), lockedAt: FieldValue.serverTimestamp() });
+  } catch (e) {
+    if (e && (e.code === 6 || e.code === "already-exists")) {
+      const held = (await ref.get()).data() || {};
+      throw new Error(
+        `Another migrate run holds ${config.COLLECTION}/${LOCK_ID} (run ${held.runId}, ${held.operator}). ` +
+          "If that run crashed, delete the lock document and try again."
+      );
+    }
+    throw e;
+  }
+  return ref;
+}
+
+/**
+ * Runs `plan` (an ordered list of migrations) in `direction`, recording each one as it finishes.
+ * Stops at the first failure; migrations completed before it stay recorded.
+ */
+async function runPlan(direction, plan, config, deps) {
+  const { db } = deps;
+  const logger = deps.logger || console;
+  const runId = (deps.audit && deps.audit.runId) || null;
+  const ctx = makeContext(config, deps, logger);
+  const done = [];
+
+  if (!plan.length) {
+    logger.log(direction === "up" ? "✅ Nothing to migrate: every migration is applied." : "ℹ️  Nothing to revert.");
+    return { action: direction, migrations: done, dryRun: config.DRY_RUN };
+  }
+
+  const lock = config.DRY_RUN ? null : await acquireLock(db, config, runId);
+  try {
+    for (const m of plan) {
+      const label = `${direction === "up" ? "⬆️ " : "⬇️ "} ${m.id}${m.description ? ` — ${m.description}` : ""}`;
+      logger.log(config.DRY_RUN ? `→ (dry-run) ${label}` : label);
+      const started = Date.now();
+      try {
+        await m[direction](ctx);
+      } catch (e) {
+        throw new Error(
+          `Migration ${m.id} (${direction}) failed: ${e?.message || e}` +
+            (done.length ? ` (${done.join(", ")} completed and stay recorded)` : "")
+        );
+      }
+
+      if (!config.DRY_RUN) {
+        const ref = db.collection(config.COLLECTION).doc(m.id);
+        if (direction === "up") {
+          await ctx.limiters.firestore.run(() =>
+            ref.set({
+              id: m.id,
+              number: m.number,
+              description: m.description,
+              checksum: m.checksum,
+              appliedAt: FieldValue.serverTimestamp(),
+              appliedBy: operatorName(),
+              runId,
+              durationMs: Date.now() - started,
+            })
+          );
+        } else {
+          await ctx.limiters.firestore.run(() => ref.delete());
+        }
+      }
+      done.push(m.id);
+    }
+  } finally {
+    if (lock) await lock.delete();
+  }
+
+  logger.log(
+    `🎉 ${config.DRY_RUN ? "(dry-run) Would have " : ""}${direction === "up" ? "applied" : "reverted"} ${done.length} migration(s).`
+  );
+  return { action: direction, migrations: done, dryRun: config.DRY_RUN };
+}
+
+/**
+ * Applies pending migrations in order (up to and including TO, when set).
+ * @returns {Promise<{ action: "up", migrations: string[], dryRun: boolean }>}
+ */
+async function migrateUp(options, deps) {
+  const config = { ...DEFAULTS, ...options, ACTION: "up" };
+  validateConfig(config);
+  deps = deps || require("../../firebaseAdmin");
+
+  const migrations = loadMigrations(config.MIGRATIONS_DIR);
+  const applied = await loadApplied(deps.db, config.COLLECTION);
+  const limit = config.TO ? targetNumber(config.TO, migrations, applied) : Infinity;
+  const plan = migrations.filter((m) => !applied.has(m.id) && m.number <= limit);
+
+  const newest = Math.max(-1, ...[...applied.values()].map((r) => r.number));
+  const late = plan.filter((m) => m.number < newest);
+  if (late.length) {
+    (deps.logger || console).warn(
+      `⚠️  Applying out of order (a later migration already ran): ${late.map((m) => m.id).join(", ")}`
+    );
+  }
+  return runPlan("up", plan, config, deps);
+}
+
+/**
+ * Reverts applied migrations, newest first: the latest one, or every one numbered above TO.
+ * @returns {Promise<{ action: "down", migrations: string[], dryRun: boolean }>}
+ */
+async function migrateDown(options, deps) {
+  const config = { ...DEFAULTS, ...options, ACTION: "down" };
+  validateConfig(config);
+  deps = deps || require("../../firebaseAdmin");
+
+  const migrations = loadMigrations(config.MIGRATIONS_DIR);
+  const applied = await loadApplied(deps.db, config.COLLECTION);
+  let records = [...applied.values()].sort((x, y) => y.number - x.number);
+  if (config.TO) {
+    const floor = targetNumber(config.TO, migrations, applied);
+    records = records.filter((r) => r.number > floor);
+  } else {
+    records = records.slice(0, 1);
+  }
+  const plan = records.map((r) => migrations.find((m) => m.id === r.id) || { id: r.id, missing: true });
+
+  const missing = plan.filter((m) => m.missing);
+  if (missing.length) throw new Error(`Cannot revert ${missing.map((m) => m.id).join(", ")}: the migration file is missing.`);
+  const irreversible = plan.filter((m) => !m.down);
+  if (irreversible.length) {
+    throw new Error(`Cannot revert ${irreversible.map((m) => m.id).join(", ")}: no down() function.`);
+  }
+  return runPlan("down", plan, config, deps);
+}
+
+/** Dispatches on ACTION; used by scripts/migrate.js and `alce-admin migrate`. */
+async function migrate(options, deps) {
+  const action = (options && options.ACTION) || DEFAULTS.ACTION;
+  if (action === "up") return module.exports.migrateUp(options, deps);
+  if (action === "down") return module.exports.migrateDown(options, deps);
+  return migrationStatus(options, deps);
+}
+
+module.exports = {
+  DEFAULTS,
+  validateConfig,
+  loadMigrations,
+  migrationStatus,
+  migrateUp: audited("migrateUp", DEFAULTS, migrateUp),
+  migrateDown: audited("migrateDown", DEFAULTS, migrateDown),
+  migrate,
+};
@@ -0,0 +1,190 @@
+// lib/ops/restoreBackup.js
+// Put a collection back as it was at one of its backups (`alce-admin backup`,
+// lib/ops/backupCollections.js): replays the backup's chain, newest file first, into one local
+// export, then writes it like `alce-admin import` does — journaled, so the restore can be undone.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { makeBatcher } = require("../batcher");
+const { audited } = require("../audit");
+const { openJournal } = require("../journal");
+const { withLimits } = require("../limiter");
+const { forEachPage } = require("../pages");
+const { parseCollectionPattern } = require("../collectionPaths");
+const { createExportWriter, inspectExport, readExportEntries } = require("../exportFile");
+const { loadManifest, chainAt } = require("../backupManifest");
+const { pathMapper, importEntries } = require("./importCollection");
+
+/**
+ * Config keys
+ * - COLLECTION: the backed-up collection path to restore
+ * - AT: "" = the latest backup; a backup id; or a date/time like "2025-01-31T12:00:00Z"
+ *     (restores the last backup taken at or before it)
+ * - DESTINATION_COLLECTION: "" = restore in place; otherwise the collection to restore into
+ * - DELETE_EXTRA: also delete docs that did not exist at that point (created since, or not in the backup)
+ * - BACKUP_PREFIX: Storage prefix of the backups and their manifest, in the default bucket
+ * - BATCH_SIZE: docs per page and Firestore batch size (≤ 500)
+ * - DRY_RUN: list what would be written and deleted without writing
+ * - JOURNAL: record before-images of every written or deleted doc (for `alce-admin undo <runId>`)
+ */
+const DEFAULTS = {
+  COLLECTION: "",
+  AT: "",
+  DESTINATION_COLLECTION: "",
+  DELETE_EXTRA: false,
+  BACKUP_PREFIX: "backups/",
+  BATCH_SIZE: 400,
+  DRY_RUN: false,
+  JOURNAL: true,
+};
+
+function validateConfig(config) {
+  if (parseCollectionPattern(config.COLLECTION).multi) {
+    throw new Error(`CONFIG.COLLECTION: '${config.COLLECTION}' is a pattern; backups are of collection paths.`);
+  }
+  if (typeof config.AT !== "string") {
+    throw new Error('CONFIG.AT must be a backup id, a date/time, or "" for the latest backup.');
+  }
+  if (typeof config.DESTINATION_COLLECTION !== "string") {
+    throw new Error('CONFIG.DESTINATION_COLLECTION must be a collection path, or "" to restore in place.');
+  }
+  if (config.DESTINATION_COLLECTION) parseCollectionPattern(config.DESTINATION_COLLECTION);
+  if (typeof config.DELETE_EXTRA !== "boolean") {
+    throw new Error("CONFIG.DELETE_EXTRA must be boolean.");
+  }
+  if (!config.BACKUP_PREFIX || typeof config.BACKUP_PREFIX !== "string" || !config.BACKUP_PREFIX.endsWith("/")) {
+    throw new Error('CONFIG.BACKUP_PREFIX must be a Storage prefix ending with "/", e.g. "backups/".');
+  }
+  if (config.BATCH_SIZE < 1 || config.BATCH_SIZE > 500) {
+    throw new Error("CONFIG.BATCH_SIZE must be between 1 and 500.");
+  }
+  if (typeof config.DRY_RUN !== "boolean") {
+    throw new Error("CONFIG.DRY_RUN must be boolean.");
+  }
+  if (typeof config.JOURNAL !== "boolean") {
+    throw new Error("CONFIG.JOURNAL must be boolean.");
+  }
+}
+
+function readIndex(file) {
+  const paths = new Set();
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) if (line) paths.add(JSON.parse(line));
+  return paths;
+}
+
+/**
+ * Merges a chain (full backup first) into one export file at `file`: the newest copy of each doc,
+ * limited to the docs the target backup's index lists (when it has one).
+ * @returns {Promise<{ header: object, documents: number, paths: Set<string> }>}
+ */
+async function materialize(chain, file, dir, { bucket, limiters }) {
+  const download = async (name, local) => {
+    await limiters.storage.run(() => bucket.file(name).download({ destination: local }), "storage.download");
+    return local;
+  };
+  const target = chain[chain.length - 1];
+  const existed = target.entry.index ? readIndex(await download(target.entry.index, path.join(dir, "index.ndjson"))) : null;
+
+  let out = null;
+  let header = null;
+  const seen = new Set();
+  for (const [i, { backup, entry }] of [...chain].reverse().entries()) {
+    const local = await download(entry.file, path.join(dir, `part-${i}.ndjson`));
+    const inspected = await inspectExport(local);
+    if (!inspected.trailer) throw new Error(`Backup file gs://${bucket.name}/${entry.file} (${backup.id}) is incomplete.`);
+    if (!out) {
+      header = inspected.header;
+      out = createExportWriter(file, { ...header, backup: { id: backup.id, createdAt: backup.createdAt } });
+    }
+    for await (const { path: docPath, data } of readExportEntries(local)) {
+      if (seen.has(docPath)) continue;
+      seen.add(docPath);
+      if (!existed || existed.has(docPath)) out.writeEncoded(docPath, data);
+    }
+    out.flush();
+    fs.rmSync(local);
+  }
+  const { documents } = out.finish();
+  return { header, documents, paths: existed || seen };
+}
+
+/** Deletes the docs under `collectionPath` (subcollections too with `deep`) that `keep` does not list. */
+async function deleteExtra(collectionPath, keep, deep, config, { db, limiters, logger, journal }) {
+  const batcher = makeBatcher(db, { batchSize: config.BATCH_SIZE, dryRun: config.DRY_RUN, limiter: limiters.firestore });
+  let deleted = 0;
+  async function walk(colRef) {
+    await forEachPage(colRef, config.BATCH_SIZE, null, async (docs) => {
+      for (const doc of docs) {
+        if (!keep.has(doc.ref.path)) {
+          if (config.DRY_RUN) logger.log(`→ (dry-run) would delete (not in the backup): ${doc.ref.path}`);
+          if (journal) journal.record(doc.ref.path, doc);
+          await batcher.delete(doc.ref);
+          deleted++;
+        }
+        if (deep) for (const sub of await doc.ref.listCollections()) await walk(sub);
+      }
+    });
+  }
+  await walk(db.collection(collectionPath));
+  await batcher.flush();
+  return deleted;
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ db, bucket, profile?, logger?: Console }} [deps]  defaults to ../../firebaseAdmin
+ * @returns {Promise<{ backupId: string, documents: number, written: number, deleted: number, dryRun: boolean, runId?: string }>}
+ *   documents = docs in the backup as of that point; deleted = docs removed by DELETE_EXTRA
+ */
+async function restoreBackup(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  deps = deps || require("../../firebaseAdmin");
+  const { db, bucket, limiters } = withLimits(deps);
+  const logger = deps.logger || console;
+
+  const manifest = await limiters.storage.run(() => loadManifest(bucket, config.BACKUP_PREFIX), "storage.download");
+  const chain = chainAt(manifest, config.COLLECTION, config.AT);
+  const target = chain[chain.length - 1].backup;
+  const destination = config.DESTINATION_COLLECTION || config.COLLECTION;
+  logger.log(
+    `♻️  Restoring '${config.COLLECTION}' as of backup ${target.id} (${chain.length} file(s))` +
+      (target.project ? ` from ${target.project}` : "") +
+      (config.DESTINATION_COLLECTION ? ` into '${destination}'` : "") +
+      "..."
+  );
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alce-restore-"));
+  const journal = config.JOURNAL && !config.DRY_RUN ? openJournal({ op: "restoreBackup" }, deps) : null;
+  const result = { backupId: target.id, documents: 0, written: 0, deleted: 0, dryRun: config.DRY_RUN };
+  try {
+    const file = path.join(dir, "snapshot.ndjson");
+    const snapshot = await materialize(chain, file, dir, { bucket, limiters });
+    const mapPath = pathMapper(snapshot.header, config.DESTINATION_COLLECTION);
+    const ctx = { db, limiters, logger, journal, total: snapshot.documents };
+    const written = await importEntries(file, mapPath, { ...config, ON_CONFLICT: "overwrite" }, ctx);
+    result.documents = written.documents;
+    result.written = written.written;
+    if (config.DELETE_EXTRA) {
+      const keep = new Set([...snapshot.paths].map(mapPath));
+      result.deleted = await deleteExtra(destination, keep, snapshot.header.includeSubcollections, config, ctx);
+    }
+  } finally {
+    if (journal) await journal.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  const verb = config.DRY_RUN ? "Would restore" : "Restored";
+  logger.log(`✅ ${verb} ${result.written} document(s)${result.deleted ? `; ${config.DRY_RUN ? "would delete" : "deleted"} ${result.deleted} not in the backup` : ""}.`);
+  if (journal && journal.count > 0) {
+    result.runId = journal.runId;
+    logger.log(`↩️  Journaled ${journal.count} before-image(s). Undo with: alce-admin undo ${journal.runId}`);
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULTS,
+  validateConfig,
+  restoreBackup: audited("restoreBackup", DEFAULTS, restoreBackup),
+};
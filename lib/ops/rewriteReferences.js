@@ -0,0 +1,169 @@
+// lib/ops/rewriteReferences.js
+// Find DocumentReferences into a moved collection and point them at its new home: every reference
+// to `FROM_COLLECTION/...` in the scanned COLLECTIONS becomes `TO_COLLECTION/...` (same doc path).
+// Run it after `copy-collection` moves a collection, or let copy-collection do it (REFERENCE_SCAN).
+// FROM_COLLECTION may be a pattern such as "weekly_lessons/{lessonId}/attendance", with TO_COLLECTION
+// a template over its captures, e.g. "archive/{lessonId}/attendance" (see lib/collectionPaths.js).
+const { audited } = require("../audit");
+const { openJournal } = require("../journal");
+const { makeBatcher } = require("../batcher");
+const { writePlan } = require("../plan");
+const { withLimits } = require("../limiter");
+const { forEachPage } = require("../pages");
+const { referenceRewriter, referenceUpdate } = require("../references");
+const { parseCollectionPattern, validateTemplate } = require("../collectionPaths");
+
+/**
+ * Config keys
+ * - FROM_COLLECTION: the old collection or collection pattern (references to its docs, or below them, are rewritten)
+ * - TO_COLLECTION: the new collection (a template over FROM_COLLECTION's placeholders)
+ * - COLLECTIONS: collection paths to scan, e.g. ["users", "restaurants", "users/u1/favorites"]
+ * - BATCH_SIZE: docs read per page and Firestore batch size (≤ 500)
+ * - DRY_RUN: list the docs and fields that would change without writing
+ * - JOURNAL: record before-images of every updated doc (for `alce-admin undo <runId>`)
+ * - PLAN: write a reviewable plan file here instead of writing (run it with `alce-admin apply <file>`)
+ */
+const DEFAULTS = {
+  FROM_COLLECTION: "",
+  TO_COLLECTION: "",
+  COLLECTIONS: [],
+  BATCH_SIZE: 400,
+  DRY_RUN: false,
+  JOURNAL: true,
+  PLAN: "",
+};
+
+function validateConfig(config) {
+  if (!config.FROM_COLLECTION || typeof config.FROM_COLLECTION !== "string") {
+    throw new Error("CONFIG.FROM_COLLECTION must be a non-empty string.");
+  }
+  validateTemplate(config.TO_COLLECTION, parseCollectionPattern(config.FROM_COLLECTION), "TO_COLLECTION");
+  if (config.FROM_COLLECTION === config.TO_COLLECTION) {
+    throw new Error("FROM_COLLECTION and TO_COLLECTION must differ.");
+  }
+  if (!Array.isArray(config.COLLECTIONS) || !config.COLLECTIONS.length) {
+    throw new Error("CONFIG.COLLECTIONS must list the collections to scan.");
+  }
+  for (const c of config.COLLECTIONS) {
+    if (typeof c !== "string" || !c || c.split("/").length % 2 !== 1) {
+      throw new Error(`Invalid collection path in COLLECTIONS: ${JSON.stringify(c)}`);
+    }
+  }
+  if (config.BATCH_SIZE < 1 || config.BATCH_SIZE > 500) {
+    throw new Error("CONFIG.BATCH_SIZE must be between 1 and 500.");
+  }
+  if (typeof config.DRY_RUN !== "boolean") {
+    throw new Error("CONFIG.DRY_RUN must be boolean.");
+  }
+  if (typeof config.JOURNAL !== "boolean") {
+    throw new Error("CONFIG.JOURNAL must be boolean.");
+  }
+  if (typeof config.PLAN !== "string") {
+    throw new Error('CONFIG.PLAN must be a file path, or "" to write directly.');
+  }
+}
+
+/**
+ * Scans `collections` page by page and rewrites references from one collection to another.
+ * Shared with copy-collection, which passes its own journal so one undo reverts the whole move.
+ * @param {{ db, logger: Console, limiters, journal?: object|null }} ctx
+ * @param {{ from: string, to: string, group?: boolean, collections: string[], batchSize: number, dryRun: boolean,
+ *   plannedWrites?: object[] }} opts  group = `from` is a collection group (copy-collection SOURCE_COLLECTION_GROUP);
+ *   plannedWrites collects plan entries instead of writing
+ * @returns {Promise<{ scanned: number, updated: number, references: number }>}
+ */
+async function scanReferences(ctx, opts) {
+  const { db, logger, journal } = ctx;
+  const rewrite = referenceRewriter(opts.from, opts.to, { group: opts.group });
+  const planning = !!opts.plannedWrites;
+  const batcher = makeBatcher(db, {
+    batchSize: opts.batchSize,
+    dryRun: opts.dryRun || planning,
+    limiter: ctx.limiters.firestore,
+  });
+  const counts = { scanned: 0, updated: 0, references: 0 };
+
+  for (const collection of opts.collections) {
+    logger.log(`🔗 Scanning '${collection}' for references to '${opts.from}'...`);
+    await forEachPage(db.collection(collection), opts.batchSize, null, async (docs) => {
+      for (const snap of docs) {
+        counts.scanned++;
+        const { update, changes, count } = referenceUpdate(snap.data(), rewrite);
+        if (!count) continue;
+        counts.updated++;
+        counts.references += count;
+        if (planning) {
+          opts.plannedWrites.push({ path: snap.ref.path, updateTime: snap.updateTime, changes });
+        } else if (opts.dryRun) {
+          logger.log(`→ (dry-run) would rewrite ${count} reference(s) in ${snap.ref.path}: ${Object.keys(update).join(", ")}`);
+        } else {
+          if (journal) journal.record(snap.ref.path, snap);
+          await batcher.update(snap.ref, update);
+        }
+      }
+    });
+  }
+  await batcher.flush();
+
+  const verb = opts.dryRun || planning ? "Would rewrite" : "Rewrote";
+  logger.log(
+    `✅ ${verb} ${counts.references} reference(s) in ${counts.updated} of ${counts.scanned} scanned doc(s) ` +
+      `('${opts.from}' → '${opts.to}').`
+  );
+  return counts;
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ db, profile?, logger?: Console }} [deps]  defaults to ../../firebaseAdmin
+ * @returns {Promise<{ scanned: number, updated: number, references: number, dryRun: boolean,
+ *   planned?: number, plan?: string, runId?: string }>}  runId is set when a journal was written
+ */
+async function rewriteReferences(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  deps = deps || require("../../firebaseAdmin");
+  const { db, limiters } = withLimits(deps);
+  const logger = deps.logger || console;
+
+  logger.log("CONFIG:", JSON.stringify(config, null, 2));
+
+  const plannedWrites = config.PLAN ? [] : undefined;
+  const journal = config.DRY_RUN || config.PLAN || !config.JOURNAL ? null : openJournal({ op: "rewriteReferences" }, deps);
+  let counts;
+  try {
+    counts = await scanReferences(
+      { db, logger, limiters, journal },
+      {
+        from: config.FROM_COLLECTION,
+        to: config.TO_COLLECTION,
+        collections: config.COLLECTIONS,
+        batchSize: config.BATCH_SIZE,
+        dryRun: config.DRY_RUN,
+        plannedWrites,
+      }
+    );
+  } finally {
+    if (journal) await journal.close();
+  }
+
+  const result = { ...counts, dryRun: config.DRY_RUN };
+  if (plannedWrites) {
+    writePlan(config.PLAN, { op: "rewriteReferences", config, writes: plannedWrites }, deps);
+    logger.log(`📝 Planned ${plannedWrites.length} document update(s) in ${config.PLAN}. No writes performed.`);
+    logger.log(`   Review it, then run: alce-admin apply ${config.PLAN}`);
+    Object.assign(result, { planned: plannedWrites.length, plan: config.PLAN });
+  }
+  if (journal && journal.count > 0) {
+    result.runId = journal.runId;
+    logger.log(`↩️  Journaled ${journal.count} before-image(s). Undo with: alce-admin undo ${journal.runId}`);
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULTS,
+  validateConfig,
+  scanReferences,
+  rewriteReferences: audited("rewriteReferences", DEFAULTS, rewriteReferences),
+};
@@ -0,0 +1,231 @@
+// lib/ops/rewriteStorageUrls.js
+// Point Storage paths and download URLs saved in Firestore at a moved prefix: in the chosen fields
+// of the chosen collections, every path or URL of an object under FROM_PREFIX becomes the same
+// object under TO_PREFIX (and DESTINATION_BUCKET), in the same form, with the moved object's
+// current download token (see lib/storageUrls.js). Objects missing at the destination are left as is.
+// Run it after `copy-storage-prefix` moves a prefix, or let copy-storage-prefix do it (URL_FIELDS).
+const { audited } = require("../audit");
+const { openJournal } = require("../journal");
+const { makeBatcher } = require("../batcher");
+const { writePlan } = require("../plan");
+const { withLimits } = require("../limiter");
+const { forEachPage } = require("../pages");
+const { bucketByName, storageUrlRewriter, downloadToken } = require("../storageUrls");
+
+/**
+ * Config keys
+ * - FROM_PREFIX: the old Storage prefix
+ * - TO_PREFIX: the new Storage prefix
+ * - SOURCE_BUCKET: bucket the old paths/URLs point into ("" = the project's default bucket)
+ * - DESTINATION_BUCKET: bucket the objects were moved to ("" = the project's default bucket)
+ * - URL_FIELDS: { collection: [fieldPaths] } to rewrite, e.g. { "accommodations": ["photos", "cover.url"] };
+ *     strings anywhere inside a field (arrays, maps) are rewritten
+ * - BATCH_SIZE: docs read per page and Firestore batch size (≤ 500)
+ * - DRY_RUN: list the docs and fields that would change without writing
+ * - JOURNAL: record before-images of every updated doc (for `alce-admin undo <runId>`)
+ * - PLAN: write a reviewable plan file here instead of writing (run it with `alce-admin apply <file>`)
+ */
+const DEFAULTS = {
+  FROM_PREFIX: "",
+  TO_PREFIX: "",
+  SOURCE_BUCKET: "",
+  DESTINATION_BUCKET: "",
+  URL_FIELDS: {},
+  BATCH_SIZE: 400,
+  DRY_RUN: false,
+  JOURNAL: true,
+  PLAN: "",
+};
+
+const normalizePrefix = (p) => (p.endsWith("/") ? p : p + "/");
+
+/** Checks a URL_FIELDS value (shared with copy-storage-prefix); `required` = at least one collection. */
+function validateUrlFields(urlFields, required) {
+  if (!urlFields || typeof urlFields !== "object" || Array.isArray(urlFields)) {
+    throw new Error('CONFIG.URL_FIELDS must be an object of { "collection": ["field.path", ...] }.');
+  }
+  const entries = Object.entries(urlFields);
+  if (required && !entries.length) {
+    throw new Error("CONFIG.URL_FIELDS must name at least one collection and its fields.");
+  }
+  for (const [collection, fields] of entries) {
+    if (!collection || collection.split("/").length % 2 !== 1) {
+      throw new Error(`Invalid collection path in URL_FIELDS: ${JSON.stringify(collection)}`);
+    }
+    if (!Array.isArray(fields) || !fields.length || fields.some((f) => typeof f !== "string" || !f)) {
+      throw new Error(`URL_FIELDS['${collection}'] must be a non-empty array of field paths.`);
+    }
+  }
+}
+
+function validateConfig(config) {
+  if (!config.FROM_PREFIX || typeof config.FROM_PREFIX !== "string") {
+    throw new Error("CONFIG.FROM_PREFIX must be a non-empty string.");
+  }
+  if (!config.TO_PREFIX || typeof config.TO_PREFIX !== "string") {
+    throw new Error("CONFIG.TO_PREFIX must be a non-empty string.");
+  }
+  if (typeof config.SOURCE_BUCKET !== "string" || typeof config.DESTINATION_BUCKET !== "string") {
+    throw new Error('CONFIG.SOURCE_BUCKET and CONFIG.DESTINATION_BUCKET must be bucket names, or "" for the default bucket.');
+  }
+  if (config.SOURCE_BUCKET === config.DESTINATION_BUCKET && normalizePrefix(config.FROM_PREFIX) === normalizePrefix(config.TO_PREFIX)) {
+    throw new Error("FROM_PREFIX and TO_PREFIX cannot be identical in the same bucket.");
+  }
+  validateUrlFields(config.URL_FIELDS, true);
+  if (config.BATCH_SIZE < 1 || config.BATCH_SIZE > 500) {
+    throw new Error("CONFIG.BATCH_SIZE must be between 1 and 500.");
+  }
+  if (typeof config.DRY_RUN !== "boolean") {
+    throw new Error("CONFIG.DRY_RUN must be boolean.");
+  }
+  if (typeof config.JOURNAL !== "boolean") {
+    throw new Error("CONFIG.JOURNAL must be boolean.");
+  }
+  if (typeof config.PLAN !== "string") {
+    throw new Error('CONFIG.PLAN must be a file path, or "" to write directly.');
+  }
+}
+
+/**
+ * `resolve(names)` that looks one page's moved objects up at the destination, for their download
+ * tokens and to leave paths to objects that are not there unchanged. Nothing is kept between pages.
+ * @returns {(names: string[]) => Promise<Map<string, { bucket: string, name: string, token: string|null } | null>>}
+ */
+function destinationResolver(destBucket, from, to, limiters) {
+  const lookup = async (name) => {
+    const destName = to + name.slice(from.length);
+    try {
+      const [metadata] = await limiters.storage.run(() => destBucket.file(destName).getMetadata(), "storage.getMetadata");
+      return { bucket: destBucket.name, name: destName, token: downloadToken(metadata) };
+    } catch (e) {
+      if (e.code === 404) return null;
+      throw e;
+    }
+  };
+  return async (names) => new Map(await Promise.all(names.map(async (n) => [n, await lookup(n)])));
+}
+
+/**
+ * Scans the URL_FIELDS collections page by page and rewrites the Storage paths/URLs in them.
+ * Shared with copy-storage-prefix, which skips the copies that did not verify.
+ * @param {{ db, logger: Console, limiters, journal?: object|null }} ctx
+ * @param {{ from: string, to: string, sourceBucket: string, urlFields: object, resolve: Function, batchSize: number,
+ *   dryRun: boolean, plannedWrites?: object[] }} opts  from/to end in "/"; resolve as in destinationResolver;
+ *   plannedWrites collects plan entries instead of writing
+ * @returns {Promise<{ scanned: number, updated: number, urls: number, missing: number }>}
+ */
+async function scanStorageUrls(ctx, opts) {
+  const { db, logger, journal } = ctx;
+  const rewriter = storageUrlRewriter({ from: opts.from, sourceBucket: opts.sourceBucket });
+  const planning = !!opts.plannedWrites;
+  const batcher = makeBatcher(db, {
+    batchSize: opts.batchSize,
+    dryRun: opts.dryRun || planning,
+    limiter: ctx.limiters.firestore,
+  });
+  const counts = { scanned: 0, updated: 0, urls: 0, missing: 0 };
+  const missing = new Set();
+
+  for (const [collection, fields] of Object.entries(opts.urlFields)) {
+    logger.log(`🔗 Scanning '${collection}' (${fields.join(", ")}) for Storage URLs under '${opts.from}'...`);
+    await forEachPage(db.collection(collection), opts.batchSize, null, async (docs) => {
+      const resolved = await opts.resolve([...new Set(docs.flatMap((snap) => rewriter.names(snap.data(), fields)))]);
+      for (const snap of docs) {
+        counts.scanned++;
+        const data = snap.data();
+        for (const name of rewriter.names(data, fields)) if (!resolved.get(name)) missing.add(name);
+        const { update, changes, count } = rewriter.update(data, fields, resolved);
+        if (!count) continue;
+        counts.updated++;
+        counts.urls += count;
+        if (planning) {
+          opts.plannedWrites.push({ path: snap.ref.path, updateTime: snap.updateTime, changes });
+        } else if (opts.dryRun) {
+          logger.log(`→ (dry-run) would rewrite ${count} URL(s) in ${snap.ref.path}: ${Object.keys(update).join(", ")}`);
+        } else {
+          if (journal) journal.record(snap.ref.path, snap);
+          await batcher.update(snap.ref, update);
+        }
+      }
+    });
+  }
+  await batcher.flush();
+
+  counts.missing = missing.size;
+  const verb = opts.dryRun || planning ? "Would rewrite" : "Rewrote";
+  logger.log(
+    `✅ ${verb} ${counts.urls} Storage path/URL(s) in ${counts.updated} of ${counts.scanned} scanned doc(s) ` +
+      `('${opts.from}' → '${opts.to}').`
+  );
+  if (missing.size) {
+    logger.log(`⚠️ ${missing.size} object(s) referenced under '${opts.from}' are not at the destination; their URLs were left as is.`);
+  }
+  return counts;
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ db, bucket, profile?, logger?: Console }} [deps]  defaults to ../../firebaseAdmin
+ * @returns {Promise<{ scanned: number, updated: number, urls: number, missing: number, dryRun: boolean,
+ *   planned?: number, plan?: string, runId?: string }>}  runId is set when a journal was written
+ */
+async function rewriteStorageUrls(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  deps = deps || require("../../firebaseAdmin");
+  const { db, bucket, limiters } = withLimits(deps);
+  const logger = deps.logger || console;
+
+  logger.log("CONFIG:", JSON.stringify(config, null, 2));
+
+  const from = normalizePrefix(config.FROM_PREFIX);
+  const to = normalizePrefix(config.TO_PREFIX);
+  const sourceBucket = bucketByName(bucket, config.SOURCE_BUCKET);
+  const destBucket = bucketByName(bucket, config.DESTINATION_BUCKET);
+  // validateConfig only sees names as given: "" and the default bucket's name are the same bucket.
+  if (destBucket.name === sourceBucket.name && from === to) {
+    throw new Error("FROM_PREFIX and TO_PREFIX cannot be identical in the same bucket.");
+  }
+  const plannedWrites = config.PLAN ? [] : undefined;
+  const journal = config.DRY_RUN || config.PLAN || !config.JOURNAL ? null : openJournal({ op: "rewriteStorageUrls" }, deps);
+  let counts;
+  try {
+    counts = await scanStorageUrls(
+      { db, logger, limiters, journal },
+      {
+        from,
+        to,
+        sourceBucket: sourceBucket.name,
+        urlFields: config.URL_FIELDS,
+        resolve: destinationResolver(destBucket, from, to, limiters),
+        batchSize: config.BATCH_SIZE,
+        dryRun: config.DRY_RUN,
+        plannedWrites,
+      }
+    );
+  } finally {
+    if (journal) await journal.close();
+  }
+
+  const result = { ...counts, dryRun: config.DRY_RUN };
+  if (plannedWrites) {
+    writePlan(config.PLAN, { op: "rewriteStorageUrls", config, writes: plannedWrites }, deps);
+    logger.log(`📝 Planned ${plannedWrites.length} document update(s) in ${config.PLAN}. No writes performed.`);
+    logger.log(`   Review it, then run: alce-admin apply ${config.PLAN}`);
+    Object.assign(result, { planned: plannedWrites.length, plan: config.PLAN });
+  }
+  if (journal && journal.count > 0) {
+    result.runId = journal.runId;
+    logger.log(`↩️  Journaled ${journal.count} before-image(s). Undo with: alce-admin undo ${journal.runId}`);
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULTS,
+  validateConfig,
+  validateUrlFields,
+  destinationResolver,
+  scanStorageUrls,
+  rewriteStorageUrls: audited("rewriteStorageUrls", DEFAULTS, rewriteStorageUrls),
+};
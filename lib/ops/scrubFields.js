@@ -0,0 +1,252 @@
+// lib/ops/scrubFields.js
+// Scrub fields across a collection (or collectionGroup) — delete them or null them,
+// and optionally strip keys from objects inside array fields.
+const { FieldValue } = require("firebase-admin/firestore");
+const { makeBatcher } = require("../batcher");
+const { getByPath, setByPath, unsetByPath } = require("../paths");
+const { audited } = require("../audit");
+const { openJournal } = require("../journal");
+const { fieldChange, writePlan } = require("../plan");
+const { withLimits } = require("../limiter");
+const { applyWhere } = require("../transform");
+
+/**
+ * Config keys
+ * - COLLECTION: collection name (e.g., 'weekly_lessons')
+ * - USE_COLLECTION_GROUP: set true to target a collectionGroup instead of a top-level collection
+ * - FIELD_PATHS: array of field paths to scrub (supports dotted map paths; NOT array indexing)
+ * - ARRAY_CLEANERS: [{ arrayPath, deleteKeys[] }]
+ *     For each object in arrayPath, delete or null the given keys (keys can be dotted for nested maps)
+ * - WHERE: optional filters: [ [field, op, value], ... ]
+ * - DOC_IDS: optional list of doc IDs (top-level COLLECTION mode only)
+ * - HARD_DELETE: true = delete fields; false = set fields/keys to null
+ * - BATCH_SIZE: commit size (≤ 500; keep a safety margin)
+ * - DRY_RUN: log what would happen without writing
+ * - JOURNAL: record before-images of every updated doc (for `alce-admin undo <runId>`)
+ * - PLAN: write a reviewable plan file here instead of writing (run it with `alce-admin apply <file>`)
+ */
+const DEFAULTS = {
+  COLLECTION: "",
+  USE_COLLECTION_GROUP: false,
+  FIELD_PATHS: [],
+  ARRAY_CLEANERS: [],
+  WHERE: [],
+  DOC_IDS: [],
+  HARD_DELETE: true,
+  BATCH_SIZE: 400,
+  DRY_RUN: false,
+  JOURNAL: true,
+  PLAN: "",
+};
+
+function validateConfig(config) {
+  if (!config.COLLECTION || typeof config.COLLECTION !== "string") {
+    throw new Error("CONFIG.COLLECTION must be a non-empty string.");
+  }
+  if (!Array.isArray(config.FIELD_PATHS)) {
+    throw new Error("CONFIG.FIELD_PATHS must be an array.");
+  }
+  if (!Array.isArray(config.ARRAY_CLEANERS)) {
+    throw new Error("CONFIG.ARRAY_CLEANERS must be an array.");
+  }
+  if (!Array.isArray(config.WHERE)) {
+    throw new Error("CONFIG.WHERE must be an array.");
+  }
+  if (!Array.isArray(config.DOC_IDS)) {
+    throw new Error("CONFIG.DOC_IDS must be an array.");
+  }
+  if (config.USE_COLLECTION_GROUP && config.DOC_IDS.length) {
+    throw new Error("DOC_IDS is not supported with USE_COLLECTION_GROUP=true.");
+  }
+  if (config.BATCH_SIZE < 1 || config.BATCH_SIZE > 500) {
+    throw new Error("CONFIG.BATCH_SIZE must be between 1 and 500.");
+  }
+  if (typeof config.JOURNAL !== "boolean") {
+    throw new Error("CONFIG.JOURNAL must be boolean.");
+  }
+  if (typeof config.PLAN !== "string") {
+    throw new Error('CONFIG.PLAN must be a file path, or "" to write directly.');
+  }
+}
+
+function buildFieldUpdateMap(paths, hardDelete) {
+  const update = {};
+  for (const p of paths) {
+    if (typeof p !== "string" || !p.trim()) {
+      throw new Error(`Invalid field path: "${p}"`);
+    }
+    update[p] = hardDelete ? FieldValue.delete() : null;
+  }
+  return update;
+}
+
+/**
+ * Applies ARRAY_CLEANERS to a document's data.
+ * Returns { [arrayPath]: newArray } for every array that actually changed.
+ */
+function applyArrayCleaners(data, cleaners, hardDelete) {
+  const changes = {};
+  for (const rule of cleaners) {
+    const arr = getByPath(data, rule.arrayPath);
+    if (!Array.isArray(arr)) continue;
+
+    const newArr = arr.map((item) => {
+      if (!item || typeof item !== "object" || Array.isArray(item)) return item;
+      const clone = { ...item };
+      for (const key of rule.deleteKeys) {
+        if (hardDelete) {
+          unsetByPath(clone, key);
+        } else {
+          setByPath(clone, key, null);
+        }
+      }
+      return clone;
+    });
+
+    if (JSON.stringify(newArr) !== JSON.stringify(arr)) {
+      changes[rule.arrayPath] = newArr;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Field-level before/after of everything a scrub would change in `data` (see lib/plan.js).
+ * Fields that are already gone (or already null when nulling) are left out.
+ */
+function planDocChanges(data, config) {
+  const changes = [];
+  for (const p of config.FIELD_PATHS) {
+    const change = fieldChange(p, getByPath(data, p), config.HARD_DELETE ? undefined : null);
+    if (change) changes.push(change);
+  }
+  const cleaned = applyArrayCleaners(data, config.ARRAY_CLEANERS, config.HARD_DELETE);
+  for (const [arrayPath, newArr] of Object.entries(cleaned)) {
+    changes.push(fieldChange(arrayPath, getByPath(data, arrayPath), newArr));
+  }
+  return changes;
+}
+
+/** Returns DocumentSnapshots so we can transform arrays. */
+async function getTargets(db, config) {
+  if (!config.USE_COLLECTION_GROUP) {
+    const colRef = db.collection(config.COLLECTION);
+
+    if (config.DOC_IDS.length > 0) {
+      const snaps = await Promise.all(config.DOC_IDS.map((id) => colRef.doc(id).get()));
+      return snaps.filter((s) => s.exists);
+    }
+
+    const snap = await applyWhere(colRef, config.WHERE).get();
+    return snap.docs;
+  }
+
+  // collectionGroup mode
+  const snap = await applyWhere(db.collectionGroup(config.COLLECTION), config.WHERE).get();
+  return snap.docs;
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ db: FirebaseFirestore.Firestore, logger?: Console }} [deps]  defaults to ../../firebaseAdmin
+ * @returns {Promise<{ matched: number, updated: number, dryRun: boolean, sample?: string[], runId?: string,
+ *   planned?: number, plan?: string }>}  runId is set when a journal was written; planned/plan in PLAN mode
+ */
+async function scrubFields(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+
+  const { db, limiters } = withLimits(deps || require("../../firebaseAdmin"));
+  const logger = (deps && deps.logger) || console;
+
+  logger.log(
+    "CONFIG:",
+    JSON.stringify(
+      {
+        COLLECTION: config.COLLECTION,
+        USE_COLLECTION_GROUP: config.USE_COLLECTION_GROUP,
+        FIELD_PATHS: config.FIELD_PATHS,
+        ARRAY_CLEANERS: config.ARRAY_CLEANERS,
+        WHERE: config.WHERE,
+        DOC_IDS: config.DOC_IDS.length,
+        HARD_DELETE: config.HARD_DELETE,
+        BATCH_SIZE: config.BATCH_SIZE,
+        DRY_RUN: config.DRY_RUN,
+        JOURNAL: config.JOURNAL,
+        PLAN: config.PLAN,
+      },
+      null,
+      2
+    )
+  );
+
+  const fieldMap = buildFieldUpdateMap(config.FIELD_PATHS, config.HARD_DELETE);
+  const targets = await getTargets(db, config);
+
+  if (targets.length === 0) {
+    logger.log("No documents matched the criteria. Nothing to do.");
+    return { matched: 0, updated: 0, dryRun: config.DRY_RUN };
+  }
+
+  logger.log(`Matched ${targets.length} document(s).`);
+
+  if (config.PLAN) {
+    const writes = [];
+    for (const snap of targets) {
+      const changes = planDocChanges(snap.data() || {}, config);
+      if (changes.length) writes.push({ path: snap.ref.path, updateTime: snap.updateTime, changes });
+    }
+    writePlan(config.PLAN, { op: "scrubFields", config, writes }, deps);
+    logger.log(`📝 Planned ${writes.length} document update(s) in ${config.PLAN}. No writes performed.`);
+    logger.log(`   Review it, then run: alce-admin apply ${config.PLAN}`);
+    return { matched: targets.length, updated: 0, dryRun: config.DRY_RUN, planned: writes.length, plan: config.PLAN };
+  }
+
+  if (config.DRY_RUN) {
+    const sampleCount = Math.min(10, targets.length);
+    const sample = targets.slice(0, sampleCount).map((s) => s.ref.path);
+    logger.log(`DRY_RUN is ON — showing up to ${sampleCount} sample refs:`);
+    for (const p of sample) logger.log(` - ${p}`);
+    logger.log("No writes performed.");
+    return { matched: targets.length, updated: 0, dryRun: true, sample };
+  }
+
+  const batcher = makeBatcher(db, { batchSize: config.BATCH_SIZE, limiter: limiters.firestore });
+  const journal = config.JOURNAL ? openJournal({ op: "scrubFields" }, deps) : null;
+  let updated = 0;
+
+  try {
+    for (const snap of targets) {
+      const data = snap.data() || {};
+      const update = { ...fieldMap, ...applyArrayCleaners(data, config.ARRAY_CLEANERS, config.HARD_DELETE) };
+
+      // Firestore is fine updating with keys that didn't exist before (will set nulls).
+      if (Object.keys(update).length > 0) {
+        if (journal) journal.record(snap.ref.path, snap);
+        await batcher.update(snap.ref, update);
+        updated++;
+      }
+    }
+
+    await batcher.flush();
+  } finally {
+    if (journal) await journal.close();
+  }
+
+  const result = { matched: targets.length, updated, dryRun: false };
+  if (journal && journal.count > 0) {
+    result.runId = journal.runId;
+    logger.log(`↩️  Journaled ${journal.count} before-image(s). Undo with: alce-admin undo ${journal.runId}`);
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULTS,
+  validateConfig,
+  buildFieldUpdateMap,
+  applyArrayCleaners,
+  planDocChanges,
+  getTargets,
+  scrubFields: audited("scrubFields", DEFAULTS, scrubFields),
+};
@@ -0,0 +1,102 @@
+// lib/ops/seedEmulator.js
+// Load a JSON fixture into the Firebase Emulator Suite so copyCollection, scrubFields,
+// fillCurrentWeekRoster, ... can be rehearsed on local data. Refuses to run outside emulator mode.
+const fs = require("fs");
+const path = require("path");
+const { makeBatcher } = require("../batcher");
+
+/**
+ * Config keys
+ * - FIXTURE_FILE: JSON file shaped like
+ *     { "firestore": { "<collection>/<docId>[/<sub>/<docId>...]": { ...data } },
+ *       "auth": [ { uid, email, displayName?, password?, customClaims? } ] }
+ * - CLEAR_FIRST: wipe emulator Firestore + Auth before loading
+ * - BATCH_SIZE: Firestore batch size (≤ 500)
+ */
+const DEFAULTS = {
+  FIXTURE_FILE: "emulator/fixtures.example.json",
+  CLEAR_FIRST: false,
+  BATCH_SIZE: 400,
+};
+
+function validateConfig(config) {
+  if (!config.FIXTURE_FILE || typeof config.FIXTURE_FILE !== "string") {
+    throw new Error("CONFIG.FIXTURE_FILE must be a non-empty string.");
+  }
+  if (typeof config.CLEAR_FIRST !== "boolean") {
+    throw new Error("CONFIG.CLEAR_FIRST must be boolean.");
+  }
+  if (config.BATCH_SIZE < 1 || config.BATCH_SIZE > 500) {
+    throw new Error("CONFIG.BATCH_SIZE must be between 1 and 500.");
+  }
+}
+
+function readFixture(file) {
+  const abs = path.isAbsolute(file) ? file : path.resolve(process.cwd(), file);
+  if (!fs.existsSync(abs)) throw new Error(`Fixture file not found: ${abs}`);
+  const data = JSON.parse(fs.readFileSync(abs, "utf8"));
+  const docs = data.firestore || {};
+  const users = data.auth || [];
+  for (const docPath of Object.keys(docs)) {
+    if (docPath.split("/").length % 2 !== 0) {
+      throw new Error(`Fixture key '${docPath}' must be a document path (even number of segments).`);
+    }
+  }
+  if (!Array.isArray(users)) throw new Error("Fixture 'auth' must be an array of users.");
+  return { abs, docs, users };
+}
+
+/** Uses the emulators' REST endpoints to drop all Firestore docs and Auth users. */
+async function clearEmulator(emulator, projectId, logger = console) {
+  const targets = [
+    `http://${emulator.firestore}/emulator/v1/projects/${projectId}/databases/(default)/documents`,
+    `http://${emulator.auth}/emulator/v1/projects/${projectId}/accounts`,
+  ];
+  for (const url of targets) {
+    const res = await fetch(url, { method: "DELETE" });
+    if (!res.ok) throw new Error(`Failed to clear ${url}: HTTP ${res.status}`);
+  }
+  logger.log("🧹 Cleared emulator Firestore + Auth.");
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ db, auth, emulator, profile, logger?: Console }} [deps]  defaults to ../../firebaseAdmin
+ * @returns {Promise<{ written: number, usersCreated: number }>}
+ */
+async function seedEmulator(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  const { db, auth, emulator, profile } = deps || require("../../firebaseAdmin");
+  const logger = (deps && deps.logger) || console;
+
+  if (!emulator) {
+    throw new Error("seedEmulator only runs in emulator mode (set FIRESTORE_EMULATOR_HOST or use --emulator).");
+  }
+
+  const { abs, docs, users } = readFixture(config.FIXTURE_FILE);
+  logger.log(`🌱 Seeding emulator (${profile.projectId}) from ${abs}`);
+
+  if (config.CLEAR_FIRST) await clearEmulator(emulator, profile.projectId, logger);
+
+  const batcher = makeBatcher(db, { batchSize: config.BATCH_SIZE });
+  let written = 0;
+  for (const [docPath, data] of Object.entries(docs)) {
+    await batcher.set(db.doc(docPath), data);
+    written++;
+  }
+  await batcher.flush();
+
+  let usersCreated = 0;
+  for (const u of users) {
+    const { customClaims, ...record } = u;
+    await auth.createUser(record);
+    if (customClaims) await auth.setCustomUserClaims(u.uid, customClaims);
+    usersCreated++;
+  }
+
+  logger.log(`✅ Wrote ${written} document(s) and ${usersCreated} auth user(s).`);
+  return { written, usersCreated };
+}
+
+module.exports = { DEFAULTS, validateConfig, readFixture, clearEmulator, seedEmulator };
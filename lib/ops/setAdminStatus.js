@@ -0,0 +1,122 @@
+// lib/ops/setAdminStatus.js
+// Grant/revoke the `admin` custom claim for a user by email, and sync the `admins/<uid>` doc.
+const { FieldValue } = require("firebase-admin/firestore");
+const { audited } = require("../audit");
+const { withLimits } = require("../limiter");
+
+/**
+ * Config keys
+ * - TARGET_EMAIL: email of the user to update
+ * - MAKE_ADMIN: true => grant, false => revoke
+ * - CALLER_UID: uid of the owner performing this action
+ * - ALLOW_SELF_DEMOTE: allow an owner to revoke their own admin
+ * - SKIP_OWNER_CHECK: set true only for first-time bootstrap
+ */
+const DEFAULTS = {
+  TARGET_EMAIL: "",
+  MAKE_ADMIN: false,
+  CALLER_UID: "",
+  ALLOW_SELF_DEMOTE: false,
+  SKIP_OWNER_CHECK: false,
+};
+
+// --- Input validation (keep it simple & explicit) ---
+function validateConfig(config) {
+  const { TARGET_EMAIL, MAKE_ADMIN, CALLER_UID, ALLOW_SELF_DEMOTE, SKIP_OWNER_CHECK } = config;
+
+  if (!TARGET_EMAIL || typeof TARGET_EMAIL !== "string" || !TARGET_EMAIL.includes("@")) {
+    throw new Error("Valid TARGET_EMAIL is required (string with '@').");
+  }
+  if (typeof MAKE_ADMIN !== "boolean") {
+    throw new Error("MAKE_ADMIN must be a boolean (true|false).");
+  }
+  if (typeof ALLOW_SELF_DEMOTE !== "boolean") {
+    throw new Error("ALLOW_SELF_DEMOTE must be a boolean (true|false).");
+  }
+  if (typeof SKIP_OWNER_CHECK !== "boolean") {
+    throw new Error("SKIP_OWNER_CHECK must be a boolean (true|false).");
+  }
+  if (!SKIP_OWNER_CHECK && !CALLER_UID) {
+    throw new Error("CALLER_UID is required for owner check.");
+  }
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ auth, db, logger?: Console }} [deps]  defaults to ../../firebaseAdmin
+ * @returns {Promise<{ uid: string, email: string, admin: boolean, previousClaims: object,
+ *   claims: object, aborted?: string }>}
+ */
+async function setAdminStatus(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  const { auth, db, limiters } = withLimits(deps || require("../../firebaseAdmin"));
+  const logger = (deps && deps.logger) || console;
+  const { TARGET_EMAIL, MAKE_ADMIN, CALLER_UID, ALLOW_SELF_DEMOTE, SKIP_OWNER_CHECK } = config;
+
+  // --- Owner authorization (mirrors your CF logic, but simple) ---
+  if (!SKIP_OWNER_CHECK) {
+    let caller;
+    try {
+      caller = await auth.getUser(CALLER_UID);
+    } catch (e) {
+      if (e && e.code === "auth/user-not-found") {
+        throw new Error("Caller not found in Auth.");
+      }
+      throw new Error(`Failed to fetch caller: ${e.message}`);
+    }
+    const claims = caller.customClaims || {};
+    if (claims.owner !== true) {
+      throw new Error("Action requires owner privileges (custom claim owner=true).");
+    }
+  }
+
+  logger.log(`🔎 Looking up target by email: ${TARGET_EMAIL}`);
+  const userRecord = await auth.getUserByEmail(TARGET_EMAIL);
+  const targetUid = userRecord.uid;
+  const currentClaims = userRecord.customClaims || {};
+  const result = {
+    uid: targetUid,
+    email: userRecord.email,
+    admin: MAKE_ADMIN,
+    previousClaims: currentClaims,
+    claims: currentClaims,
+  };
+
+  // Prevent owner self-demotion unless explicitly allowed
+  if (!ALLOW_SELF_DEMOTE && currentClaims.owner && !MAKE_ADMIN && targetUid === CALLER_UID) {
+    logger.log("⛔ Owner self-demotion is blocked by ALLOW_SELF_DEMOTE=false. Aborting.");
+    return { ...result, aborted: "self-demote" };
+  }
+
+  // Merge custom claims (preserve unrelated claims like 'owner')
+  const newClaims = { ...currentClaims, admin: MAKE_ADMIN };
+  await auth.setCustomUserClaims(targetUid, newClaims);
+  result.claims = newClaims;
+  logger.log(`✔️  Updated custom claims for ${targetUid}: admin=${MAKE_ADMIN}`);
+
+  // Sync Firestore 'admins' collection
+  const adminDocRef = db.collection("admins").doc(targetUid);
+  if (MAKE_ADMIN) {
+    const adminDoc = {
+      email: userRecord.email,
+      displayName: userRecord.displayName || null,
+      addedBy: CALLER_UID || null,
+      addedAt: FieldValue.serverTimestamp(),
+    };
+    await limiters.firestore.run(() => adminDocRef.set(adminDoc, { merge: true }), "firestore.set");
+    logger.log(`✔️  Upserted Firestore admins/${targetUid}`);
+    logger.log(`🎉 ${TARGET_EMAIL} is now an admin.`);
+  } else {
+    await limiters.firestore.run(() => adminDocRef.delete(), "firestore.delete").catch((e) => {
+      // Ignore not-found (code 5 in Firestore gRPC or string "not-found")
+      if (!(e && (e.code === 5 || e.code === "not-found"))) throw e;
+    });
+    logger.log(`✔️  Removed Firestore admins/${targetUid}`);
+    logger.log(`ℹ️  Admin status revoked for ${TARGET_EMAIL}.`);
+  }
+
+  return result;
+}
+
+module.exports = { DEFAULTS, validateConfig, setAdminStatus: audited("setAdminStatus", DEFAULTS, setAdminStatus) };
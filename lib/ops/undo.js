@@ -0,0 +1,102 @@
+// lib/ops/undo.js
+// Restore the documents touched by a journaled run (see lib/journal.js) to their prior state:
+// docs that existed are rewritten exactly as they were (deleted docs and subcollection docs
+// included); docs the run created are deleted. The undo itself is journaled, so it can be undone too.
+const { makeBatcher } = require("../batcher");
+const { audited } = require("../audit");
+const { openJournal, loadJournal } = require("../journal");
+const { withLimits } = require("../limiter");
+
+/**
+ * Config keys
+ * - RUN_ID: id of the run to undo (printed by the op, also the audit log's runId)
+ * - BATCH_SIZE: Firestore batch size (≤ 500)
+ * - DRY_RUN: list what would be restored/deleted without writing
+ * - JOURNAL: journal the current state first, so this undo can itself be undone
+ */
+const DEFAULTS = {
+  RUN_ID: "",
+  BATCH_SIZE: 400,
+  DRY_RUN: false,
+  JOURNAL: true,
+};
+
+function validateConfig(config) {
+  if (!config.RUN_ID || typeof config.RUN_ID !== "string") {
+    throw new Error("CONFIG.RUN_ID must be a non-empty string (the run to undo).");
+  }
+  if (config.BATCH_SIZE < 1 || config.BATCH_SIZE > 500) {
+    throw new Error("CONFIG.BATCH_SIZE must be between 1 and 500.");
+  }
+  if (typeof config.DRY_RUN !== "boolean") {
+    throw new Error("CONFIG.DRY_RUN must be boolean.");
+  }
+  if (typeof config.JOURNAL !== "boolean") {
+    throw new Error("CONFIG.JOURNAL must be boolean.");
+  }
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ db, bucket?, logger?: Console }} [deps]  defaults to ../../firebaseAdmin
+ * @returns {Promise<{ undoneRunId: string, op: string, restored: number, deleted: number, dryRun: boolean,
+ *   runId?: string }>}  runId is this undo's own journal
+ */
+async function undoRun(options, deps) {
+  const config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  deps = deps || require("../../firebaseAdmin");
+  const { db, limiters } = withLimits(deps);
+  const logger = deps.logger || console;
+
+  const { header, entries, source } = await loadJournal(config.RUN_ID, deps);
+  logger.log(`↩️  Undoing ${header.op} run ${header.runId} (${entries.length} document(s)) from ${source}`);
+
+  const profile = deps.profile || {};
+  if (header.project && profile.projectId && header.project !== profile.projectId) {
+    throw new Error(
+      `Run ${header.runId} was journaled on project '${header.project}', but the current project is '${profile.projectId}'.`
+    );
+  }
+
+  const result = { undoneRunId: header.runId, op: header.op, restored: 0, deleted: 0, dryRun: config.DRY_RUN };
+
+  if (config.DRY_RUN) {
+    for (const e of entries) {
+      logger.log(`→ (dry-run) would ${e.exists ? "restore" : "delete"}: ${e.path}`);
+      if (e.exists) result.restored++;
+      else result.deleted++;
+    }
+    return result;
+  }
+
+  const batcher = makeBatcher(db, { batchSize: config.BATCH_SIZE, limiter: limiters.firestore });
+  const journal = config.JOURNAL ? openJournal({ op: "undo" }, deps) : null;
+
+  try {
+    // Backwards, so a path journaled twice ends at its first (pre-run) image.
+    for (const e of [...entries].reverse()) {
+      const ref = db.doc(e.path);
+      if (journal) await journal.recordRef(ref);
+      if (e.exists) {
+        await batcher.set(ref, e.data);
+        result.restored++;
+      } else {
+        await batcher.delete(ref);
+        result.deleted++;
+      }
+    }
+    await batcher.flush();
+  } finally {
+    if (journal) await journal.close();
+  }
+
+  logger.log(`✅ Restored ${result.restored} document(s), deleted ${result.deleted} created by the run.`);
+  if (journal && journal.count > 0) {
+    result.runId = journal.runId;
+    logger.log(`↩️  This undo can be reverted with: alce-admin undo ${journal.runId}`);
+  }
+  return result;
+}
+
+module.exports = { DEFAULTS, validateConfig, undoRun: audited("undo", DEFAULTS, undoRun) };
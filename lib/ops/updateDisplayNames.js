@@ -0,0 +1,143 @@
+// lib/ops/updateDisplayNames.js
+// Sync Auth `displayName` from the Firestore profile (basicInfo.firstName + basicInfo.lastName).
+const { FieldPath } = require("firebase-admin/firestore");
+const { audited, noopAudit } = require("../audit");
+const { openCheckpoint, validateResumeConfig } = require("../checkpoint");
+const { withLimits } = require("../limiter");
+
+/**
+ * Config keys
+ * - USERS_COLLECTION: collection holding user profiles (doc ID == uid)
+ * - CHECKPOINT: save the last processed uid + counters after every user (see lib/checkpoint.js)
+ * - RESUME: run id (or "latest") of a crashed run to continue; that run's config is reused
+ */
+const DEFAULTS = {
+  USERS_COLLECTION: "users",
+  CHECKPOINT: true,
+  RESUME: "",
+};
+
+function validateConfig(config) {
+  if (!config.USERS_COLLECTION || typeof config.USERS_COLLECTION !== "string") {
+    throw new Error("CONFIG.USERS_COLLECTION must be a non-empty string.");
+  }
+  validateResumeConfig(config);
+}
+
+/**
+ * @param {object} options  config keys (see DEFAULTS)
+ * @param {{ auth, db, logger?: Console }} [deps]  defaults to ../../firebaseAdmin
+ * @returns {Promise<{ processed: number, updated: number, skipped: number, errors: number }>}
+ */
+async function updateDisplayNames(options, deps) {
+  let config = { ...DEFAULTS, ...options };
+  validateConfig(config);
+  // Auth calls go through the shared rate limiter (lib/limiter.js) instead of a fixed sleep.
+  const { auth, db } = withLimits(deps || require("../../firebaseAdmin"));
+  const logger = (deps && deps.logger) || console;
+  const audit = (deps && deps.audit) || noopAudit;
+  const checkpoint =
+    config.CHECKPOINT || config.RESUME
+      ? openCheckpoint(
+          { op: "updateDisplayNames", command: "update-display-names", config, resume: config.RESUME },
+          deps
+        )
+      : null;
+  if (checkpoint && checkpoint.resumed) {
+    config = { ...DEFAULTS, ...checkpoint.config, RESUME: config.RESUME };
+    validateConfig(config);
+  }
+  const state = checkpoint && checkpoint.state; // null unless resuming a run that got somewhere
+
+  const result = { processed: 0, updated: 0, skipped: 0, errors: 0, ...(state && state.counters) };
+
+  if (state) {
+    logger.log(
+      `♻️  Resuming run ${checkpoint.runId} after user ${state.cursor.lastDocId} (${result.processed} processed so far).`
+    );
+  } else {
+    logger.log("🚀 Starting display name update for all users...");
+    if (checkpoint) logger.log(`💾 Checkpointing progress. If interrupted, resume with: ${checkpoint.hint()}`);
+  }
+
+  // Get all user documents from Firestore (only those after the cursor when resuming)
+  logger.log("📄 Fetching user documents from Firestore...");
+  let query = db.collection(config.USERS_COLLECTION);
+  if (state) query = query.orderBy(FieldPath.documentId()).startAfter(state.cursor.lastDocId);
+  const snapshot = await query.get();
+
+  logger.log(`📊 Found ${snapshot.size} user documents to process`);
+
+  for (const doc of snapshot.docs) {
+    result.processed++;
+    const uid = doc.id; // doc ID == uid
+    const data = doc.data();
+
+    try {
+      // Access basicInfo subfields
+      const firstName = data.basicInfo?.firstName || "";
+      const lastName = data.basicInfo?.lastName || "";
+      const fullName = `${firstName} ${lastName}`.trim();
+
+      if (fullName) {
+        // Get current user from Firebase Auth to check if display name already matches
+        let currentUser;
+        try {
+          currentUser = await auth.getUser(uid);
+        } catch (authError) {
+          logger.log(`⚠️  Auth user ${uid} not found, skipping (user may have been deleted)`);
+          result.skipped++;
+          continue;
+        }
+
+        // Check if display name already matches
+        if (currentUser.displayName === fullName) {
+          logger.log(`⏭️  Skipped ${uid} → "${fullName}" (already up to date)`);
+          result.skipped++;
+        } else {
+          const previousDisplayName = currentUser.displayName || "null";
+          await auth.updateUser(uid, { displayName: fullName });
+          logger.log(`✅ Updated ${uid} → "${fullName}" (was: "${previousDisplayName}")`);
+          result.updated++;
+        }
+      } else {
+        const reasons = [];
+        if (!firstName) reasons.push("missing firstName");
+        if (!lastName) reasons.push("missing lastName");
+        if (!data.basicInfo) reasons.push("missing basicInfo");
+
+        logger.log(`⚠️  Skipped ${uid} → ${reasons.join(", ")}`);
+        result.skipped++;
+      }
+
+    } catch (error) {
+      logger.error(`❌ Error processing user ${uid}:`, error.message);
+      audit.docError(doc.ref.path, error);
+      result.errors++;
+    } finally {
+      // Every user is its own Auth write, so progress can be saved after each one.
+      if (checkpoint) checkpoint.save({ cursor: { lastDocId: uid }, counters: { ...result } });
+    }
+  }
+  if (checkpoint) checkpoint.finish({ cursor: null, counters: { ...result } });
+
+  logger.log("\n📊 Update Summary:");
+  logger.log(`   Total processed: ${result.processed}`);
+  logger.log(`   Updated: ${result.updated}`);
+  logger.log(`   Skipped (already up to date): ${result.skipped}`);
+  logger.log(`   Errors: ${result.errors}`);
+
+  if (result.updated > 0) {
+    logger.log("🎉 Display name update completed successfully!");
+  } else {
+    logger.log("ℹ️  No updates needed - all display names are already up to date!");
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULTS,
+  validateConfig,
+  updateDisplayNames: audited("updateDisplayNames", DEFAULTS, updateDisplayNames),
+};
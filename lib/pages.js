@@ -0,0 +1,37 @@
+// lib/pages.js
+// Streaming reads: walk a collection (or query) a page at a time by document-id cursor, so only
+// one page is in memory however large the collection is.
+const { FieldPath } = require("firebase-admin/firestore");
+
+/**
+ * Calls `fn(docs)` for each page of `colRef`, in document-id order, starting after `afterId`.
+ * Only one page is held at a time.
+ * @param {{ byPath?: boolean, filter?: ((snap) => boolean) | null }} [options]
+ *   byPath: cursors are full document paths (collection-group queries order by path);
+ *   filter: drops docs before `fn` sees them (`fn` is not called for a page that ends up empty)
+ */
+async function forEachPage(colRef, pageSize, afterId, fn, options = {}) {
+  let last = afterId || null;
+  for (;;) {
+    let query = colRef.orderBy(FieldPath.documentId()).limit(pageSize);
+    if (last) query = query.startAfter(last);
+    const snap = await query.get();
+    if (snap.empty) return;
+    const docs = options.filter ? snap.docs.filter(options.filter) : snap.docs;
+    if (docs.length) await fn(docs);
+    if (snap.size < pageSize) return;
+    const lastDoc = snap.docs[snap.size - 1];
+    last = options.byPath ? lastDoc.ref.path : lastDoc.id;
+  }
+}
+
+/** Number of docs in `colRef` (a count aggregation, not a read of every doc); null if unavailable. */
+async function countDocs(colRef) {
+  try {
+    return (await colRef.count().get()).data().count;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { forEachPage, countDocs };
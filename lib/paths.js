@@ -0,0 +1,54 @@
+// lib/paths.js
+// Dotted field-path helpers (map-only; no array indexing support).
+const { Timestamp, GeoPoint, DocumentReference } = require("firebase-admin/firestore");
+const { isPlainObject } = require("./values");
+
+function getByPath(obj, path) {
+  return path.split(".").reduce((acc, k) => (acc == null ? undefined : acc[k]), obj);
+}
+
+function setByPath(obj, path, value) {
+  const parts = path.split(".");
+  let cur = obj;
+  for (let i = 0; i < parts.length - 1; i++) {
+    const k = parts[i];
+    if (cur[k] == null || typeof cur[k] !== "object" || Array.isArray(cur[k])) {
+      cur[k] = {};
+    }
+    cur = cur[k];
+  }
+  cur[parts[parts.length - 1]] = value;
+}
+
+function unsetByPath(obj, path) {
+  const parts = path.split(".");
+  let cur = obj;
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (cur == null || typeof cur !== "object") return;
+    cur = cur[parts[i]];
+  }
+  if (cur && typeof cur === "object") delete cur[parts[parts.length - 1]];
+}
+
+// Flatten nested objects into "a.b.c" -> value
+function flattenDoc(data, base = "", out = {}) {
+  if (!isPlainObject(data)) return out;
+
+  for (const [k, v] of Object.entries(data)) {
+    const path = base ? `${base}.${k}` : k;
+
+    if (
+      isPlainObject(v) &&
+      !(v instanceof Timestamp) &&
+      !(v instanceof GeoPoint) &&
+      !(v instanceof DocumentReference)
+    ) {
+      flattenDoc(v, path, out);
+    } else {
+      out[path] = v;
+    }
+  }
+  return out;
+}
+
+module.exports = { getByPath, setByPath, unsetByPath, flattenDoc };
@@ -0,0 +1,86 @@
+// lib/plan.js
+// Reviewable write plans. A planning run (e.g. `scrub-fields --plan <file>`) reads the matched
+// documents and writes down, per document, its updateTime and the exact field-level change;
+// `alce-admin apply <file>` later performs only those writes, each guarded by a lastUpdateTime
+// precondition, so a document that changed after planning is reported instead of overwritten.
+//
+// Layout (pretty-printed JSON; values are typed JSON, see lib/typedJson.js):
+//   { "plan": 1, "op": "scrubFields", "project", "createdAt", "createdBy", "config": {...},
+//     "writes": [
+//       { "path": "users/u1", "updateTime": { "$timestamp": {...} },
+//         "changes": [ { "field": "a.b", "before": "x" },                 // field deleted
+//                      { "field": "slots", "before": [...], "after": [...] } ] } ] }
+// A missing "before" means the field did not exist; a missing "after" means it gets deleted.
+const fs = require("fs");
+const path = require("path");
+const { encodeValue, decodeValue } = require("./typedJson");
+const { operatorName } = require("./audit");
+
+/**
+ * Field-level change of one field, or null when `before` and `after` are the same.
+ * `after === undefined` means the field is deleted.
+ */
+function fieldChange(field, before, after) {
+  const change = { field };
+  if (before !== undefined) change.before = encodeValue(before);
+  if (after !== undefined) change.after = encodeValue(after);
+  if (JSON.stringify(change.before) === JSON.stringify(change.after)) return null;
+  return change;
+}
+
+/**
+ * Writes a plan file.
+ * @param {string} file
+ * @param {{ op: string, config: object, writes: Array<{ path: string, updateTime, changes: object[] }> }} plan
+ *   updateTime is the snapshot's Timestamp; changes come from fieldChange()
+ * @param {{ profile? }} [deps]
+ */
+function writePlan(file, { op, config, writes }, deps) {
+  const profile = (deps && deps.profile) || {};
+  const { PLAN, ...rest } = config;
+  const record = {
+    plan: 1,
+    op,
+    project: profile.projectId || null,
+    createdAt: new Date().toISOString(),
+    createdBy: operatorName(),
+    config: encodeValue(rest),
+    writes: writes.map((w) => ({ path: w.path, updateTime: encodeValue(w.updateTime), changes: w.changes })),
+  };
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(record, null, 2) + "\n");
+  return record;
+}
+
+/**
+ * Loads a plan file and decodes its values.
+ * @returns {{ header: object, writes: Array<{ path: string, updateTime: FirebaseFirestore.Timestamp,
+ *   changes: Array<{ field: string, before?: *, after?: * }> }> }}
+ */
+function loadPlan(file, db) {
+  if (!fs.existsSync(file)) throw new Error(`Plan file not found: ${file}`);
+  let record;
+  try {
+    record = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`${file} is not valid JSON: ${e.message}`);
+  }
+  if (!record || record.plan !== 1 || !Array.isArray(record.writes)) throw new Error(`${file} is not a plan file.`);
+
+  const { writes, ...header } = record;
+  return {
+    header,
+    writes: writes.map((w) => ({
+      path: w.path,
+      updateTime: decodeValue(w.updateTime, db),
+      changes: w.changes.map((c) => {
+        const change = { field: c.field };
+        if ("before" in c) change.before = decodeValue(c.before, db);
+        if ("after" in c) change.after = decodeValue(c.after, db);
+        return change;
+      }),
+    })),
+  };
+}
+
+module.exports = { fieldChange, writePlan, loadPlan };
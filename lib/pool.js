@@ -0,0 +1,40 @@
+// lib/pool.js
+// A fixed number of tasks in flight, for work that is listed page by page (Storage objects):
+// add() waits for a free slot before starting the next task, so the listing never runs far
+// ahead of the work and memory stays flat. Calls inside tasks still go through lib/limiter.js.
+
+/**
+ * @param {number} concurrency  tasks run at once
+ * @returns {{ add(fn: () => Promise<void>): Promise<void>, drain(): Promise<void> }}
+ */
+function createPool(concurrency) {
+  const running = new Set();
+  let failure = null;
+
+  const settle = async () => {
+    await Promise.race(running);
+    if (failure) throw failure;
+  };
+
+  return {
+    /** Starts `fn` once a slot is free; resolves when it has started. A task that throws fails the pool. */
+    async add(fn) {
+      while (running.size >= concurrency) await settle();
+      if (failure) throw failure;
+      const task = Promise.resolve()
+        .then(fn)
+        .catch((e) => {
+          failure = failure || e;
+        })
+        .finally(() => running.delete(task));
+      running.add(task);
+    },
+    /** Waits for every started task. */
+    async drain() {
+      while (running.size) await settle();
+      if (failure) throw failure;
+    },
+  };
+}
+
+module.exports = { createPool };
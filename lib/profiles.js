@@ -0,0 +1,113 @@
+// lib/profiles.js
+// Named environment profiles (dev / staging / prod ...) read from profiles.json at the repo root.
+// Each profile carries its own service-account path and, optionally, projectId / storageBucket.
+// Profiles marked `"protected": true` need an explicit confirmation before a writing command runs.
+// Profiles marked `"emulator": true` talk to the local Emulator Suite and need no credentials.
+// An optional `"limits"` block tunes the per-service rate limits (see lib/limiter.js).
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const ROOT = path.resolve(__dirname, "..");
+
+function profilesPath() {
+  const p = process.env.ALCE_PROFILES || "profiles.json";
+  return path.isAbsolute(p) ? p : path.resolve(ROOT, p);
+}
+
+/** Reads profiles.json; returns null when the file does not exist. */
+function loadProfiles(file = profilesPath()) {
+  if (!fs.existsSync(file)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Failed to parse ${file}: ${e.message}`);
+  }
+  if (!data || typeof data !== "object" || !data.profiles || typeof data.profiles !== "object") {
+    throw new Error(`${file} must look like { "default": "dev", "profiles": { "dev": {...} } }.`);
+  }
+  for (const [name, p] of Object.entries(data.profiles)) {
+    if (!p || typeof p !== "object") throw new Error(`Profile '${name}' must be an object.`);
+    if (!p.emulator && (!p.credentials || typeof p.credentials !== "string")) {
+      throw new Error(`Profile '${name}' needs a "credentials" path to a service account JSON.`);
+    }
+  }
+  return data;
+}
+
+/**
+ * Resolves the profile to use. `name` falls back to the file's "default".
+ * Without a name and without a default we keep the legacy single-project setup
+ * (GOOGLE_APPLICATION_CREDENTIALS from .env).
+ */
+function resolveProfile(name, file = profilesPath()) {
+  const data = loadProfiles(file);
+  const wanted = name || (data && data.default) || null;
+
+  if (!wanted) {
+    return {
+      name: null,
+      credentials: process.env.GOOGLE_APPLICATION_CREDENTIALS || null,
+      projectId: null,
+      storageBucket: null,
+      protected: false,
+      emulator: false,
+      limits: null,
+    };
+  }
+  if (!data) throw new Error(`Profile '${wanted}' requested but ${file} does not exist.`);
+
+  const p = data.profiles[wanted];
+  if (!p) {
+    throw new Error(`Unknown profile '${wanted}'. Known profiles: ${Object.keys(data.profiles).join(", ") || "(none)"}.`);
+  }
+  return {
+    name: wanted,
+    credentials: p.credentials || null,
+    projectId: p.projectId || null,
+    storageBucket: p.storageBucket || null,
+    protected: p.protected === true,
+    emulator: p.emulator === true,
+    limits: p.limits || null,
+  };
+}
+
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Blocks a writing command against a protected profile unless `assumeYes` is set
+ * (--yes-i-mean-prod) or the operator types the profile name at the prompt.
+ */
+async function confirmProtectedWrite(profile, { commandName, assumeYes = false } = {}) {
+  if (!profile || !profile.protected || assumeYes) return;
+
+  const target = profile.projectId ? `'${profile.name}' (${profile.projectId})` : `'${profile.name}'`;
+  if (!process.stdin.isTTY) {
+    throw new Error(`Profile ${target} is protected. Re-run with --yes-i-mean-prod to confirm '${commandName}'.`);
+  }
+
+  const answer = await ask(`⚠️  '${commandName}' will WRITE to protected profile ${target}.\n   Type '${profile.name}' to continue: `);
+  if (answer.trim() !== profile.name) {
+    throw new Error("Confirmation did not match. Aborting.");
+  }
+}
+
+/** True when the CLI confirmed (or cleared) `name` this run: ALCE_CONFIRMED_PROFILE is a comma-separated list. */
+function isConfirmedProfile(name) {
+  return (process.env.ALCE_CONFIRMED_PROFILE || "")
+    .split(",")
+    .map((s) => s.trim())
+    .includes(name);
+}
+
+module.exports = { ROOT, profilesPath, loadProfiles, resolveProfile, confirmProtectedWrite, isConfirmedProfile };
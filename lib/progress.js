@@ -0,0 +1,83 @@
+// lib/progress.js
+// Progress lines for long-running bulk jobs: count, percentage, rate and ETA, logged at most
+// every few seconds so a run over millions of documents does not flood the terminal.
+//   …processed 120000/2400000 docs (5.0%) · 1850/s · ETA 20m32s
+//   …copied 5400 objects · 90/s · 1.2 GB · 20.5 MB/s          (with `bytes: true`)
+
+/** 3723000 -> "1h02m", 185000 -> "3m05s", 12000 -> "12s". */
+function formatDuration(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const sec = s % 60;
+  if (h) return `${h}h${String(m).padStart(2, "0")}m`;
+  if (m) return `${m}m${String(sec).padStart(2, "0")}s`;
+  return `${sec}s`;
+}
+
+/** 1536 -> "1.5 KB", 20500000 -> "19.6 MB" (binary units). */
+function formatBytes(n) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let i = 0;
+  while (n >= 1024 && i < units.length - 1) {
+    n /= 1024;
+    i++;
+  }
+  return i ? `${n.toFixed(1)} ${units[i]}` : `${Math.round(n)} B`;
+}
+
+/**
+ * @param {{ total?: number|null, done?: number, label?: string, verb?: string, logger?: Console,
+ *   everyMs?: number, now?: () => number, bytes?: boolean }} [opts]
+ *   total null = unknown (no percentage/ETA); done = work finished before this run (resumes),
+ *   which counts toward the total but not toward the rate; bytes = also show addBytes() and its rate
+ */
+function createProgress(opts = {}) {
+  const { total = null, done = 0, label = "docs", verb = "processed", logger = console, everyMs = 5000 } = opts;
+  const now = opts.now || Date.now;
+  const startedAt = now();
+  const startDone = done;
+  let current = done;
+  let bytes = 0;
+  let lastLogAt = -Infinity;
+
+  const progress = {
+    get done() {
+      return current;
+    },
+
+    /** The current progress line. */
+    line() {
+      const elapsed = now() - startedAt;
+      const rate = elapsed > 0 ? ((current - startDone) * 1000) / elapsed : 0;
+      const parts = [`   …${verb} ${current}${total != null ? `/${total}` : ""} ${label}`];
+      if (total) parts[0] += ` (${((current / total) * 100).toFixed(1)}%)`;
+      if (rate > 0) parts.push(`${rate >= 10 ? Math.round(rate) : rate.toFixed(1)}/s`);
+      if (total != null && rate > 0 && current < total) {
+        parts.push(`ETA ${formatDuration(((total - current) / rate) * 1000)}`);
+      }
+      if (opts.bytes) {
+        parts.push(formatBytes(bytes));
+        if (elapsed > 0 && bytes > 0) parts.push(`${formatBytes((bytes * 1000) / elapsed)}/s`);
+      }
+      return parts.join(" · ");
+    },
+
+    /** Adds to the byte count shown with `bytes: true`. */
+    addBytes(n) {
+      bytes += Number(n) || 0;
+    },
+
+    /** Sets the finished count and logs when `everyMs` has passed since the last line (or `force`). */
+    update(value, force = false) {
+      current = value;
+      const t = now();
+      if (!force && t - lastLogAt < everyMs) return;
+      lastLogAt = t;
+      logger.log(progress.line());
+    },
+  };
+  return progress;
+}
+
+module.exports = { formatDuration, formatBytes, createProgress };
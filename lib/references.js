@@ -0,0 +1,64 @@
+// lib/references.js
+// DocumentReference rewriting for moved collections: after `food_orders` becomes `norders`, a
+// reference to `food_orders/o1` (or anything below it) should point at `norders/o1`.
+// Used inside copied documents (copy-collection REWRITE_REFERENCES) and across other collections
+// (`alce-admin rewrite-references`, copy-collection REFERENCE_SCAN).
+// The old collection may be a pattern or collection group (lib/collectionPaths.js): then a reference
+// into `weekly_lessons/w1/attendance/...` moves to the template filled for w1, e.g. `archive/w1/attendance/...`.
+const { DocumentReference } = require("firebase-admin/firestore");
+const { isPlainObject } = require("./values");
+const { fieldChange } = require("./plan");
+const { parseCollectionPattern, matchDocumentPath, fillTemplate } = require("./collectionPaths");
+
+/** Deep-maps every DocumentReference in `value` through `fn(ref) -> ref`; other values are kept. */
+function mapReferences(value, fn) {
+  if (value instanceof DocumentReference) return fn(value);
+  if (Array.isArray(value)) return value.map((v) => mapReferences(v, fn));
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = mapReferences(v, fn);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * `(ref) -> ref` that moves references under `fromCollection/` to the same path under `toCollection/`
+ * (in `db`, default: the reference's own Firestore). Other references are returned unchanged.
+ * With a pattern (or `group`) source, `toCollection` is a template filled from each reference's path.
+ * @param {{ db?: FirebaseFirestore.Firestore, group?: boolean }} [options]
+ */
+function referenceRewriter(fromCollection, toCollection, options = {}) {
+  const source = parseCollectionPattern(fromCollection, options.group);
+  return (ref) => {
+    const match = matchDocumentPath(source, ref.path);
+    if (!match) return ref;
+    return (options.db || ref.firestore).doc(`${fillTemplate(toCollection, match.captures)}/${match.rest}`);
+  };
+}
+
+/**
+ * The update() payload that rewrites a document's references: one entry per top-level field that
+ * holds at least one rewritten reference, plus plan-style changes (lib/plan.js) and the count.
+ * @returns {{ update: object, changes: Array<{ field, before, after }>, count: number }}
+ */
+function referenceUpdate(data, rewrite) {
+  const update = {};
+  const changes = [];
+  let count = 0;
+  const counting = (ref) => {
+    const next = rewrite(ref);
+    if (next !== ref) count++;
+    return next;
+  };
+  for (const [field, value] of Object.entries(data || {})) {
+    const before = count;
+    const after = mapReferences(value, counting);
+    if (count === before) continue;
+    update[field] = after;
+    changes.push(fieldChange(field, value, after));
+  }
+  return { update, changes, count };
+}
+
+module.exports = { mapReferences, referenceRewriter, referenceUpdate };
@@ -0,0 +1,142 @@
+// lib/storageUrls.js
+// Cloud Storage paths and URLs saved in Firestore, for prefix moves: after `accommodationItems/`
+// becomes `accommodations/`, a photo saved as any of
+//   accommodationItems/a1/cover.jpg                                       (object path)
+//   gs://<bucket>/accommodationItems/a1/cover.jpg
+//   https://firebasestorage.googleapis.com/v0/b/<bucket>/o/accommodationItems%2Fa1%2Fcover.jpg?alt=media&token=<t>
+//   https://storage.googleapis.com/<bucket>/accommodationItems/a1/cover.jpg
+// should point at the moved object, in the same form, with its current download token.
+// Used by `alce-admin rewrite-storage-urls` and copy-storage-prefix URL_FIELDS.
+const { isPlainObject } = require("./values");
+const { getByPath } = require("./paths");
+const { fieldChange } = require("./plan");
+
+const FIREBASE_URL = /^(https?:\/\/[^/]+)\/v0\/b\/([^/]+)\/o\/([^?#]+)(\?[^#]*)?$/;
+const PUBLIC_URL = /^https:\/\/storage\.googleapis\.com\/([^/]+)\/([^?#]+)(\?[^#]*)?$/;
+const GS_URL = /^gs:\/\/([^/]+)\/(.+)$/;
+
+/** A bucket by name through the default bucket's Storage client ("" = the default bucket). */
+function bucketByName(bucket, name) {
+  return !name || name === bucket.name ? bucket : bucket.storage.bucket(name);
+}
+
+/**
+ * What a string points at: { kind, bucket, name } with kind "firebase" | "public" | "gs" | "path".
+ * Plain paths have bucket null (the caller's bucket). Anything else (other URLs, text) is null.
+ */
+function parseStorageString(s) {
+  let m = FIREBASE_URL.exec(s);
+  if (m) return { kind: "firebase", origin: m[1], bucket: m[2], name: safeDecode(m[3]), query: m[4] || "" };
+  m = PUBLIC_URL.exec(s);
+  if (m) return { kind: "public", bucket: m[1], name: m[2].split("/").map(safeDecode).join("/"), query: m[3] || "" };
+  m = GS_URL.exec(s);
+  if (m) return { kind: "gs", bucket: m[1], name: m[2] };
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(s) && !s.startsWith("/") && s.includes("/")) return { kind: "path", bucket: null, name: s };
+  return null;
+}
+
+function safeDecode(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s;
+  }
+}
+
+/** `parsed` (from parseStorageString) pointed at `bucket`/`name`; a download token replaces the URL's. */
+function formatStorageString(parsed, bucket, name, token) {
+  switch (parsed.kind) {
+    case "firebase": {
+      const params = new URLSearchParams(parsed.query.slice(1));
+      if (token && params.has("token")) params.set("token", token);
+      const query = params.toString();
+      return `${parsed.origin}/v0/b/${bucket}/o/${encodeURIComponent(name)}${query ? `?${query}` : ""}`;
+    }
+    case "public":
+      return `https://storage.googleapis.com/${bucket}/${name.split("/").map(encodeURIComponent).join("/")}${parsed.query}`;
+    case "gs":
+      return `gs://${bucket}/${name}`;
+    default:
+      return name;
+  }
+}
+
+/** The first of an object's Firebase download tokens (custom metadata, comma-separated), or null. */
+function downloadToken(metadata) {
+  const tokens = metadata && metadata.metadata && metadata.metadata.firebaseStorageDownloadTokens;
+  return tokens ? String(tokens).split(",")[0] : null;
+}
+
+/** Deep-maps every string in plain maps and arrays through `fn(s) -> s`; other values (Timestamps, refs...) are kept. */
+function mapStrings(value, fn) {
+  if (typeof value === "string") return fn(value);
+  if (Array.isArray(value)) return value.map((v) => mapStrings(v, fn));
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = mapStrings(v, fn);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Finds the objects under `from` that a document's `fields` point at, and rewrites them once resolved.
+ * @param {{ from: string, sourceBucket: string }} source  prefix (with trailing "/") and bucket name
+ * @returns {{ names(data, fields): string[], update(data, fields, resolved): { update, changes, count } }}
+ *   resolved = Map(source name -> { bucket, name, token } | null); null = not at the destination, left as is
+ */
+function storageUrlRewriter({ from, sourceBucket }) {
+  const target = (s) => {
+    const parsed = parseStorageString(s);
+    if (!parsed || !parsed.name.startsWith(from)) return null;
+    if (parsed.bucket && parsed.bucket !== sourceBucket) return null;
+    return parsed;
+  };
+
+  return {
+    names(data, fields) {
+      const found = new Set();
+      for (const field of fields) {
+        mapStrings(getByPath(data, field), (s) => {
+          const parsed = target(s);
+          if (parsed) found.add(parsed.name);
+          return s;
+        });
+      }
+      return [...found];
+    },
+
+    update(data, fields, resolved) {
+      const update = {};
+      const changes = [];
+      let count = 0;
+      for (const field of fields) {
+        const before = getByPath(data, field);
+        if (before === undefined) continue;
+        let changed = 0;
+        const after = mapStrings(before, (s) => {
+          const parsed = target(s);
+          const dest = parsed && resolved.get(parsed.name);
+          if (!dest) return s;
+          const next = formatStorageString(parsed, dest.bucket, dest.name, dest.token);
+          if (next !== s) changed++;
+          return next;
+        });
+        if (!changed) continue;
+        count += changed;
+        update[field] = after;
+        changes.push(fieldChange(field, before, after));
+      }
+      return { update, changes, count };
+    },
+  };
+}
+
+module.exports = {
+  bucketByName,
+  parseStorageString,
+  formatStorageString,
+  downloadToken,
+  mapStrings,
+  storageUrlRewriter,
+};
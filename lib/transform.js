@@ -0,0 +1,165 @@
+// lib/transform.js
+// Filters and per-document reshaping for copies: WHERE clauses, a declarative field map, a
+// destination-id template and an optional JS transform module, the last three combined into one
+// `(snap) => { id, data } | null` function.
+//
+// FIELD_MAP (JSON; steps run in this order, paths are dotted map paths):
+//   { "rename":   { "customerName": "customer.name" },
+//     "drop":     ["internalNotes", "tmp.debug"],
+//     "defaults": { "status": "open" },                 // only where the field is missing
+//     "set":      { "migratedFrom": "food_orders" },    // always
+//     "compute":  { "label": "{customer.name} #{id}" } } // templates, see interpolate()
+// Values in defaults/set are typed JSON, so { "$timestamp": {...} } becomes a Timestamp.
+//
+// TRANSFORM module (path, resolved from the working directory):
+//   module.exports = {
+//     transform(data, ctx) { return { ...data, total: data.qty * data.price }; }, // or null to skip
+//     destId(id, data, ctx) { return `${data.restaurantId}_${id}`; },             // optional
+//   };
+//   ctx = { id, path, source, vars } where source is the untouched source data and vars the path
+//   captures of a pattern or collection-group source (lib/collectionPaths.js). Both may be async.
+const path = require("path");
+const { getByPath, setByPath, unsetByPath } = require("./paths");
+const { decodeValue } = require("./typedJson");
+const { isPlainObject } = require("./values");
+
+const FIELD_MAP_STEPS = ["rename", "drop", "defaults", "set", "compute"];
+const PLACEHOLDER = /\{([\w.$-]+)\}/g;
+
+/** Adds `[field, op, value]` clauses to a query. */
+function applyWhere(query, where) {
+  for (const clause of where) {
+    if (!Array.isArray(clause) || clause.length !== 3) {
+      throw new Error(`Invalid WHERE clause: ${JSON.stringify(clause)}`);
+    }
+    const [field, op, value] = clause;
+    query = query.where(field, op, value);
+  }
+  return query;
+}
+
+/** Throws unless `spec` is a valid FIELD_MAP. */
+function validateFieldMap(spec) {
+  if (!isPlainObject(spec)) throw new Error("CONFIG.FIELD_MAP must be an object.");
+  for (const key of Object.keys(spec)) {
+    if (!FIELD_MAP_STEPS.includes(key)) {
+      throw new Error(`FIELD_MAP.${key} is not supported (use ${FIELD_MAP_STEPS.join(", ")}).`);
+    }
+  }
+  if (spec.drop !== undefined && !Array.isArray(spec.drop)) throw new Error("FIELD_MAP.drop must be an array of paths.");
+  for (const key of ["rename", "defaults", "set", "compute"]) {
+    if (spec[key] !== undefined && !isPlainObject(spec[key])) throw new Error(`FIELD_MAP.${key} must be an object.`);
+  }
+  for (const [from, to] of Object.entries(spec.rename || {})) {
+    if (typeof to !== "string" || !to) throw new Error(`FIELD_MAP.rename.${from} must be a field path.`);
+  }
+  for (const [field, template] of Object.entries(spec.compute || {})) {
+    if (typeof template !== "string" && typeof template !== "function") {
+      throw new Error(`FIELD_MAP.compute.${field} must be a template string (or a function from the library).`);
+    }
+  }
+}
+
+/**
+ * Fills `{path}` placeholders from `data`; `{id}` is the document id, and `vars` (path captures such
+ * as {lessonId} or {parent}) take precedence over fields of the same name.
+ * A template that is exactly one placeholder keeps the value's type (e.g. "{createdAt}" stays a Timestamp);
+ * otherwise values are stringified and missing ones become "".
+ */
+function interpolate(template, data, id, vars = {}) {
+  const lookup = (p) => (p === "id" ? id : Object.hasOwn(vars, p) ? vars[p] : getByPath(data, p));
+  const whole = /^\{([\w.$-]+)\}$/.exec(template);
+  if (whole) return lookup(whole[1]);
+  return template.replace(PLACEHOLDER, (_, p) => {
+    const v = lookup(p);
+    return v == null ? "" : String(v);
+  });
+}
+
+/** Applies a FIELD_MAP to a copy of `data`. Templates read the original `data`. */
+function applyFieldMap(data, spec, id, vars = {}) {
+  const out = structuredCloneData(data);
+  for (const [from, to] of Object.entries(spec.rename || {})) {
+    const v = getByPath(out, from);
+    if (v === undefined) continue;
+    unsetByPath(out, from);
+    setByPath(out, to, v);
+  }
+  for (const p of spec.drop || []) unsetByPath(out, p);
+  for (const [p, v] of Object.entries(spec.defaults || {})) {
+    if (getByPath(out, p) === undefined) setByPath(out, p, decodeValue(v));
+  }
+  for (const [p, v] of Object.entries(spec.set || {})) setByPath(out, p, decodeValue(v));
+  for (const [p, template] of Object.entries(spec.compute || {})) {
+    const v = typeof template === "function" ? template(data, { id, vars }) : interpolate(template, data, id, vars);
+    if (v !== undefined) setByPath(out, p, v);
+  }
+  return out;
+}
+
+/** Copies nested maps (plain objects only, see isPlainObject) and arrays; Timestamps, GeoPoints and refs are kept as they are. */
+function structuredCloneData(v) {
+  if (Array.isArray(v)) return v.map(structuredCloneData);
+  if (isPlainObject(v)) {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = structuredCloneData(x);
+    return out;
+  }
+  return v;
+}
+
+/** Loads a TRANSFORM module; it must export transform() and/or destId(). */
+function loadTransformModule(file) {
+  const resolved = path.resolve(file);
+  let mod;
+  try {
+    mod = require(resolved);
+  } catch (e) {
+    throw new Error(`Could not load TRANSFORM module ${resolved}: ${e.message}`);
+  }
+  if (!mod || (typeof mod.transform !== "function" && typeof mod.destId !== "function")) {
+    throw new Error(`TRANSFORM module ${resolved} must export transform(data, ctx) and/or destId(id, data, ctx).`);
+  }
+  return mod;
+}
+
+/**
+ * Builds the per-document function for a copy, or null when the copy is verbatim.
+ * @param {{ FIELD_MAP?: object|null, DEST_ID?: string|Function, TRANSFORM?: string|object }} config
+ *   TRANSFORM may also be an already-loaded module object (library callers)
+ * @returns {null | ((snap: FirebaseFirestore.DocumentSnapshot, vars?: object) => Promise<{ id: string, data: object } | null>)}
+ *   vars = the doc's path captures; the function's `remapsIds` is true when destination ids can differ from source ids
+ */
+function buildDocTransform(config) {
+  const fieldMap = config.FIELD_MAP && Object.keys(config.FIELD_MAP).length ? config.FIELD_MAP : null;
+  const mod = !config.TRANSFORM ? null : typeof config.TRANSFORM === "string" ? loadTransformModule(config.TRANSFORM) : config.TRANSFORM;
+  const destId = config.DEST_ID || null;
+  if (!fieldMap && !mod && !destId) return null;
+
+  async function transformDoc(snap, vars = {}) {
+    const source = snap.data();
+    const ctx = { id: snap.id, path: snap.ref.path, source, vars };
+    let data = fieldMap ? applyFieldMap(source, fieldMap, snap.id, vars) : source;
+
+    if (mod && typeof mod.transform === "function") {
+      data = await mod.transform(data, ctx);
+      if (data === null) return null;
+      if (!isPlainObject(data)) {
+        throw new Error(`transform() must return the document data, or null to skip (got ${typeof data}).`);
+      }
+    }
+
+    let id = snap.id;
+    if (typeof destId === "function") id = await destId(snap.id, source, ctx);
+    else if (destId) id = interpolate(destId, source, snap.id, vars);
+    else if (mod && typeof mod.destId === "function") id = await mod.destId(snap.id, source, ctx);
+    if (typeof id !== "string" || !id || id.includes("/")) {
+      throw new Error(`Destination id for '${snap.ref.path}' must be a non-empty string without '/' (got ${JSON.stringify(id)}).`);
+    }
+    return { id, data };
+  }
+  transformDoc.remapsIds = !!destId || !!(mod && typeof mod.destId === "function");
+  return transformDoc;
+}
+
+module.exports = { applyWhere, validateFieldMap, interpolate, applyFieldMap, loadTransformModule, buildDocTransform };
@@ -0,0 +1,73 @@
+// lib/typedJson.js
+// Lossless JSON encoding of Firestore values, so before-images and exports round-trip
+// Timestamps, GeoPoints, references and bytes instead of flattening them to plain objects.
+//
+//   timestamp -> { "$timestamp": { "seconds": 1700000000, "nanoseconds": 0 } }
+//   geopoint  -> { "$geopoint": { "latitude": 41.9, "longitude": 12.5 } }
+//   reference -> { "$ref": "users/u1" }
+//   bytes     -> { "$bytes": "<base64>" }
+//   NaN / ±Infinity -> { "$number": "NaN" | "Infinity" | "-Infinity" }
+//   a map whose only key starts with "$" -> { "$map": { ... } } (keeps user data unambiguous)
+const { Timestamp, GeoPoint } = require("firebase-admin/firestore");
+const { detectKind } = require("./values");
+
+function encodeValue(v) {
+  switch (detectKind(v)) {
+    case "timestamp":
+      return { $timestamp: { seconds: v.seconds, nanoseconds: v.nanoseconds } };
+    case "geopoint":
+      return { $geopoint: { latitude: v.latitude, longitude: v.longitude } };
+    case "reference":
+      return { $ref: v.path };
+    case "bytes":
+      return { $bytes: Buffer.from(v).toString("base64") };
+    case "number":
+      return Number.isFinite(v) ? v : { $number: String(v) };
+    case "array":
+      return v.map(encodeValue);
+    case "object": {
+      const out = {};
+      for (const [k, x] of Object.entries(v)) {
+        if (x !== undefined) out[k] = encodeValue(x);
+      }
+      const keys = Object.keys(out);
+      return keys.length === 1 && keys[0].startsWith("$") ? { $map: out } : out;
+    }
+    default:
+      return v; // null, string, boolean
+  }
+}
+
+/**
+ * @param {*} v  value produced by encodeValue
+ * @param {FirebaseFirestore.Firestore} [db]  needed to rebuild references
+ */
+function decodeValue(v, db) {
+  if (Array.isArray(v)) return v.map((x) => decodeValue(x, db));
+  if (v === null || typeof v !== "object") return v;
+
+  const keys = Object.keys(v);
+  if (keys.length === 1) {
+    const x = v[keys[0]];
+    switch (keys[0]) {
+      case "$timestamp": return new Timestamp(x.seconds, x.nanoseconds);
+      case "$geopoint": return new GeoPoint(x.latitude, x.longitude);
+      case "$bytes": return Buffer.from(x, "base64");
+      case "$number": return Number(x);
+      case "$map": return decodeMap(x, db);
+      case "$ref":
+        if (!db) throw new Error(`Cannot decode reference '${x}' without a Firestore instance.`);
+        return db.doc(x);
+      default: break;
+    }
+  }
+  return decodeMap(v, db);
+}
+
+function decodeMap(obj, db) {
+  const out = {};
+  for (const [k, x] of Object.entries(obj)) out[k] = decodeValue(x, db);
+  return out;
+}
+
+module.exports = { encodeValue, decodeValue };
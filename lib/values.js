@@ -0,0 +1,29 @@
+// lib/values.js
+// Firestore value helpers shared by the schema tools and exporters.
+// Uses the firestore classes directly so no Admin app needs to be initialized.
+const { Timestamp, GeoPoint, DocumentReference } = require("firebase-admin/firestore");
+
+/** A map value: `{}` or Object.create(null), not a class instance such as a Timestamp or GeoPoint. */
+function isPlainObject(v) {
+  if (v === null || typeof v !== "object") return false;
+  const proto = Object.getPrototypeOf(v);
+  return proto === Object.prototype || proto === null;
+}
+
+/** Kind of a Firestore value: null|timestamp|geopoint|reference|bytes|array|string|boolean|number|object|unknown */
+function detectKind(v) {
+  if (v === null) return "null";
+  if (v instanceof Timestamp) return "timestamp";
+  if (v instanceof GeoPoint) return "geopoint";
+  if (v instanceof DocumentReference) return "reference";
+  if (Buffer.isBuffer(v) || v instanceof Uint8Array) return "bytes";
+  if (Array.isArray(v)) return "array";
+  const t = typeof v;
+  if (t === "string") return "string";
+  if (t === "boolean") return "boolean";
+  if (t === "number") return "number";
+  if (isPlainObject(v)) return "object";
+  return "unknown";
+}
+
+module.exports = { isPlainObject, detectKind };
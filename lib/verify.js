@@ -0,0 +1,180 @@
+// lib/verify.js
+// Post-copy verification: compares every expected destination document (and, optionally, its
+// subcollections) with what is actually there, by a hash of its canonical typed JSON.
+// Discrepancies come in three kinds:
+//   { kind: "missing",   source, destination }                  expected but absent
+//   { kind: "different", source, destination, diffs: [...] }    present, with other content
+//   { kind: "extra",     destination }                          present without a source doc
+// Each diff is { field, expected?, actual? } in typed JSON; a missing side means the field is absent.
+// References compare by path, so a cross-project copy (references rebased) still verifies.
+const crypto = require("crypto");
+const { encodeValue } = require("./typedJson");
+const { isPlainObject } = require("./values");
+const { forEachPage } = require("./pages");
+
+/** JSON of the typed encoding with map keys sorted, so equal documents give equal strings. */
+function canonicalJson(value) {
+  return JSON.stringify(sortKeys(encodeValue(value)));
+}
+
+function sortKeys(v) {
+  if (Array.isArray(v)) return v.map(sortKeys);
+  if (!isPlainObject(v)) return v;
+  const out = {};
+  for (const k of Object.keys(v).sort()) out[k] = sortKeys(v[k]);
+  return out;
+}
+
+/** sha256 of a document's canonical JSON. */
+function hashDoc(data) {
+  return crypto.createHash("sha256").update(canonicalJson(data)).digest("hex");
+}
+
+/** Typed values ({ "$timestamp": ... }) and arrays are compared whole; maps field by field. */
+function isLeaf(v) {
+  if (!isPlainObject(v)) return true;
+  const keys = Object.keys(v);
+  return keys.length === 1 && keys[0].startsWith("$");
+}
+
+function flattenEncoded(v, base, out) {
+  for (const [k, x] of Object.entries(v)) {
+    const p = base ? `${base}.${k}` : k;
+    if (isLeaf(x) || !Object.keys(x).length) out.set(p, x);
+    else flattenEncoded(x, p, out);
+  }
+  return out;
+}
+
+/** Field-level differences between the expected and the actual data, in dotted-path order. */
+function diffDocs(expected, actual) {
+  const a = flattenEncoded(encodeValue(expected || {}), "", new Map());
+  const b = flattenEncoded(encodeValue(actual || {}), "", new Map());
+  const diffs = [];
+  for (const field of [...new Set([...a.keys(), ...b.keys()])].sort()) {
+    const x = a.get(field);
+    const y = b.get(field);
+    if (x !== undefined && y !== undefined && canonicalJson(x) === canonicalJson(y)) continue;
+    const d = { field };
+    if (x !== undefined) d.expected = x;
+    if (y !== undefined) d.actual = y;
+    diffs.push(d);
+  }
+  return diffs;
+}
+
+/**
+ * Verifies a copy of `sourceCol` into `destCol`.
+ * @param {FirebaseFirestore.CollectionReference|FirebaseFirestore.Query} sourceCol  a query (e.g. a
+ *   collection group) only with `remapped`
+ * @param {FirebaseFirestore.CollectionReference|null} destCol  null when `destDoc` spreads the copy
+ *   over several collections
+ * @param {{ pageSize: number, query?: FirebaseFirestore.Query, pageOptions?: object, includeSubcollections?: boolean,
+ *   remapped?: boolean, renamesIds?: boolean, mapDoc?: (snap) => Promise<{ id: string, data: object } | null>,
+ *   destDoc?: (snap, mapped) => FirebaseFirestore.DocumentReference, expect?: (data) => object,
+ *   onDiscrepancy: (d: object) => void, onProgress?: (checked: number) => void }} opts
+ *   query = the docs that were copied (default: all of sourceCol; pass the copy's WHERE query), read with
+ *   forEachPage `pageOptions` (lib/pages.js);
+ *   mapDoc gives the expected destination doc (default: same id and data; null = not copied);
+ *   destDoc places it (default: destCol.doc(mapped.id)); every collection it places docs in is checked for extras;
+ *   expect post-processes every expected doc, subcollections included (e.g. rewritten references);
+ *   remapped = a destination doc may not come from the same-id doc of its source collection (WHERE, transforms,
+ *   patterns, groups): each one is traced back by id and mapped again to confirm it belongs where it is;
+ *   renamesIds = destination ids differ from source ids (DEST_ID), so extras cannot be traced and are not checked.
+ *   Nothing is kept per document: source pages come in path order, so each destination collection is checked
+ *   for extras once verification has moved past it. With WHERE, a destination doc whose source doc exists but
+ *   no longer matches is not reported as extra.
+ * @returns {Promise<{ checked: number, missing: number, different: number, extra: number }>}
+ */
+async function verifyCopy(sourceCol, destCol, opts) {
+  const mapDoc = opts.mapDoc || (async (snap) => ({ id: snap.id, data: snap.data() }));
+  const destDoc = opts.destDoc || ((snap, mapped) => destCol.doc(mapped.id));
+  const expect = opts.expect || ((data) => data);
+  const counts = { checked: 0, missing: 0, different: 0, extra: 0 };
+
+  function report(d) {
+    counts[d.kind]++;
+    opts.onDiscrepancy(d);
+  }
+
+  function compare(sourcePath, data, destSnap) {
+    counts.checked++;
+    const expected = expect(data);
+    if (!destSnap.exists) return report({ kind: "missing", source: sourcePath, destination: destSnap.ref.path });
+    if (hashDoc(expected) === hashDoc(destSnap.data())) return;
+    report({ kind: "different", source: sourcePath, destination: destSnap.ref.path, diffs: diffDocs(expected, destSnap.data()) });
+  }
+
+  /** Subcollections are copied as they are, so below the top level ids match one to one. */
+  async function compareTree(sourceRef, destRef) {
+    for (const subcol of await sourceRef.listCollections()) {
+      const destSub = destRef.collection(subcol.id);
+      await forEachPage(subcol, opts.pageSize, null, async (docs) => {
+        const destSnaps = await destRef.firestore.getAll(...docs.map((d) => destSub.doc(d.id)));
+        for (const [i, doc] of docs.entries()) {
+          compare(doc.ref.path, doc.data(), destSnaps[i]);
+          if (destSnaps[i].exists) await compareTree(doc.ref, destSnaps[i].ref);
+        }
+      });
+    }
+    for (const subcol of await destRef.listCollections()) {
+      const sourceSub = sourceRef.collection(subcol.id);
+      await forEachPage(subcol, opts.pageSize, null, async (docs) => {
+        const sourceSnaps = await sourceRef.firestore.getAll(...docs.map((d) => sourceSub.doc(d.id)));
+        docs.forEach((doc, i) => {
+          if (!sourceSnaps[i].exists) report({ kind: "extra", destination: doc.ref.path });
+        });
+      });
+    }
+  }
+
+  /** Destination docs of `dest` that no doc of `source` was copied to (looked up by id, then mapped again). */
+  async function checkExtras({ dest, source }) {
+    if (opts.renamesIds) return;
+    await forEachPage(dest, opts.pageSize, null, async (docs) => {
+      const sourceSnaps = await source.firestore.getAll(...docs.map((d) => source.doc(d.id)));
+      for (const [i, doc] of docs.entries()) {
+        const snap = sourceSnaps[i];
+        let copied = snap.exists;
+        if (copied && opts.remapped) {
+          const mapped = await mapDoc(snap);
+          copied = !!mapped && destDoc(snap, mapped).path === doc.ref.path;
+        }
+        if (!copied) report({ kind: "extra", destination: doc.ref.path });
+      }
+    });
+  }
+
+  // The destination collection being verified, with the source collection its docs come from.
+  let current = destCol && typeof sourceCol.doc === "function" ? { dest: destCol, source: sourceCol } : null;
+
+  await forEachPage(
+    opts.query || sourceCol,
+    opts.pageSize,
+    null,
+    async (docs) => {
+      const planned = [];
+      for (const doc of docs) {
+        const mapped = await mapDoc(doc);
+        if (mapped) planned.push({ doc, mapped, ref: destDoc(doc, mapped) });
+      }
+      if (!planned.length) return;
+      const destSnaps = await planned[0].ref.firestore.getAll(...planned.map((p) => p.ref));
+      for (const [i, { doc, mapped, ref }] of planned.entries()) {
+        if (!current || current.dest.path !== ref.parent.path) {
+          if (current) await checkExtras(current);
+          current = { dest: ref.parent, source: doc.ref.parent };
+        }
+        compare(doc.ref.path, mapped.data, destSnaps[i]);
+        if (opts.includeSubcollections && destSnaps[i].exists) await compareTree(doc.ref, destSnaps[i].ref);
+      }
+      if (opts.onProgress) opts.onProgress(counts.checked);
+    },
+    opts.pageOptions
+  );
+  if (current) await checkExtras(current);
+
+  return counts;
+}
+
+module.exports = { canonicalJson, hashDoc, diffDocs, verifyCopy };
@@ -0,0 +1,175 @@
+// lib/xlsx.js
+// Minimal XLSX (Office Open XML spreadsheet) writer: one sheet, a bold header row, and cells that
+// are strings, numbers, booleans or dates. Enough for exports people open in Excel, Numbers or
+// Google Sheets, without a spreadsheet dependency. The workbook is a zip of a few XML parts, built
+// in memory; use CSV for very large exports.
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const MAX_ROWS = 1048576; // Excel's limit, header included
+
+/** Column letters: 0 -> A, 25 -> Z, 26 -> AA. */
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "") // not allowed in XML 1.0
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** Excel serial day number for a wall-clock "YYYY-MM-DD HH:mm:ss" (no time zone: it is shown as is). */
+function dateSerial(wallClock) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}):(\d{2}))?$/.exec(wallClock);
+  if (!m) throw new Error(`Not a date/time: '${wallClock}'`);
+  const [, y, mo, d, h = 0, mi = 0, s = 0] = m.map(Number);
+  return Date.UTC(y, mo - 1, d, h, mi, s) / 86400000 + 25569;
+}
+
+/**
+ * One cell: null/undefined -> empty, number, boolean, string, or { date: "YYYY-MM-DD HH:mm:ss" }.
+ * Style 1 = bold (header), 2 = date/time.
+ */
+function cellXml(ref, value, header) {
+  if (value === null || value === undefined || value === "") return "";
+  if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === "boolean") return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  if (value && typeof value === "object" && value.date) return `<c r="${ref}" s="2"><v>${dateSerial(value.date)}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"${header ? ' s="1"' : ""}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/* ---- zip (deflate, no zip64) ---- */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function zip(entries) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const { name, data } of entries) {
+    const nameBuf = Buffer.from(name, "utf8");
+    const raw = Buffer.from(data, "utf8");
+    const packed = zlib.deflateRawSync(raw);
+    const crc = crc32(raw);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // utf-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(0, 10); // time/date
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+    parts.push(local, nameBuf, packed);
+
+    const dir = Buffer.alloc(46);
+    dir.writeUInt32LE(0x02014b50, 0);
+    dir.writeUInt16LE(20, 4);
+    dir.writeUInt16LE(20, 6);
+    dir.writeUInt16LE(0x0800, 8);
+    dir.writeUInt16LE(8, 10);
+    dir.writeUInt32LE(0, 12);
+    dir.writeUInt32LE(crc, 16);
+    dir.writeUInt32LE(packed.length, 20);
+    dir.writeUInt32LE(raw.length, 24);
+    dir.writeUInt16LE(nameBuf.length, 28);
+    dir.writeUInt32LE(offset, 42);
+    central.push(dir, nameBuf);
+    offset += local.length + nameBuf.length + packed.length;
+  }
+  const centralSize = central.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...parts, ...central, end]);
+}
+
+/* ---- workbook parts ---- */
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`;
+
+const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`;
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs></styleSheet>`;
+
+function workbookXml(sheetName) {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`;
+}
+
+/** Sheet names: at most 31 characters, none of : \ / ? * [ ] */
+function sheetNameFor(name) {
+  return String(name).replace(/[:\\/?*[\]]/g, "_").slice(0, 31) || "Sheet1";
+}
+
+/**
+ * Starts a workbook with a header row. addRow() takes cells in column order (see cellXml).
+ * @param {string} file
+ * @param {{ sheetName: string, headers: string[] }} options
+ */
+function createXlsxWriter(file, { sheetName, headers }) {
+  const abs = path.resolve(file);
+  const rows = [];
+  const addRow = (cells, header = false) => {
+    if (rows.length >= MAX_ROWS) throw new Error(`Too many rows for one XLSX sheet (max ${MAX_ROWS}); export CSV instead.`);
+    const r = rows.length + 1;
+    rows.push(`<row r="${r}">${cells.map((v, i) => cellXml(`${columnName(i)}${r}`, v, header)).join("")}</row>`);
+  };
+  addRow(headers, true);
+
+  return {
+    file: abs,
+    addRow: (cells) => addRow(cells),
+    /** Writes the workbook; returns the number of data rows. */
+    finish() {
+      const sheet =
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData>${rows.join("")}</sheetData></worksheet>`;
+      fs.mkdirSync(path.dirname(abs), { recursive: true });
+      fs.writeFileSync(
+        abs,
+        zip([
+          { name: "[Content_Types].xml", data: CONTENT_TYPES },
+          { name: "_rels/.rels", data: ROOT_RELS },
+          { name: "xl/workbook.xml", data: workbookXml(sheetNameFor(sheetName)) },
+          { name: "xl/_rels/workbook.xml.rels", data: WORKBOOK_RELS },
+          { name: "xl/styles.xml", data: STYLES },
+          { name: "xl/worksheets/sheet1.xml", data: sheet },
+        ])
+      );
+      return rows.length - 1;
+    },
+  };
+}
+
+module.exports = { columnName, dateSerial, crc32, createXlsxWriter };
@@ -0,0 +1,40 @@
+// lib/yaml.js
+// Minimal YAML printer for the LLM-friendly reports (inferSchema, lintCollectionSchema).
+const { isPlainObject } = require("./values");
+
+function toYAML(value, indent = 0) {
+  const pad = "  ".repeat(indent);
+
+  if (value == null) return "null";
+
+  if (typeof value === "string") {
+    if (/[:\-\?\[\]\{\},&\*\#\!\|>\'%@\`]|^\s|[\n\r]|\s$/.test(value)) return JSON.stringify(value);
+    return value;
+  }
+
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+
+  if (Array.isArray(value)) {
+    if (!value.length) return "[]";
+    return value
+      .map((item) => `${pad}- ${toYAML(item, indent + 1).trimStart()}`)
+      .join("\n");
+  }
+
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined);
+    if (!keys.length) return "{}";
+    return keys
+      .map((k) => {
+        const v = value[k];
+        const rendered = toYAML(v, indent + 1);
+        if ((isPlainObject(v) || Array.isArray(v)) && !/^(\[\]|\{\})$/.test(rendered)) return `${pad}${k}:\n${rendered}`;
+        return `${pad}${k}: ${rendered}`;
+      })
+      .join("\n");
+  }
+
+  return JSON.stringify(value);
+}
+
+module.exports = { toYAML };
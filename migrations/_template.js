@@ -0,0 +1,36 @@
+// migrations/_template.js
+// Copy to migrations/<number>_<name>.js (e.g. 0001_backfill_user_country.js) and fill in.
+// Files that do not start with a number, like this one, are never run.
+// `alce-admin migrate up` applies pending migrations in number order; `migrate down` reverts the latest.
+
+module.exports = {
+  description: "Backfill basicInfo.country = \"IT\" where it is missing",
+
+  /** @param {{ db, auth, bucket, logger, dryRun: boolean, deps, FieldValue, batcher: Function }} ctx */
+  async up(ctx) {
+    const batcher = ctx.batcher(); // no-op writes on --dry-run
+    const snap = await ctx.db.collection("users").get();
+    let changed = 0;
+    for (const doc of snap.docs) {
+      if (doc.get("basicInfo.country")) continue;
+      await batcher.update(doc.ref, { "basicInfo.country": "IT", "basicInfo.countryBackfilled": true });
+      changed++;
+    }
+    await batcher.flush();
+    ctx.logger.log(`   ${ctx.dryRun ? "would update" : "updated"} ${changed} user(s)`);
+  },
+
+  // Optional. Without down(), `migrate down` refuses to revert this migration.
+  async down(ctx) {
+    const { FieldValue } = ctx;
+    const batcher = ctx.batcher();
+    const snap = await ctx.db.collection("users").where("basicInfo.countryBackfilled", "==", true).get();
+    for (const doc of snap.docs) {
+      await batcher.update(doc.ref, {
+        "basicInfo.country": FieldValue.delete(),
+        "basicInfo.countryBackfilled": FieldValue.delete(),
+      });
+    }
+    await batcher.flush();
+  },
+};
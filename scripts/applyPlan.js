@@ -0,0 +1,47 @@
+// scripts/applyPlan.js
+// Apply a plan file written by `scrub-fields --plan <file>`, with lastUpdateTime preconditions.
+// Usage: `alce-admin apply <planFile> [--dry-run]`  or  `node scripts/applyPlan.js <planFile>`
+// Logic lives in lib/ops/applyPlan.js.
+const firebase = require("../firebaseAdmin");
+const op = require("../lib/ops/applyPlan");
+
+/**
+ * CONFIG
+ * - PLAN_FILE: plan to apply
+ * - BATCH_SIZE: Firestore batch size (≤ 500)
+ * - DRY_RUN: check every precondition and report conflicts without writing
+ * - JOURNAL: record before-images of every updated doc (for `alce-admin undo <runId>`)
+ */
+const CONFIG = {
+  PLAN_FILE: "",
+  BATCH_SIZE: 400,
+  DRY_RUN: false,
+  JOURNAL: true,
+};
+
+function validateConfig() {
+  op.validateConfig({ ...op.DEFAULTS, ...CONFIG });
+}
+
+/** Entry point shared by `node scripts/applyPlan.js` and `alce-admin apply`. */
+async function main() {
+  await op.applyPlan(CONFIG, firebase);
+}
+
+module.exports = { CONFIG, validateConfig, main };
+
+if (require.main === module) {
+  if (process.argv[2]) CONFIG.PLAN_FILE = process.argv[2];
+  Promise.resolve()
+    .then(() => {
+      validateConfig();
+      return main();
+    })
+    .then(
+      () => process.exit(0),
+      (e) => {
+        console.error("❌ Error:", e.message);
+        process.exit(1);
+      }
+    );
+}
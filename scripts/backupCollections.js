@@ -0,0 +1,59 @@
+// scripts/backupCollections.js
+// Back up collections to Cloud Storage: a full export, then incrementals of the docs changed since.
+// Usage: `alce-admin backup --collections food_orders,users [--mode full] [--retain-days 30]`
+//    or: set CONFIG below and run: `node scripts/backupCollections.js` (e.g. nightly from cron)
+// Logic lives in lib/ops/backupCollections.js; the manifest layout is in lib/backupManifest.js.
+const firebase = require("../firebaseAdmin");
+const op = require("../lib/ops/backupCollections");
+
+/**
+ * CONFIG
+ * - COLLECTIONS: collection paths to back up
+ * - MODE: "incremental" (changed docs since the last backup; the first one is full) | "full"
+ * - FULL_EVERY: incrementals in a chain before the next backup is full again (0 = never)
+ * - WATERMARK_FIELD: "" = document updateTime (sees deletes); or a field like "updatedAt" (reads less)
+ * - INCLUDE_SUBCOLLECTIONS: also back up subcollection docs (not with WATERMARK_FIELD)
+ * - BACKUP_PREFIX: Storage prefix of the backups and manifest.json, in the default bucket
+ * - RETAIN_FULL: keep the newest N chains per collection (0 = no count rule)
+ * - RETAIN_DAYS: keep every chain needed to restore a point in the last N days (0 = no age rule)
+ * - BATCH_SIZE: docs read per page
+ * - DRY_RUN: scan and report what would be backed up and pruned, without uploading or deleting
+ */
+const CONFIG = {
+  COLLECTIONS: ["food_orders"],
+  MODE: "incremental",
+  FULL_EVERY: 7,
+  WATERMARK_FIELD: "",
+  INCLUDE_SUBCOLLECTIONS: true,
+  BACKUP_PREFIX: "backups/",
+  RETAIN_FULL: 0,
+  RETAIN_DAYS: 30,
+  BATCH_SIZE: 400,
+  DRY_RUN: false,
+};
+
+function validateConfig() {
+  op.validateConfig({ ...op.DEFAULTS, ...CONFIG });
+}
+
+/** Entry point shared by `node scripts/backupCollections.js` and `alce-admin backup`. */
+async function main() {
+  await op.backupCollections(CONFIG, firebase);
+}
+
+module.exports = { CONFIG, validateConfig, main };
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => {
+      validateConfig();
+      return main();
+    })
+    .then(
+      () => process.exit(0),
+      (e) => {
+        console.error("❌ Error:", e.message);
+        process.exit(1);
+      }
+    );
+}
@@ -1,258 +1,96 @@
 // scripts/copyCollection.js
 // Copy a Firestore collection to another collection — optionally include subcollections,
 // and optionally delete the source after a successful copy (destructive).
-// Usage: set CONFIG below, then run: `node scripts/copyCollection.js`
-const { db } = require("../firebaseAdmin");
+// Usage: `alce-admin copy-collection --source-collection a --destination-collection b`
+//    or: set CONFIG below, then run: `node scripts/copyCollection.js`
+// Logic lives in lib/ops/copyCollection.js.
+const firebase = require("../firebaseAdmin");
+const op = require("../lib/ops/copyCollection");
 
 /**
  * CONFIG
- * - SOURCE_COLLECTION: source collection name
- * - DESTINATION_COLLECTION: destination collection name
+ * - SOURCE_COLLECTION: source collection path ("food_orders", "weekly_lessons/w1/attendance"), or a pattern
+ *     whose {name} segments match any id: "weekly_lessons/{lessonId}/attendance"
+ * - DESTINATION_COLLECTION: destination collection path; may use the source's placeholders and {parent}
+ *     (the doc holding each source collection): "archive/{lessonId}/attendance", "{parent}/attendance_v2"
+ * - SOURCE_COLLECTION_GROUP: true = copy every collection whose id is SOURCE_COLLECTION, at any depth
  * - INCLUDE_SUBCOLLECTIONS: true = recursively copy subcollections
- * - IS_DESTRUCTIVE: true = delete the source (docs + descendants) after a successful copy
- * - BATCH_SIZE: Firestore batch size (≤ 500; keep a margin)
+ * - IS_DESTRUCTIVE: true = delete the source (docs + descendants) after a successful, verified copy
+ * - BATCH_SIZE: docs read per page (≤ 500); writes are flushed and progress saved every page
+ * - MAX_OPS_PER_SECOND: BulkWriter throughput cap (0 = the Firestore rate limit, 500/s by default)
  * - DRY_RUN: log planned operations without writing/deleting
+ * - JOURNAL: record before-images of every overwritten/deleted doc (for `alce-admin undo <runId>`)
+ * - CHECKPOINT: save progress after every committed step so a crashed run can be resumed
+ * - RESUME: run id (or "latest") of a crashed run to continue with its config and counters
+ * - SOURCE_PROFILE / DESTINATION_PROFILE: profiles.json profiles to read from / write to
+ *     ("" = the current app), e.g. "prod" → "staging" to refresh staging
+ * - WHERE: optional source filters: [ [field, op, value], ... ] (not with IS_DESTRUCTIVE)
+ * - FIELD_MAP: reshape each doc: { rename: {from: to}, drop: [paths], defaults: {path: value},
+ *     set: {path: value}, compute: {path: "{other.field} #{id}"} } (see lib/transform.js)
+ * - TRANSFORM: path to a JS module exporting transform(data, ctx) → data, or null to skip the doc
+ *     (and/or destId(id, data, ctx))
+ * - DEST_ID: destination doc id template, e.g. "{restaurantId}_{id}" ("" = keep source ids)
+ * - PREVIEW: on DRY_RUN, how many reshaped docs to print before/after
+ * - VERIFY: compare every source/destination doc by canonical hash after the copy (implied by IS_DESTRUCTIVE)
+ * - VERIFY_REPORT: NDJSON file listing every missing/different/extra doc with field-level diffs
+ * - ON_CONFLICT: existing destination docs: "overwrite" | "skip" | "merge" | "fail" | "keep-newer"
+ * - NEWER_BY: keep-newer compares this timestamp field ("" = the documents' updateTime)
+ * - REWRITE_REFERENCES: point references to SOURCE_COLLECTION/... inside the copied docs at DESTINATION_COLLECTION/...
+ * - REFERENCE_SCAN: other collections whose references to the source are rewritten after a clean copy
+ *     (before IS_DESTRUCTIVE deletes the source), e.g. ["users", "restaurants"]
  */
 const CONFIG = {
   SOURCE_COLLECTION: "food_orders",
   DESTINATION_COLLECTION: "norders",
+  SOURCE_COLLECTION_GROUP: false,
   INCLUDE_SUBCOLLECTIONS: false,
   IS_DESTRUCTIVE: false,
   BATCH_SIZE: 400,
+  MAX_OPS_PER_SECOND: 0,
   DRY_RUN: false,
+  JOURNAL: true,
+  CHECKPOINT: true,
+  RESUME: "",
+  SOURCE_PROFILE: "",
+  DESTINATION_PROFILE: "",
+  WHERE: [],
+  FIELD_MAP: {},
+  TRANSFORM: "",
+  DEST_ID: "",
+  PREVIEW: 5,
+  VERIFY: false,
+  VERIFY_REPORT: "",
+  ON_CONFLICT: "overwrite",
+  NEWER_BY: "",
+  REWRITE_REFERENCES: false,
+  REFERENCE_SCAN: [],
 };
 
 function validateConfig() {
-  const {
-    SOURCE_COLLECTION,
-    DESTINATION_COLLECTION,
-    INCLUDE_SUBCOLLECTIONS,
-    IS_DESTRUCTIVE,
-    BATCH_SIZE,
-    DRY_RUN,
-  } = CONFIG;
-
-  if (!SOURCE_COLLECTION || typeof SOURCE_COLLECTION !== "string") {
-    throw new Error("CONFIG.SOURCE_COLLECTION must be a non-empty string.");
-  }
-  if (!DESTINATION_COLLECTION || typeof DESTINATION_COLLECTION !== "string") {
-    throw new Error("CONFIG.DESTINATION_COLLECTION must be a non-empty string.");
-  }
-  if (SOURCE_COLLECTION === DESTINATION_COLLECTION) {
-    throw new Error("SOURCE_COLLECTION and DESTINATION_COLLECTION must differ.");
-  }
-  if (typeof INCLUDE_SUBCOLLECTIONS !== "boolean") {
-    throw new Error("CONFIG.INCLUDE_SUBCOLLECTIONS must be boolean.");
-  }
-  if (typeof IS_DESTRUCTIVE !== "boolean") {
-    throw new Error("CONFIG.IS_DESTRUCTIVE must be boolean.");
-  }
-  if (BATCH_SIZE < 1 || BATCH_SIZE > 500) {
-    throw new Error("CONFIG.BATCH_SIZE must be between 1 and 500.");
-  }
-  if (typeof DRY_RUN !== "boolean") {
-    throw new Error("CONFIG.DRY_RUN must be boolean.");
-  }
-}
-
-/** Simple batching helper to keep writes under the batch limit. */
-function makeBatcher() {
-  const limit = CONFIG.BATCH_SIZE;
-  let batch = db.batch();
-  let count = 0;
-
-  return {
-    async set(ref, data, options) {
-      if (CONFIG.DRY_RUN) return; // no-op
-      batch.set(ref, data, options);
-      count++;
-      await maybeCommit();
-    },
-    async delete(ref) {
-      if (CONFIG.DRY_RUN) return; // no-op
-      batch.delete(ref);
-      count++;
-      await maybeCommit();
-    },
-    async flush() {
-      if (CONFIG.DRY_RUN) return; // no-op
-      if (count > 0) {
-        await batch.commit();
-        batch = db.batch();
-        count = 0;
-      }
-    },
-  };
-
-  async function maybeCommit() {
-    if (count >= limit) {
-      await batch.commit();
-      batch = db.batch();
-      count = 0;
-    }
-  }
-}
-
-/**
- * Recursively copies a document and its subcollections (if enabled).
- * Reads from CONFIG.INCLUDE_SUBCOLLECTIONS and CONFIG.DRY_RUN.
- */
-async function copyDocRecursive(srcDocRef, destDocRef, batcher) {
-  const snap = await srcDocRef.get();
-  if (!snap.exists) return;
-
-  if (CONFIG.DRY_RUN) {
-    console.log(`→ (dry-run) would copy: ${srcDocRef.path}  ->  ${destDocRef.path}`);
-  } else {
-    await batcher.set(destDocRef, snap.data());
-  }
-
-  if (!CONFIG.INCLUDE_SUBCOLLECTIONS) return;
-
-  const subcollections = await srcDocRef.listCollections();
-  for (const subcol of subcollections) {
-    const destSubcolRef = destDocRef.collection(subcol.id);
-    const subDocsSnap = await subcol.get();
-
-    for (const subDoc of subDocsSnap.docs) {
-      const srcChildDocRef = subcol.doc(subDoc.id);
-      const destChildDocRef = destSubcolRef.doc(subDoc.id);
-      await copyDocRecursive(srcChildDocRef, destChildDocRef, batcher);
-    }
-  }
-}
-
-/** Recursively deletes a document and all descendants. */
-async function deleteDocRecursive(docRef, batcher) {
-  const subcollections = await docRef.listCollections();
-  for (const subcol of subcollections) {
-    const subDocsSnap = await subcol.get();
-    for (const subDoc of subDocsSnap.docs) {
-      await deleteDocRecursive(subcol.doc(subDoc.id), batcher);
-    }
-  }
-  if (CONFIG.DRY_RUN) {
-    console.log(`🗑️  (dry-run) would delete: ${docRef.path}`);
-  } else {
-    await batcher.delete(docRef);
-  }
+  op.validateConfig({ ...op.DEFAULTS, ...CONFIG });
 }
 
-/** Recursively deletes an entire collection (all docs + descendants). */
-async function deleteCollectionRecursive(collectionPath) {
-  console.log(`🗑️  Recursively deleting source collection '${collectionPath}'...`);
-  const batcher = makeBatcher();
-
-  const colRef = db.collection(collectionPath);
-  const snapshot = await colRef.get();
-
-  if (snapshot.empty) {
-    console.log("ℹ️  Source collection is already empty.");
-    return;
-  }
-
-  let processed = 0;
-  for (const doc of snapshot.docs) {
-    processed++;
-    await deleteDocRecursive(doc.ref, batcher);
-    if (!CONFIG.DRY_RUN && processed % 50 === 0) {
-      console.log(`   …queued deletes for ${processed}/${snapshot.size} docs`);
-    }
-  }
-
-  await batcher.flush();
-  if (CONFIG.DRY_RUN) {
-    console.log(`✅ (dry-run) Delete summary: would remove ${processed} top-level docs and all descendants.`);
-  } else {
-    console.log(`✅ Finished deleting '${collectionPath}'. Removed ${processed} top-level docs and all descendants.`);
-  }
-}
-
-/** Main copy routine — uses CONFIG directly. */
-async function copyCollection() {
-  validateConfig();
-
-  console.log(
-    "CONFIG:",
-    JSON.stringify(
-      {
-        SOURCE_COLLECTION: CONFIG.SOURCE_COLLECTION,
-        DESTINATION_COLLECTION: CONFIG.DESTINATION_COLLECTION,
-        INCLUDE_SUBCOLLECTIONS: CONFIG.INCLUDE_SUBCOLLECTIONS,
-        IS_DESTRUCTIVE: CONFIG.IS_DESTRUCTIVE,
-        BATCH_SIZE: CONFIG.BATCH_SIZE,
-        DRY_RUN: CONFIG.DRY_RUN,
-      },
-      null,
-      2
-    )
-  );
-
-  console.log(
-    `🚀 Starting copy from '${CONFIG.SOURCE_COLLECTION}' → '${CONFIG.DESTINATION_COLLECTION}'...`
-  );
-
-  let processedCount = 0;
-  let copiedCount = 0;
-  let errorCount = 0;
-
+/** Entry point shared by `node scripts/copyCollection.js` and `alce-admin copy-collection`. */
+async function main() {
   try {
-    const snapshot = await db.collection(CONFIG.SOURCE_COLLECTION).get();
-    console.log(`📊 Found ${snapshot.size} document(s) to copy.`);
-
-    if (snapshot.empty) {
-      console.log("✅ Source collection is empty. Nothing to copy.");
-      return;
-    }
-
-    const batcher = makeBatcher();
-
-    for (const doc of snapshot.docs) {
-      processedCount++;
-      try {
-        const destDocRef = db.collection(CONFIG.DESTINATION_COLLECTION).doc(doc.id);
-        await copyDocRecursive(doc.ref, destDocRef, batcher);
-        copiedCount++;
-        if (processedCount % 25 === 0) {
-          console.log(
-            `   …processed ${processedCount}/${snapshot.size} docs (copied so far: ${copiedCount})`
-          );
-        }
-      } catch (err) {
-        console.error(`❌ Error copying doc '${doc.id}':`, err?.message || err);
-        errorCount++;
-      }
-    }
-
-    await batcher.flush();
-
-    console.log("\n📊 Copy Summary:");
-    console.log(`   Total docs processed: ${processedCount}`);
-    console.log(`   Successfully copied:  ${copiedCount}`);
-    console.log(`   Errors:               ${errorCount}`);
-    if (CONFIG.DRY_RUN) console.log("   Mode:                 DRY_RUN (no writes/deletes performed)");
-
-    if (!CONFIG.DRY_RUN && errorCount === 0 && processedCount > 0) {
-      console.log(
-        `🎉 Copy completed successfully: '${CONFIG.SOURCE_COLLECTION}' → '${CONFIG.DESTINATION_COLLECTION}'.`
-      );
-      if (CONFIG.IS_DESTRUCTIVE) {
-        await deleteCollectionRecursive(CONFIG.SOURCE_COLLECTION);
-      }
-    } else if (errorCount > 0) {
-      console.log(`⚠️ Copy completed with ${errorCount} error(s). Source will NOT be deleted.`);
-    } else if (!CONFIG.DRY_RUN) {
-      console.log("ℹ️ No documents were copied.");
-    }
+    await op.copyCollection(CONFIG, firebase);
   } catch (error) {
     console.error("💥 Fatal error during copy:", error);
+    throw error;
   } finally {
-    console.log("🚪 Script finished. Exiting.");
-    process.exit(0);
+    console.log("🚪 Script finished.");
   }
 }
 
+module.exports = { CONFIG, validateConfig, main };
+
 // Run
-(async () => {
-  await copyCollection();
-})();
+if (require.main === module) {
+  main().then(
+    () => process.exit(0),
+    (e) => {
+      console.error("💥 Fatal:", e?.message || e);
+      process.exit(1);
+    }
+  );
+}
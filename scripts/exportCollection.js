@@ -0,0 +1,47 @@
+// scripts/exportCollection.js
+// Snapshot a collection (and its subcollections) to a typed NDJSON file, to archive, diff or re-seed it.
+// Usage: `alce-admin export --collection food_orders --output-file exports/food_orders.ndjson`
+//    or: set CONFIG below and run: `node scripts/exportCollection.js`
+// Logic lives in lib/ops/exportCollection.js; the file layout is in lib/exportFile.js.
+const firebase = require("../firebaseAdmin");
+const op = require("../lib/ops/exportCollection");
+
+/**
+ * CONFIG
+ * - COLLECTION: collection path ("food_orders", "weekly_lessons/w1/attendance") or a pattern
+ *     ("weekly_lessons/{lessonId}/attendance"); with COLLECTION_GROUP, a collection id
+ * - COLLECTION_GROUP: true = export every collection named COLLECTION, at any depth
+ * - OUTPUT_FILE: NDJSON file to write ("" = exports/<collection>-<timestamp>.ndjson)
+ * - INCLUDE_SUBCOLLECTIONS: true = also export every subcollection doc, at any depth
+ * - WHERE: optional filters: [ [field, op, value], ... ]
+ * - BATCH_SIZE: docs read per page
+ */
+const CONFIG = {
+  COLLECTION: "food_orders",
+  COLLECTION_GROUP: false,
+  OUTPUT_FILE: "",
+  INCLUDE_SUBCOLLECTIONS: true,
+  WHERE: [],
+  BATCH_SIZE: 400,
+};
+
+function validateConfig() {
+  op.validateConfig({ ...op.DEFAULTS, ...CONFIG });
+}
+
+/** Entry point shared by `node scripts/exportCollection.js` and `alce-admin export`. */
+async function main() {
+  await op.exportCollection(CONFIG, firebase);
+}
+
+module.exports = { CONFIG, validateConfig, main };
+
+if (require.main === module) {
+  main().then(
+    () => process.exit(0),
+    (e) => {
+      console.error("❌ Error:", e.message);
+      process.exit(1);
+    }
+  );
+}
@@ -0,0 +1,52 @@
+// scripts/exportSheet.js
+// Export a collection as a CSV or XLSX spreadsheet: dotted columns for nested fields, local date/times.
+// Usage: `alce-admin export-sheet --collection users --columns __id,basicInfo.firstName,basicInfo.lastName --output-file exports/users.xlsx`
+//    or: set CONFIG below and run: `node scripts/exportSheet.js`
+// Logic lives in lib/ops/exportSheet.js.
+const firebase = require("../firebaseAdmin");
+const op = require("../lib/ops/exportSheet");
+
+/**
+ * CONFIG
+ * - COLLECTION: collection path or pattern; with COLLECTION_GROUP, a collection id
+ * - COLLECTION_GROUP: true = export every collection named COLLECTION, at any depth
+ * - FORMAT: "csv" | "xlsx" ("" = from OUTPUT_FILE's extension, else csv)
+ * - OUTPUT_FILE: file to write ("" = exports/<collection>-<timestamp>.<format>)
+ * - COLUMNS: dotted field paths in column order ([] = every field found); "__id" / "__path" = doc id / path
+ * - HEADERS: column titles by path, e.g. { "basicInfo.firstName": "First name" }
+ * - TZ: IANA time zone Timestamps are shown in
+ * - WHERE: optional filters: [ [field, op, value], ... ]
+ * - BATCH_SIZE: docs read per page
+ */
+const CONFIG = {
+  COLLECTION: "users",
+  COLLECTION_GROUP: false,
+  FORMAT: "",
+  OUTPUT_FILE: "",
+  COLUMNS: [],
+  HEADERS: {},
+  TZ: "Europe/Rome",
+  WHERE: [],
+  BATCH_SIZE: 400,
+};
+
+function validateConfig() {
+  op.validateConfig({ ...op.DEFAULTS, ...CONFIG });
+}
+
+/** Entry point shared by `node scripts/exportSheet.js` and `alce-admin export-sheet`. */
+async function main() {
+  await op.exportSheet(CONFIG, firebase);
+}
+
+module.exports = { CONFIG, validateConfig, main };
+
+if (require.main === module) {
+  main().then(
+    () => process.exit(0),
+    (e) => {
+      console.error("❌ Error:", e.message);
+      process.exit(1);
+    }
+  );
+}
@@ -0,0 +1,63 @@
+// scripts/generateFixtures.js
+// Generate synthetic documents from a schema profile saved by infer-schema, into the emulator or an
+// NDJSON export file, for load tests and local feature work without copying real student data.
+// Usage: `alce-admin infer-schema --collection-path users --include-subcollections > users.schema.yaml`
+//        `alce-admin generate-fixtures users.schema.yaml --count 500 --emulator`
+//        `alce-admin generate-fixtures users.schema.yaml --count 500 --output-file fixtures/users.ndjson`
+//    or: `node scripts/generateFixtures.js <profile>`
+// Logic lives in lib/ops/generateFixtures.js.
+const firebase = require("../firebaseAdmin");
+const op = require("../lib/ops/generateFixtures");
+
+/**
+ * CONFIG
+ * - PROFILE_FILE: YAML (or JSON) profile printed by infer-schema
+ * - COLLECTION: collection to fill ("" = the profile's `collection:` line)
+ * - COUNT: documents to generate
+ * - SUBCOLLECTION_DOCS: docs per subcollection of the profile, under every doc (0 = none)
+ * - OUTPUT_FILE: NDJSON export to write instead of the emulator (load it with `alce-admin import`)
+ * - OPTIONAL_RATE: chance that a field not in the profile's requiredFields is present
+ * - NULL_RATE: chance that a nullable field is null
+ * - REFERENCES: { "field.path": "collection" } for documentReference fields (default: the field name, pluralized)
+ * - SEED: same profile + seed = same documents
+ * - BATCH_SIZE: Firestore batch size (≤ 500)
+ */
+const CONFIG = {
+  PROFILE_FILE: "",
+  COLLECTION: "",
+  COUNT: 100,
+  SUBCOLLECTION_DOCS: 3,
+  OUTPUT_FILE: "",
+  OPTIONAL_RATE: 0.6,
+  NULL_RATE: 0.1,
+  REFERENCES: {},
+  SEED: 1,
+  BATCH_SIZE: 400,
+};
+
+function validateConfig() {
+  op.validateConfig({ ...op.DEFAULTS, ...CONFIG });
+}
+
+/** Entry point shared by `node scripts/generateFixtures.js` and `alce-admin generate-fixtures`. */
+async function main() {
+  await op.generateFixtures(CONFIG, firebase);
+}
+
+module.exports = { CONFIG, validateConfig, main };
+
+if (require.main === module) {
+  if (process.argv[2]) CONFIG.PROFILE_FILE = process.argv[2];
+  Promise.resolve()
+    .then(() => {
+      validateConfig();
+      return main();
+    })
+    .then(
+      () => process.exit(0),
+      (e) => {
+        console.error("❌ Error:", e.message);
+        process.exit(1);
+      }
+    );
+}
@@ -0,0 +1,53 @@
+// scripts/importCollection.js
+// Load a typed NDJSON export back into Firestore, at the exported paths or under another collection.
+// Usage: `alce-admin import exports/food_orders.ndjson [--destination-collection norders] [--dry-run]`
+//    or: `node scripts/importCollection.js <file>`
+// Logic lives in lib/ops/importCollection.js.
+const firebase = require("../firebaseAdmin");
+const op = require("../lib/ops/importCollection");
+
+/**
+ * CONFIG
+ * - INPUT_FILE: export file to load
+ * - DESTINATION_COLLECTION: "" = the exported paths; otherwise the collection to load into
+ *     (a template like "archive/{lessonId}/attendance" for an export of a pattern)
+ * - ON_CONFLICT: existing docs: "overwrite" | "skip" | "merge"
+ * - BATCH_SIZE: docs per page and Firestore batch size (≤ 500)
+ * - DRY_RUN: list what would be written without writing
+ * - JOURNAL: record before-images of every written doc (for `alce-admin undo <runId>`)
+ */
+const CONFIG = {
+  INPUT_FILE: "",
+  DESTINATION_COLLECTION: "",
+  ON_CONFLICT: "overwrite",
+  BATCH_SIZE: 400,
+  DRY_RUN: false,
+  JOURNAL: true,
+};
+
+function validateConfig() {
+  op.validateConfig({ ...op.DEFAULTS, ...CONFIG });
+}
+
+/** Entry point shared by `node scripts/importCollection.js` and `alce-admin import`. */
+async function main() {
+  await op.importCollection(CONFIG, firebase);
+}
+
+module.exports = { CONFIG, validateConfig, main };
+
+if (require.main === module) {
+  if (process.argv[2]) CONFIG.INPUT_FILE = process.argv[2];
+  Promise.resolve()
+    .then(() => {
+      validateConfig();
+      return main();
+    })
+    .then(
+      () => process.exit(0),
+      (e) => {
+        console.error("❌ Error:", e.message);
+        process.exit(1);
+      }
+    );
+}
@@ -1,29 +1,32 @@
 // scripts/makeOwner.js
-require("../firebaseAdmin");
+// Usage: `alce-admin make-owner --email someone@example.com` (or --uid <uid>)
+// Logic lives in lib/ops/makeOwner.js.
+const firebase = require("../firebaseAdmin");
+const op = require("../lib/ops/makeOwner");
 
 const CONFIG = {
-  EMAIL: "alcebologna@gmail.com", // <- put your email here (or set UID instead)
-  UID: "4B5NBgQQUfSgVwLMtbL2GhBeNl33",                  // optional: use UID if you prefer
+  EMAIL: "", // <- put your email here (or set UID instead)
+  UID: "",   // optional: use UID if you prefer
 };
 
-(async () => {
-  try {
-    let uid = CONFIG.UID;
-    if (!uid) {
-      if (!CONFIG.EMAIL) throw new Error("Set CONFIG.EMAIL or CONFIG.UID");
-      const u = await admin.auth().getUserByEmail(CONFIG.EMAIL);
-      uid = u.uid;
-    }
+function validateConfig() {
+  op.validateConfig({ ...op.DEFAULTS, ...CONFIG });
+}
+
+async function main() {
+  const { uid } = await op.makeOwner(CONFIG, firebase);
+  console.log(`✅ Set owner=true on ${uid}`);
+  console.log("ℹ️ Now sign out/in (or force token refresh) in the client for it to take effect.");
+}
 
-    const u = await admin.auth().getUser(uid);
-    const claims = u.customClaims || {};
-    await admin.auth().setCustomUserClaims(uid, { ...claims, owner: true });
-    console.log(`✅ Set owner=true on ${uid}`);
-    console.log("ℹ️ Now sign out/in (or force token refresh) in the client for it to take effect.");
-  } catch (e) {
-    console.error("❌ Error:", e.message);
-    process.exit(1);
-  } finally {
-    process.exit(0);
-  }
-})();
+module.exports = { CONFIG, validateConfig, main };
+
+if (require.main === module) {
+  main().then(
+    () => process.exit(0),
+    (e) => {
+      console.error("❌ Error:", e.message);
+      process.exit(1);
+    }
+  );
+}
@@ -0,0 +1,49 @@
+// scripts/migrate.js
+// Versioned data migrations from migrations/ (see lib/ops/migrate.js for the module format).
+// Usage: `alce-admin migrate status|up|down [--to <id>] [--dry-run]`
+//    or: set CONFIG below, then run: `node scripts/migrate.js [status|up|down]`
+// Logic lives in lib/ops/migrate.js.
+const firebase = require("../firebaseAdmin");
+const op = require("../lib/ops/migrate");
+
+/**
+ * CONFIG
+ * - ACTION: "status" | "up" | "down"
+ * - TO: target migration (id or number). up: apply pending ones up to and including it.
+ *       down: revert applied ones numbered above it ("0" reverts all). Empty = up: all, down: the latest one.
+ * - DRY_RUN: run the migrations with ctx.dryRun = true and record nothing
+ * - MIGRATIONS_DIR: directory holding the numbered migration modules (relative to the repo root)
+ * - COLLECTION: Firestore collection that records applied migrations
+ * - BATCH_SIZE: batch size of ctx.batcher()
+ */
+const CONFIG = {
+  ACTION: "status",
+  TO: "",
+  DRY_RUN: false,
+  MIGRATIONS_DIR: "migrations",
+  COLLECTION: "_migrations",
+  BATCH_SIZE: 400,
+};
+
+function validateConfig() {
+  op.validateConfig({ ...op.DEFAULTS, ...CONFIG });
+}
+
+/** Entry point shared by `node scripts/migrate.js` and `alce-admin migrate`. */
+async function main() {
+  await op.migrate(CONFIG, firebase);
+}
+
+module.exports = { CONFIG, validateConfig, main };
+
+if (require.main === module) {
+  if (process.argv[2]) CONFIG.ACTION = process.argv[2];
+  validateConfig();
+  main().then(
+    () => process.exit(0),
+    (e) => {
+      console.error("💥 Fatal:", e?.message || e);
+      process.exit(1);
+    }
+  );
+}
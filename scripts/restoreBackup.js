@@ -0,0 +1,56 @@
+// scripts/restoreBackup.js
+// Restore a collection from its Cloud Storage backups, as of the latest backup or any point in time.
+// Usage: `alce-admin restore food_orders [--at 2025-01-31T12:00:00Z] [--delete-extra] [--dry-run]`
+//    or: `node scripts/restoreBackup.js <collection>`
+// Logic lives in lib/ops/restoreBackup.js.
+const firebase = require("../firebaseAdmin");
+const op = require("../lib/ops/restoreBackup");
+
+/**
+ * CONFIG
+ * - COLLECTION: the backed-up collection path to restore
+ * - AT: "" = the latest backup; a backup id; or a date/time (the last backup at or before it)
+ * - DESTINATION_COLLECTION: "" = restore in place; otherwise the collection to restore into
+ * - DELETE_EXTRA: also delete docs that did not exist at that point
+ * - BACKUP_PREFIX: Storage prefix of the backups and manifest.json, in the default bucket
+ * - BATCH_SIZE: docs per page and Firestore batch size (≤ 500)
+ * - DRY_RUN: list what would be written and deleted without writing
+ * - JOURNAL: record before-images of every written or deleted doc (for `alce-admin undo <runId>`)
+ */
+const CONFIG = {
+  COLLECTION: "",
+  AT: "",
+  DESTINATION_COLLECTION: "",
+  DELETE_EXTRA: false,
+  BACKUP_PREFIX: "backups/",
+  BATCH_SIZE: 400,
+  DRY_RUN: false,
+  JOURNAL: true,
+};
+
+function validateConfig() {
+  op.validateConfig({ ...op.DEFAULTS, ...CONFIG });
+}
+
+/** Entry point shared by `node scripts/restoreBackup.js` and `alce-admin restore`. */
+async function main() {
+  await op.restoreBackup(CONFIG, firebase);
+}
+
+module.exports = { CONFIG, validateConfig, main };
+
+if (require.main === module) {
+  if (process.argv[2]) CONFIG.COLLECTION = process.argv[2];
+  Promise.resolve()
+    .then(() => {
+      validateConfig();
+      return main();
+    })
+    .then(
+      () => process.exit(0),
+      (e) => {
+        console.error("❌ Error:", e.message);
+        process.exit(1);
+      }
+    );
+}
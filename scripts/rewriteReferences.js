@@ -0,0 +1,52 @@
+// scripts/rewriteReferences.js
+// Point DocumentReferences at a moved collection's new home: references to FROM_COLLECTION/...
+// in the scanned COLLECTIONS become TO_COLLECTION/... (same doc path).
+//
+// Usage: `alce-admin rewrite-references --from-collection food_orders --to-collection norders --collections users,restaurants --dry-run`
+//    or: set CONFIG below and run: `node scripts/rewriteReferences.js`
+// Logic lives in lib/ops/rewriteReferences.js.
+
+const firebase = require("../firebaseAdmin");
+const op = require("../lib/ops/rewriteReferences");
+
+/**
+ * CONFIG
+ * - FROM_COLLECTION: the old collection (references to its docs, or below them, are rewritten), or a
+ *     pattern like "weekly_lessons/{lessonId}/attendance"
+ * - TO_COLLECTION: the new collection; may use the pattern's placeholders ("archive/{lessonId}/attendance")
+ * - COLLECTIONS: collection paths to scan (top-level or nested, e.g. "users/u1/favorites")
+ * - BATCH_SIZE: docs read per page and commit size (≤ 500)
+ * - DRY_RUN: list the docs and fields that would change without writing
+ * - JOURNAL: record before-images of every updated doc (for `alce-admin undo <runId>`)
+ * - PLAN: write a reviewable plan file here instead of writing (run it with `alce-admin apply <file>`)
+ */
+const CONFIG = {
+  FROM_COLLECTION: "food_orders",
+  TO_COLLECTION: "norders",
+  COLLECTIONS: ["users"],
+  BATCH_SIZE: 400,
+  DRY_RUN: false,
+  JOURNAL: true,
+  PLAN: "",
+};
+
+function validateConfig() {
+  op.validateConfig({ ...op.DEFAULTS, ...CONFIG });
+}
+
+/** Entry point shared by `node scripts/rewriteReferences.js` and `alce-admin rewrite-references`. */
+async function main() {
+  await op.rewriteReferences(CONFIG, firebase);
+}
+
+module.exports = { CONFIG, validateConfig, main };
+
+if (require.main === module) {
+  main().then(
+    () => process.exit(0),
+    (e) => {
+      console.error("❌ Error:", e.message);
+      process.exit(1);
+    }
+  );
+}
@@ -0,0 +1,56 @@
+// scripts/rewriteStorageUrls.js
+// Point Storage paths and download URLs saved in Firestore at a moved prefix (after copy-storage-prefix),
+// with the moved objects' current download tokens.
+//
+// Usage: `alce-admin rewrite-storage-urls --from-prefix accommodationItems/ --to-prefix accommodations/ \
+//           --url-fields '{"accommodations": ["photos", "cover.url"]}' [--dry-run | --plan plans/urls.json]`
+//    or: set CONFIG below and run: `node scripts/rewriteStorageUrls.js`
+// Logic lives in lib/ops/rewriteStorageUrls.js.
+
+const firebase = require("../firebaseAdmin");
+const op = require("../lib/ops/rewriteStorageUrls");
+
+/**
+ * CONFIG
+ * - FROM_PREFIX: the old Storage prefix
+ * - TO_PREFIX: the new Storage prefix
+ * - SOURCE_BUCKET: bucket the old paths/URLs point into ("" = the project's default bucket)
+ * - DESTINATION_BUCKET: bucket the objects were moved to ("" = the project's default bucket)
+ * - URL_FIELDS: { collection: [fieldPaths] } to rewrite; strings inside arrays and maps count too
+ * - BATCH_SIZE: docs read per page and Firestore batch size (≤ 500)
+ * - DRY_RUN: list the docs and fields that would change without writing
+ * - JOURNAL: record before-images so the run can be undone (`alce-admin undo <runId>`)
+ * - PLAN: write a reviewable plan file instead of writing ("" = write directly)
+ */
+const CONFIG = {
+  FROM_PREFIX: "accommodationItems/",
+  TO_PREFIX: "accommodations/",
+  SOURCE_BUCKET: "",
+  DESTINATION_BUCKET: "",
+  URL_FIELDS: { accommodations: ["photos"] },
+  BATCH_SIZE: 400,
+  DRY_RUN: false,
+  JOURNAL: true,
+  PLAN: "",
+};
+
+function validateConfig() {
+  op.validateConfig({ ...op.DEFAULTS, ...CONFIG });
+}
+
+/** Entry point shared by `node scripts/rewriteStorageUrls.js` and `alce-admin rewrite-storage-urls`. */
+async function main() {
+  await op.rewriteStorageUrls(CONFIG, firebase);
+}
+
+module.exports = { CONFIG, validateConfig, main };
+
+if (require.main === module) {
+  main().then(
+    () => process.exit(0),
+    (e) => {
+      console.error("❌ Error:", e.message);
+      process.exit(1);
+    }
+  );
+}
@@ -0,0 +1,44 @@
+// scripts/seedEmulator.js
+// Load a JSON fixture into the Firebase Emulator Suite so copyCollection, scrubFields,
+// fillCurrentWeekRoster, ... can be rehearsed on local data. Refuses to run outside emulator mode.
+//
+// Usage: `alce-admin seed-emulator --emulator --fixture-file emulator/fixtures.example.json --clear-first`
+// Logic lives in lib/ops/seedEmulator.js.
+
+const firebase = require("../firebaseAdmin");
+const op = require("../lib/ops/seedEmulator");
+
+/**
+ * CONFIG
+ * - FIXTURE_FILE: JSON file shaped like
+ *     { "firestore": { "<collection>/<docId>[/<sub>/<docId>...]": { ...data } },
+ *       "auth": [ { uid, email, displayName?, password?, customClaims? } ] }
+ * - CLEAR_FIRST: wipe emulator Firestore + Auth before loading
+ * - BATCH_SIZE: Firestore batch size (≤ 500)
+ */
+const CONFIG = {
+  FIXTURE_FILE: "emulator/fixtures.example.json",
+  CLEAR_FIRST: false,
+  BATCH_SIZE: 400,
+};
+
+function validateConfig() {
+  op.validateConfig({ ...op.DEFAULTS, ...CONFIG });
+}
+
+/** Entry point shared by `node scripts/seedEmulator.js` and `alce-admin seed-emulator`. */
+async function main() {
+  await op.seedEmulator(CONFIG, firebase);
+}
+
+module.exports = { CONFIG, validateConfig, main };
+
+if (require.main === module) {
+  main().then(
+    () => process.exit(0),
+    (e) => {
+      console.error("❌ Error:", e.message);
+      process.exit(1);
+    }
+  );
+}
@@ -0,0 +1,47 @@
+// scripts/undo.js
+// Undo a journaled copyCollection / scrubFields run.
+// Usage: `alce-admin undo <runId> [--dry-run]`  or  `node scripts/undo.js <runId>`
+// Logic lives in lib/ops/undo.js.
+const firebase = require("../firebaseAdmin");
+const op = require("../lib/ops/undo");
+
+/**
+ * CONFIG
+ * - RUN_ID: id of the run to undo (printed at the end of the run; also in logs/audit.ndjson)
+ * - BATCH_SIZE: Firestore batch size (≤ 500)
+ * - DRY_RUN: list what would be restored/deleted without writing
+ * - JOURNAL: journal the current state first, so this undo can itself be undone
+ */
+const CONFIG = {
+  RUN_ID: "",
+  BATCH_SIZE: 400,
+  DRY_RUN: false,
+  JOURNAL: true,
+};
+
+function validateConfig() {
+  op.validateConfig({ ...op.DEFAULTS, ...CONFIG });
+}
+
+/** Entry point shared by `node scripts/undo.js` and `alce-admin undo`. */
+async function main() {
+  await op.undoRun(CONFIG, firebase);
+}
+
+module.exports = { CONFIG, validateConfig, main };
+
+if (require.main === module) {
+  if (process.argv[2]) CONFIG.RUN_ID = process.argv[2];
+  Promise.resolve()
+    .then(() => {
+      validateConfig();
+      return main();
+    })
+    .then(
+      () => process.exit(0),
+      (e) => {
+        console.error("❌ Error:", e.message);
+        process.exit(1);
+      }
+    );
+}
@@ -0,0 +1,104 @@
+// test/audit.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeFirebase } = require("./helpers/fakeFirebase");
+const { newRunId, toAuditValue } = require("../lib/audit");
+const { copyCollection } = require("../lib/ops/copyCollection");
+const { setAdminStatus } = require("../lib/ops/setAdminStatus");
+const { updateDisplayNames } = require("../lib/ops/updateDisplayNames");
+
+function auditEntries(fake) {
+  return fake.paths().filter((p) => p.startsWith("_admin_audit/")).map((p) => fake.doc(p));
+}
+
+test("newRunId is sortable by start time", () => {
+  const a = newRunId(new Date("2025-01-06T09:00:00Z"));
+  const b = newRunId(new Date("2025-01-06T10:00:00Z"));
+  assert.match(a, /^20250106T090000-[0-9a-f]{6}$/);
+  assert.ok(a < b);
+});
+
+test("toAuditValue keeps entries JSON-safe", () => {
+  assert.deepEqual(toAuditValue({ a: undefined, re: /x+/i, n: 1 }), { re: "/x+/i", n: 1 });
+});
+
+test("a claim change records operator, project, config and before/after claims", async () => {
+  process.env.ALCE_OPERATOR = "ops@example.com";
+  const fake = createFakeFirebase({
+    auth: [
+      { uid: "owner-1", email: "owner@example.com", customClaims: { owner: true } },
+      { uid: "u1", email: "ann@example.com" },
+    ],
+  });
+  try {
+    await setAdminStatus({ TARGET_EMAIL: "ann@example.com", MAKE_ADMIN: true, CALLER_UID: "owner-1" }, fake);
+  } finally {
+    delete process.env.ALCE_OPERATOR;
+  }
+
+  const [entry] = auditEntries(fake);
+  assert.equal(entry.op, "setAdminStatus");
+  assert.equal(entry.status, "ok");
+  assert.equal(entry.operator, "ops@example.com");
+  assert.equal(entry.project, "demo-alce-admin");
+  assert.equal(entry.config.CALLER_UID, "owner-1");
+  assert.deepEqual(entry.result.claims, { admin: true });
+  assert.ok(entry.finishedAt.toMillis() >= entry.startedAt.toMillis());
+});
+
+test("per-document errors are recorded with the failing ref", async () => {
+  const fake = createFakeFirebase({
+    firestore: { "users/u1": { basicInfo: { firstName: "A", lastName: "B" } } },
+    auth: [{ uid: "u1" }],
+  });
+  fake.auth.updateUser = async () => {
+    throw new Error("quota exceeded");
+  };
+  const result = await updateDisplayNames({}, fake);
+
+  assert.equal(result.errors, 1);
+  const [entry] = auditEntries(fake);
+  assert.equal(entry.errorCount, 1);
+  assert.deepEqual(entry.errors, [{ ref: "users/u1", message: "quota exceeded" }]);
+});
+
+test("failed runs are audited with the error and rethrown", async () => {
+  const fake = createFakeFirebase({ auth: [{ uid: "owner-1", email: "o@example.com" }] });
+  await assert.rejects(
+    setAdminStatus({ TARGET_EMAIL: "x@example.com", MAKE_ADMIN: true, CALLER_UID: "owner-1" }, fake),
+    /owner privileges/
+  );
+  const [entry] = auditEntries(fake);
+  assert.equal(entry.status, "error");
+  assert.match(entry.error, /owner privileges/);
+  assert.equal(entry.result, null);
+});
+
+test("dry runs go to the NDJSON file only; auditLog=false disables auditing", async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "alce-audit-")), "audit.ndjson");
+  const fake = createFakeFirebase({ firestore: { "src/a": { n: 1 } } });
+  const options = { SOURCE_COLLECTION: "src", DESTINATION_COLLECTION: "dst" };
+
+  await copyCollection({ ...options, DRY_RUN: true }, { ...fake, auditLog: { file } });
+  await copyCollection(options, { ...fake, auditLog: { file } });
+  await copyCollection(options, { ...fake, auditLog: false });
+
+  const lines = fs.readFileSync(file, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+  assert.deepEqual(lines.map((l) => l.dryRun), [true, false]);
+  assert.deepEqual(lines[1].result, {
+    processed: 1,
+    copied: 1,
+    skipped: 0,
+    errors: 0,
+    deleted: 0,
+    actions: { created: 1, overwritten: 0, merged: 0, skipped: 0, failed: 0 },
+    dryRun: false,
+    runId: lines[1].runId, // the journal shares the audit runId
+  });
+  assert.equal(auditEntries(fake).length, 1);
+  assert.equal(auditEntries(fake)[0].runId, lines[1].runId);
+  fs.rmSync(path.dirname(file), { recursive: true });
+});
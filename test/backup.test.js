@@ -0,0 +1,107 @@
+// test/backup.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeFirebase, Timestamp } = require("./helpers/fakeFirebase");
+const { backupCollections } = require("../lib/ops/backupCollections");
+const { restoreBackup } = require("../lib/ops/restoreBackup");
+const { undoRun } = require("../lib/ops/undo");
+
+const DAY = 24 * 60 * 60 * 1000;
+const at = (days) => new Date(Date.UTC(2025, 0, 1) + days * DAY);
+
+function manifestOf(fake) {
+  return JSON.parse(fake.bucket._objects.get("backups/manifest.json").contents.toString("utf8"));
+}
+
+function seed() {
+  return createFakeFirebase({
+    firestore: {
+      "food_orders/o1": { item: "pizza", qty: 1 },
+      "food_orders/o2": { item: "pasta", qty: 2 },
+      "food_orders/o1/events/e1": { type: "created" },
+      "users/u1": { name: "Ann" },
+    },
+  });
+}
+
+test("incremental backups hold only changed docs, and restore replays the chain to any backup", async () => {
+  const fake = seed();
+  const full = await backupCollections({ COLLECTIONS: ["food_orders", "users"] }, { ...fake, now: at(0) });
+  assert.deepEqual(full.collections, { food_orders: { type: "full", documents: 3 }, users: { type: "full", documents: 1 } });
+
+  await fake.db.doc("food_orders/o1").update({ qty: 5 });
+  await fake.db.doc("food_orders/o2").delete();
+  await fake.db.doc("food_orders/o3").set({ item: "soup" });
+  const inc = await backupCollections({ COLLECTIONS: ["food_orders"] }, { ...fake, now: at(1) });
+  assert.deepEqual(inc.collections, { food_orders: { type: "incremental", documents: 2 } });
+
+  const manifest = manifestOf(fake);
+  assert.deepEqual(manifest.backups.map((b) => b.id), [full.backupId, inc.backupId]);
+  const entry = manifest.backups[1].collections.food_orders;
+  assert.equal(entry.previous, full.backupId);
+  assert.equal(entry.file, `backups/${inc.backupId}/food_orders.ndjson`);
+  assert.ok(fake.bucket._objects.has(entry.index));
+
+  // Point in time: as of the full backup, into another collection.
+  const first = await restoreBackup({ COLLECTION: "food_orders", AT: "2025-01-01T12:00:00Z", DESTINATION_COLLECTION: "restored" }, fake);
+  assert.equal(first.backupId, full.backupId);
+  assert.deepEqual(fake.doc("restored/o1"), { item: "pizza", qty: 1 });
+  assert.deepEqual(fake.doc("restored/o2"), { item: "pasta", qty: 2 });
+  assert.deepEqual(fake.doc("restored/o1/events/e1"), { type: "created" });
+
+  // Latest, in place: the deleted o2 stays deleted, and DELETE_EXTRA drops what came after.
+  await fake.db.doc("food_orders/o1").update({ qty: 99 });
+  await fake.db.doc("food_orders/o4").set({ item: "late" });
+  await fake.db.doc("food_orders/o1/events/e2").set({ type: "late" });
+  const { runId, ...latest } = await restoreBackup({ COLLECTION: "food_orders", DELETE_EXTRA: true }, fake);
+  assert.deepEqual(latest, { backupId: inc.backupId, documents: 3, written: 3, deleted: 2, dryRun: false });
+  assert.deepEqual(fake.doc("food_orders/o1"), { item: "pizza", qty: 5 });
+  assert.equal(fake.doc("food_orders/o2"), undefined);
+  assert.deepEqual(fake.doc("food_orders/o3"), { item: "soup" });
+  assert.equal(fake.doc("food_orders/o4"), undefined);
+  assert.equal(fake.doc("food_orders/o1/events/e2"), undefined);
+
+  await undoRun({ RUN_ID: runId }, fake);
+  assert.deepEqual(fake.doc("food_orders/o1"), { item: "pizza", qty: 99 });
+  assert.deepEqual(fake.doc("food_orders/o4"), { item: "late" });
+});
+
+test("a field watermark queries only newer docs; FULL_EVERY starts new chains and retention drops old ones", async () => {
+  const fake = createFakeFirebase({
+    firestore: {
+      "users/u1": { name: "Ann", updatedAt: Timestamp.fromMillis(at(0).getTime()) },
+      "users/u2": { name: "Bob", updatedAt: Timestamp.fromMillis(at(0).getTime()) },
+    },
+  });
+  const config = { COLLECTIONS: ["users"], WATERMARK_FIELD: "updatedAt", INCLUDE_SUBCOLLECTIONS: false, FULL_EVERY: 1, RETAIN_DAYS: 30 };
+  const b0 = await backupCollections(config, { ...fake, now: at(0) });
+  await fake.db.doc("users/u2").update({ name: "Bobby", updatedAt: Timestamp.fromMillis(at(5).getTime()) });
+  const b5 = await backupCollections(config, { ...fake, now: at(5) });
+  assert.deepEqual(b5.collections.users, { type: "incremental", documents: 1 });
+  const b10 = await backupCollections(config, { ...fake, now: at(10) });
+  assert.deepEqual(b10.collections.users, { type: "full", documents: 2 });
+  assert.deepEqual(b10.pruned, []);
+
+  const restored = await restoreBackup({ COLLECTION: "users", AT: b5.backupId, DESTINATION_COLLECTION: "users_b5" }, fake);
+  assert.equal(restored.written, 2);
+  assert.equal(fake.doc("users_b5/u2").name, "Bobby");
+
+  // Day 50: the first chain (days 0-5) only covers points before day 20, so it goes.
+  const dry = await backupCollections({ ...config, DRY_RUN: true }, { ...fake, now: at(50) });
+  assert.deepEqual(dry.pruned, [b0.backupId, b5.backupId]);
+  assert.ok(fake.bucket._objects.has(`backups/${b0.backupId}/users.ndjson`));
+
+  const b50 = await backupCollections(config, { ...fake, now: at(50) });
+  assert.deepEqual(b50.pruned, [b0.backupId, b5.backupId]);
+  assert.deepEqual(manifestOf(fake).backups.map((b) => b.id), [b10.backupId, b50.backupId]);
+  assert.equal(fake.bucket._objects.has(`backups/${b0.backupId}/users.ndjson`), false);
+  await assert.rejects(restoreBackup({ COLLECTION: "users", AT: "2025-01-06T00:00:00Z" }, fake), /No backup of 'users' at or before/);
+});
+
+test("backup and restore validate their config", async () => {
+  const fake = seed();
+  await assert.rejects(backupCollections({ COLLECTIONS: [] }, fake), /COLLECTIONS must be a non-empty array/);
+  await assert.rejects(backupCollections({ COLLECTIONS: ["weekly_lessons/{id}/attendance"] }, fake), /reserved|is a pattern/);
+  await assert.rejects(backupCollections({ COLLECTIONS: ["users"], WATERMARK_FIELD: "updatedAt" }, fake), /INCLUDE_SUBCOLLECTIONS: false/);
+  await assert.rejects(restoreBackup({ COLLECTION: "users" }, fake), /No backup of 'users'/);
+});
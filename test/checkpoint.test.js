@@ -0,0 +1,195 @@
+// test/checkpoint.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeFirebase } = require("./helpers/fakeFirebase");
+const { openCheckpoint } = require("../lib/checkpoint");
+const { copyCollection } = require("../lib/ops/copyCollection");
+const { updateDisplayNames } = require("../lib/ops/updateDisplayNames");
+const { createStripeCustomers } = require("../lib/ops/createStripeCustomers");
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "alce-checkpoint-"));
+}
+
+function readCheckpoint(dir, runId) {
+  return JSON.parse(fs.readFileSync(path.join(dir, `${runId}.json`), "utf8"));
+}
+
+function fakeStripe() {
+  let n = 0;
+  const created = [];
+  return {
+    created,
+    customers: {
+      async create({ email }) {
+        created.push(email);
+        return { id: `cus_${++n}` };
+      },
+    },
+    setupIntents: {
+      async create() {
+        return { client_secret: `seti_${n}_secret` };
+      },
+    },
+  };
+}
+
+test("copyCollection checkpoints after each page and resumes with the saved config and counters", async () => {
+  const dir = tmpDir();
+  const firestore = {};
+  for (let i = 0; i < 5; i++) firestore[`src/d${i}`] = { i };
+  const fake = createFakeFirebase({ firestore });
+  const deps = { ...fake, checkpointLog: { dir } };
+
+  // A run that got through d0..d2 and then died: what its last commit would have saved.
+  const crashed = openCheckpoint(
+    {
+      op: "copyCollection",
+      command: "copy-collection",
+      config: { SOURCE_COLLECTION: "src", DESTINATION_COLLECTION: "dst", BATCH_SIZE: 2, JOURNAL: false },
+    },
+    deps
+  );
+  crashed.save({ phase: "copy", cursor: { lastDocId: "d2" }, counters: { processed: 3, copied: 3, errors: 0 } });
+
+  // Script defaults point somewhere else; the checkpoint's config wins.
+  const result = await copyCollection(
+    { SOURCE_COLLECTION: "food_orders", DESTINATION_COLLECTION: "norders", RESUME: crashed.runId },
+    deps
+  );
+
+  const { actions, ...counts } = result;
+  assert.deepEqual(counts, { processed: 5, copied: 5, skipped: 0, errors: 0, deleted: 0, dryRun: false });
+  assert.equal(actions.created, 2, "per-doc actions count from the checkpoint on");
+  assert.deepEqual(fake.paths().filter((p) => p.startsWith("dst/")), ["dst/d3", "dst/d4"]);
+  assert.equal(readCheckpoint(dir, crashed.runId).done, true);
+  await assert.rejects(
+    copyCollection({ SOURCE_COLLECTION: "a", DESTINATION_COLLECTION: "b", RESUME: crashed.runId }, deps),
+    /already finished/
+  );
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("copyCollection saves the cursor only for pages whose writes were flushed", async () => {
+  const dir = tmpDir();
+  const firestore = {};
+  for (let i = 0; i < 5; i++) firestore[`src/d${i}`] = { i };
+  const fake = createFakeFirebase({ firestore });
+  const makeWriter = fake.db.bulkWriter.bind(fake.db);
+  let flushes = 0;
+  // BATCH_SIZE 2 flushes after d1, after d3, then after d4, which fails.
+  fake.db.bulkWriter = (options) => {
+    const writer = makeWriter(options);
+    const flush = writer.flush.bind(writer);
+    writer.flush = async () => {
+      if (++flushes === 3) throw new Error("RESOURCE_EXHAUSTED: quota exceeded");
+      return flush();
+    };
+    return writer;
+  };
+  const deps = { ...fake, checkpointLog: { dir } };
+  const options = { SOURCE_COLLECTION: "src", DESTINATION_COLLECTION: "dst", BATCH_SIZE: 2, JOURNAL: false };
+
+  await assert.rejects(copyCollection(options, deps), /quota/);
+  const [file] = fs.readdirSync(dir);
+  const { runId, state } = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+  assert.deepEqual(state, {
+    phase: "copy",
+    cursor: { lastDocId: "d3" },
+    counters: {
+      processed: 4,
+      copied: 4,
+      skipped: 0,
+      errors: 0,
+      actions: { created: 4, overwritten: 0, merged: 0, skipped: 0, failed: 0 },
+    },
+  });
+  assert.ok(fake.logger.lines.some((l) => l.includes(`--resume ${runId}`)));
+
+  const result = await copyCollection({ ...options, RESUME: runId }, deps);
+  assert.deepEqual(result, {
+    processed: 5,
+    copied: 5,
+    skipped: 0,
+    errors: 0,
+    deleted: 0,
+    actions: { created: 5, overwritten: 0, merged: 0, skipped: 0, failed: 0 },
+    dryRun: false,
+  });
+  assert.equal(fake.paths().filter((p) => p.startsWith("dst/")).length, 5);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("updateDisplayNames resumes after the last processed uid", async () => {
+  const dir = tmpDir();
+  const fake = createFakeFirebase({
+    firestore: {
+      "users/a": { basicInfo: { firstName: "Ann", lastName: "A" } },
+      "users/b": { basicInfo: { firstName: "Bob", lastName: "B" } },
+      "users/c": { basicInfo: { firstName: "Cy", lastName: "C" } },
+    },
+    auth: [{ uid: "a" }, { uid: "b" }, { uid: "c" }],
+  });
+  const deps = { ...fake, checkpointLog: { dir } };
+  const crashed = openCheckpoint(
+    { op: "updateDisplayNames", command: "update-display-names", config: { USERS_COLLECTION: "users" } },
+    deps
+  );
+  crashed.save({ cursor: { lastDocId: "a" }, counters: { processed: 1, updated: 1, skipped: 0, errors: 0 } });
+
+  const result = await updateDisplayNames({ RESUME: "latest" }, deps);
+
+  assert.deepEqual(result, { processed: 3, updated: 3, skipped: 0, errors: 0 });
+  assert.equal((await fake.auth.getUser("a")).displayName, undefined, "a was done before the crash");
+  assert.equal((await fake.auth.getUser("c")).displayName, "Cy C");
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("createStripeCustomers resumes mid-page after listUsers fails", async () => {
+  const dir = tmpDir();
+  const users = ["u1", "u2", "u3", "u4", "u5"].map((uid) => ({ uid, email: `${uid}@example.com` }));
+  const fake = createFakeFirebase({ auth: users });
+  const stripe = fakeStripe();
+  let failNextPage = true;
+  // Pages of 2 users; the first request for the second page fails.
+  const auth = {
+    listUsers: async (max, pageToken) => {
+      if (pageToken && failNextPage) {
+        failNextPage = false;
+        throw new Error("laptop went to sleep"); // not retryable, so the run dies here
+      }
+      return fake.auth.listUsers(2, pageToken);
+    },
+  };
+  const deps = { ...fake, auth, stripe, checkpointLog: { dir } };
+  const errors = [];
+  const logger = { ...fake.logger, log() {}, error: (...a) => errors.push(a.join(" ")) };
+
+  await assert.rejects(createStripeCustomers({}, { ...deps, logger }), /laptop went to sleep/);
+  const resumeLine = errors.find((l) => l.includes("--resume"));
+  const runId = /--resume (\S+)/.exec(resumeLine)[1];
+  assert.deepEqual(readCheckpoint(dir, runId).state.cursor, { pageToken: null, offset: 2 });
+
+  const result = await createStripeCustomers({ RESUME: runId }, deps);
+  assert.deepEqual(result, { processed: 5, created: 5, skipped: 0, errors: 0 });
+  assert.deepEqual(stripe.created, users.map((u) => u.email)); // nobody twice
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("resume refuses unknown runs, other ops and dry runs", async () => {
+  const dir = tmpDir();
+  const deps = { ...createFakeFirebase(), checkpointLog: { dir } };
+  const base = { SOURCE_COLLECTION: "a", DESTINATION_COLLECTION: "b" };
+
+  await assert.rejects(copyCollection({ ...base, RESUME: "20250101T000000-abcdef" }, deps), /No checkpoint found/);
+  await assert.rejects(copyCollection({ ...base, RESUME: "latest" }, deps), /No unfinished copyCollection checkpoint/);
+  await assert.rejects(copyCollection({ ...base, RESUME: "x", DRY_RUN: true }, deps), /DRY_RUN/);
+
+  const other = openCheckpoint({ op: "updateDisplayNames", command: "update-display-names", config: {} }, deps);
+  other.save({ cursor: { lastDocId: "a" }, counters: {} });
+  await assert.rejects(copyCollection({ ...base, RESUME: other.runId }, deps), /is a updateDisplayNames checkpoint/);
+  fs.rmSync(dir, { recursive: true });
+});
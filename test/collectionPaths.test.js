@@ -0,0 +1,41 @@
+// test/collectionPaths.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseCollectionPattern,
+  matchCollectionPath,
+  matchDocumentPath,
+  fillTemplate,
+  mayOverlap,
+} = require("../lib/collectionPaths");
+
+test("patterns capture their placeholders and {parent}; groups match the collection id at any depth", () => {
+  const lessons = parseCollectionPattern("weekly_lessons/{lessonId}/attendance");
+  assert.deepEqual(lessons.vars, ["lessonId", "parent"]);
+  assert.deepEqual(matchCollectionPath(lessons, "weekly_lessons/w1/attendance"), { lessonId: "w1", parent: "weekly_lessons/w1" });
+  assert.equal(matchCollectionPath(lessons, "courses/c1/attendance"), null);
+  assert.deepEqual(matchDocumentPath(lessons, "weekly_lessons/w1/attendance/a1/notes/n1"), {
+    captures: { lessonId: "w1", parent: "weekly_lessons/w1" },
+    rest: "a1/notes/n1",
+  });
+
+  const group = parseCollectionPattern("attendance", true);
+  assert.deepEqual(matchCollectionPath(group, "a/b/c/d/attendance"), { parent: "a/b/c/d" });
+  assert.equal(matchCollectionPath(parseCollectionPattern("food_orders"), "food_orders").parent, undefined);
+
+  assert.equal(fillTemplate("archive/{lessonId}/attendance", { lessonId: "w1" }), "archive/w1/attendance");
+  assert.equal(fillTemplate("{parent}/attendance_v2", { parent: "" }), "attendance_v2");
+  assert.throws(() => fillTemplate("{parent}/attendance_v2/x", { parent: "" }), /not a collection path/);
+});
+
+test("rejects malformed patterns and spots destinations the source would read back", () => {
+  assert.throws(() => parseCollectionPattern("weekly_lessons/{id}/attendance"), /reserved/);
+  assert.throws(() => parseCollectionPattern("weekly_lessons/w{n}/attendance"), /whole segment/);
+  assert.throws(() => parseCollectionPattern("weekly_lessons/w1"), /odd number of segments/);
+  assert.throws(() => parseCollectionPattern("a/b/attendance", true), /collection id/);
+
+  const lessons = parseCollectionPattern("weekly_lessons/{lessonId}/attendance");
+  assert.equal(mayOverlap(lessons, "archive/{lessonId}/attendance"), false);
+  assert.equal(mayOverlap(lessons, "weekly_lessons/w9/attendance"), true);
+  assert.equal(mayOverlap(parseCollectionPattern("attendance", true), "{parent}/attendance"), true);
+});
@@ -0,0 +1,583 @@
+// test/copyCollection.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeFirebase, Timestamp, GeoPoint } = require("./helpers/fakeFirebase");
+const { copyCollection } = require("../lib/ops/copyCollection");
+
+function seed() {
+  return createFakeFirebase({
+    firestore: {
+      "food_orders/o1": { item: "pizza", qty: 2, extras: { cheese: true } },
+      "food_orders/o1/events/e1": { type: "created" },
+      "food_orders/o1/events/e1/notes/n1": { text: "deep" },
+      "food_orders/o2": { item: "pasta", qty: 1 },
+      "other/x": { untouched: true },
+    },
+  });
+}
+
+test("copies top-level docs only when INCLUDE_SUBCOLLECTIONS is false", async () => {
+  const fake = seed();
+  const { runId, actions, ...counts } = await copyCollection(
+    { SOURCE_COLLECTION: "food_orders", DESTINATION_COLLECTION: "norders" },
+    fake
+  );
+
+  assert.deepEqual(counts, { processed: 2, copied: 2, skipped: 0, errors: 0, deleted: 0, dryRun: false });
+  assert.deepEqual(actions, { created: 2, overwritten: 0, merged: 0, skipped: 0, failed: 0 });
+  assert.ok(runId, "journaled runs report their runId");
+  assert.deepEqual(fake.doc("norders/o1"), { item: "pizza", qty: 2, extras: { cheese: true } });
+  assert.deepEqual(fake.doc("norders/o2"), { item: "pasta", qty: 1 });
+  assert.equal(fake.doc("norders/o1/events/e1"), undefined);
+  assert.ok(fake.doc("food_orders/o1"), "source is kept");
+});
+
+test("recursively copies subcollections at every depth", async () => {
+  const fake = seed();
+  await copyCollection(
+    { SOURCE_COLLECTION: "food_orders", DESTINATION_COLLECTION: "norders", INCLUDE_SUBCOLLECTIONS: true },
+    fake
+  );
+
+  assert.deepEqual(fake.doc("norders/o1/events/e1"), { type: "created" });
+  assert.deepEqual(fake.doc("norders/o1/events/e1/notes/n1"), { text: "deep" });
+});
+
+test("IS_DESTRUCTIVE deletes the source and all descendants after a clean copy", async () => {
+  const fake = seed();
+  const result = await copyCollection(
+    {
+      SOURCE_COLLECTION: "food_orders",
+      DESTINATION_COLLECTION: "norders",
+      INCLUDE_SUBCOLLECTIONS: true,
+      IS_DESTRUCTIVE: true,
+    },
+    fake
+  );
+
+  assert.equal(result.deleted, 2);
+  assert.deepEqual(result.verification, { checked: 4, missing: 0, different: 0, extra: 0, clean: true });
+  assert.deepEqual(
+    fake.paths().filter((p) => p.startsWith("food_orders")),
+    []
+  );
+  assert.deepEqual(fake.paths().filter((p) => !p.startsWith("_admin_audit/")), [
+    "norders/o1",
+    "norders/o1/events/e1",
+    "norders/o1/events/e1/notes/n1",
+    "norders/o2",
+    "other/x",
+  ]);
+});
+
+test("DRY_RUN writes and deletes nothing", async () => {
+  const fake = seed();
+  const before = fake.paths();
+  const result = await copyCollection(
+    {
+      SOURCE_COLLECTION: "food_orders",
+      DESTINATION_COLLECTION: "norders",
+      INCLUDE_SUBCOLLECTIONS: true,
+      IS_DESTRUCTIVE: true,
+      DRY_RUN: true,
+    },
+    fake
+  );
+
+  assert.equal(result.dryRun, true);
+  assert.equal(result.deleted, 0);
+  assert.deepEqual(fake.paths(), before);
+  assert.equal(fake.db.stats.commits, 0);
+  assert.ok(fake.logger.lines.some((l) => l.includes("(dry-run) would copy: food_orders/o1/events/e1")));
+});
+
+test("streams the source a page of BATCH_SIZE docs at a time through a BulkWriter", async () => {
+  const firestore = {};
+  for (let i = 0; i < 7; i++) firestore[`src/d${i}`] = { i };
+  firestore["src/d0/events/e1"] = { n: 1 };
+  const fake = createFakeFirebase({ firestore });
+  const writers = [];
+  const makeWriter = fake.db.bulkWriter.bind(fake.db);
+  fake.db.bulkWriter = (options) => {
+    const writer = makeWriter(options);
+    const flush = writer.flush.bind(writer);
+    writer.flushed = [];
+    writer.flush = () => (writer.flushed.push(writer._queue.length), flush());
+    writers.push(writer);
+    return writer;
+  };
+
+  const { runId, actions, ...counts } = await copyCollection(
+    { SOURCE_COLLECTION: "src", DESTINATION_COLLECTION: "dst", BATCH_SIZE: 3, MAX_OPS_PER_SECOND: 50 },
+    fake
+  );
+
+  assert.deepEqual(counts, { processed: 7, copied: 7, skipped: 0, errors: 0, deleted: 0, dryRun: false });
+  assert.equal(fake.paths().filter((p) => p.startsWith("dst/")).length, 7);
+  assert.equal(fake.db.stats.commits, 1, "only the audit entry; copies go through the BulkWriter");
+  assert.equal(writers.length, 1);
+  assert.deepEqual(writers[0].flushed, [3, 3, 1, 0], "one flush per page, then close()");
+  assert.deepEqual(writers[0].options.throttling, { initialOpsPerSecond: 50, maxOpsPerSecond: 50 });
+  assert.ok(fake.logger.lines.some((l) => l.includes("…processed 7/7 docs (100.0%)")));
+});
+
+test("a failed write counts as an error for its top-level doc and blocks the destructive delete", async () => {
+  const fake = seed();
+  const makeWriter = fake.db.bulkWriter.bind(fake.db);
+  fake.db.bulkWriter = (options) => {
+    const writer = makeWriter(options);
+    const set = writer.set.bind(writer);
+    writer.set = (ref, data) =>
+      ref.path === "norders/o1/events/e1" ? Promise.reject(Object.assign(new Error("invalid data"), { code: 3 })) : set(ref, data);
+    return writer;
+  };
+
+  const { runId, actions, ...counts } = await copyCollection(
+    { SOURCE_COLLECTION: "food_orders", DESTINATION_COLLECTION: "norders", INCLUDE_SUBCOLLECTIONS: true, IS_DESTRUCTIVE: true },
+    fake
+  );
+
+  assert.deepEqual(counts, { processed: 2, copied: 1, skipped: 0, errors: 1, deleted: 0, dryRun: false });
+  assert.ok(fake.doc("food_orders/o1"), "source kept");
+  assert.ok(fake.logger.lines.some((l) => l.includes("Error writing 'norders/o1/events/e1'")));
+});
+
+test("verification reports missing, different and extra docs and blocks the destructive delete", async () => {
+  const fake = seed();
+  await fake.db.doc("norders/zz").set({ leftover: true });
+  const bulkWriter = fake.db.bulkWriter.bind(fake.db);
+  fake.db.bulkWriter = (opts) => {
+    const writer = bulkWriter(opts);
+    const set = writer.set.bind(writer);
+    writer.set = (ref, data) => {
+      if (ref.path === "norders/o1/events/e1") return Promise.resolve(); // silently lost
+      return set(ref, ref.path === "norders/o1" ? { ...data, qty: 3, extras: {} } : data);
+    };
+    return writer;
+  };
+  const VERIFY_REPORT = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "alce-verify-")), "report.ndjson");
+
+  const { runId, ...result } = await copyCollection(
+    {
+      SOURCE_COLLECTION: "food_orders",
+      DESTINATION_COLLECTION: "norders",
+      INCLUDE_SUBCOLLECTIONS: true,
+      IS_DESTRUCTIVE: true,
+      VERIFY_REPORT,
+    },
+    fake
+  );
+
+  assert.equal(result.errors, 0, "the writer reported success");
+  assert.deepEqual(result.verification, {
+    checked: 3, // o1, o2 and the missing e1 (its notes/n1 is never reached)
+    missing: 1,
+    different: 1,
+    extra: 1,
+    clean: false,
+    report: VERIFY_REPORT,
+  });
+  assert.equal(result.deleted, 0);
+  assert.ok(fake.doc("food_orders/o1"), "source kept");
+
+  const [header, ...lines] = fs.readFileSync(VERIFY_REPORT, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+  assert.equal(header.source, "food_orders");
+  assert.deepEqual(lines, [
+    {
+      kind: "different",
+      source: "food_orders/o1",
+      destination: "norders/o1",
+      diffs: [
+        { field: "extras", actual: {} },
+        { field: "extras.cheese", expected: true },
+        { field: "qty", expected: 2, actual: 3 },
+      ],
+    },
+    { kind: "missing", source: "food_orders/o1/events/e1", destination: "norders/o1/events/e1" },
+    { kind: "extra", destination: "norders/zz" },
+  ]);
+  assert.ok(fake.logger.lines.some((l) => l.includes("Verification failed. Source will NOT be deleted.")));
+});
+
+/* ------------------------------ conflicts ------------------------------ */
+
+async function withExisting() {
+  const fake = seed();
+  await fake.db.doc("norders/o1").set({ item: "old pizza", note: "keep me" });
+  return fake;
+}
+const conflictCopy = (fake, extra) =>
+  copyCollection({ SOURCE_COLLECTION: "food_orders", DESTINATION_COLLECTION: "norders", ...extra }, fake);
+
+test("ON_CONFLICT skip, merge and fail treat existing destination docs per policy", async () => {
+  let fake = await withExisting();
+  let result = await conflictCopy(fake, { ON_CONFLICT: "skip" });
+  assert.deepEqual(result.actions, { created: 1, overwritten: 0, merged: 0, skipped: 1, failed: 0 });
+  assert.deepEqual(fake.doc("norders/o1"), { item: "old pizza", note: "keep me" });
+  assert.deepEqual(fake.doc("norders/o2"), { item: "pasta", qty: 1 });
+
+  fake = await withExisting();
+  result = await conflictCopy(fake, { ON_CONFLICT: "merge" });
+  assert.equal(result.actions.merged, 1);
+  assert.deepEqual(fake.doc("norders/o1"), { item: "pizza", note: "keep me", qty: 2, extras: { cheese: true } });
+
+  fake = await withExisting();
+  result = await conflictCopy(fake, { ON_CONFLICT: "fail" });
+  assert.deepEqual([result.copied, result.errors, result.actions.failed, result.actions.created], [1, 1, 1, 1]);
+  assert.deepEqual(fake.doc("norders/o1"), { item: "old pizza", note: "keep me" });
+  assert.ok(fake.logger.lines.some((l) => l.includes("Per document:         1 created, 1 failed (ON_CONFLICT=fail)")));
+
+  fake = await withExisting();
+  result = await conflictCopy(fake, { DRY_RUN: true, ON_CONFLICT: "skip" });
+  assert.deepEqual(result.actions, { created: 1, overwritten: 0, merged: 0, skipped: 1, failed: 0 });
+  assert.ok(fake.logger.lines.some((l) => l.includes("would skip (exists): food_orders/o1  ->  norders/o1")));
+});
+
+test("ON_CONFLICT keep-newer compares updateTime, or the NEWER_BY field", async () => {
+  const fake = await withExisting(); // norders/o1 was written after food_orders/o1
+  let result = await conflictCopy(fake, { ON_CONFLICT: "keep-newer" });
+  assert.deepEqual([result.actions.skipped, result.actions.created], [1, 1]);
+  assert.equal(fake.doc("norders/o1").item, "old pizza");
+
+  await fake.db.doc("food_orders/o1").update({ qty: 5 });
+  result = await conflictCopy(fake, { ON_CONFLICT: "keep-newer" });
+  assert.deepEqual([result.actions.overwritten, result.actions.skipped], [1, 1]); // o2 is unchanged since the last copy
+  assert.deepEqual(fake.doc("norders/o1"), { item: "pizza", qty: 5, extras: { cheese: true } });
+
+  await fake.db.doc("food_orders/o1").update({ editedAt: Timestamp.fromMillis(1000) });
+  await fake.db.doc("norders/o1").update({ editedAt: Timestamp.fromMillis(2000), qty: 9 });
+  await fake.db.doc("food_orders/o2").update({ editedAt: "1970-01-01T00:00:03Z" });
+  await fake.db.doc("norders/o2").update({ editedAt: Timestamp.fromMillis(2000) });
+  result = await conflictCopy(fake, { ON_CONFLICT: "keep-newer", NEWER_BY: "editedAt" });
+  assert.deepEqual([result.actions.skipped, result.actions.overwritten], [1, 1]);
+  assert.equal(fake.doc("norders/o1").qty, 9, "the destination's editedAt is newer");
+  assert.equal(fake.doc("norders/o2").editedAt, "1970-01-01T00:00:03Z");
+});
+
+test("conflict policies that keep destination data refuse IS_DESTRUCTIVE", async () => {
+  const fake = seed();
+  await assert.rejects(conflictCopy(fake, { ON_CONFLICT: "merge", IS_DESTRUCTIVE: true }), /needs ON_CONFLICT=overwrite or fail/);
+  await assert.rejects(conflictCopy(fake, { NEWER_BY: "editedAt" }), /only applies to ON_CONFLICT=keep-newer/);
+  await assert.rejects(conflictCopy(fake, { ON_CONFLICT: "replace" }), /must be one of/);
+});
+
+/* ------------------------------ references ----------------------------- */
+
+test("a move rewrites references inside the copied docs and in REFERENCE_SCAN collections", async () => {
+  const fake = seed();
+  await fake.db.doc("food_orders/o1/events/e1").update({ order: fake.db.doc("food_orders/o1") });
+  await fake.db.doc("users/u1").set({ lastOrder: fake.db.doc("food_orders/o2"), friend: fake.db.doc("users/u2") });
+
+  const { runId, ...result } = await copyCollection(
+    {
+      SOURCE_COLLECTION: "food_orders",
+      DESTINATION_COLLECTION: "norders",
+      INCLUDE_SUBCOLLECTIONS: true,
+      IS_DESTRUCTIVE: true,
+      REWRITE_REFERENCES: true,
+      REFERENCE_SCAN: ["users"],
+    },
+    fake
+  );
+
+  assert.equal(result.verification.clean, true, "verification expects the rewritten references");
+  assert.deepEqual(result.referenceScan, { scanned: 1, updated: 1, references: 1 });
+  assert.equal(result.deleted, 2);
+  assert.equal(fake.doc("norders/o1/events/e1").order.path, "norders/o1");
+  assert.equal(fake.doc("users/u1").lastOrder.path, "norders/o2");
+  assert.equal(fake.doc("users/u1").friend.path, "users/u2");
+
+  await assert.rejects(
+    copyCollection({ SOURCE_COLLECTION: "a", DESTINATION_COLLECTION: "b", REWRITE_REFERENCES: true, DEST_ID: "x{id}" }, fake),
+    /cannot follow DEST_ID/
+  );
+});
+
+/* ------------------------ nested paths and groups ----------------------- */
+
+function seedLessons() {
+  return createFakeFirebase({
+    firestore: {
+      "courses/c1/attendance/a0": { present: true },
+      "weekly_lessons/w1": { title: "Week 1" },
+      "weekly_lessons/w1/attendance/a1": { present: true },
+      "weekly_lessons/w1/attendance/a2": { present: false },
+      "weekly_lessons/w2/attendance/a1": { present: true },
+    },
+  });
+}
+
+test("a pattern source moves every matching collection into its templated destination", async () => {
+  const fake = seedLessons();
+  await fake.db.doc("weekly_lessons/w2/attendance/a1").update({ makeUpFor: fake.db.doc("weekly_lessons/w1/attendance/a2") });
+
+  const { runId, ...result } = await copyCollection(
+    {
+      SOURCE_COLLECTION: "weekly_lessons/{lessonId}/attendance",
+      DESTINATION_COLLECTION: "archive/{lessonId}/attendance",
+      IS_DESTRUCTIVE: true,
+      REWRITE_REFERENCES: true,
+      BATCH_SIZE: 1,
+    },
+    fake
+  );
+
+  assert.deepEqual([result.processed, result.copied, result.deleted], [3, 3, 3]);
+  assert.equal(result.verification.clean, true);
+  assert.deepEqual(fake.doc("archive/w1/attendance/a2"), { present: false });
+  assert.equal(fake.doc("archive/w2/attendance/a1").makeUpFor.path, "archive/w1/attendance/a2");
+  assert.equal(fake.doc("weekly_lessons/w1/attendance/a1"), undefined);
+  assert.ok(fake.doc("weekly_lessons/w1"), "the parent docs stay");
+  assert.ok(fake.doc("courses/c1/attendance/a0"), "collections outside the pattern are not touched");
+});
+
+test("a collection group copies every collection with that id, placed by {parent}", async () => {
+  const fake = seedLessons();
+  const result = await copyCollection(
+    { SOURCE_COLLECTION: "attendance", SOURCE_COLLECTION_GROUP: true, DESTINATION_COLLECTION: "{parent}/attendance_v2", VERIFY: true },
+    fake
+  );
+
+  assert.deepEqual([result.processed, result.verification.clean], [4, true]);
+  assert.ok(fake.doc("courses/c1/attendance_v2/a0"));
+  assert.ok(fake.doc("weekly_lessons/w2/attendance_v2/a1"));
+
+  await assert.rejects(
+    copyCollection({ SOURCE_COLLECTION: "attendance", SOURCE_COLLECTION_GROUP: true, DESTINATION_COLLECTION: "all_attendance" }, fake),
+    /would overwrite each other/
+  );
+  await assert.rejects(
+    copyCollection({ SOURCE_COLLECTION: "attendance", SOURCE_COLLECTION_GROUP: true, DESTINATION_COLLECTION: "{parent}/attendance" }, fake),
+    /could be read back as part of the source/
+  );
+});
+
+test("verifying a remapped copy traces extra destination docs back by id, collection by collection", async () => {
+  const fake = seedLessons();
+  await fake.db.doc("weekly_lessons/w1/attendance_v2/zz").set({ stray: true });
+  await fake.db.doc("weekly_lessons/w2/attendance_v2/a2").set({ stray: true }); // a2 exists under w1 only
+  const result = await copyCollection(
+    { SOURCE_COLLECTION: "attendance", SOURCE_COLLECTION_GROUP: true, DESTINATION_COLLECTION: "{parent}/attendance_v2", VERIFY: true, BATCH_SIZE: 1 },
+    fake
+  );
+
+  assert.deepEqual(result.verification, { checked: 4, missing: 0, different: 0, extra: 2, clean: true });
+  const extras = fake.logger.lines.filter((l) => l.includes("extra ")).map((l) => l.trim());
+  assert.deepEqual(extras, ["extra     weekly_lessons/w1/attendance_v2/zz", "extra     weekly_lessons/w2/attendance_v2/a2"]);
+});
+
+test("flattening a pattern needs its captures in DEST_ID; nested paths copy as they are", async () => {
+  const fake = seedLessons();
+  await copyCollection(
+    {
+      SOURCE_COLLECTION: "weekly_lessons/{lessonId}/attendance",
+      DESTINATION_COLLECTION: "attendance_log",
+      DEST_ID: "{lessonId}_{id}",
+      FIELD_MAP: { compute: { lessonId: "{lessonId}" } },
+    },
+    fake
+  );
+  assert.deepEqual(fake.doc("attendance_log/w2_a1"), { present: true, lessonId: "w2" });
+  assert.equal(fake.doc("attendance_log/c1_a0"), undefined);
+
+  await assert.rejects(
+    copyCollection({ SOURCE_COLLECTION: "weekly_lessons/{lessonId}/attendance", DESTINATION_COLLECTION: "flat" }, fake),
+    /Keep \{lessonId\} in DESTINATION_COLLECTION, or in DEST_ID \(e\.g\. "\{lessonId\}_\{id\}"\)/
+  );
+  await assert.rejects(
+    copyCollection({ SOURCE_COLLECTION: "weekly_lessons/w1/attendance", DESTINATION_COLLECTION: "archive/{lessonId}/x" }, fake),
+    /placeholders need a pattern or collection-group source/
+  );
+
+  const nested = await copyCollection(
+    { SOURCE_COLLECTION: "weekly_lessons/w1/attendance", DESTINATION_COLLECTION: "weekly_lessons/w1/roll_call" },
+    fake
+  );
+  assert.equal(nested.copied, 2);
+  assert.deepEqual(fake.doc("weekly_lessons/w1/roll_call/a2"), { present: false });
+});
+
+test("rejects identical source and destination", async () => {
+  await assert.rejects(
+    copyCollection({ SOURCE_COLLECTION: "a", DESTINATION_COLLECTION: "a" }, createFakeFirebase()),
+    /must differ/
+  );
+});
+
+/* ---------------------------- cross-project ---------------------------- */
+
+function twoProjects() {
+  const prod = seed();
+  prod.profile = { ...prod.profile, name: "prod", projectId: "alce-prod" };
+  const staging = createFakeFirebase({ firestore: { "food_orders/old": { stale: true } } });
+  staging.profile = { ...staging.profile, name: "staging", projectId: "alce-staging" };
+  return { prod, staging };
+}
+
+test("copies a collection from one project into another, subcollections included", async () => {
+  const { prod, staging } = twoProjects();
+  await prod.db.doc("food_orders/o2").update({ customer: prod.db.doc("users/u1") });
+  const opened = [];
+  const openProfile = (name) => (opened.push(name), { prod, staging }[name]);
+
+  const { runId, actions, ...counts } = await copyCollection(
+    {
+      SOURCE_COLLECTION: "food_orders",
+      DESTINATION_COLLECTION: "food_orders",
+      INCLUDE_SUBCOLLECTIONS: true,
+      SOURCE_PROFILE: "prod",
+      DESTINATION_PROFILE: "staging",
+    },
+    { ...prod, openProfile }
+  );
+
+  assert.deepEqual(opened, ["prod", "staging"]);
+  assert.deepEqual(counts, { processed: 2, copied: 2, skipped: 0, errors: 0, deleted: 0, dryRun: false });
+  assert.deepEqual(staging.doc("food_orders/o1/events/e1/notes/n1"), { text: "deep" });
+  assert.ok(staging.doc("food_orders/old"), "docs missing from the source are left alone");
+  const snap = await staging.db.doc("food_orders/o2").get();
+  assert.equal(snap.get("customer").firestore, staging.db, "references point into the destination project");
+  assert.equal(snap.get("customer").path, "users/u1");
+  assert.deepEqual(prod.paths().filter((p) => p.startsWith("norders")), [], "nothing written to the source");
+
+  // The journal lives with the destination, so `--env staging undo <runId>` can revert it.
+  const journals = await staging.bucket.getFiles({ prefix: "_admin_journals/" });
+  assert.equal(journals[0].length, 1);
+});
+
+test("rewriting references keeps Timestamps and GeoPoints, in the same project and across projects", async () => {
+  const { prod, staging } = twoProjects();
+  const typed = (db) => ({
+    at: Timestamp.fromMillis(1700000000000),
+    geo: new GeoPoint(41.9, 12.5),
+    nested: { at: Timestamp.fromMillis(0), order: db.doc("food_orders/o2") },
+  });
+  await prod.db.doc("food_orders/o1").set(typed(prod.db));
+
+  await copyCollection({ SOURCE_COLLECTION: "food_orders", DESTINATION_COLLECTION: "norders", REWRITE_REFERENCES: true }, prod);
+  const moved = prod.doc("norders/o1");
+  assert.ok(moved.at instanceof Timestamp);
+  assert.equal(moved.at.toMillis(), 1700000000000);
+  assert.ok(moved.geo instanceof GeoPoint);
+  assert.ok(moved.nested.at instanceof Timestamp);
+  assert.equal(moved.nested.order.path, "norders/o2");
+
+  const openProfile = (name) => ({ prod, staging })[name];
+  await copyCollection(
+    { SOURCE_COLLECTION: "food_orders", DESTINATION_COLLECTION: "food_orders", SOURCE_PROFILE: "prod", DESTINATION_PROFILE: "staging" },
+    { ...prod, openProfile }
+  );
+  const copied = (await staging.db.doc("food_orders/o1").get()).data();
+  assert.ok(copied.at instanceof Timestamp);
+  assert.ok(copied.geo instanceof GeoPoint);
+  assert.equal(copied.geo.latitude, 41.9);
+  assert.equal(copied.nested.order.firestore, staging.db);
+});
+
+test("cross-project copies refuse IS_DESTRUCTIVE", async () => {
+  const { prod, staging } = twoProjects();
+  await assert.rejects(
+    copyCollection(
+      {
+        SOURCE_COLLECTION: "food_orders",
+        DESTINATION_COLLECTION: "food_orders",
+        IS_DESTRUCTIVE: true,
+        DESTINATION_PROFILE: "staging",
+      },
+      { ...prod, openProfile: () => staging }
+    ),
+    /IS_DESTRUCTIVE is not supported across projects/
+  );
+});
+
+/* ------------------------------ reshaping ------------------------------ */
+
+function transformModule(source) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alce-transform-"));
+  const file = path.join(dir, "transform.js");
+  fs.writeFileSync(file, source);
+  return file;
+}
+
+test("WHERE, FIELD_MAP, TRANSFORM and DEST_ID reshape each copied doc", async () => {
+  const fake = seed();
+  await fake.db.doc("food_orders/o3").set({ item: "soup", qty: 3, test: true });
+  const TRANSFORM = transformModule(
+    "module.exports = { transform: (data, ctx) => (ctx.source.test ? null : { ...data, from: ctx.path }) };"
+  );
+
+  const { runId, actions, ...counts } = await copyCollection(
+    {
+      SOURCE_COLLECTION: "food_orders",
+      DESTINATION_COLLECTION: "norders",
+      INCLUDE_SUBCOLLECTIONS: true,
+      WHERE: [["qty", ">=", 2]],
+      FIELD_MAP: { rename: { item: "product.name" }, drop: ["extras"], defaults: { currency: "EUR" } },
+      TRANSFORM,
+      DEST_ID: "{item}_{id}",
+    },
+    fake
+  );
+
+  assert.deepEqual(counts, { processed: 2, copied: 1, skipped: 1, errors: 0, deleted: 0, dryRun: false });
+  assert.deepEqual(fake.doc("norders/pizza_o1"), {
+    product: { name: "pizza" },
+    qty: 2,
+    currency: "EUR",
+    from: "food_orders/o1",
+  });
+  assert.deepEqual(fake.doc("norders/pizza_o1/events/e1"), { type: "created" }, "subcollections follow the new id");
+  assert.deepEqual(fake.paths().filter((p) => p.startsWith("norders/") && !p.startsWith("norders/pizza_o1")), []);
+});
+
+test("DRY_RUN previews reshaped docs before/after without writing", async () => {
+  const fake = seed();
+  const before = fake.paths();
+  await copyCollection(
+    {
+      SOURCE_COLLECTION: "food_orders",
+      DESTINATION_COLLECTION: "norders",
+      FIELD_MAP: { set: { migrated: true } },
+      DRY_RUN: true,
+      PREVIEW: 1,
+    },
+    fake
+  );
+
+  assert.deepEqual(fake.paths(), before);
+  const previews = fake.logger.lines.filter((l) => l.includes("after:"));
+  assert.equal(previews.length, 1);
+  assert.match(previews[0], /norders\/o1 .*"migrated":true/);
+});
+
+test("a failing transform is a per-doc error, and skipped docs block the destructive delete", async () => {
+  const fake = seed();
+  const TRANSFORM = transformModule(
+    'module.exports = { transform(data) { if (data.item === "pasta") throw new Error("no pasta"); return data; } };'
+  );
+  const { runId, actions, ...counts } = await copyCollection(
+    { SOURCE_COLLECTION: "food_orders", DESTINATION_COLLECTION: "norders", TRANSFORM, IS_DESTRUCTIVE: true },
+    fake
+  );
+  assert.deepEqual(counts, { processed: 2, copied: 1, skipped: 0, errors: 1, deleted: 0, dryRun: false });
+  assert.ok(fake.doc("food_orders/o2"), "source kept");
+
+  const skipAll = transformModule("module.exports = { transform: () => null };");
+  const skipped = await copyCollection(
+    { SOURCE_COLLECTION: "food_orders", DESTINATION_COLLECTION: "norders2", TRANSFORM: skipAll, IS_DESTRUCTIVE: true },
+    fake
+  );
+  assert.deepEqual([skipped.skipped, skipped.deleted], [2, 0]);
+  assert.ok(fake.doc("food_orders/o1"), "source kept");
+
+  await assert.rejects(
+    copyCollection(
+      { SOURCE_COLLECTION: "food_orders", DESTINATION_COLLECTION: "x", WHERE: [["qty", "==", 1]], IS_DESTRUCTIVE: true },
+      fake
+    ),
+    /cannot be combined with WHERE/
+  );
+});
@@ -0,0 +1,143 @@
+// test/copyStoragePrefix.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeFirebase } = require("./helpers/fakeFirebase");
+const { copyStoragePrefix, compareChecksums } = require("../lib/ops/copyStoragePrefix");
+
+function names(bucket) {
+  return [...bucket._objects.keys()].sort();
+}
+
+test("copyStoragePrefix copies within the bucket and, with IS_DESTRUCTIVE, deletes verified sources", async () => {
+  const fake = createFakeFirebase({ storage: { "accommodationItems/a.jpg": "A", "accommodationItems/sub/b.jpg": "B" } });
+
+  const copied = await copyStoragePrefix({ FROM_PREFIX: "accommodationItems", TO_PREFIX: "accommodations/" }, fake);
+  assert.equal(copied.copied, 2);
+  assert.equal(copied.deleted, 0);
+  assert.equal(names(fake.bucket).length, 4);
+
+  const moved = await copyStoragePrefix({ FROM_PREFIX: "accommodationItems/", TO_PREFIX: "rooms/", IS_DESTRUCTIVE: true }, fake);
+  assert.deepEqual(moved, { listed: 2, copied: 2, deleted: 2, skipped: 0, errors: 0, dryRun: false });
+  assert.deepEqual(names(fake.bucket), ["accommodations/a.jpg", "accommodations/sub/b.jpg", "rooms/a.jpg", "rooms/sub/b.jpg"]);
+  assert.equal((await fake.bucket.file("rooms/sub/b.jpg").download())[0].toString(), "B");
+});
+
+test("copyStoragePrefix moves across buckets and keeps sources whose copy does not verify", async () => {
+  const fake = createFakeFirebase({
+    storage: { "uploads/ok.pdf": "ok", "uploads/bad.pdf": "bad", "uploads/done.pdf": "done", "uploads/new.pdf": "v2" },
+    buckets: { "alce-archive": { "uploads/done.pdf": "done", "uploads/new.pdf": "v1" } },
+  });
+  const archive = fake.bucket.storage.bucket("alce-archive");
+  // Truncate one copy as it lands, the way a broken transfer would.
+  fake.bucket.storage.onWrite = (bucketName, name, contents) => (bucketName === "alce-archive" && name === "uploads/bad.pdf" ? "ba" : contents);
+
+  const result = await copyStoragePrefix(
+    { FROM_PREFIX: "uploads/", TO_PREFIX: "uploads/", DESTINATION_BUCKET: "alce-archive", IS_DESTRUCTIVE: true, SKIP_IF_EXISTS: true },
+    fake
+  );
+  assert.deepEqual(result, { listed: 4, copied: 2, deleted: 2, skipped: 2, errors: 1, dryRun: false });
+  // ok.pdf moved; done.pdf was already archived with the same checksum, so only its source went;
+  // bad.pdf failed verification and new.pdf differs from its archived copy: both sources stay.
+  assert.deepEqual(names(fake.bucket), ["uploads/bad.pdf", "uploads/new.pdf"]);
+  assert.deepEqual(names(archive), ["uploads/bad.pdf", "uploads/done.pdf", "uploads/new.pdf", "uploads/ok.pdf"]);
+  assert.equal((await archive.file("uploads/new.pdf").download())[0].toString(), "v1");
+  assert.ok(fake.logger.lines.some((l) => /bad\.pdf.*copy not verified \(size 3 ≠ 2\); source kept/.test(l)));
+});
+
+test("copyStoragePrefix dry-runs a move without touching either bucket, and compares CRC32C before MD5", async () => {
+  const fake = createFakeFirebase({ storage: { "a/1.txt": "1" } });
+  const result = await copyStoragePrefix({ FROM_PREFIX: "a/", TO_PREFIX: "a/", DESTINATION_BUCKET: "b2", IS_DESTRUCTIVE: true, DRY_RUN: true }, fake);
+  assert.deepEqual(result, { listed: 1, copied: 0, deleted: 0, skipped: 0, errors: 0, dryRun: true });
+  assert.deepEqual(names(fake.bucket), ["a/1.txt"]);
+  assert.deepEqual(names(fake.bucket.storage.bucket("b2")), []);
+
+  await assert.rejects(copyStoragePrefix({ FROM_PREFIX: "a/", TO_PREFIX: "a" }, fake), /cannot be identical in the same bucket/);
+
+  assert.deepEqual(compareChecksums({ crc32c: "x", md5Hash: "m" }, { crc32c: "x", md5Hash: "other" }), { match: true, by: "crc32c" });
+  assert.equal(compareChecksums({ md5Hash: "m" }, { crc32c: "x", md5Hash: "m" }).by, "md5Hash");
+  assert.deepEqual(compareChecksums({ size: "1" }, { size: "1" }), { match: false, by: null, reason: "no checksum to compare" });
+});
+
+/** Counts a bucket's calls and the copies in flight at once. */
+function instrument(bucket, delayMs = 0) {
+  const stats = { getFiles: 0, exists: 0, inFlight: 0, maxInFlight: 0 };
+  const getFiles = bucket.getFiles.bind(bucket);
+  bucket.getFiles = (query) => {
+    stats.getFiles++;
+    return getFiles(query);
+  };
+  const file = bucket.file.bind(bucket);
+  bucket.file = (name) => {
+    const f = file(name);
+    const { copy, exists } = f;
+    f.exists = () => {
+      stats.exists++;
+      return exists.call(f);
+    };
+    f.copy = async (dest) => {
+      stats.maxInFlight = Math.max(stats.maxInFlight, ++stats.inFlight);
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+      stats.inFlight--;
+      return copy.call(f, dest);
+    };
+    return f;
+  };
+  return stats;
+}
+
+test("copyStoragePrefix lists page by page, copies CONCURRENCY at a time and lists the destination once for skips", async () => {
+  const storage = {};
+  for (let i = 0; i < 25; i++) storage[`photos/${String(i).padStart(2, "0")}.jpg`] = "x".repeat(1024);
+  for (let i = 0; i < 5; i++) storage[`archive/${String(i).padStart(2, "0")}.jpg`] = "x".repeat(1024);
+  const fake = createFakeFirebase({ storage });
+  const stats = instrument(fake.bucket, 5);
+
+  const result = await copyStoragePrefix(
+    { FROM_PREFIX: "photos/", TO_PREFIX: "archive/", SKIP_IF_EXISTS: true, CONCURRENCY: 4, PAGE_SIZE: 10 },
+    fake
+  );
+  assert.deepEqual(result, { listed: 25, copied: 20, deleted: 0, skipped: 5, errors: 0, dryRun: false });
+  assert.equal(stats.exists, 0);
+  assert.equal(stats.getFiles, 1 + 3); // one destination page, three source pages
+  assert.equal(stats.maxInFlight, 4);
+  assert.equal(names(fake.bucket).filter((n) => n.startsWith("archive/")).length, 25);
+  const last = fake.logger.lines.filter((l) => l.startsWith("   …processed")).pop();
+  assert.match(last, /^   …processed 25 objects · [\d.]+\/s · 20\.0 KB · /);
+});
+
+test("copyStoragePrefix does not copy its own copies into a nested prefix, nor delete a source changed after listing", async () => {
+  const fake = createFakeFirebase({ storage: { "img/a.png": "a", "img/b.png": "b", "img/c.png": "c" } });
+  const nested = await copyStoragePrefix({ FROM_PREFIX: "img/", TO_PREFIX: "img/thumbs/", PAGE_SIZE: 1 }, fake);
+  assert.equal(nested.copied, 3);
+  assert.deepEqual(names(fake.bucket), ["img/a.png", "img/b.png", "img/c.png", "img/thumbs/a.png", "img/thumbs/b.png", "img/thumbs/c.png"]);
+
+  // a.png is rewritten between the listing and the delete: its new contents must survive the move.
+  const getFiles = fake.bucket.getFiles.bind(fake.bucket);
+  fake.bucket.getFiles = async (query) => {
+    const res = await getFiles(query);
+    if (query.prefix === "img/" && !query.pageToken) fake.bucket._put("img/a.png", "a");
+    return res;
+  };
+  const moved = await copyStoragePrefix({ FROM_PREFIX: "img/", TO_PREFIX: "png/", IS_DESTRUCTIVE: true, CONCURRENCY: 1 }, fake);
+  assert.equal(moved.deleted, 5);
+  assert.equal(moved.errors, 1);
+  assert.ok(names(fake.bucket).includes("img/a.png"));
+  assert.ok(fake.logger.lines.some((l) => /img\/a\.png.*generation/.test(l)));
+});
+
+test("copyStoragePrefix tells buckets apart by name, not by the Bucket object the client returns", async () => {
+  const fake = createFakeFirebase({ buckets: { "alce-media": { "img/a.png": "a", "img/b.png": "b" } } });
+  const media = fake.bucket.storage.bucket("alce-media");
+  const nested = await copyStoragePrefix(
+    { FROM_PREFIX: "img/", TO_PREFIX: "img/thumbs/", SOURCE_BUCKET: "alce-media", DESTINATION_BUCKET: "alce-media", IS_DESTRUCTIVE: true, PAGE_SIZE: 1 },
+    fake
+  );
+  assert.deepEqual(nested, { listed: 2, copied: 2, deleted: 2, skipped: 0, errors: 0, dryRun: false });
+  assert.deepEqual(names(media), ["img/thumbs/a.png", "img/thumbs/b.png"]);
+
+  // "" and the default bucket's name are one bucket: the same prefix would copy every object onto itself.
+  await assert.rejects(
+    copyStoragePrefix({ FROM_PREFIX: "img/", TO_PREFIX: "img/", DESTINATION_BUCKET: fake.bucket.name, IS_DESTRUCTIVE: true }, fake),
+    /cannot be identical in the same bucket/
+  );
+});
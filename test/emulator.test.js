@@ -0,0 +1,56 @@
+// test/emulator.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { assertNoMixedTargets } = require("../lib/emulator");
+const { main } = require("../lib/cli");
+
+/** Runs the CLI against a temporary profiles.json; returns its exit code and error output. */
+async function runCli(argv) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alce-profiles-"));
+  fs.writeFileSync(
+    path.join(dir, "profiles.json"),
+    JSON.stringify({
+      default: "dev",
+      profiles: {
+        dev: { credentials: "keys/dev.json", projectId: "alce-dev" },
+        prod: { credentials: "keys/prod.json", projectId: "alce-prod", protected: true },
+        local: { emulator: true },
+      },
+    })
+  );
+  const saved = { ...process.env };
+  const errors = [];
+  const error = console.error;
+  process.env.ALCE_PROFILES = path.join(dir, "profiles.json");
+  delete process.env.ALCE_ENV;
+  delete process.env.ALCE_EMULATOR;
+  console.error = (...args) => errors.push(args.join(" "));
+  try {
+    return { code: await main(argv), errors: errors.join("\n") };
+  } finally {
+    console.error = error;
+    process.env = saved;
+    fs.rmSync(dir, { recursive: true });
+  }
+}
+
+test("copy-collection refuses to mix an emulator profile with a real project", async () => {
+  const fromEmulator = await runCli(["copy-collection", "--source-collection", "users", "--source-profile", "local", "--destination-profile", "prod"]);
+  assert.equal(fromEmulator.code, 1);
+  assert.match(fromEmulator.errors, /Profile 'local' is an emulator profile, but this run uses a real project/);
+
+  // --emulator would otherwise skip the protected destination's confirmation and redirect it locally.
+  const withFlag = await runCli(["copy-collection", "--emulator", "--source-collection", "users", "--destination-profile", "prod"]);
+  assert.equal(withFlag.code, 1);
+  assert.match(withFlag.errors, /Profile 'prod' is a real project, but this run uses the emulator/);
+  assert.equal(process.env.ALCE_CONFIRMED_PROFILE, undefined);
+});
+
+test("assertNoMixedTargets accepts profiles that all match the run's mode", () => {
+  assert.doesNotThrow(() => assertNoMixedTargets(true, [{ name: "local", emulator: true }]));
+  assert.doesNotThrow(() => assertNoMixedTargets(false, [{ name: "dev", emulator: false }, { name: "prod", emulator: false }]));
+  assert.throws(() => assertNoMixedTargets(false, [{ name: "dev", emulator: false }, { name: "local", emulator: true }]), /cannot mix/);
+});
@@ -0,0 +1,106 @@
+// test/exportImport.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeFirebase, Timestamp, GeoPoint } = require("./helpers/fakeFirebase");
+const { exportCollection } = require("../lib/ops/exportCollection");
+const { importCollection } = require("../lib/ops/importCollection");
+const { undoRun } = require("../lib/ops/undo");
+
+function tmpFile(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "alce-export-")), name);
+}
+
+async function seed() {
+  const fake = createFakeFirebase({
+    firestore: {
+      "food_orders/o2": { item: "pasta", ratio: NaN },
+      "food_orders/o1/events/e1": { type: "created" },
+      "food_orders/o1/events/e1/notes/n1": { text: "deep" },
+      "other/x": { untouched: true },
+    },
+  });
+  await fake.db.doc("food_orders/o1").set({
+    item: "pizza",
+    at: new Timestamp(1700000000, 5),
+    where: new GeoPoint(41.9, 12.5),
+    owner: fake.db.doc("users/u1"),
+    receipt: Buffer.from("hi"),
+    tags: [{ $ref: "literal" }],
+  });
+  return fake;
+}
+
+test("export writes typed NDJSON, parents before their subcollections, and import restores it losslessly", async () => {
+  const fake = await seed();
+  const file = tmpFile("orders.ndjson");
+  const exported = await exportCollection({ COLLECTION: "food_orders", OUTPUT_FILE: file, BATCH_SIZE: 1 }, fake);
+  assert.deepEqual(exported, { file, exported: 2, documents: 4 });
+
+  const lines = fs.readFileSync(file, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+  assert.equal(lines[0].export, 1);
+  assert.deepEqual(lines.slice(1, -1).map((l) => l.path), [
+    "food_orders/o1",
+    "food_orders/o1/events/e1",
+    "food_orders/o1/events/e1/notes/n1",
+    "food_orders/o2",
+  ]);
+  assert.deepEqual(lines[1].data.at, { $timestamp: { seconds: 1700000000, nanoseconds: 5 } });
+  assert.deepEqual(lines[lines.length - 1], { end: true, documents: 4 });
+
+  const target = createFakeFirebase();
+  const { runId, ...result } = await importCollection({ INPUT_FILE: file, BATCH_SIZE: 2 }, target);
+  assert.deepEqual(result, { documents: 4, written: 4, skipped: 0, dryRun: false });
+  const o1 = target.doc("food_orders/o1");
+  assert.ok(o1.at.isEqual(new Timestamp(1700000000, 5)));
+  assert.ok(o1.where.isEqual(new GeoPoint(41.9, 12.5)));
+  assert.equal(o1.owner.path, "users/u1");
+  assert.deepEqual(o1.receipt, Buffer.from("hi"));
+  assert.deepEqual(o1.tags, [{ $ref: "literal" }]);
+  assert.ok(Number.isNaN(target.doc("food_orders/o2").ratio));
+  assert.deepEqual(target.doc("food_orders/o1/events/e1/notes/n1"), { text: "deep" });
+
+  await undoRun({ RUN_ID: runId }, target);
+  assert.equal(target.doc("food_orders/o1"), undefined);
+});
+
+test("import re-roots under DESTINATION_COLLECTION, honours ON_CONFLICT=skip and DRY_RUN", async () => {
+  const fake = await seed();
+  const file = tmpFile("orders.ndjson");
+  await exportCollection({ COLLECTION: "food_orders", OUTPUT_FILE: file, INCLUDE_SUBCOLLECTIONS: false }, fake);
+  await fake.db.doc("norders/o2").set({ item: "kept" });
+
+  const dry = await importCollection({ INPUT_FILE: file, DESTINATION_COLLECTION: "norders", DRY_RUN: true }, fake);
+  assert.deepEqual(dry, { documents: 2, written: 2, skipped: 0, dryRun: true });
+  assert.equal(fake.doc("norders/o1"), undefined);
+
+  const { runId, ...result } = await importCollection(
+    { INPUT_FILE: file, DESTINATION_COLLECTION: "norders", ON_CONFLICT: "skip" },
+    fake
+  );
+  assert.deepEqual(result, { documents: 2, written: 1, skipped: 1, dryRun: false });
+  assert.equal(fake.doc("norders/o1").item, "pizza");
+  assert.deepEqual(fake.doc("norders/o2"), { item: "kept" });
+});
+
+test("export covers patterns, and import refuses an interrupted export", async () => {
+  const fake = createFakeFirebase({
+    firestore: {
+      "weekly_lessons/w1/attendance/a1": { present: true },
+      "weekly_lessons/w2/attendance/a1": { present: false },
+      "courses/c1/attendance/a9": { present: true },
+    },
+  });
+  const file = tmpFile("attendance.ndjson");
+  const exported = await exportCollection({ COLLECTION: "weekly_lessons/{lessonId}/attendance", OUTPUT_FILE: file }, fake);
+  assert.equal(exported.exported, 2);
+
+  await importCollection({ INPUT_FILE: file, DESTINATION_COLLECTION: "archive/{lessonId}/attendance" }, fake);
+  assert.deepEqual(fake.doc("archive/w2/attendance/a1"), { present: false });
+
+  const cut = tmpFile("cut.ndjson");
+  fs.writeFileSync(cut, fs.readFileSync(file, "utf8").split("\n").slice(0, 2).join("\n") + "\n");
+  await assert.rejects(importCollection({ INPUT_FILE: cut }, fake), /is incomplete/);
+});
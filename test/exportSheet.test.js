@@ -0,0 +1,118 @@
+// test/exportSheet.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { createFakeFirebase, Timestamp, GeoPoint } = require("./helpers/fakeFirebase");
+const { exportSheet } = require("../lib/ops/exportSheet");
+const { columnName, dateSerial } = require("../lib/xlsx");
+
+function tmpFile(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "alce-sheet-")), name);
+}
+
+/** { name: text } of a zip written by lib/xlsx.js (local headers, deflate). */
+function unzip(buf) {
+  const out = {};
+  for (let at = 0; buf.readUInt32LE(at) === 0x04034b50; ) {
+    const size = buf.readUInt32LE(at + 18);
+    const nameLen = buf.readUInt16LE(at + 26);
+    const name = buf.toString("utf8", at + 30, at + 30 + nameLen);
+    const start = at + 30 + nameLen + buf.readUInt16LE(at + 28);
+    out[name] = zlib.inflateRawSync(buf.subarray(start, start + size)).toString("utf8");
+    at = start + size;
+  }
+  return out;
+}
+
+function seed() {
+  return createFakeFirebase({
+    firestore: {
+      "users/u1": {
+        basicInfo: { firstName: "Anna", lastName: "Rossi, Jr." },
+        arrivalInfo: { at: Timestamp.fromDate(new Date("2025-07-01T22:30:00Z")), flight: "AZ 610" },
+        tags: ["vegan", "late"],
+        role: "student",
+      },
+      "users/u2": {
+        basicInfo: { firstName: "=HYPERLINK(\"x\")", lastName: "Bianchi" },
+        home: new GeoPoint(41.9, 12.5),
+        role: "staff",
+        score: 7,
+      },
+    },
+  });
+}
+
+test("CSV: every field as a dotted column, times in TZ, quoting and formula text defused", async () => {
+  const fake = seed();
+  const file = tmpFile("users.csv");
+  const result = await exportSheet({ COLLECTION: "users", OUTPUT_FILE: file, TZ: "Europe/Rome" }, fake);
+  assert.deepEqual(result.columns, [
+    "__id",
+    "arrivalInfo.at",
+    "arrivalInfo.flight",
+    "basicInfo.firstName",
+    "basicInfo.lastName",
+    "home",
+    "role",
+    "score",
+    "tags",
+  ]);
+  assert.equal(result.rows, 2);
+  assert.equal(result.format, "csv");
+  const text = fs.readFileSync(file, "utf8");
+  assert.ok(text.startsWith("\uFEFFid,arrivalInfo.at,"));
+  assert.deepEqual(text.slice(1).split("\r\n"), [
+    "id,arrivalInfo.at,arrivalInfo.flight,basicInfo.firstName,basicInfo.lastName,home,role,score,tags",
+    'u1,2025-07-02 00:30:00,AZ 610,Anna,"Rossi, Jr.",,student,,"vegan, late"',
+    `u2,,,"'=HYPERLINK(""x"")",Bianchi,"41.9, 12.5",staff,7,`,
+    "",
+  ]);
+});
+
+test("XLSX: picked, renamed columns with WHERE; numbers, dates and strings keep their cell types", async () => {
+  const fake = seed();
+  const file = tmpFile("staff.xlsx");
+  const result = await exportSheet(
+    {
+      COLLECTION: "users",
+      OUTPUT_FILE: file,
+      COLUMNS: ["basicInfo.lastName", "__path", "score", "arrivalInfo.at"],
+      HEADERS: { "basicInfo.lastName": "Surname" },
+      WHERE: [["role", "==", "student"]],
+      TZ: "UTC",
+    },
+    fake
+  );
+  assert.equal(result.rows, 1);
+  const parts = unzip(fs.readFileSync(file));
+  assert.deepEqual(Object.keys(parts).sort(), [
+    "[Content_Types].xml",
+    "_rels/.rels",
+    "xl/_rels/workbook.xml.rels",
+    "xl/styles.xml",
+    "xl/workbook.xml",
+    "xl/worksheets/sheet1.xml",
+  ]);
+  assert.match(parts["xl/workbook.xml"], /<sheet name="users"/);
+  const sheet = parts["xl/worksheets/sheet1.xml"];
+  assert.match(sheet, /<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Surname<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B1" t="inlineStr" s="1"><is><t xml:space="preserve">path<\/t>/);
+  assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">Rossi, Jr.<\/t>/);
+  assert.match(sheet, /<c r="B2" t="inlineStr"><is><t xml:space="preserve">users\/u1<\/t>/);
+  assert.doesNotMatch(sheet, /r="C2"/); // no score: empty cell
+  assert.match(sheet, new RegExp(`<c r="D2" s="2"><v>${dateSerial("2025-07-01 22:30:00")}</v></c>`));
+});
+
+test("xlsx helpers and config validation", async () => {
+  assert.deepEqual([0, 25, 26, 701, 702].map(columnName), ["A", "Z", "AA", "ZZ", "AAA"]);
+  assert.equal(dateSerial("1900-03-01 00:00:00"), 61);
+  assert.equal(dateSerial("2025-01-01 12:00:00"), 45658.5);
+  const fake = seed();
+  await assert.rejects(exportSheet({ COLLECTION: "users", TZ: "Mars/Base" }, fake), /not a valid IANA time zone/);
+  await assert.rejects(exportSheet({ COLLECTION: "users", OUTPUT_FILE: "x.ods" }, fake), /use \.csv or \.xlsx/);
+  await assert.rejects(exportSheet({ COLLECTION: "users", FORMAT: "pdf" }, fake), /FORMAT must be one of/);
+});
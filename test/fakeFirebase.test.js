@@ -0,0 +1,88 @@
+// test/fakeFirebase.test.js
+// Guards the fake itself: the op tests are only as good as its Firestore/Auth/Storage semantics.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { FieldValue, FieldPath } = require("firebase-admin/firestore");
+const { createFakeFirebase } = require("./helpers/fakeFirebase");
+
+test("update() on a missing doc fails with NOT_FOUND and leaves the batch unapplied", async () => {
+  const { db, doc } = createFakeFirebase({ firestore: { "c/a": { n: 1 } } });
+  const batch = db.batch();
+  batch.set(db.doc("c/b"), { n: 2 });
+  batch.update(db.doc("c/missing"), { n: 3 });
+  await assert.rejects(batch.commit(), (e) => e.code === 5);
+  assert.equal(doc("c/b"), undefined);
+});
+
+test("update() handles dotted paths and FieldValue sentinels", async () => {
+  const { db, doc } = createFakeFirebase({ firestore: { "c/a": { m: { x: 1, y: 2 }, tags: ["a"], n: 1 } } });
+  await db.doc("c/a").update({
+    "m.x": FieldValue.delete(),
+    "m.z": 3,
+    tags: FieldValue.arrayUnion("a", "b"),
+    n: FieldValue.increment(4),
+  });
+  assert.deepEqual(doc("c/a"), { m: { y: 2, z: 3 }, tags: ["a", "b"], n: 5 });
+});
+
+test("set(merge) deep-merges maps; plain set() replaces", async () => {
+  const { db, doc } = createFakeFirebase({ firestore: { "c/a": { m: { x: 1 }, keep: true } } });
+  await db.doc("c/a").set({ m: { y: 2 } }, { merge: true });
+  assert.deepEqual(doc("c/a"), { m: { x: 1, y: 2 }, keep: true });
+  await db.doc("c/a").set({ only: 1 });
+  assert.deepEqual(doc("c/a"), { only: 1 });
+});
+
+test("lastUpdateTime preconditions reject stale writes", async () => {
+  const { db } = createFakeFirebase({ firestore: { "c/a": { n: 1 } } });
+  const snap = await db.doc("c/a").get();
+  await db.doc("c/a").update({ n: 2 });
+  await assert.rejects(
+    db.doc("c/a").update({ n: 3 }, { lastUpdateTime: snap.updateTime }),
+    (e) => e.code === 9
+  );
+});
+
+test("queries filter, order and paginate by document id", async () => {
+  const firestore = {};
+  for (const [id, age] of [["d", 40], ["a", 10], ["c", 30], ["b", 20]]) firestore[`p/${id}`] = { age };
+  const { db } = createFakeFirebase({ firestore });
+
+  const adults = await db.collection("p").where("age", ">=", 20).orderBy("age", "desc").get();
+  assert.deepEqual(adults.docs.map((d) => d.id), ["d", "c", "b"]);
+
+  const page = await db.collection("p").orderBy(FieldPath.documentId()).startAfter("b").limit(1).get();
+  assert.deepEqual(page.docs.map((d) => d.id), ["c"]);
+});
+
+test("listCollections only reports subcollections that hold documents", async () => {
+  const { db } = createFakeFirebase({ firestore: { "a/1/x/1/y/1": {}, "a/1/z/1": {}, "b/1": {} } });
+  assert.deepEqual((await db.doc("a/1").listCollections()).map((c) => c.id), ["x", "z"]);
+  assert.deepEqual((await db.listCollections()).map((c) => c.id), ["a", "b"]);
+});
+
+test("auth pages through users and tracks custom claims", async () => {
+  const { auth } = createFakeFirebase({
+    auth: [{ uid: "u1", email: "a@x.io" }, { uid: "u2" }, { uid: "u3", customClaims: { admin: true } }],
+  });
+  const first = await auth.listUsers(2);
+  assert.deepEqual(first.users.map((u) => u.uid), ["u1", "u2"]);
+  const second = await auth.listUsers(2, first.pageToken);
+  assert.deepEqual(second.users.map((u) => u.uid), ["u3"]);
+  assert.equal(second.pageToken, undefined);
+
+  await auth.setCustomUserClaims("u1", { owner: true });
+  assert.deepEqual((await auth.getUserByEmail("a@x.io")).customClaims, { owner: true });
+  await assert.rejects(auth.getUser("nope"), (e) => e.code === "auth/user-not-found");
+});
+
+test("bucket lists by prefix and copies objects with metadata", async () => {
+  const { bucket } = createFakeFirebase({ storage: { "in/a.txt": "A", "in/sub/b.txt": "B", "out/c.txt": "C" } });
+  const [files] = await bucket.getFiles({ prefix: "in/" });
+  assert.deepEqual(files.map((f) => f.name), ["in/a.txt", "in/sub/b.txt"]);
+
+  await bucket.file("in/a.txt").copy(bucket.file("out/a.txt"));
+  const [[src], [dst]] = await Promise.all([bucket.file("in/a.txt").getMetadata(), bucket.file("out/a.txt").getMetadata()]);
+  assert.equal(dst.md5Hash, src.md5Hash);
+  assert.equal((await bucket.file("out/a.txt").download())[0].toString(), "A");
+});
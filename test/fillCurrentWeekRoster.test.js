@@ -0,0 +1,127 @@
+// test/fillCurrentWeekRoster.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeFirebase, Timestamp } = require("./helpers/fakeFirebase");
+const {
+  getNormalizedToday,
+  parseYmdToUtcMidnight,
+  mondayOfIsoWeek,
+  ymdFromUtc,
+  weeksBetweenIsoWeeks,
+  programStartMondayFromArrivalYmd,
+  fillCurrentWeekRoster,
+} = require("../lib/ops/fillCurrentWeekRoster");
+
+const monday = (ymd) => ymdFromUtc(mondayOfIsoWeek(parseYmdToUtcMidnight(ymd)));
+
+test("getNormalizedToday uses the calendar day of the configured time zone", () => {
+  const lateSundayUtc = new Date("2025-01-05T23:30:00Z");
+  assert.equal(ymdFromUtc(getNormalizedToday("Europe/Rome", lateSundayUtc)), "2025-01-06");
+  assert.equal(ymdFromUtc(getNormalizedToday("America/New_York", lateSundayUtc)), "2025-01-05");
+  assert.equal(getNormalizedToday("Europe/Rome", lateSundayUtc).getUTCHours(), 0);
+});
+
+test("mondayOfIsoWeek maps every weekday (Sunday included) to its Monday", () => {
+  assert.equal(monday("2025-01-06"), "2025-01-06"); // Monday
+  assert.equal(monday("2025-01-08"), "2025-01-06"); // Wednesday
+  assert.equal(monday("2025-01-12"), "2025-01-06"); // Sunday belongs to the week before
+  assert.equal(monday("2025-01-01"), "2024-12-30"); // ISO week 1 starts in the previous year
+  assert.equal(monday("2024-03-03"), "2024-02-26"); // across a leap day
+});
+
+test("programStartMondayFromArrivalYmd starts on arrival Monday, otherwise the following Monday", () => {
+  const start = (ymd) => ymdFromUtc(programStartMondayFromArrivalYmd(ymd));
+  assert.equal(start("2025-01-06"), "2025-01-06");
+  assert.equal(start("2025-01-04"), "2025-01-06"); // Saturday arrival
+  assert.equal(start("2025-01-05"), "2025-01-06"); // Sunday arrival
+  assert.equal(start("2025-01-07"), "2025-01-13"); // Tuesday arrival waits a week
+  assert.equal(start("2025-12-31"), "2026-01-05");
+});
+
+test("weeksBetweenIsoWeeks counts whole weeks, unaffected by DST", () => {
+  const d = parseYmdToUtcMidnight;
+  assert.equal(weeksBetweenIsoWeeks(d("2025-01-06"), d("2025-01-06")), 0);
+  assert.equal(weeksBetweenIsoWeeks(d("2025-03-24"), d("2025-03-31")), 1); // EU DST switch on 2025-03-30
+  assert.equal(weeksBetweenIsoWeeks(d("2024-12-30"), d("2025-02-03")), 5);
+  assert.equal(weeksBetweenIsoWeeks(d("2025-01-13"), d("2025-01-06")), -1);
+});
+
+test("parseYmdToUtcMidnight rejects malformed dates", () => {
+  assert.throws(() => parseYmdToUtcMidnight("2025-1-6"), /Invalid YMD/);
+});
+
+function student(arrivalDate, noOfWeeks, level, sublevel) {
+  return {
+    arrivalInfo: { arrivalDate, noOfWeeks },
+    basicInfo: { assessedLevel: level, assessedSublevel: sublevel },
+  };
+}
+
+test("fillCurrentWeekRoster groups in-week students and writes this week's rosters", async () => {
+  const fake = createFakeFirebase({
+    firestore: {
+      "users/s1": student("2025-01-04", 2, "a1", "s2"), // weeks 01-06 and 01-13 -> active
+      "users/s2": student("2024-12-30", 1, "a1", "s2"), // only week 12-30 -> done
+      "users/s3": student("2025-01-06", 4, "b1", "s5"), // first week -> active
+      "users/s4": student("2025-01-07", 4, "b1", "s5"), // starts 01-13 -> not yet
+      "users/s5": { basicInfo: { assessedLevel: "a1", assessedSublevel: "s1" } },
+      "users/s6": { arrivalInfo: { arrivalDate: "2025-01-06", noOfWeeks: 1 }, basicInfo: {} },
+      "users/s7": student("2025-01-06", 1, "a1", "s2"),
+      "weekly_lessons/b1_s5": { levelKey: "b1", sublevelKey: "s5", levelOrder: 3, sublevelNumber: 5 },
+      "weekly_lessons/a1_s2/attendance/2025-01-06": {
+        weekMondayYmd: "2025-01-06",
+        rosterUserIds: ["old"],
+        attendanceTree: { old: { mon: true } },
+      },
+    },
+  });
+
+  const result = await fillCurrentWeekRoster(
+    { TZ: "Europe/Rome" },
+    { ...fake, now: new Date("2025-01-08T10:00:00Z") }
+  );
+
+  assert.deepEqual(result, {
+    weekMondayYmd: "2025-01-06",
+    usersFetched: 7,
+    activeUsers: 3,
+    skippedNoArrivalInfo: 1,
+    skippedNoAssessment: 1,
+    rosters: { a1_s2: 2, b1_s5: 1 },
+    writes: 2,
+  });
+
+  const lesson = fake.doc("weekly_lessons/a1_s2");
+  assert.equal(lesson.levelOrder, 1);
+  assert.equal(lesson.sublevelNumber, 2);
+  assert.ok(lesson.createdAt instanceof Timestamp);
+
+  const existing = fake.doc("weekly_lessons/a1_s2/attendance/2025-01-06");
+  assert.deepEqual(existing.rosterUserIds, ["s1", "s7"]);
+  assert.deepEqual(existing.attendanceTree, { old: { mon: true } }, "attendance is preserved");
+
+  const created = fake.doc("weekly_lessons/b1_s5/attendance/2025-01-06");
+  assert.deepEqual(created.rosterUserIds, ["s3"]);
+  assert.deepEqual(created.attendanceTree, {});
+});
+
+test("fillCurrentWeekRoster fails loudly on an inconsistent weekly_lessons doc", async () => {
+  const fake = createFakeFirebase({
+    firestore: {
+      "users/s1": student("2025-01-06", 1, "a1", "s2"),
+      "weekly_lessons/a1_s2": { levelKey: "a1", sublevelKey: "s2", levelOrder: 9, sublevelNumber: 2 },
+    },
+  });
+  await assert.rejects(
+    fillCurrentWeekRoster({}, { ...fake, now: new Date("2025-01-06T12:00:00Z") }),
+    /levelOrder mismatch/
+  );
+});
+
+test("fillCurrentWeekRoster rejects out-of-range sublevels", async () => {
+  const fake = createFakeFirebase({ firestore: { "users/s1": student("2025-01-06", 1, "a1", "s9") } });
+  await assert.rejects(
+    fillCurrentWeekRoster({}, { ...fake, now: new Date("2025-01-06T12:00:00Z") }),
+    /Sublevel out of range: a1_s9/
+  );
+});
@@ -0,0 +1,132 @@
+// test/generateFixtures.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeFirebase, Timestamp } = require("./helpers/fakeFirebase");
+const { buildProfile } = require("../lib/ops/inferSchema");
+const { generateFixtures } = require("../lib/ops/generateFixtures");
+const { importCollection } = require("../lib/ops/importCollection");
+const { toYAML } = require("../lib/yaml");
+
+const silent = { log() {}, warn() {}, error() {} };
+const NOW = new Date("2025-03-01T12:00:00Z");
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "alce-fixtures-"));
+}
+
+/** Profiles a small users collection and saves it the way `infer-schema > file` does. */
+async function profileFile(dir) {
+  const source = createFakeFirebase({
+    firestore: {
+      "users/u1": {
+        basicInfo: { firstName: "Ann", lastName: "Lee", email: "ann@school.test" },
+        age: 30,
+        createdAt: Timestamp.fromMillis(0),
+        attendance: { "2025-01-06": true },
+        nickname: null,
+      },
+      "users/u2": {
+        basicInfo: { firstName: "Bob", lastName: "Ray", email: "bob@school.test" },
+        age: 31,
+        createdAt: Timestamp.fromMillis(1000),
+        attendance: { "2025-01-13": false },
+        nickname: "bobby",
+      },
+      "users/u1/payments/p1": { amount: 10.5, restaurantRef: null },
+    },
+  });
+  await source.db.doc("users/u1/payments/p1").set({ amount: 10.5, restaurantRef: source.db.doc("restaurants/r1") });
+  const profile = await buildProfile({ COLLECTION_PATH: "users", INCLUDE_SUBCOLLECTIONS: true, INCLUDE_EXAMPLE: true }, source);
+  const file = path.join(dir, "users.schema.yaml");
+  fs.writeFileSync(file, `collection: users\n${toYAML(profile)}\n`);
+  return file;
+}
+
+function emulatorFake() {
+  return { ...createFakeFirebase(), emulator: { firestore: "127.0.0.1:8080" }, logger: silent, now: NOW };
+}
+
+function usersOf(fake) {
+  return fake.paths().filter((p) => /^users\/[^/]+$/.test(p));
+}
+
+test("generateFixtures writes docs of the profiled types into the emulator, repeatably for a seed", async () => {
+  const dir = tmpDir();
+  const PROFILE_FILE = await profileFile(dir);
+
+  const fake = emulatorFake();
+  const result = await generateFixtures({ PROFILE_FILE, COUNT: 5, SUBCOLLECTION_DOCS: 2, OPTIONAL_RATE: 1, NULL_RATE: 0 }, fake);
+  assert.deepEqual(result, { collection: "users", documents: 5, subcollectionDocuments: 10 });
+
+  const users = usersOf(fake);
+  assert.equal(users.length, 5);
+  for (const docPath of users) {
+    const data = fake.doc(docPath);
+    assert.equal(typeof data.basicInfo.firstName, "string");
+    assert.match(data.basicInfo.email, /^[a-z.]+\d+@example\.com$/);
+    assert.ok(Number.isInteger(data.age));
+    assert.ok(data.createdAt instanceof Timestamp);
+    assert.ok(Object.values(data.attendance).every((v) => typeof v === "boolean"));
+    assert.equal(typeof data.nickname, "string");
+    const payments = await fake.db.doc(docPath).collection("payments").get();
+    assert.equal(payments.size, 2);
+    const payment = payments.docs[0].data();
+    assert.equal(typeof payment.amount, "number");
+    assert.match(payment.restaurantRef.path, /^restaurants\/\w{20}$/);
+  }
+  // The example document in the profile is never copied.
+  assert.ok(!JSON.stringify(fake.paths().map((p) => fake.doc(p))).includes("school.test"));
+
+  const again = emulatorFake();
+  await generateFixtures({ PROFILE_FILE, COUNT: 5, SUBCOLLECTION_DOCS: 2, OPTIONAL_RATE: 1, NULL_RATE: 0 }, again);
+  assert.deepEqual(usersOf(again), users);
+  assert.deepEqual(again.doc(users[0]), fake.doc(users[0]));
+});
+
+test("generateFixtures writes an export file that import loads, and honors REFERENCES and COLLECTION", async () => {
+  const dir = tmpDir();
+  const PROFILE_FILE = await profileFile(dir);
+  const OUTPUT_FILE = path.join(dir, "users.ndjson");
+  const fake = { ...createFakeFirebase(), logger: silent, now: NOW };
+
+  const result = await generateFixtures(
+    {
+      PROFILE_FILE,
+      OUTPUT_FILE,
+      COLLECTION: "test_users",
+      COUNT: 3,
+      SUBCOLLECTION_DOCS: 1,
+      REFERENCES: { restaurantRef: "places" },
+    },
+    fake
+  );
+  assert.equal(result.file, OUTPUT_FILE);
+  assert.deepEqual(fake.paths(), []);
+
+  const imported = await importCollection({ INPUT_FILE: OUTPUT_FILE, JOURNAL: false }, { ...fake, logger: silent });
+  assert.equal(imported.written, 6);
+  const payments = await fake.db.collectionGroup("payments").get();
+  assert.equal(payments.size, 3);
+  for (const doc of payments.docs) {
+    assert.match(doc.ref.path, /^test_users\/\w{20}\/payments\/\w{20}$/);
+    const ref = doc.data().restaurantRef;
+    if (ref) assert.match(ref.path, /^places\//);
+  }
+});
+
+test("generateFixtures refuses to write to a real project and rejects bad profiles", async () => {
+  const dir = tmpDir();
+  const PROFILE_FILE = await profileFile(dir);
+  const fake = { ...createFakeFirebase(), logger: silent };
+
+  await assert.rejects(generateFixtures({ PROFILE_FILE }, fake), /only in emulator mode/);
+  assert.deepEqual(fake.paths(), []);
+
+  const notAProfile = path.join(dir, "x.yaml");
+  fs.writeFileSync(notAProfile, "hello: world\n");
+  await assert.rejects(generateFixtures({ PROFILE_FILE: notAProfile }, emulatorFake()), /not an infer-schema profile/);
+  await assert.rejects(generateFixtures({ PROFILE_FILE, OPTIONAL_RATE: 2 }, emulatorFake()), /OPTIONAL_RATE/);
+});
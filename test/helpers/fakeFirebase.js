@@ -0,0 +1,885 @@
+// test/helpers/fakeFirebase.js
+// In-memory stand-ins for the `db`, `auth` and `bucket` exported by firebaseAdmin.js.
+// Covers the parts of the Admin SDK the ops use; anything else throws so a test notices.
+//
+//   const fake = createFakeFirebase({
+//     firestore: { "users/u1": { name: "A" }, "users/u1/events/e1": { n: 1 } },
+//     auth: [{ uid: "u1", email: "a@example.com" }],
+//     storage: { "uploads/a.txt": "hello" },
+//   });
+//   await op(options, fake);          // fake = { db, auth, bucket, logger, profile, ... }
+//   fake.doc("users/u1");             // stored data (or undefined)
+const crypto = require("crypto");
+const fs = require("fs");
+const nodePath = require("path");
+const { FieldValue, FieldPath, Timestamp, GeoPoint, DocumentReference } = require("firebase-admin/firestore");
+
+/* ---------------------------- helpers ---------------------------- */
+
+const NO_RATE_LIMITS = Object.fromEntries(
+  ["firestore", "auth", "stripe", "storage"].map((s) => [s, { ratePerSec: 0, baseDelayMs: 1, maxDelayMs: 2 }])
+);
+
+function fakeError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/** Only object literals; Timestamp, GeoPoint, refs and sentinels are stored as values. */
+function isPlainObject(v) {
+  if (v === null || typeof v !== "object") return false;
+  const proto = Object.getPrototypeOf(v);
+  return proto === Object.prototype || proto === null;
+}
+
+function isSentinel(v) {
+  return v instanceof FieldValue;
+}
+
+/** Deep copy of plain objects/arrays; Firestore value classes are immutable and kept as-is. */
+function clone(v) {
+  if (Array.isArray(v)) return v.map(clone);
+  if (isPlainObject(v)) {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = clone(x);
+    return out;
+  }
+  if (Buffer.isBuffer(v)) return Buffer.from(v);
+  return v;
+}
+
+function splitPath(path) {
+  return String(path).split("/").filter(Boolean);
+}
+
+function fieldSegments(field) {
+  if (field instanceof FieldPath) return field.segments || field._segments;
+  return String(field).split(".");
+}
+
+function isDocumentIdPath(field) {
+  return field instanceof FieldPath && fieldSegments(field).join(".") === "__name__";
+}
+
+function getField(data, segments) {
+  let cur = data;
+  for (const s of segments) {
+    if (cur == null || typeof cur !== "object") return undefined;
+    cur = cur[s];
+  }
+  return cur;
+}
+
+function valuesEqual(a, b) {
+  if (a === b) return true;
+  if (a && typeof a.isEqual === "function") return a.isEqual(b);
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((x, i) => valuesEqual(x, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const ka = Object.keys(a);
+    return ka.length === Object.keys(b).length && ka.every((k) => valuesEqual(a[k], b[k]));
+  }
+  return false;
+}
+
+/** Orders values the way queries need: numbers, strings, timestamps (no cross-type ordering). */
+function compareValues(a, b) {
+  if (a instanceof Timestamp) a = a.toMillis();
+  if (b instanceof Timestamp) b = b.toMillis();
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+function matchesFilter(value, op, operand) {
+  switch (op) {
+    case "==": return valuesEqual(value, operand);
+    case "!=": return value !== undefined && !valuesEqual(value, operand);
+    case "<": return value !== undefined && compareValues(value, operand) < 0;
+    case "<=": return value !== undefined && compareValues(value, operand) <= 0;
+    case ">": return value !== undefined && compareValues(value, operand) > 0;
+    case ">=": return value !== undefined && compareValues(value, operand) >= 0;
+    case "in": return operand.some((o) => valuesEqual(value, o));
+    case "not-in": return value !== undefined && !operand.some((o) => valuesEqual(value, o));
+    case "array-contains": return Array.isArray(value) && value.some((x) => valuesEqual(x, operand));
+    case "array-contains-any":
+      return Array.isArray(value) && value.some((x) => operand.some((o) => valuesEqual(x, o)));
+    default: throw new Error(`fakeFirebase: unsupported where operator '${op}'`);
+  }
+}
+
+/* --------------------------- firestore --------------------------- */
+
+class FakeDocumentSnapshot {
+  constructor(ref, entry) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = !!entry;
+    this._data = entry ? entry.data : undefined;
+    this.createTime = entry ? entry.createTime : undefined;
+    this.updateTime = entry ? entry.updateTime : undefined;
+    this.readTime = ref.firestore._now();
+  }
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+  get(field) {
+    return this.exists ? clone(getField(this._data, fieldSegments(field))) : undefined;
+  }
+}
+
+class FakeQuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+  forEach(fn) {
+    this.docs.forEach(fn);
+  }
+}
+
+/** Passes `instanceof DocumentReference` (detectKind, typed JSON) while keeping its own state. */
+class FakeDocumentReference extends DocumentReference {
+  constructor(firestore, path) {
+    // The real constructor only stores its arguments; everything we use is overridden below.
+    super(firestore, null);
+    this._fakeFirestore = firestore;
+    this._fakePath = path;
+  }
+  get firestore() {
+    return this._fakeFirestore;
+  }
+  get path() {
+    return this._fakePath;
+  }
+  get id() {
+    return splitPath(this._fakePath).pop();
+  }
+  get parent() {
+    return new FakeCollectionReference(this.firestore, splitPath(this.path).slice(0, -1).join("/"));
+  }
+  collection(id) {
+    return new FakeCollectionReference(this.firestore, `${this.path}/${id}`);
+  }
+  isEqual(other) {
+    return other instanceof FakeDocumentReference && other.path === this.path;
+  }
+  async get() {
+    return this.firestore._snapshot(this);
+  }
+  async set(data, options) {
+    return this.firestore._write({ type: "set", ref: this, data, options });
+  }
+  async create(data) {
+    return this.firestore._write({ type: "create", ref: this, data });
+  }
+  async update(data, precondition) {
+    return this.firestore._write({ type: "update", ref: this, data, precondition });
+  }
+  async delete(precondition) {
+    return this.firestore._write({ type: "delete", ref: this, precondition });
+  }
+  async listCollections() {
+    return this.firestore._childCollections(this.path);
+  }
+}
+
+class FakeQuery {
+  constructor(firestore, spec) {
+    this.firestore = firestore;
+    this._spec = { filters: [], orders: [], limit: null, startAfter: null, group: false, fields: null, ...spec };
+  }
+  _with(patch) {
+    return new FakeQuery(this.firestore, { ...this._spec, ...patch });
+  }
+  where(field, op, value) {
+    return this._with({ filters: [...this._spec.filters, { field, op, value }] });
+  }
+  orderBy(field, direction = "asc") {
+    return this._with({ orders: [...this._spec.orders, { field, direction }] });
+  }
+  limit(n) {
+    return this._with({ limit: n });
+  }
+  startAfter(...values) {
+    return this._with({ startAfter: values });
+  }
+  select(...fields) {
+    return this._with({ fields });
+  }
+  count() {
+    return { get: async () => ({ data: () => ({ count: this.firestore._runQuery(this._spec).length }) }) };
+  }
+  async get() {
+    return new FakeQuerySnapshot(this.firestore._runQuery(this._spec));
+  }
+}
+
+class FakeCollectionReference extends FakeQuery {
+  constructor(firestore, path) {
+    super(firestore, { collection: path });
+    this.path = path;
+    this.id = splitPath(path).pop();
+  }
+  get parent() {
+    const parts = splitPath(this.path);
+    return parts.length > 1 ? new FakeDocumentReference(this.firestore, parts.slice(0, -1).join("/")) : null;
+  }
+  doc(id) {
+    const docId = id || crypto.randomBytes(10).toString("hex");
+    return new FakeDocumentReference(this.firestore, `${this.path}/${docId}`);
+  }
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+  async listDocuments() {
+    return this.firestore._docsIn(this.path).map((p) => new FakeDocumentReference(this.firestore, p));
+  }
+}
+
+class FakeWriteBatch {
+  constructor(firestore) {
+    this.firestore = firestore;
+    this._writes = [];
+  }
+  set(ref, data, options) {
+    this._writes.push({ type: "set", ref, data, options });
+    return this;
+  }
+  create(ref, data) {
+    this._writes.push({ type: "create", ref, data });
+    return this;
+  }
+  update(ref, data, precondition) {
+    this._writes.push({ type: "update", ref, data, precondition });
+    return this;
+  }
+  delete(ref, precondition) {
+    this._writes.push({ type: "delete", ref, precondition });
+    return this;
+  }
+  async commit() {
+    this.firestore.stats.commits++;
+    return this.firestore._commit(this._writes);
+  }
+}
+
+/**
+ * Writes are queued and sent one by one on flush()/close() (not atomic, like the real one).
+ * A failed write goes to the onWriteError handler, which returns true to retry it.
+ */
+class FakeBulkWriter {
+  constructor(firestore, options) {
+    this.firestore = firestore;
+    this.options = options || {};
+    this._queue = [];
+    this._onResult = null;
+    this._onError = () => false;
+    this._closed = false;
+  }
+  _enqueue(write) {
+    if (this._closed) throw new Error("BulkWriter has already been closed.");
+    return new Promise((resolve, reject) => this._queue.push({ write, resolve, reject, failedAttempts: 0 }));
+  }
+  set(ref, data, options) {
+    return this._enqueue({ type: "set", ref, data, options });
+  }
+  create(ref, data) {
+    return this._enqueue({ type: "create", ref, data });
+  }
+  update(ref, data, precondition) {
+    return this._enqueue({ type: "update", ref, data, precondition });
+  }
+  delete(ref, precondition) {
+    return this._enqueue({ type: "delete", ref, precondition });
+  }
+  onWriteResult(fn) {
+    this._onResult = fn;
+  }
+  onWriteError(fn) {
+    this._onError = fn;
+  }
+  async flush() {
+    while (this._queue.length) {
+      const op = this._queue.shift();
+      try {
+        const [result] = this.firestore._commit([op.write]);
+        this.firestore.stats.bulkWrites++;
+        if (this._onResult) this._onResult(op.write.ref, result);
+        op.resolve(result);
+      } catch (e) {
+        op.failedAttempts++;
+        Object.assign(e, { documentRef: op.write.ref, operationType: op.write.type, failedAttempts: op.failedAttempts });
+        if (this._onError(e)) this._queue.push(op);
+        else op.reject(e);
+      }
+    }
+  }
+  async close() {
+    await this.flush();
+    this._closed = true;
+  }
+}
+
+class FakeTransaction {
+  constructor(firestore) {
+    this.firestore = firestore;
+    this._writes = [];
+  }
+  async get(refOrQuery) {
+    if (refOrQuery instanceof FakeDocumentReference) return this.firestore._snapshot(refOrQuery);
+    return refOrQuery.get();
+  }
+  set(ref, data, options) {
+    this._writes.push({ type: "set", ref, data, options });
+    return this;
+  }
+  create(ref, data) {
+    this._writes.push({ type: "create", ref, data });
+    return this;
+  }
+  update(ref, data, precondition) {
+    this._writes.push({ type: "update", ref, data, precondition });
+    return this;
+  }
+  delete(ref, precondition) {
+    this._writes.push({ type: "delete", ref, precondition });
+    return this;
+  }
+}
+
+class FakeFirestore {
+  constructor(seed = {}, clock) {
+    this._docs = new Map(); // docPath -> { data, createTime, updateTime }
+    this._clock = clock;
+    this.stats = { commits: 0, writes: 0, transactions: 0, bulkWriters: 0, bulkWrites: 0 };
+    for (const [path, data] of Object.entries(seed)) {
+      if (splitPath(path).length % 2 !== 0) throw new Error(`fakeFirebase: '${path}' is not a document path`);
+      const t = this._now();
+      this._docs.set(splitPath(path).join("/"), { data: clone(data), createTime: t, updateTime: t });
+    }
+  }
+
+  _now() {
+    return Timestamp.fromMillis(this._clock.tick());
+  }
+
+  collection(path) {
+    if (splitPath(path).length % 2 !== 1) throw new Error(`fakeFirebase: '${path}' is not a collection path`);
+    return new FakeCollectionReference(this, splitPath(path).join("/"));
+  }
+  doc(path) {
+    if (splitPath(path).length % 2 !== 0) throw new Error(`fakeFirebase: '${path}' is not a document path`);
+    return new FakeDocumentReference(this, splitPath(path).join("/"));
+  }
+  collectionGroup(id) {
+    return new FakeQuery(this, { group: true, collectionId: id });
+  }
+  batch() {
+    return new FakeWriteBatch(this);
+  }
+  bulkWriter(options) {
+    this.stats.bulkWriters++;
+    return new FakeBulkWriter(this, options);
+  }
+  async listCollections() {
+    return this._childCollections("");
+  }
+  async getAll(...refs) {
+    return refs.map((r) => this._snapshot(r));
+  }
+  async runTransaction(fn) {
+    this.stats.transactions++;
+    const tx = new FakeTransaction(this);
+    const result = await fn(tx);
+    this._commit(tx._writes);
+    return result;
+  }
+
+  /* ---- internals ---- */
+
+  _snapshot(ref) {
+    return new FakeDocumentSnapshot(ref, this._docs.get(ref.path));
+  }
+
+  _docsIn(collectionPath) {
+    const depth = splitPath(collectionPath).length + 1;
+    return [...this._docs.keys()]
+      .filter((p) => p.startsWith(`${collectionPath}/`) && splitPath(p).length === depth)
+      .sort();
+  }
+
+  /** Subcollections that hold at least one (possibly nested) document, like Firestore's listCollections. */
+  _childCollections(docPath) {
+    const prefix = docPath ? `${docPath}/` : "";
+    const ids = new Set();
+    for (const p of this._docs.keys()) {
+      if (!p.startsWith(prefix)) continue;
+      const rest = splitPath(p.slice(prefix.length));
+      if (rest.length >= 2) ids.add(rest[0]);
+    }
+    return [...ids].sort().map((id) => new FakeCollectionReference(this, `${prefix}${id}`));
+  }
+
+  _runQuery(spec) {
+    let paths;
+    if (spec.group) {
+      paths = [...this._docs.keys()].filter((p) => splitPath(p).slice(-2)[0] === spec.collectionId).sort();
+    } else {
+      paths = this._docsIn(spec.collection);
+    }
+
+    let rows = paths.map((p) => ({ ref: new FakeDocumentReference(this, p), entry: this._docs.get(p) }));
+
+    // Collection-group queries order (and take cursors) by full document path, like Firestore.
+    const docKey = (ref) => (spec.group ? ref.path : ref.id);
+    const valueOf = (row, field) =>
+      isDocumentIdPath(field) ? docKey(row.ref) : getField(row.entry.data, fieldSegments(field));
+
+    for (const f of spec.filters) {
+      rows = rows.filter((row) => {
+        const value = valueOf(row, f.field);
+        // Firestore drops docs missing the field for every operator.
+        return value !== undefined && matchesFilter(value, f.op, f.value);
+      });
+    }
+
+    if (spec.orders.length) {
+      rows = rows.filter((row) => spec.orders.every((o) => valueOf(row, o.field) !== undefined));
+      rows.sort((a, b) => {
+        for (const o of spec.orders) {
+          const c = compareValues(valueOf(a, o.field), valueOf(b, o.field));
+          if (c !== 0) return o.direction === "desc" ? -c : c;
+        }
+        return a.ref.path < b.ref.path ? -1 : 1;
+      });
+    }
+
+    if (spec.startAfter) {
+      let cursor = spec.startAfter;
+      if (cursor.length === 1 && cursor[0] instanceof FakeDocumentSnapshot) {
+        const snap = cursor[0];
+        cursor = spec.orders.length
+          ? spec.orders.map((o) => (isDocumentIdPath(o.field) ? docKey(snap.ref) : snap.get(o.field)))
+          : [docKey(snap.ref)];
+      }
+      const orders = spec.orders.length ? spec.orders : [{ field: FieldPath.documentId(), direction: "asc" }];
+      rows = rows.filter((row) => {
+        for (let i = 0; i < cursor.length; i++) {
+          const c = compareValues(valueOf(row, orders[i].field), cursor[i]);
+          const dir = orders[i].direction === "desc" ? -c : c;
+          if (dir !== 0) return dir > 0;
+        }
+        return false;
+      });
+    }
+
+    if (spec.limit != null) rows = rows.slice(0, spec.limit);
+
+    return rows.map((row) => {
+      const snap = new FakeDocumentSnapshot(row.ref, row.entry);
+      if (spec.fields) {
+        const projected = {};
+        for (const f of spec.fields) {
+          const v = getField(row.entry.data, fieldSegments(f));
+          if (v !== undefined) projected[f] = v;
+        }
+        snap._data = projected;
+      }
+      return snap;
+    });
+  }
+
+  async _write(write) {
+    this.stats.commits++;
+    this._commit([write]);
+    return { writeTime: this._now() };
+  }
+
+  /** Validates every write first, then applies them all (batches and transactions are atomic). */
+  _commit(writes) {
+    const staged = new Map(); // path -> entry | null, so later writes in the batch see earlier ones
+    const current = (path) => (staged.has(path) ? staged.get(path) : this._docs.get(path) || null);
+    const now = this._now();
+
+    for (const w of writes) {
+      const path = w.ref.path;
+      const existing = current(path);
+      checkPrecondition(w, existing, path);
+
+      if (w.type === "delete") {
+        staged.set(path, null);
+        continue;
+      }
+      if (w.type === "create" && existing) {
+        throw fakeError(6, `6 ALREADY_EXISTS: Document already exists: ${path}`);
+      }
+      if (w.type === "update" && !existing) {
+        throw fakeError(5, `5 NOT_FOUND: No document to update: ${path}`);
+      }
+
+      let data;
+      if (w.type === "update") {
+        data = clone(existing.data);
+        for (const [field, value] of Object.entries(w.data)) {
+          applyAtPath(data, fieldSegments(field), value, now);
+        }
+      } else if (w.options && (w.options.merge || w.options.mergeFields)) {
+        data = existing ? clone(existing.data) : {};
+        if (w.options.mergeFields) {
+          for (const field of w.options.mergeFields) {
+            const segs = fieldSegments(field);
+            applyAtPath(data, segs, getField(w.data, segs), now);
+          }
+        } else {
+          mergeInto(data, w.data, now);
+        }
+      } else {
+        data = {};
+        mergeInto(data, w.data, now);
+      }
+
+      staged.set(path, { data, createTime: existing ? existing.createTime : now, updateTime: now });
+    }
+
+    for (const [path, entry] of staged) {
+      if (entry) this._docs.set(path, entry);
+      else this._docs.delete(path);
+    }
+    this.stats.writes += writes.length;
+    return writes.map(() => ({ writeTime: now }));
+  }
+}
+
+function checkPrecondition(write, existing, path) {
+  const pre = write.precondition;
+  if (!pre) return;
+  if (pre.exists === true && !existing) throw fakeError(5, `5 NOT_FOUND: ${path}`);
+  if (pre.exists === false && existing) throw fakeError(6, `6 ALREADY_EXISTS: ${path}`);
+  if (pre.lastUpdateTime && (!existing || !existing.updateTime.isEqual(pre.lastUpdateTime))) {
+    throw fakeError(9, `9 FAILED_PRECONDITION: ${path} was modified since it was read`);
+  }
+}
+
+/** Resolves a FieldValue sentinel against the value currently stored. */
+function resolveSentinel(sentinel, current, now) {
+  switch (sentinel.methodName) {
+    case "FieldValue.serverTimestamp":
+      return now;
+    case "FieldValue.increment":
+      return (typeof current === "number" ? current : 0) + sentinel.operand;
+    case "FieldValue.arrayUnion": {
+      const arr = Array.isArray(current) ? [...current] : [];
+      for (const el of sentinel.elements) if (!arr.some((x) => valuesEqual(x, el))) arr.push(clone(el));
+      return arr;
+    }
+    case "FieldValue.arrayRemove":
+      return Array.isArray(current) ? current.filter((x) => !sentinel.elements.some((el) => valuesEqual(x, el))) : [];
+    default:
+      throw new Error(`fakeFirebase: unsupported ${sentinel.methodName}`);
+  }
+}
+
+function applyAtPath(data, segments, value, now) {
+  let cur = data;
+  for (const s of segments.slice(0, -1)) {
+    if (!isPlainObject(cur[s])) cur[s] = {};
+    cur = cur[s];
+  }
+  const last = segments[segments.length - 1];
+  if (isSentinel(value) && value.methodName === "FieldValue.delete") {
+    delete cur[last];
+  } else if (isSentinel(value)) {
+    cur[last] = resolveSentinel(value, cur[last], now);
+  } else if (isPlainObject(value)) {
+    cur[last] = {};
+    mergeInto(cur[last], value, now);
+  } else if (value !== undefined) {
+    cur[last] = clone(value);
+  }
+}
+
+/** set()/set(merge) semantics: nested maps merge key by key, sentinels resolve in place. */
+function mergeInto(target, source, now) {
+  for (const [k, v] of Object.entries(source)) {
+    if (isPlainObject(v)) {
+      if (!isPlainObject(target[k])) target[k] = {};
+      mergeInto(target[k], v, now);
+    } else {
+      applyAtPath(target, [k], v, now);
+    }
+  }
+}
+
+/* ------------------------------ auth ------------------------------ */
+
+class FakeAuth {
+  constructor(users = []) {
+    this._users = new Map();
+    for (const u of users) this._put(u);
+  }
+
+  _put(u) {
+    const { customClaims, password, ...rest } = u;
+    void password;
+    const record = {
+      email: undefined,
+      displayName: undefined,
+      disabled: false,
+      ...rest,
+      customClaims: customClaims ? clone(customClaims) : undefined,
+    };
+    this._users.set(record.uid, record);
+    return clone(record);
+  }
+
+  _notFound(what) {
+    return fakeError("auth/user-not-found", `There is no user record corresponding to ${what}.`);
+  }
+
+  async getUser(uid) {
+    const u = this._users.get(uid);
+    if (!u) throw this._notFound(`uid '${uid}'`);
+    return clone(u);
+  }
+  async getUserByEmail(email) {
+    const u = [...this._users.values()].find((x) => x.email === email);
+    if (!u) throw this._notFound(`email '${email}'`);
+    return clone(u);
+  }
+  async listUsers(maxResults = 1000, pageToken) {
+    const all = [...this._users.values()].sort((a, b) => (a.uid < b.uid ? -1 : 1));
+    const start = pageToken ? Number(pageToken) : 0;
+    const users = all.slice(start, start + maxResults).map(clone);
+    const next = start + maxResults < all.length ? String(start + maxResults) : undefined;
+    return { users, pageToken: next };
+  }
+  async createUser(props) {
+    const uid = props.uid || crypto.randomBytes(14).toString("hex");
+    if (this._users.has(uid)) throw fakeError("auth/uid-already-exists", `uid '${uid}' already exists.`);
+    return this._put({ ...props, uid });
+  }
+  async updateUser(uid, props) {
+    const u = this._users.get(uid);
+    if (!u) throw this._notFound(`uid '${uid}'`);
+    Object.assign(u, clone(props));
+    return clone(u);
+  }
+  async setCustomUserClaims(uid, claims) {
+    const u = this._users.get(uid);
+    if (!u) throw this._notFound(`uid '${uid}'`);
+    u.customClaims = claims ? clone(claims) : undefined;
+  }
+  async deleteUser(uid) {
+    if (!this._users.delete(uid)) throw this._notFound(`uid '${uid}'`);
+  }
+}
+
+/* ----------------------------- storage ----------------------------- */
+
+class FakeFile {
+  constructor(bucket, name) {
+    this.bucket = bucket;
+    this.name = name;
+  }
+  get metadata() {
+    const obj = this.bucket._objects.get(this.name);
+    return obj ? clone(obj.metadata) : {};
+  }
+  async exists() {
+    return [this.bucket._objects.has(this.name)];
+  }
+  async getMetadata() {
+    const obj = this.bucket._objects.get(this.name);
+    if (!obj) throw fakeError(404, `No such object: ${this.bucket.name}/${this.name}`);
+    return [clone(obj.metadata)];
+  }
+  async setMetadata(patch) {
+    const obj = this.bucket._objects.get(this.name);
+    if (!obj) throw fakeError(404, `No such object: ${this.bucket.name}/${this.name}`);
+    const { metadata, ...rest } = patch;
+    Object.assign(obj.metadata, clone(rest));
+    if (metadata) {
+      // Like GCS, a null custom metadata value removes the key.
+      const merged = { ...(obj.metadata.metadata || {}), ...clone(metadata) };
+      for (const [k, v] of Object.entries(merged)) if (v === null) delete merged[k];
+      obj.metadata.metadata = merged;
+    }
+    return [clone(obj.metadata)];
+  }
+  /** Mirrors file.download(): [contents], or writes them to `destination` and resolves []. */
+  async download(options = {}) {
+    const obj = this.bucket._objects.get(this.name);
+    if (!obj) throw fakeError(404, `No such object: ${this.bucket.name}/${this.name}`);
+    if (options.destination) {
+      fs.writeFileSync(options.destination, obj.contents);
+      return [];
+    }
+    return [Buffer.from(obj.contents)];
+  }
+  async save(data, options = {}) {
+    this.bucket._put(this.name, data, options.metadata || (options.contentType ? { contentType: options.contentType } : {}));
+  }
+  async copy(destination) {
+    const obj = this.bucket._objects.get(this.name);
+    if (!obj) throw fakeError(404, `No such object: ${this.bucket.name}/${this.name}`);
+    const dest = typeof destination === "string" ? this.bucket.file(destination) : destination;
+    const { contentType, metadata } = obj.metadata;
+    dest.bucket._put(dest.name, obj.contents, { contentType, metadata });
+    return [dest];
+  }
+  async delete(options = {}) {
+    const obj = this.bucket._objects.get(this.name);
+    if (!obj) throw fakeError(404, `No such object: ${this.bucket.name}/${this.name}`);
+    if (options.ifGenerationMatch != null && String(options.ifGenerationMatch) !== obj.metadata.generation) {
+      throw fakeError(412, `Precondition failed: ${this.bucket.name}/${this.name} is at generation ${obj.metadata.generation}`);
+    }
+    this.bucket._objects.delete(this.name);
+  }
+}
+
+/** CRC32C (Castagnoli) as GCS reports it: base64 of the big-endian checksum. */
+const CRC32C_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0x82f63b78 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+function crc32c(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC32C_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  const out = Buffer.alloc(4);
+  out.writeUInt32BE((c ^ 0xffffffff) >>> 0);
+  return out.toString("base64");
+}
+
+/**
+ * Mirrors the Storage client a real Bucket keeps as `bucket.storage`: bucket(name) opens any bucket,
+ * as a new Bucket object on every call (like the SDK) over the objects stored under that name.
+ * `onWrite(bucketName, objectName, contents) -> contents` lets a test corrupt a transfer as it lands.
+ */
+class FakeStorage {
+  constructor() {
+    this._buckets = new Map(); // name -> { objects: Map, generation: number }
+    this.onWrite = null;
+  }
+  bucket(name) {
+    if (!this._buckets.has(name)) this._buckets.set(name, { objects: new Map(), generation: 0 });
+    return new FakeBucket(name, this, this._buckets.get(name));
+  }
+}
+
+class FakeBucket {
+  constructor(name, storage, state) {
+    this.name = name;
+    this.storage = storage;
+    this._state = state;
+    this._objects = state.objects; // name -> { contents: Buffer, metadata }
+  }
+
+  _put(name, contents, extra = {}) {
+    const buf = Buffer.from(this.storage.onWrite ? this.storage.onWrite(this.name, name, contents) : contents);
+    this._objects.set(name, {
+      contents: buf,
+      metadata: {
+        name,
+        bucket: this.name,
+        size: String(buf.length),
+        md5Hash: crypto.createHash("md5").update(buf).digest("base64"),
+        crc32c: crc32c(buf),
+        generation: String(++this._state.generation),
+        contentType: "application/octet-stream",
+        ...clone(extra),
+      },
+    });
+  }
+
+  file(name) {
+    return new FakeFile(this, name);
+  }
+
+  /** Mirrors bucket.upload(localPath, { destination, contentType }): [file]. */
+  async upload(localPath, options = {}) {
+    const name = options.destination || nodePath.basename(localPath);
+    this._put(name, fs.readFileSync(localPath), options.contentType ? { contentType: options.contentType } : {});
+    return [this.file(name)];
+  }
+
+  /** Mirrors bucket.getFiles(): [files] with autoPaginate, [files, nextQuery] without. */
+  async getFiles(query = {}) {
+    const { prefix = "", maxResults, pageToken, autoPaginate = true } = query;
+    const names = [...this._objects.keys()].filter((n) => n.startsWith(prefix)).sort();
+    const start = pageToken ? Number(pageToken) : 0;
+    const end = maxResults ? start + maxResults : names.length;
+    // Like the real client, listed files carry the metadata of the listing, not a live view.
+    const files = names.slice(start, end).map((n) => {
+      const f = this.file(n);
+      Object.defineProperty(f, "metadata", { value: clone(this._objects.get(n).metadata), enumerable: true });
+      return f;
+    });
+    if (autoPaginate && !maxResults) return [files];
+    const nextQuery = end < names.length ? { ...query, pageToken: String(end) } : null;
+    return [files, nextQuery];
+  }
+}
+
+/* ------------------------------ logger ------------------------------ */
+
+/** Swallows output; keeps every line so tests can assert on it. */
+function makeLogger() {
+  const lines = [];
+  const push = (...args) => lines.push(args.map((a) => (typeof a === "string" ? a : JSON.stringify(a))).join(" "));
+  return { lines, log: push, info: push, warn: push, error: push };
+}
+
+/* ------------------------------ factory ----------------------------- */
+
+/**
+ * @param {{ firestore?: object, auth?: object[], storage?: object, bucketName?: string, buckets?: object, startMillis?: number }} [seed]
+ *   storage = { objectName: contents } of the default bucket; buckets = { bucketName: { objectName: contents } }
+ * @returns {{ db: FakeFirestore, auth: FakeAuth, bucket: FakeBucket, logger, doc(path): object|undefined, paths(): string[] }}
+ */
+function createFakeFirebase(seed = {}) {
+  // Monotonic clock so updateTime preconditions can tell writes apart.
+  let millis = seed.startMillis || Date.UTC(2025, 0, 1);
+  const clock = { tick: () => ++millis };
+
+  const db = new FakeFirestore(seed.firestore || {}, clock);
+  const auth = new FakeAuth(seed.auth || []);
+  const storage = new FakeStorage();
+  const bucket = storage.bucket(seed.bucketName || "demo-alce-admin.appspot.com");
+  for (const [objName, contents] of Object.entries(seed.storage || {})) bucket._put(objName, contents);
+  for (const [bucketName, objects] of Object.entries(seed.buckets || {})) {
+    const other = storage.bucket(bucketName);
+    for (const [objName, contents] of Object.entries(objects)) other._put(objName, contents);
+  }
+
+  return {
+    db,
+    auth,
+    bucket,
+    logger: makeLogger(),
+    profile: { name: null, projectId: "demo-alce-admin", storageBucket: bucket.name, protected: false },
+    emulator: null,
+    auditLog: { file: null }, // audit entries land in the fake `_admin_audit` only
+    journalLog: { dir: null, storagePrefix: "_admin_journals/" }, // undo journals go to the fake bucket
+    checkpointLog: false, // tests that resume pass { dir: <tmp dir> }
+    limits: NO_RATE_LIMITS, // keep retries, drop the waiting
+    doc(path) {
+      const entry = db._docs.get(splitPath(path).join("/"));
+      return entry ? clone(entry.data) : undefined;
+    },
+    paths() {
+      return [...db._docs.keys()].sort();
+    },
+  };
+}
+
+module.exports = { createFakeFirebase, Timestamp, GeoPoint };
@@ -0,0 +1,69 @@
+// test/inferSchema.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeFirebase, Timestamp } = require("./helpers/fakeFirebase");
+const { makeObjectAgg, addObjectSample, maybeAsMap, buildProfile } = require("../lib/ops/inferSchema");
+
+function aggOf(...objects) {
+  const agg = makeObjectAgg();
+  objects.forEach((o) => addObjectSample(agg, o));
+  return agg;
+}
+
+test("maybeAsMap: varying keys with one scalar kind look like a map", () => {
+  assert.equal(maybeAsMap(aggOf({ u1: true }, { u2: false, u3: true })), "boolean");
+  assert.equal(maybeAsMap(aggOf({ "2025-01-06": 3 }, { "2025-01-13": 4.5 })), "number");
+});
+
+test("maybeAsMap: a key present in every sample means a fixed shape", () => {
+  assert.equal(maybeAsMap(aggOf({ name: "a", x: "1" }, { name: "b", y: "2" })), null);
+});
+
+test("maybeAsMap: mixed value kinds or non-scalar values are not a map", () => {
+  assert.equal(maybeAsMap(aggOf({ a: "x" }, { b: 1 })), null);
+  assert.equal(maybeAsMap(aggOf({ a: { n: 1 } }, { b: { n: 2 } })), null);
+  assert.equal(maybeAsMap(aggOf({ a: "x" }, { a: 1, b: "y" })), null);
+  assert.equal(maybeAsMap(makeObjectAgg()), null);
+});
+
+test("buildProfile reports map fields, required fields, unions and subcollections", async () => {
+  const fake = createFakeFirebase({
+    firestore: {
+      "users/u1": {
+        name: "Ann",
+        age: 30,
+        attendance: { "2025-01-06": true },
+        createdAt: Timestamp.fromMillis(0),
+      },
+      "users/u2": { name: "Bob", age: 31.5, attendance: { "2025-01-13": false }, nick: null },
+      "users/u3": { name: "Cy", age: "unknown", attendance: { "2025-01-20": true } },
+      "users/u1/payments/p1": { amount: 10 },
+    },
+  });
+
+  const profile = await buildProfile({ COLLECTION_PATH: "users" }, fake);
+  const { fields, requiredFields } = profile.document;
+
+  assert.deepEqual(requiredFields, ["name", "age", "attendance"]);
+  assert.deepEqual(fields.attendance, { type: "map<string, boolean>", required: true, nullable: false });
+  assert.deepEqual(fields.age, { type: "union", union: ["number", "string"], required: true, nullable: false });
+  assert.deepEqual(fields.createdAt, { type: "timestamp", format: "RFC3339", required: false, nullable: false });
+  assert.deepEqual(fields.nick, { type: "unknown", required: false, nullable: true });
+
+  assert.deepEqual(profile.subcollections.payments.document.fields.amount, {
+    type: "integer",
+    required: true,
+    nullable: false,
+  });
+  // u1 has the most keys, so it is the example, with one doc per subcollection.
+  assert.equal(profile.example.document.createdAt, "1970-01-01T00:00:00.000Z");
+  assert.deepEqual(profile.example.subcollections, { payments: [{ amount: 10 }] });
+  assert.deepEqual(profile.meta, { sample_limit: null, docs_sampled: 3, include_subcollections: true });
+});
+
+test("buildProfile honours SAMPLE_LIMIT", async () => {
+  const fake = createFakeFirebase({ firestore: { "c/a": { x: 1 }, "c/b": { x: 2 }, "c/c": { x: 3 } } });
+  const profile = await buildProfile({ COLLECTION_PATH: "c", SAMPLE_LIMIT: 2, INCLUDE_EXAMPLE: false }, fake);
+  assert.equal(profile.meta.docs_sampled, 2);
+  assert.equal(profile.example, undefined);
+});
@@ -0,0 +1,171 @@
+// test/limiter.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeFirebase } = require("./helpers/fakeFirebase");
+const {
+  isRetryable,
+  backoffDelay,
+  createTokenBucket,
+  createLimiter,
+  resolveLimits,
+  withLimits,
+} = require("../lib/limiter");
+const { scrubFields } = require("../lib/ops/scrubFields");
+const { updateDisplayNames } = require("../lib/ops/updateDisplayNames");
+
+/** Virtual clock: sleep() advances time instantly and records each wait. */
+function fakeClock() {
+  let t = 0;
+  const sleeps = [];
+  return {
+    sleeps,
+    now: () => t,
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      t += ms;
+    },
+  };
+}
+
+const quiet = { warn() {}, log() {}, error() {} };
+
+test("classifies transient errors as retryable", () => {
+  assert.equal(isRetryable({ code: 8 }), true); // RESOURCE_EXHAUSTED
+  assert.equal(isRetryable({ code: 14 }), true); // UNAVAILABLE
+  assert.equal(isRetryable({ code: "resource-exhausted" }), true);
+  assert.equal(isRetryable({ code: "auth/quota-exceeded" }), true);
+  assert.equal(isRetryable({ type: "StripeRateLimitError", statusCode: 429 }), true);
+  assert.equal(isRetryable({ code: 503 }), true); // Storage HTTP status
+  assert.equal(isRetryable({ code: "ECONNRESET" }), true);
+
+  assert.equal(isRetryable({ code: 5 }), false); // NOT_FOUND
+  assert.equal(isRetryable({ code: 9 }), false); // FAILED_PRECONDITION
+  assert.equal(isRetryable({ code: "auth/user-not-found" }), false);
+  assert.equal(isRetryable({ type: "StripeCardError", statusCode: 402 }), false);
+  assert.equal(isRetryable(new Error("boom")), false);
+});
+
+test("backoff grows exponentially, is capped, jittered and honours Retry-After", () => {
+  const settings = { baseDelayMs: 100, maxDelayMs: 1000 };
+  assert.equal(backoffDelay({}, 0, settings, () => 1), 100);
+  assert.equal(backoffDelay({}, 3, settings, () => 1), 800);
+  assert.equal(backoffDelay({}, 10, settings, () => 1), 1000);
+  assert.equal(backoffDelay({}, 3, settings, () => 0.5), 400);
+  assert.equal(backoffDelay({ headers: { "retry-after": "2" } }, 0, settings, () => 0), 2000);
+});
+
+test("token bucket allows a burst, then paces calls at the configured rate", async () => {
+  const clock = fakeClock();
+  const bucket = createTokenBucket({ ratePerSec: 10, burst: 2 }, clock);
+  for (let i = 0; i < 5; i++) await bucket.take();
+  assert.deepEqual(clock.sleeps, [100, 100, 100]);
+  assert.equal(clock.now(), 300);
+});
+
+test("limiter retries retryable errors and gives up on the rest", async () => {
+  const clock = fakeClock();
+  const settings = { ratePerSec: 0, concurrency: 1, retries: 3, baseDelayMs: 100, maxDelayMs: 1000 };
+  const limiter = createLimiter("auth", settings, { ...clock, random: () => 1, logger: quiet });
+
+  let calls = 0;
+  const value = await limiter.run(async () => {
+    if (++calls < 3) throw Object.assign(new Error("slow down"), { code: "auth/quota-exceeded" });
+    return "ok";
+  });
+  assert.equal(value, "ok");
+  assert.deepEqual(clock.sleeps, [100, 200]);
+  assert.deepEqual(limiter.stats, { calls: 3, retries: 2 });
+
+  await assert.rejects(
+    limiter.run(async () => {
+      throw Object.assign(new Error("gone"), { code: "auth/user-not-found" });
+    }),
+    /gone/
+  );
+  await assert.rejects(
+    limiter.run(async () => {
+      throw Object.assign(new Error("still busy"), { code: 14 });
+    }),
+    /still busy/
+  );
+  assert.equal(limiter.stats.retries, 5); // 2 + 3 before giving up
+});
+
+test("limiter caps concurrency", async () => {
+  const limiter = createLimiter("firestore", { ratePerSec: 0, concurrency: 2, retries: 0 }, { logger: quiet });
+  let active = 0;
+  let peak = 0;
+  const task = () =>
+    limiter.run(async () => {
+      peak = Math.max(peak, ++active);
+      await new Promise((resolve) => setImmediate(resolve));
+      active--;
+    });
+  await Promise.all([task(), task(), task(), task(), task()]);
+  assert.equal(peak, 2);
+});
+
+test("limits merge defaults, profile, environment and deps; bad values are rejected", () => {
+  process.env.ALCE_STRIPE_RPS = "80";
+  try {
+    const limits = resolveLimits({
+      profile: { limits: { stripe: { ratePerSec: 50, concurrency: 2 }, auth: { ratePerSec: 5 } } },
+      limits: { auth: { ratePerSec: 7 } },
+    });
+    assert.equal(limits.stripe.ratePerSec, 80);
+    assert.equal(limits.stripe.concurrency, 2);
+    assert.equal(limits.auth.ratePerSec, 7);
+    assert.equal(limits.firestore.ratePerSec, 500);
+  } finally {
+    delete process.env.ALCE_STRIPE_RPS;
+  }
+  assert.throws(() => resolveLimits({ limits: { auth: { ratePerSec: -1 } } }), /limits\.auth\.ratePerSec/);
+});
+
+test("ops retry transient Auth and Firestore failures instead of counting them as errors", async () => {
+  const fake = createFakeFirebase({
+    firestore: {
+      "users/a": { basicInfo: { firstName: "Ann", lastName: "A" } },
+      "c/x": { tmp: 1 },
+    },
+    auth: [{ uid: "a" }],
+  });
+
+  let authFailures = 1;
+  const updateUser = fake.auth.updateUser.bind(fake.auth);
+  fake.auth.updateUser = async (...args) => {
+    if (authFailures-- > 0) throw Object.assign(new Error("quota"), { code: "auth/quota-exceeded" });
+    return updateUser(...args);
+  };
+  const result = await updateDisplayNames({}, fake);
+  assert.deepEqual(result, { processed: 1, updated: 1, skipped: 0, errors: 0 });
+
+  const makeBatch = fake.db.batch.bind(fake.db);
+  let commitFailures = 2;
+  fake.db.batch = () => {
+    const batch = makeBatch();
+    const commit = batch.commit.bind(batch);
+    batch.commit = async () => {
+      if (commitFailures-- > 0) throw Object.assign(new Error("RESOURCE_EXHAUSTED"), { code: 8 });
+      return commit();
+    };
+    return batch;
+  };
+  await scrubFields({ COLLECTION: "c", FIELD_PATHS: ["tmp"] }, fake);
+  assert.deepEqual(fake.doc("c/x"), {});
+});
+
+test("withLimits wraps nested Stripe resources once", async () => {
+  const limiters = { auth: fakeLimiter("auth"), stripe: fakeLimiter("stripe") };
+  const stripe = { customers: { create: async (p) => ({ id: "cus_1", ...p }) } };
+  const deps = withLimits({ stripe, limiters });
+  const again = withLimits(deps);
+
+  assert.deepEqual(await again.stripe.customers.create({ email: "a@b.c" }), { id: "cus_1", email: "a@b.c" });
+  assert.deepEqual(limiters.stripe.labels, ["stripe.customers.create"]); // not double-wrapped
+
+  function fakeLimiter(name) {
+    const labels = [];
+    return { name, labels, run: (fn, label) => (labels.push(label), fn()) };
+  }
+});
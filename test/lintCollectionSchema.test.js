@@ -0,0 +1,84 @@
+// test/lintCollectionSchema.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeFirebase } = require("./helpers/fakeFirebase");
+const { lintCollection } = require("../lib/ops/lintCollectionSchema");
+
+function seedUsers() {
+  const firestore = {};
+  for (let i = 0; i < 10; i++) {
+    const id = `u${String(i).padStart(2, "0")}`;
+    firestore[`users/${id}`] = {
+      firstName: `Name${i}`,
+      profile: { birthDate: "2000-01-01", age: 20 },
+    };
+  }
+  delete firestore["users/u03"].profile.birthDate; // missing expected field
+  firestore["users/u04"].profile.age = "twenty"; // type mismatch
+  firestore["users/u05"].profile.birthDate = "01/01/2000"; // regex violation
+  firestore["users/u06"].first_name = "Typo"; // rare + name variant
+  return createFakeFirebase({ firestore });
+}
+
+const OPTIONS = {
+  COLLECTION_PATH: "users",
+  BATCH_SIZE: 3, // forces pagination through startAfter
+  STRING_REGEX_RULES: {
+    "profile.birthDate": { regex: /^\d{4}-\d{2}-\d{2}$/, note: "YYYY-MM-DD" },
+  },
+};
+
+test("report covers missing fields, type mismatches, regex violations, rare fields and name variants", async () => {
+  const report = await lintCollection(OPTIONS, seedUsers());
+
+  assert.equal(report.collection, "users");
+  assert.equal(report.meta.docs_scanned, 10);
+  assert.deepEqual(report.summary, {
+    fields_total: 4,
+    expected_fields_count: 3,
+    missing_fields_issues: 1,
+    type_mismatch_issues: 1,
+    regex_issues: 1,
+    rare_fields_issues: 0,
+    // type-mismatch examples list ids for every kind, so all 10 docs show up
+    docs_with_issues_examples_count: 10,
+  });
+
+  assert.deepEqual(report.issues.missing_fields, [
+    { field: "profile.birthDate", missing_count: 1, missing_pct: 0.1, example_doc_ids: ["u03"] },
+  ]);
+  assert.equal(report.issues.type_mismatches[0].field, "profile.age");
+  assert.deepEqual(report.issues.type_mismatches[0].kinds, { number: 9, string: 1 });
+  assert.deepEqual(report.issues.type_mismatches[0].example_doc_ids_by_kind.string, ["u04"]);
+  assert.deepEqual(report.issues.regex_violations, [
+    {
+      field: "profile.birthDate",
+      regex: "/^\\d{4}-\\d{2}-\\d{2}$/",
+      note: "YYYY-MM-DD",
+      examples: [{ doc: "u05", value: "01/01/2000" }],
+    },
+  ]);
+  assert.deepEqual(report.issues.field_name_variants, [
+    {
+      normalized: "firstname",
+      canonical: "firstName",
+      variants: [
+        { field: "firstName", present_count: 10 },
+        { field: "first_name", present_count: 1 },
+      ],
+    },
+  ]);
+});
+
+test("RARE_FIELD_MAX_PCT flags stray fields", async () => {
+  const report = await lintCollection({ ...OPTIONS, RARE_FIELD_MAX_PCT: 0.1 }, seedUsers());
+  assert.deepEqual(report.issues.rare_fields, [
+    { field: "first_name", present_count: 1, present_pct: 0.1, example_doc_ids: ["u06"] },
+  ]);
+});
+
+test("SAMPLE_LIMIT stops the scan early", async () => {
+  const report = await lintCollection({ ...OPTIONS, SAMPLE_LIMIT: 4 }, seedUsers());
+  assert.equal(report.meta.docs_scanned, 4);
+  assert.equal(report.meta.sample_limit, 4);
+});
@@ -0,0 +1,144 @@
+// test/migrate.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeFirebase } = require("./helpers/fakeFirebase");
+const { migrationStatus, migrateUp, migrateDown, loadMigrations } = require("../lib/ops/migrate");
+
+/** Writes migration modules into a fresh temp dir. `files` = { "0001_x.js": source }. */
+function migrationsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alce-migrations-"));
+  for (const [name, source] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), source);
+  return dir;
+}
+
+const SET_FLAG = (field, withDown = true) => `
+module.exports = {
+  description: "set ${field}",
+  async up(ctx) {
+    const batcher = ctx.batcher();
+    for (const doc of (await ctx.db.collection("users").get()).docs) {
+      await batcher.update(doc.ref, { ${field}: true });
+    }
+    await batcher.flush();
+  },
+  ${withDown ? `async down(ctx) {
+    const { FieldValue } = ctx;
+    const batcher = ctx.batcher();
+    for (const doc of (await ctx.db.collection("users").get()).docs) {
+      await batcher.update(doc.ref, { ${field}: FieldValue.delete() });
+    }
+    await batcher.flush();
+  },` : ""}
+};
+`;
+
+function seed() {
+  return createFakeFirebase({ firestore: { "users/u1": { name: "A" }, "users/u2": { name: "B" } } });
+}
+
+test("up applies pending migrations in number order and records them", async () => {
+  const dir = migrationsDir({
+    "0002_b.js": SET_FLAG("b"),
+    "0001_a.js": SET_FLAG("a"),
+    "_template.js": "module.exports = {};", // ignored
+  });
+  const fake = seed();
+
+  const result = await migrateUp({ MIGRATIONS_DIR: dir }, fake);
+  assert.deepEqual(result, { action: "up", migrations: ["0001_a", "0002_b"], dryRun: false });
+  assert.deepEqual(fake.doc("users/u1"), { name: "A", a: true, b: true });
+
+  const record = fake.doc("_migrations/0001_a");
+  assert.equal(record.number, 1);
+  assert.equal(record.description, "set a");
+  assert.match(record.checksum, /^[0-9a-f]{64}$/);
+  assert.equal(fake.doc("_migrations/_lock"), undefined, "lock released");
+
+  const again = await migrateUp({ MIGRATIONS_DIR: dir }, fake);
+  assert.deepEqual(again.migrations, []);
+});
+
+test("status reports applied, pending, changed and missing migrations", async () => {
+  const dir = migrationsDir({ "0001_a.js": SET_FLAG("a"), "0002_b.js": SET_FLAG("b") });
+  const fake = seed();
+  await migrateUp({ MIGRATIONS_DIR: dir, TO: "1" }, fake);
+
+  let status = await migrationStatus({ MIGRATIONS_DIR: dir }, fake);
+  assert.deepEqual(status.migrations.map((m) => [m.id, m.state]), [["0001_a", "applied"], ["0002_b", "pending"]]);
+
+  fs.appendFileSync(path.join(dir, "0001_a.js"), "\n// edited after it ran\n");
+  fs.renameSync(path.join(dir, "0002_b.js"), path.join(dir, "0003_c.js"));
+  await fake.db.doc("_migrations/0002_b").set({ id: "0002_b", number: 2 });
+
+  status = await migrationStatus({ MIGRATIONS_DIR: dir }, fake);
+  assert.deepEqual(
+    status.migrations.map((m) => [m.id, m.state]),
+    [["0001_a", "changed"], ["0002_b", "missing"], ["0003_c", "pending"]]
+  );
+  assert.deepEqual([status.applied, status.pending], [2, 1]);
+});
+
+test("down reverts the latest migration, or everything above TO", async () => {
+  const dir = migrationsDir({ "0001_a.js": SET_FLAG("a"), "0002_b.js": SET_FLAG("b"), "0003_c.js": SET_FLAG("c") });
+  const fake = seed();
+  await migrateUp({ MIGRATIONS_DIR: dir }, fake);
+
+  const latest = await migrateDown({ MIGRATIONS_DIR: dir }, fake);
+  assert.deepEqual(latest.migrations, ["0003_c"]);
+  assert.deepEqual(fake.doc("users/u2"), { name: "B", a: true, b: true });
+
+  const toZero = await migrateDown({ MIGRATIONS_DIR: dir, TO: "0" }, fake);
+  assert.deepEqual(toZero.migrations, ["0002_b", "0001_a"]);
+  assert.deepEqual(fake.doc("users/u2"), { name: "B" });
+  assert.deepEqual(fake.paths().filter((p) => p.startsWith("_migrations/")), []);
+});
+
+test("dry runs execute migrations without writing or recording", async () => {
+  const dir = migrationsDir({ "0001_a.js": SET_FLAG("a") });
+  const fake = seed();
+
+  const result = await migrateUp({ MIGRATIONS_DIR: dir, DRY_RUN: true }, fake);
+  assert.deepEqual(result, { action: "up", migrations: ["0001_a"], dryRun: true });
+  assert.deepEqual(fake.doc("users/u1"), { name: "A" });
+  assert.deepEqual(fake.paths().filter((p) => p.startsWith("_migrations/")), []);
+});
+
+test("a failing migration stops the run; earlier ones stay recorded", async () => {
+  const dir = migrationsDir({
+    "0001_a.js": SET_FLAG("a"),
+    "0002_boom.js": 'module.exports = { async up() { throw new Error("bad data"); } };',
+    "0003_c.js": SET_FLAG("c"),
+  });
+  const fake = seed();
+
+  await assert.rejects(migrateUp({ MIGRATIONS_DIR: dir }, fake), /0002_boom \(up\) failed: bad data \(0001_a completed/);
+  assert.ok(fake.doc("_migrations/0001_a"));
+  assert.equal(fake.doc("_migrations/0002_boom"), undefined);
+  assert.equal(fake.doc("users/u1").c, undefined);
+  assert.equal(fake.doc("_migrations/_lock"), undefined);
+
+  const reverted = await migrateDown({ MIGRATIONS_DIR: dir, TO: "0" }, fake);
+  assert.deepEqual(reverted.migrations, ["0001_a"]);
+});
+
+test("refuses to revert without down(), and to run while another run holds the lock", async () => {
+  const dir = migrationsDir({ "0001_a.js": SET_FLAG("a", false), "0002_b.js": SET_FLAG("b") });
+  const fake = seed();
+  await migrateUp({ MIGRATIONS_DIR: dir, TO: "0001_a" }, fake);
+  await assert.rejects(migrateDown({ MIGRATIONS_DIR: dir }, fake), /0001_a: no down\(\) function/);
+
+  await fake.db.doc("_migrations/_lock").set({ runId: "other-run", operator: "ann@laptop" });
+  await assert.rejects(migrateUp({ MIGRATIONS_DIR: dir }, fake), /holds _migrations\/_lock \(run other-run, ann@laptop\)/);
+  assert.equal(fake.doc("users/u1").b, undefined);
+});
+
+test("rejects duplicate numbers and modules without up()", () => {
+  assert.throws(
+    () => loadMigrations(migrationsDir({ "0001_a.js": SET_FLAG("a"), "1_b.js": SET_FLAG("b") })),
+    /share the number 1/
+  );
+  assert.throws(() => loadMigrations(migrationsDir({ "0001_a.js": "module.exports = {};" })), /must export an up/);
+});
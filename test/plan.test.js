@@ -0,0 +1,160 @@
+// test/plan.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeFirebase, Timestamp } = require("./helpers/fakeFirebase");
+const { scrubFields } = require("../lib/ops/scrubFields");
+const { applyPlan } = require("../lib/ops/applyPlan");
+const { undoRun } = require("../lib/ops/undo");
+
+function planFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "alce-plan-")), "scrub.json");
+}
+
+function seed() {
+  return createFakeFirebase({
+    firestore: {
+      "users/u1": { basicInfo: { tmp: "x", name: "Ann" }, sessions: [{ id: 1, token: "t1" }] },
+      "users/u2": { basicInfo: { tmp: Timestamp.fromMillis(0), name: "Bob" } },
+      "users/u3": { basicInfo: { name: "Cy" } }, // nothing to scrub
+    },
+  });
+}
+
+const SCRUB = {
+  COLLECTION: "users",
+  FIELD_PATHS: ["basicInfo.tmp"],
+  ARRAY_CLEANERS: [{ arrayPath: "sessions", deleteKeys: ["token"] }],
+};
+
+test("scrub-fields --plan writes field-level before/after with updateTimes and writes nothing", async () => {
+  const fake = seed();
+  const file = planFile();
+
+  const { runId, ...result } = await scrubFields({ ...SCRUB, PLAN: file }, fake);
+  assert.deepEqual(result, { matched: 3, updated: 0, dryRun: false, planned: 2, plan: file });
+  assert.equal(fake.doc("users/u1").basicInfo.tmp, "x");
+
+  const plan = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.equal(plan.plan, 1);
+  assert.equal(plan.op, "scrubFields");
+  assert.equal(plan.project, "demo-alce-admin");
+  assert.equal(plan.config.PLAN, undefined);
+  assert.deepEqual(
+    plan.writes.map((w) => [w.path, w.changes]),
+    [
+      [
+        "users/u1",
+        [
+          { field: "basicInfo.tmp", before: "x" },
+          { field: "sessions", before: [{ id: 1, token: "t1" }], after: [{ id: 1 }] },
+        ],
+      ],
+      ["users/u2", [{ field: "basicInfo.tmp", before: { $timestamp: { seconds: 0, nanoseconds: 0 } } }]],
+    ]
+  );
+  assert.ok(plan.writes[0].updateTime.$timestamp);
+});
+
+test("apply performs exactly the planned writes", async () => {
+  const fake = seed();
+  const file = planFile();
+  await scrubFields({ ...SCRUB, HARD_DELETE: false, PLAN: file }, fake);
+  await fake.db.doc("users/u4").set({ basicInfo: { tmp: "added after planning" } }); // not in the plan
+
+  const { runId, ...result } = await applyPlan({ PLAN_FILE: file }, fake);
+  assert.deepEqual(result, { planned: 3, applied: 3, conflicts: [], dryRun: false }); // u3 gets tmp: null
+  assert.ok(runId, "journaled, so it can be undone");
+  assert.deepEqual(fake.doc("users/u1"), { basicInfo: { tmp: null, name: "Ann" }, sessions: [{ id: 1, token: null }] });
+  assert.deepEqual(fake.doc("users/u2"), { basicInfo: { tmp: null, name: "Bob" } });
+  assert.equal(fake.doc("users/u4").basicInfo.tmp, "added after planning");
+});
+
+test("apply reports documents changed or deleted since planning instead of overwriting them", async () => {
+  const fake = seed();
+  const file = planFile();
+  await scrubFields({ ...SCRUB, PLAN: file }, fake);
+  await fake.db.doc("users/u1").update({ "basicInfo.tmp": "edited" });
+  await fake.db.doc("users/u2").delete();
+
+  const dry = await applyPlan({ PLAN_FILE: file, DRY_RUN: true }, fake);
+  assert.deepEqual([dry.applied, dry.conflicts.length], [0, 2]);
+
+  const { runId, ...result } = await applyPlan({ PLAN_FILE: file }, fake);
+  assert.equal(result.applied, 0);
+  assert.deepEqual(result.conflicts.map((c) => c.path), ["users/u1", "users/u2"]);
+  assert.match(result.conflicts[0].reason, /changed since planning/);
+  assert.match(result.conflicts[1].reason, /deleted since planning/);
+  assert.equal(fake.doc("users/u1").basicInfo.tmp, "edited");
+
+  const audits = fake.paths().filter((p) => p.startsWith("_admin_audit/")).map((p) => fake.doc(p));
+  assert.equal(audits.find((a) => a.op === "applyPlan").errorCount, 2);
+});
+
+test("a document modified between the check and the commit is caught by the precondition, and undo leaves it alone", async () => {
+  const fake = seed();
+  const file = planFile();
+  await scrubFields({ ...SCRUB, PLAN: file }, fake);
+
+  const getAll = fake.db.getAll.bind(fake.db);
+  fake.db.getAll = async (...refs) => {
+    const snaps = await getAll(...refs);
+    await fake.db.doc("users/u2").update({ "basicInfo.name": "Robert" }); // lands after the read
+    return snaps;
+  };
+
+  const { runId, ...result } = await applyPlan({ PLAN_FILE: file }, fake);
+  assert.equal(result.applied, 1);
+  assert.deepEqual(result.conflicts.map((c) => c.path), ["users/u2"]);
+  assert.equal(fake.doc("users/u1").basicInfo.tmp, undefined);
+  assert.deepEqual(fake.doc("users/u2").basicInfo, { tmp: Timestamp.fromMillis(0), name: "Robert" });
+
+  // Only the write that landed was journaled: undo restores u1 and keeps the concurrent edit to u2.
+  fake.db.getAll = getAll;
+  await undoRun({ RUN_ID: runId }, fake);
+  assert.equal(fake.doc("users/u1").basicInfo.tmp, "x");
+  assert.deepEqual(fake.doc("users/u2").basicInfo, { tmp: Timestamp.fromMillis(0), name: "Robert" });
+});
+
+test("a commit retried after its response was lost counts as applied and stays undoable", async () => {
+  const fake = seed();
+  const file = planFile();
+  await scrubFields({ ...SCRUB, PLAN: file }, fake);
+
+  // The first commit lands but reports DEADLINE_EXCEEDED; the retry then fails its own precondition.
+  const batch = fake.db.batch.bind(fake.db);
+  let lost = false;
+  fake.db.batch = () => {
+    const b = batch();
+    const commit = b.commit.bind(b);
+    b.commit = async () => {
+      const res = await commit();
+      if (lost) return res;
+      lost = true;
+      throw Object.assign(new Error("deadline exceeded"), { code: 4 });
+    };
+    return b;
+  };
+
+  const { runId, ...result } = await applyPlan({ PLAN_FILE: file }, fake);
+  assert.deepEqual(result, { planned: 2, applied: 2, conflicts: [], dryRun: false });
+  assert.equal(fake.doc("users/u1").basicInfo.tmp, undefined);
+
+  await undoRun({ RUN_ID: runId }, fake);
+  assert.equal(fake.doc("users/u1").basicInfo.tmp, "x");
+  assert.deepEqual(fake.doc("users/u2").basicInfo, { tmp: Timestamp.fromMillis(0), name: "Bob" });
+});
+
+test("apply refuses a plan made on another project", async () => {
+  const fake = seed();
+  const file = planFile();
+  await scrubFields({ ...SCRUB, PLAN: file }, fake);
+
+  await assert.rejects(
+    applyPlan({ PLAN_FILE: file }, { ...fake, profile: { ...fake.profile, projectId: "alce-prod" } }),
+    /made on project 'demo-alce-admin'/
+  );
+  await assert.rejects(applyPlan({ PLAN_FILE: `${file}.missing` }, fake), /Plan file not found/);
+});
@@ -0,0 +1,57 @@
+// test/progress.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { formatDuration, formatBytes, createProgress } = require("../lib/progress");
+
+test("formatDuration picks the two largest units", () => {
+  assert.equal(formatDuration(12000), "12s");
+  assert.equal(formatDuration(185000), "3m05s");
+  assert.equal(formatDuration(3723000), "1h02m");
+});
+
+test("progress lines show rate and ETA, throttled to one per interval", () => {
+  let t = 0;
+  const lines = [];
+  const progress = createProgress({
+    total: 1000,
+    done: 100, // finished before a resume: counts toward the total, not the rate
+    logger: { log: (l) => lines.push(l) },
+    everyMs: 5000,
+    now: () => t,
+  });
+
+  t = 10000;
+  progress.update(300);
+  t = 12000;
+  progress.update(340); // within 5s of the last line
+  t = 20000;
+  progress.update(500);
+  progress.update(500, true);
+
+  assert.deepEqual(lines, [
+    "   …processed 300/1000 docs (30.0%) · 20/s · ETA 35s",
+    "   …processed 500/1000 docs (50.0%) · 20/s · ETA 25s",
+    "   …processed 500/1000 docs (50.0%) · 20/s · ETA 25s",
+  ]);
+});
+
+test("without a total there is no percentage or ETA", () => {
+  let t = 0;
+  const progress = createProgress({ logger: { log() {} }, now: () => t, verb: "deleted" });
+  t = 4000;
+  progress.update(10);
+  assert.equal(progress.line(), "   …deleted 10 docs · 2.5/s");
+});
+
+test("with bytes the line also shows the bytes done and their rate", () => {
+  let t = 0;
+  const progress = createProgress({ logger: { log() {} }, now: () => t, verb: "copied", label: "objects", bytes: true });
+  assert.equal(progress.line(), "   …copied 0 objects · 0 B");
+  t = 2000;
+  progress.addBytes(3 * 1024 * 1024);
+  progress.addBytes("1048576"); // GCS metadata sizes are strings
+  progress.update(40);
+  assert.equal(progress.line(), "   …copied 40 objects · 20/s · 4.0 MB · 2.0 MB/s");
+  assert.equal(formatBytes(1536), "1.5 KB");
+  assert.equal(formatBytes(999), "999 B");
+});
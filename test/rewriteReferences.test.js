@@ -0,0 +1,78 @@
+// test/rewriteReferences.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeFirebase } = require("./helpers/fakeFirebase");
+const { rewriteReferences } = require("../lib/ops/rewriteReferences");
+const { applyPlan } = require("../lib/ops/applyPlan");
+const { undoRun } = require("../lib/ops/undo");
+
+async function seed() {
+  const fake = createFakeFirebase({
+    firestore: {
+      "norders/o1": { item: "pizza" },
+      "restaurants/r1": { name: "Da Mario" },
+      "users/u2": { name: "Bob" },
+    },
+  });
+  const ref = (p) => fake.db.doc(p);
+  await ref("users/u1").set({
+    name: "Ann",
+    lastOrder: ref("food_orders/o1"),
+    history: [ref("food_orders/o2"), ref("other/x")],
+    nested: { event: ref("food_orders/o1/events/e1") },
+  });
+  await ref("users/u2").update({ archived: ref("food_orders_archive/o1") }); // similar prefix, not moved
+  await ref("restaurants/r1").update({ order: ref("food_orders/o2") });
+  return fake;
+}
+
+const OPTIONS = { FROM_COLLECTION: "food_orders", TO_COLLECTION: "norders", COLLECTIONS: ["users", "restaurants"] };
+const paths = (v) => (Array.isArray(v) ? v.map(paths) : v.path);
+
+test("rewrites references into the old collection across the scanned collections, and can be undone", async () => {
+  const fake = await seed();
+  const { runId, ...result } = await rewriteReferences(OPTIONS, fake);
+
+  assert.deepEqual(result, { scanned: 3, updated: 2, references: 4, dryRun: false });
+  const u1 = (await fake.db.doc("users/u1").get()).data();
+  assert.equal(paths(u1.lastOrder), "norders/o1");
+  assert.deepEqual(paths(u1.history), ["norders/o2", "other/x"]);
+  assert.equal(paths(u1.nested.event), "norders/o1/events/e1");
+  assert.equal(paths(fake.doc("users/u2").archived), "food_orders_archive/o1");
+  assert.equal(paths(fake.doc("restaurants/r1").order), "norders/o2");
+
+  await undoRun({ RUN_ID: runId }, fake);
+  assert.equal(paths(fake.doc("users/u1").lastOrder), "food_orders/o1");
+});
+
+test("DRY_RUN lists the changes and PLAN writes a plan that apply performs", async () => {
+  const fake = await seed();
+  const dry = await rewriteReferences({ ...OPTIONS, DRY_RUN: true }, fake);
+  assert.deepEqual([dry.updated, dry.references], [2, 4]);
+  assert.equal(paths(fake.doc("users/u1").lastOrder), "food_orders/o1");
+  assert.ok(fake.logger.lines.some((l) => l.includes("would rewrite 3 reference(s) in users/u1: lastOrder, history, nested")));
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "alce-refs-")), "refs.json");
+  const planned = await rewriteReferences({ ...OPTIONS, PLAN: file }, fake);
+  assert.deepEqual([planned.planned, planned.runId], [2, undefined]);
+  const plan = JSON.parse(fs.readFileSync(file, "utf8"));
+  const restaurant = plan.writes.find((w) => w.path === "restaurants/r1");
+  assert.deepEqual(restaurant.changes[0], {
+    field: "order",
+    before: { $ref: "food_orders/o2" },
+    after: { $ref: "norders/o2" },
+  });
+
+  const { runId, ...applied } = await applyPlan({ PLAN_FILE: file }, fake);
+  assert.deepEqual(applied, { planned: 2, applied: 2, conflicts: [], dryRun: false });
+  assert.equal(paths(fake.doc("users/u1").nested.event), "norders/o1/events/e1");
+});
+
+test("rejects a scan without collections or with a document path", async () => {
+  const fake = await seed();
+  await assert.rejects(rewriteReferences({ ...OPTIONS, COLLECTIONS: [] }, fake), /must list the collections/);
+  await assert.rejects(rewriteReferences({ ...OPTIONS, COLLECTIONS: ["users/u1"] }, fake), /Invalid collection path/);
+});
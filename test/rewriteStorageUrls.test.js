@@ -0,0 +1,170 @@
+// test/rewriteStorageUrls.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeFirebase, Timestamp, GeoPoint } = require("./helpers/fakeFirebase");
+const { parseStorageString, formatStorageString } = require("../lib/storageUrls");
+const { rewriteStorageUrls } = require("../lib/ops/rewriteStorageUrls");
+const { copyStoragePrefix } = require("../lib/ops/copyStoragePrefix");
+const { undoRun } = require("../lib/ops/undo");
+
+const BUCKET = "demo-alce-admin.appspot.com";
+const firebaseUrl = (name, token, bucket = BUCKET) =>
+  `https://firebasestorage.googleapis.com/v0/b/${bucket}/o/${encodeURIComponent(name)}?alt=media&token=${token}`;
+
+test("Storage paths and URLs parse and format back in the same form", () => {
+  const forms = [
+    firebaseUrl("accommodationItems/a1/cover photo.jpg", "t1"),
+    `http://127.0.0.1:9199/v0/b/${BUCKET}/o/accommodationItems%2Fa1.jpg?alt=media`,
+    `https://storage.googleapis.com/${BUCKET}/accommodationItems/a%201.jpg`,
+    `gs://${BUCKET}/accommodationItems/a1.jpg`,
+    "accommodationItems/a1.jpg",
+  ];
+  for (const s of forms) {
+    const parsed = parseStorageString(s);
+    assert.ok(parsed.name.startsWith("accommodationItems/"), s);
+    assert.equal(formatStorageString(parsed, parsed.bucket || BUCKET, parsed.name, null), s);
+  }
+  assert.equal(parseStorageString("https://example.com/a/b.jpg"), null);
+  assert.equal(parseStorageString("just text"), null);
+
+  const moved = formatStorageString(parseStorageString(forms[0]), "archive", "accommodations/a1/cover photo.jpg", "t2");
+  assert.equal(moved, firebaseUrl("accommodations/a1/cover photo.jpg", "t2", "archive"));
+});
+
+test("rewriteStorageUrls points saved URLs at moved objects with their current tokens, and can be undone", async () => {
+  const fake = createFakeFirebase({
+    storage: { "accommodations/a1.jpg": "1", "accommodations/a2.jpg": "2" },
+    firestore: {
+      "accommodations/x": {
+        photos: [firebaseUrl("accommodationItems/a1.jpg", "old"), firebaseUrl("accommodationItems/gone.jpg", "old")],
+        cover: { url: `gs://${BUCKET}/accommodationItems/a2.jpg`, caption: "accommodationItems/a2.jpg" },
+        website: "https://example.com/accommodationItems/a1.jpg",
+      },
+      "accommodations/y": {
+        photos: ["accommodationItems/a2.jpg"],
+        gallery: { main: "accommodationItems/a1.jpg", takenAt: Timestamp.fromMillis(1000), place: new GeoPoint(45, 9) },
+      },
+      "accommodations/z": { photos: [] },
+    },
+  });
+  await fake.bucket.file("accommodations/a1.jpg").setMetadata({ metadata: { firebaseStorageDownloadTokens: "new1,new1b" } });
+  const before = fake.doc("accommodations/x");
+
+  const result = await rewriteStorageUrls(
+    {
+      FROM_PREFIX: "accommodationItems",
+      TO_PREFIX: "accommodations/",
+      URL_FIELDS: { accommodations: ["photos", "cover.url", "gallery"] },
+    },
+    fake
+  );
+  assert.equal(result.scanned, 3);
+  assert.equal(result.updated, 2);
+  assert.equal(result.urls, 4);
+  assert.equal(result.missing, 1);
+
+  const x = fake.doc("accommodations/x");
+  assert.deepEqual(x.photos, [firebaseUrl("accommodations/a1.jpg", "new1"), firebaseUrl("accommodationItems/gone.jpg", "old")]);
+  assert.deepEqual(x.cover, { url: `gs://${BUCKET}/accommodations/a2.jpg`, caption: "accommodationItems/a2.jpg" });
+  assert.equal(x.website, before.website);
+  const y = fake.doc("accommodations/y");
+  assert.deepEqual(y.photos, ["accommodations/a2.jpg"]);
+  // Firestore values in a rewritten map keep their types.
+  assert.equal(y.gallery.main, "accommodations/a1.jpg");
+  assert.ok(y.gallery.takenAt instanceof Timestamp);
+  assert.ok(y.gallery.place instanceof GeoPoint);
+
+  await undoRun({ RUN_ID: result.runId }, fake);
+  assert.deepEqual(fake.doc("accommodations/x"), before);
+
+  await assert.rejects(
+    rewriteStorageUrls({ FROM_PREFIX: "a/", TO_PREFIX: "a/", SOURCE_BUCKET: BUCKET, URL_FIELDS: { accommodations: ["photos"] } }, fake),
+    /cannot be identical in the same bucket/
+  );
+});
+
+test("copyStoragePrefix regenerates tokens, overrides metadata and rewrites URL_FIELDS for verified copies only", async () => {
+  const fake = createFakeFirebase({
+    storage: { "accommodationItems/a1.jpg": "one", "accommodationItems/bad.jpg": "bad" },
+    firestore: {
+      "accommodations/x": {
+        photos: [firebaseUrl("accommodationItems/a1.jpg", "old1"), firebaseUrl("accommodationItems/bad.jpg", "oldb")],
+      },
+    },
+  });
+  for (const name of ["accommodationItems/a1.jpg", "accommodationItems/bad.jpg"]) {
+    await fake.bucket.file(name).setMetadata({ contentType: "image/jpeg", metadata: { firebaseStorageDownloadTokens: "old", owner: "x" } });
+  }
+  const archive = fake.bucket.storage.bucket("alce-archive");
+  fake.bucket.storage.onWrite = (bucketName, name, contents) => (bucketName === "alce-archive" && name.endsWith("bad.jpg") ? "ba" : contents);
+
+  const result = await copyStoragePrefix(
+    {
+      FROM_PREFIX: "accommodationItems/",
+      TO_PREFIX: "accommodations/",
+      DESTINATION_BUCKET: "alce-archive",
+      IS_DESTRUCTIVE: true,
+      DOWNLOAD_TOKENS: "regenerate",
+      CACHE_CONTROL: "public, max-age=31536000",
+      CUSTOM_METADATA: { owner: null, movedFrom: "accommodationItems/" },
+      URL_FIELDS: { accommodations: ["photos"] },
+    },
+    fake
+  );
+  assert.equal(result.deleted, 1);
+  assert.equal(result.errors, 1);
+  assert.deepEqual(result.urlRewrite, { scanned: 1, updated: 1, urls: 1, missing: 1 });
+  assert.ok(result.runId);
+
+  const [meta] = await archive.file("accommodations/a1.jpg").getMetadata();
+  assert.equal(meta.contentType, "image/jpeg");
+  assert.equal(meta.cacheControl, "public, max-age=31536000");
+  assert.equal(meta.metadata.owner, undefined);
+  assert.equal(meta.metadata.movedFrom, "accommodationItems/");
+  assert.notEqual(meta.metadata.firebaseStorageDownloadTokens, "old");
+
+  // The moved photo points at the archive with its new token; the failed one still works where it was.
+  assert.deepEqual(fake.doc("accommodations/x").photos, [
+    firebaseUrl("accommodations/a1.jpg", meta.metadata.firebaseStorageDownloadTokens, "alce-archive"),
+    firebaseUrl("accommodationItems/bad.jpg", "oldb"),
+  ]);
+});
+
+test("copyStoragePrefix looks URL_FIELDS up at the destination: a dry run writes nothing, a differing copy is not pointed at", async () => {
+  const fake = createFakeFirebase({
+    storage: { "uploads/a.pdf": "a", "uploads/b.pdf": "b", "files/b.pdf": "old b" },
+    firestore: { "docs/d": { files: ["uploads/a.pdf", "uploads/b.pdf"] } },
+  });
+  const config = { FROM_PREFIX: "uploads/", TO_PREFIX: "files/", SKIP_IF_EXISTS: true, URL_FIELDS: { docs: ["files"] } };
+
+  const dry = await copyStoragePrefix({ ...config, DRY_RUN: true }, fake);
+  assert.deepEqual(dry.urlRewrite, { scanned: 1, updated: 1, urls: 1, missing: 1 });
+  assert.deepEqual(fake.doc("docs/d").files, ["uploads/a.pdf", "uploads/b.pdf"]);
+
+  const result = await copyStoragePrefix(config, fake);
+  assert.equal(result.copied, 1);
+  assert.deepEqual(fake.doc("docs/d").files, ["files/a.pdf", "uploads/b.pdf"]);
+});
+
+test("a move with URL_FIELDS deletes its sources only after the saved URLs point at the copies", async () => {
+  const fake = createFakeFirebase({
+    storage: { "uploads/a.pdf": "a", "uploads/b.pdf": "b" },
+    firestore: { "docs/d": { files: ["uploads/a.pdf", "uploads/b.pdf"] } },
+  });
+  const config = { FROM_PREFIX: "uploads/", TO_PREFIX: "files/", IS_DESTRUCTIVE: true, URL_FIELDS: { docs: ["files"] } };
+  const names = () => [...fake.bucket._objects.keys()].filter((n) => !n.startsWith("_admin_journals/")).sort();
+
+  // The rewrite fails: every source stays, so the saved paths still work.
+  const batch = fake.db.batch.bind(fake.db);
+  fake.db.batch = () => Object.assign(batch(), { commit: async () => Promise.reject(new Error("firestore down")) });
+  await assert.rejects(copyStoragePrefix(config, fake), /firestore down/);
+  assert.deepEqual(names(), ["files/a.pdf", "files/b.pdf", "uploads/a.pdf", "uploads/b.pdf"]);
+  assert.deepEqual(fake.doc("docs/d").files, ["uploads/a.pdf", "uploads/b.pdf"]);
+
+  // A rerun finishes the move once the rewrite commits.
+  fake.db.batch = batch;
+  const result = await copyStoragePrefix({ ...config, SKIP_IF_EXISTS: true }, fake);
+  assert.equal(result.deleted, 2);
+  assert.deepEqual(fake.doc("docs/d").files, ["files/a.pdf", "files/b.pdf"]);
+  assert.deepEqual(names(), ["files/a.pdf", "files/b.pdf"]);
+});
@@ -0,0 +1,113 @@
+// test/scrubFields.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeFirebase } = require("./helpers/fakeFirebase");
+const { applyArrayCleaners, scrubFields } = require("../lib/ops/scrubFields");
+
+test("applyArrayCleaners deletes (nested) keys from objects inside arrays", () => {
+  const data = {
+    sessions: [
+      { id: 1, secret: "x", meta: { ip: "1.2.3.4", ua: "firefox" } },
+      { id: 2, meta: { ua: "chrome" } },
+      "not-an-object",
+    ],
+  };
+  const changes = applyArrayCleaners(data, [{ arrayPath: "sessions", deleteKeys: ["secret", "meta.ip"] }], true);
+
+  assert.deepEqual(changes, {
+    sessions: [{ id: 1, meta: { ua: "firefox" } }, { id: 2, meta: { ua: "chrome" } }, "not-an-object"],
+  });
+  assert.equal(data.sessions[0].secret, "x", "input is not mutated");
+});
+
+test("applyArrayCleaners nulls keys when hardDelete is false", () => {
+  const changes = applyArrayCleaners(
+    { a: { list: [{ k: 1, keep: true }] } },
+    [{ arrayPath: "a.list", deleteKeys: ["k", "x.y"] }],
+    false
+  );
+  assert.deepEqual(changes, { "a.list": [{ k: null, keep: true, x: { y: null } }] });
+});
+
+test("applyArrayCleaners reports only arrays that changed", () => {
+  const changes = applyArrayCleaners(
+    { tags: [{ name: "a" }], missing: "nope" },
+    [
+      { arrayPath: "tags", deleteKeys: ["absent"] },
+      { arrayPath: "missing", deleteKeys: ["x"] },
+      { arrayPath: "nowhere", deleteKeys: ["x"] },
+    ],
+    true
+  );
+  assert.deepEqual(changes, {});
+});
+
+test("scrubFields removes field paths and cleans arrays in Firestore", async () => {
+  const fake = createFakeFirebase({
+    firestore: {
+      "users/u1": {
+        basicInfo: { country: "IT", tmp: "x", name: "Ann" },
+        arrivalInfo: { arrivalTime: "10:00", arrivalDate: "2025-01-06" },
+        sessions: [{ id: 1, token: "t1" }],
+      },
+      "users/u2": { basicInfo: { country: "FR", tmp: "y" } },
+    },
+  });
+
+  const { runId, ...result } = await scrubFields(
+    {
+      COLLECTION: "users",
+      FIELD_PATHS: ["arrivalInfo.arrivalTime", "basicInfo.tmp"],
+      ARRAY_CLEANERS: [{ arrayPath: "sessions", deleteKeys: ["token"] }],
+      WHERE: [["basicInfo.country", "==", "IT"]],
+    },
+    fake
+  );
+
+  assert.deepEqual(result, { matched: 1, updated: 1, dryRun: false });
+  assert.ok(runId);
+  assert.deepEqual(fake.doc("users/u1"), {
+    basicInfo: { country: "IT", name: "Ann" },
+    arrivalInfo: { arrivalDate: "2025-01-06" },
+    sessions: [{ id: 1 }],
+  });
+  assert.deepEqual(fake.doc("users/u2"), { basicInfo: { country: "FR", tmp: "y" } });
+});
+
+test("scrubFields with HARD_DELETE=false nulls instead of deleting", async () => {
+  const fake = createFakeFirebase({ firestore: { "users/u1": { a: 1, b: 2 } } });
+  await scrubFields({ COLLECTION: "users", FIELD_PATHS: ["a"], HARD_DELETE: false }, fake);
+  assert.deepEqual(fake.doc("users/u1"), { a: null, b: 2 });
+});
+
+test("scrubFields targets a collection group", async () => {
+  const fake = createFakeFirebase({
+    firestore: {
+      "weekly_lessons/a1_s1/attendance/w1": { secret: 1, keep: 1 },
+      "weekly_lessons/a1_s2/attendance/w1": { secret: 2, keep: 2 },
+      "attendance/top": { secret: 3 },
+    },
+  });
+  const result = await scrubFields(
+    { COLLECTION: "attendance", USE_COLLECTION_GROUP: true, FIELD_PATHS: ["secret"] },
+    fake
+  );
+  assert.equal(result.updated, 3);
+  assert.deepEqual(fake.doc("weekly_lessons/a1_s2/attendance/w1"), { keep: 2 });
+  assert.deepEqual(fake.doc("attendance/top"), {});
+});
+
+test("scrubFields DRY_RUN returns a sample and writes nothing", async () => {
+  const fake = createFakeFirebase({ firestore: { "users/u1": { a: 1 }, "users/u2": { a: 2 } } });
+  const result = await scrubFields({ COLLECTION: "users", FIELD_PATHS: ["a"], DRY_RUN: true }, fake);
+  assert.deepEqual(result, { matched: 2, updated: 0, dryRun: true, sample: ["users/u1", "users/u2"] });
+  assert.deepEqual(fake.doc("users/u1"), { a: 1 });
+});
+
+test("scrubFields DOC_IDS skips ids that do not exist", async () => {
+  const fake = createFakeFirebase({ firestore: { "users/u1": { a: 1 }, "users/u2": { a: 2 } } });
+  const result = await scrubFields({ COLLECTION: "users", FIELD_PATHS: ["a"], DOC_IDS: ["u2", "ghost"] }, fake);
+  assert.equal(result.matched, 1);
+  assert.deepEqual(fake.doc("users/u1"), { a: 1 });
+  assert.deepEqual(fake.doc("users/u2"), {});
+});
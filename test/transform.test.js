@@ -0,0 +1,51 @@
+// test/transform.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeFirebase, Timestamp, GeoPoint } = require("./helpers/fakeFirebase");
+const { interpolate, applyFieldMap, validateFieldMap } = require("../lib/transform");
+
+test("interpolate fills placeholders from the doc; a lone placeholder keeps its type", () => {
+  const data = { customer: { name: "Ann" }, createdAt: Timestamp.fromMillis(0) };
+  assert.equal(interpolate("{customer.name} #{id}", data, "o1"), "Ann #o1");
+  assert.equal(interpolate("{missing}-{id}", data, "o1"), "-o1");
+  assert.equal(interpolate("{createdAt}", data, "o1"), data.createdAt);
+});
+
+test("applyFieldMap renames, drops, defaults, sets and computes without touching the source", () => {
+  const { db } = createFakeFirebase();
+  const typed = { at: Timestamp.fromMillis(1000), geo: new GeoPoint(1, 2), owner: db.doc("users/u1") };
+  const source = { customerName: "Ann", tmp: { debug: 1, keep: 2, at: typed.at }, status: "paid", ...typed };
+  const out = applyFieldMap(
+    source,
+    {
+      rename: { customerName: "customer.name", absent: "nowhere" },
+      drop: ["tmp.debug"],
+      defaults: { status: "open", currency: "EUR" },
+      set: { migratedAt: { $timestamp: { seconds: 5, nanoseconds: 0 } } },
+      compute: { label: "{customerName} ({status})", sourceId: "{id}" },
+    },
+    "o1"
+  );
+
+  assert.deepEqual(out, {
+    customer: { name: "Ann" },
+    tmp: { keep: 2, at: typed.at },
+    status: "paid",
+    ...typed,
+    currency: "EUR",
+    migratedAt: new Timestamp(5, 0),
+    label: "Ann (paid)",
+    sourceId: "o1",
+  });
+  assert.deepEqual(source, { customerName: "Ann", tmp: { debug: 1, keep: 2, at: typed.at }, status: "paid", ...typed });
+  assert.ok(out.at instanceof Timestamp && out.tmp.at instanceof Timestamp);
+  assert.ok(out.geo instanceof GeoPoint);
+  assert.equal(out.owner, typed.owner, "references are kept, not rebuilt as maps");
+});
+
+test("validateFieldMap rejects unknown steps and malformed values", () => {
+  assert.throws(() => validateFieldMap({ rename: { a: "b" }, copy: {} }), /FIELD_MAP.copy is not supported/);
+  assert.throws(() => validateFieldMap({ drop: "a" }), /must be an array/);
+  assert.throws(() => validateFieldMap({ compute: { a: 1 } }), /template string/);
+  validateFieldMap({});
+});
@@ -0,0 +1,153 @@
+// test/undo.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeFirebase, Timestamp, GeoPoint } = require("./helpers/fakeFirebase");
+const { encodeValue, decodeValue } = require("../lib/typedJson");
+const { copyCollection } = require("../lib/ops/copyCollection");
+const { scrubFields } = require("../lib/ops/scrubFields");
+const { undoRun } = require("../lib/ops/undo");
+const { openJournal } = require("../lib/journal");
+
+function snapshotOf(fake) {
+  const out = {};
+  for (const p of fake.paths()) if (!p.startsWith("_admin_audit/")) out[p] = fake.doc(p);
+  return out;
+}
+
+test("typed JSON round-trips Firestore values", () => {
+  const { db } = createFakeFirebase();
+  const value = {
+    at: new Timestamp(1700000000, 123),
+    where: new GeoPoint(41.9, 12.5),
+    owner: db.doc("users/u1"),
+    blob: Buffer.from("hi"),
+    bad: NaN,
+    tricky: { $ref: "not-a-ref" },
+    list: [1, { $timestamp: "literal" }],
+  };
+  const decoded = decodeValue(JSON.parse(JSON.stringify(encodeValue(value))), db);
+
+  assert.ok(decoded.at.isEqual(value.at));
+  assert.ok(decoded.where.isEqual(value.where));
+  assert.equal(decoded.owner.path, "users/u1");
+  assert.deepEqual(decoded.blob, Buffer.from("hi"));
+  assert.ok(Number.isNaN(decoded.bad));
+  assert.deepEqual(decoded.tricky, { $ref: "not-a-ref" });
+  assert.deepEqual(decoded.list, [1, { $timestamp: "literal" }]);
+});
+
+test("undo restores fields removed by scrubFields, with their original types", async () => {
+  const fake = createFakeFirebase({
+    firestore: {
+      "users/u1": { a: 1, when: new Timestamp(100, 0), slots: [{ teacher: "x", at: 1 }] },
+      "users/u2": { a: 2 },
+    },
+  });
+  const before = snapshotOf(fake);
+
+  const { runId } = await scrubFields(
+    { COLLECTION: "users", FIELD_PATHS: ["a", "when"], ARRAY_CLEANERS: [{ arrayPath: "slots", deleteKeys: ["teacher"] }] },
+    fake
+  );
+  assert.deepEqual(fake.doc("users/u1"), { slots: [{ at: 1 }] });
+
+  const result = await undoRun({ RUN_ID: runId }, fake);
+  assert.equal(result.restored, 2);
+  assert.deepEqual(snapshotOf(fake), before);
+  assert.ok(fake.doc("users/u1").when instanceof Timestamp);
+});
+
+test("undo of a destructive recursive copy recreates the source and removes the copies", async () => {
+  const fake = createFakeFirebase({
+    firestore: {
+      "food_orders/o1": { item: "pizza" },
+      "food_orders/o1/events/e1": { type: "created" },
+      "food_orders/o1/events/e1/notes/n1": { text: "deep" },
+      "norders/o1": { item: "stale copy" }, // pre-existing destination doc gets overwritten
+    },
+  });
+  const before = snapshotOf(fake);
+
+  const { runId } = await copyCollection(
+    {
+      SOURCE_COLLECTION: "food_orders",
+      DESTINATION_COLLECTION: "norders",
+      INCLUDE_SUBCOLLECTIONS: true,
+      IS_DESTRUCTIVE: true,
+    },
+    fake
+  );
+  assert.equal(fake.doc("food_orders/o1"), undefined);
+
+  const result = await undoRun({ RUN_ID: runId }, fake);
+  assert.deepEqual(snapshotOf(fake), before);
+  assert.equal(result.deleted, 2); // the two copied descendants that did not exist before
+});
+
+test("undo is itself undoable, and DRY_RUN writes nothing", async () => {
+  const fake = createFakeFirebase({ firestore: { "c/a": { x: 1 } } });
+  const { runId } = await scrubFields({ COLLECTION: "c", FIELD_PATHS: ["x"] }, fake);
+
+  const dry = await undoRun({ RUN_ID: runId, DRY_RUN: true }, fake);
+  assert.equal(dry.restored, 1);
+  assert.deepEqual(fake.doc("c/a"), {});
+
+  const undo = await undoRun({ RUN_ID: runId }, fake);
+  assert.deepEqual(fake.doc("c/a"), { x: 1 });
+  await undoRun({ RUN_ID: undo.runId }, fake);
+  assert.deepEqual(fake.doc("c/a"), {});
+});
+
+test("journals are written locally before commit and read back from disk", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alce-journal-"));
+  const fake = createFakeFirebase({ firestore: { "c/a": { x: 1 } } });
+  const deps = { ...fake, journalLog: { dir } };
+
+  const { runId } = await scrubFields({ COLLECTION: "c", FIELD_PATHS: ["x"] }, deps);
+  const lines = fs.readFileSync(path.join(dir, `${runId}.ndjson`), "utf8").trim().split("\n").map(JSON.parse);
+  assert.equal(lines[0].op, "scrubFields");
+  assert.deepEqual(lines[1], { path: "c/a", exists: true, data: { x: 1 } });
+
+  await undoRun({ RUN_ID: runId }, deps);
+  assert.deepEqual(fake.doc("c/a"), { x: 1 });
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("a journal with a local dir uploads that file to Storage, and undo keeps a repeated path's first image", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alce-journal-"));
+  const fake = createFakeFirebase({ firestore: { "c/a": { x: 1 } } });
+  const deps = { ...fake, journalLog: { dir, storagePrefix: "_admin_journals/" } };
+
+  const journal = openJournal({ op: "test" }, deps);
+  journal.record("c/a", await fake.db.doc("c/a").get());
+  await fake.db.doc("c/a").set({ x: 2 });
+  journal.record("c/a", await fake.db.doc("c/a").get());
+  journal.record("c/new", await fake.db.doc("c/new").get());
+  await fake.db.doc("c/a").set({ x: 3 });
+  await fake.db.doc("c/new").set({ y: 1 });
+  await journal.close();
+  assert.equal(journal.count, 3);
+
+  const local = fs.readFileSync(journal.file, "utf8");
+  const [uploaded] = await fake.bucket.file(`_admin_journals/${journal.runId}.ndjson`).download();
+  assert.equal(uploaded.toString(), local);
+
+  await undoRun({ RUN_ID: journal.runId }, deps);
+  assert.deepEqual(fake.doc("c/a"), { x: 1 });
+  assert.equal(fake.doc("c/new"), undefined);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("undo refuses unknown runs and journals from another project", async () => {
+  const fake = createFakeFirebase({ firestore: { "c/a": { x: 1 } } });
+  await assert.rejects(undoRun({ RUN_ID: "20250101T000000-abcdef" }, fake), /No journal found/);
+
+  const { runId } = await scrubFields({ COLLECTION: "c", FIELD_PATHS: ["x"] }, fake);
+  await assert.rejects(
+    undoRun({ RUN_ID: runId }, { ...fake, profile: { ...fake.profile, projectId: "other" } }),
+    /journaled on project 'demo-alce-admin'/
+  );
+});
@@ -0,0 +1,30 @@
+// test/verify.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { Timestamp } = require("./helpers/fakeFirebase");
+const { hashDoc, diffDocs } = require("../lib/verify");
+
+test("hashDoc ignores map key order but not types", () => {
+  assert.equal(hashDoc({ a: 1, b: { c: 2, d: 3 } }), hashDoc({ b: { d: 3, c: 2 }, a: 1 }));
+  assert.notEqual(hashDoc({ a: 1 }), hashDoc({ a: "1" }));
+  assert.notEqual(hashDoc({ at: Timestamp.fromMillis(0) }), hashDoc({ at: { seconds: 0, nanoseconds: 0 } }));
+  assert.notEqual(hashDoc({ list: [1, 2] }), hashDoc({ list: [2, 1] }));
+});
+
+test("diffDocs lists changed, added and removed fields by dotted path", () => {
+  const diffs = diffDocs(
+    { name: "Ann", address: { city: "Rome", zip: "00100" }, at: Timestamp.fromMillis(0), tags: ["a"] },
+    { name: "Ann", address: { city: "Milan" }, at: Timestamp.fromMillis(1000), tags: ["a"], extra: null }
+  );
+  assert.deepEqual(diffs, [
+    { field: "address.city", expected: "Rome", actual: "Milan" },
+    { field: "address.zip", expected: "00100" },
+    {
+      field: "at",
+      expected: { $timestamp: { seconds: 0, nanoseconds: 0 } },
+      actual: { $timestamp: { seconds: 1, nanoseconds: 0 } },
+    },
+    { field: "extra", actual: null },
+  ]);
+  assert.deepEqual(diffDocs({ a: { b: 1 } }, { a: { b: 1 } }), []);
+});